@@ -0,0 +1,75 @@
+// models/CalibrationProposal.js
+// Base rate and regional multiplier corrections proposed from EstimateReview data
+// (services/calibration.js). Nothing changes pricing until a proposal is approved,
+// which publishes a new PricingConfig version with the corrections applied.
+// Proposals are never deleted: the full list, ordered by version, is the history
+// of every pricing correction and the evidence behind it.
+
+const mongoose = require('mongoose');
+
+const jobTypeAdjustmentSchema = new mongoose.Schema({
+  jobType:           { type: String, required: true },
+  rateKey:           { type: String, default: null },  // regionalCostData.json baseRates key
+  samples:           { type: Number, required: true },
+  medianVariancePct: { type: Number, required: true },  // + means homeowners paid more than estimated
+  currentBase:       { type: Number, default: null },
+  proposedBase:      { type: Number, default: null },
+  changePct:         { type: Number, default: null }
+}, { _id: false });
+
+const regionAdjustmentSchema = new mongoose.Schema({
+  region:             { type: String, required: true }, // controlled name from AREA_REGIONS
+  samples:            { type: Number, required: true },
+  medianResidualPct:  { type: Number, required: true }, // variance left after the jobType bias is removed
+  currentMultiplier:  { type: Number, default: null },
+  proposedMultiplier: { type: Number, default: null },
+  changePct:          { type: Number, default: null }
+}, { _id: false });
+
+const calibrationProposalSchema = new mongoose.Schema({
+  // Monotonic, assigned at creation. Estimates priced after an approval can be
+  // traced back to the proposal that set their rates.
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'superseded'],
+    default: 'pending'
+  },
+
+  // 'script' for the scheduled run, 'admin' for an on-demand run from the API
+  source: {
+    type: String,
+    enum: ['script', 'admin'],
+    default: 'admin'
+  },
+
+  windowStart: { type: Date, required: true },
+  windowEnd:   { type: Date, required: true },
+  reviewsConsidered: { type: Number, default: 0 },
+  // PricingConfig version the reviewed estimates were priced under: the one
+  // active when the proposal was built. Reviews of other versions are left out.
+  reviewedPricingConfigVersion: { type: Number, default: null },
+
+  jobTypeAdjustments: { type: [jobTypeAdjustmentSchema], default: [] },
+  regionAdjustments:  { type: [regionAdjustmentSchema],  default: [] },
+
+  // PricingConfig version published when this proposal was approved. Estimates
+  // priced with that version carry the same number in pricingConfigVersion.
+  pricingConfigVersion: { type: Number, default: null },
+
+  reviewedBy: { type: String, default: null, trim: true },
+  reviewedAt: { type: Date, default: null },
+  reviewNote: { type: String, default: null, trim: true, maxlength: 500 }
+
+}, {
+  timestamps: true
+});
+
+calibrationProposalSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CalibrationProposal', calibrationProposalSchema);
@@ -0,0 +1,107 @@
+// models/Contractor.js
+// The contractor directory (services/contractorDirectory.js). One record per
+// business, built from two sources:
+//   - Google Places results seen by /api/search-contractors, keyed by placeId
+//   - registrations from /for-contractors (ContractorRegistration)
+// A business found both ways, or listed twice on Google, is merged into one
+// record by an admin; the other place IDs move to additionalPlaceIds.
+//
+// Place data here is what Google returned when the business was last seen.
+// Lead.contractorAssigned references these records.
+
+const mongoose = require('mongoose');
+
+const CLICK_ACTIONS = ['shown', 'call', 'website', 'map', 'contact_requested'];
+const VERIFICATION_STATUSES = ['unverified', 'registered', 'verified', 'rejected'];
+const RATING_HISTORY_LIMIT = 50;
+
+const contractorSchema = new mongoose.Schema({
+  name:           { type: String, required: true, trim: true },
+  // Lowercase, punctuation and company suffixes removed: the dedupe key
+  normalizedName: { type: String, required: true },
+
+  placeId:            { type: String, default: null },
+  additionalPlaceIds: { type: [String], default: [] },
+  registrationIds:    [{ type: mongoose.Schema.Types.ObjectId, ref: 'ContractorRegistration' }],
+  sources:            { type: [String], enum: ['places', 'registration'], default: [] },
+
+  companiesHouseNumber: { type: String, default: null, trim: true },
+  email:                { type: String, default: null, lowercase: true, trim: true },
+  phoneNumber:          { type: String, default: null },
+  phoneKey:             { type: String, default: null },   // digits only, national form
+  website:              { type: String, default: null },
+  websiteHost:          { type: String, default: null },   // host without www., for dedupe
+
+  address:     { type: String, default: null },
+  postcode:    { type: String, default: null },
+  location: {
+    lat: { type: Number },
+    lng: { type: Number }
+  },
+  googleTypes: { type: [String], default: [] },
+  priceLevel:  { type: Number, default: null },
+
+  // Trades served: job types the business was found for or registered for
+  jobTypes:  { type: [String], default: [] },
+  // Postcode districts served: registered districts and districts searched from
+  districts: { type: [String], default: [] },
+
+  rating:        { type: Number, default: null },
+  totalReviews:  { type: Number, default: null },
+  // A point is added whenever Google's rating or review count changes
+  ratingHistory: [{
+    _id: false,
+    at:           { type: Date, required: true },
+    rating:       { type: Number },
+    totalReviews: { type: Number }
+  }],
+
+  // Counts of ContractorClick events, by action
+  clickMetrics: {
+    shown:             { type: Number, default: 0 },
+    call:              { type: Number, default: 0 },
+    website:           { type: Number, default: 0 },
+    map:               { type: Number, default: 0 },
+    contact_requested: { type: Number, default: 0 },
+    lastClickAt:       { type: Date, default: null }
+  },
+
+  verification: {
+    status:     { type: String, enum: VERIFICATION_STATUSES, default: 'unverified' },
+    verifiedAt: { type: Date, default: null },
+    verifiedBy: { type: String, default: null, trim: true },
+    notes:      { type: String, default: null, trim: true }
+  },
+
+  // Records folded into this one by an admin merge
+  mergedFrom: [{
+    _id: false,
+    contractorId: { type: mongoose.Schema.Types.ObjectId },
+    name:         { type: String },
+    placeId:      { type: String },
+    mergedAt:     { type: Date },
+    mergedBy:     { type: String }
+  }],
+
+  firstSeenAt: { type: Date, default: Date.now },
+  lastSeenAt:  { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+contractorSchema.index({ placeId: 1 }, { unique: true, partialFilterExpression: { placeId: { $type: 'string' } } });
+contractorSchema.index({ additionalPlaceIds: 1 });
+contractorSchema.index({ registrationIds: 1 });
+contractorSchema.index({ normalizedName: 1 });
+contractorSchema.index({ phoneKey: 1 });
+contractorSchema.index({ websiteHost: 1 });
+contractorSchema.index({ companiesHouseNumber: 1 });
+// Single-field indexes for the two arrays - see ContractorRegistration on parallel arrays
+contractorSchema.index({ jobTypes: 1 });
+contractorSchema.index({ districts: 1 });
+contractorSchema.index({ 'verification.status': 1 });
+
+module.exports = mongoose.model('Contractor', contractorSchema);
+module.exports.CLICK_ACTIONS = CLICK_ACTIONS;
+module.exports.VERIFICATION_STATUSES = VERIFICATION_STATUSES;
+module.exports.RATING_HISTORY_LIMIT = RATING_HISTORY_LIMIT;
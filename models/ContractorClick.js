@@ -0,0 +1,29 @@
+// models/ContractorClick.js
+// One document per contractor card interaction in the search results: shown,
+// call, website, map or contact request. Feeds the contractor directory's click
+// metrics (services/contractorDirectory.js) and ranking training
+// (services/rankingTraining.js), which joins the server's SearchImpressions to
+// engagements here by searchId and placeId.
+
+const mongoose = require('mongoose');
+
+const contractorClickSchema = new mongoose.Schema({
+  estimateId:       { type: mongoose.Schema.Types.ObjectId, ref: 'Estimate', index: true },
+  placeId:          { type: String, required: true, index: true },
+  contractorName:   { type: String, required: true },
+  actionType:       { type: String, enum: ['call', 'website', 'map', 'shown', 'contact_requested'], required: true },
+  jobType:          { type: String },
+  category:         { type: String },
+  region:           { type: String },
+  matchScore:       { type: Number },
+  estimateValue:    { type: Number },        // estimate total at point of interaction
+  postcodeDistrict: { type: String },        // outward code only, e.g. "SW1A"
+  abVariant:        { type: String },        // blur/control from A/B test session
+  leadId:           { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', default: null, index: true }, // joins to Leads collection, contact_requested only
+  // The /api/search-contractors search the card came from. Set only when that
+  // search served this placeId (models/SearchImpression.js).
+  searchId:         { type: String, default: null, index: true },
+  timestamp:        { type: Date, default: Date.now, index: true }
+});
+
+module.exports = mongoose.model('ContractorClick', contractorClickSchema);
@@ -0,0 +1,26 @@
+// models/CostIndex.js
+// Read side of the monthly Cost Index documents. The documents are written by
+// scripts/cost-index-analyser.js, which keeps its own copy of this schema so
+// the cron job runs without the server; keep the two in step.
+
+const mongoose = require('mongoose');
+
+const costIndexSchema = new mongoose.Schema({
+  monthLabel:           String,
+  monthStart:           Date,
+  generatedAt:          Date,
+  totalEstimates:       Number,
+  topJobTypes:          Array,
+  topRegions:           Array,
+  labourMaterialsRatio: Object,
+  commentary:           String,
+  prevMonthLabel:       String,
+  prevMonthTotals:      Object,
+  priceIndices:         Object,
+  priceStats:           Array,
+  methodology:          Object,
+}, { collection: 'costindex' });
+
+// Use existing model if already registered (handles hot-reload in dev)
+module.exports = mongoose.models.CostIndex
+  || mongoose.model('CostIndex', costIndexSchema);
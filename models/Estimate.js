@@ -3,6 +3,7 @@
 // UPDATED: roomCounts → projectSize migration
 
 const mongoose = require('mongoose');
+const { RESOLUTION_LEVELS } = require('../utils/locationCost');
 
 const estimateSchema = new mongoose.Schema({
   // Job Details
@@ -39,6 +40,23 @@ const estimateSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
+
+  // Where areaQuantity came from: accepted from the photo analysis, or typed in
+  areaSource: {
+    type: String,
+    enum: ['user-entered', 'photo-derived', null],
+    default: null
+  },
+
+  // The photo-derived proposal, kept even when the user typed their own area,
+  // so the two can be compared against review outcomes
+  areaSuggestion: {
+    areaQuantity: Number,
+    low:          Number,
+    high:         Number,
+    measure:      String,
+    confidence:   Number
+  },
   
   // Location (ANONYMIZED - hashed postcode)
   locationHash: {
@@ -85,6 +103,14 @@ const estimateSchema = new mongoose.Schema({
       type: String,
       enum: ['matched', 'uncovered_area', 'out_of_scope', 'invalid_input', null],
       default: null
+    },
+    // Level the multiplier was resolved at (RESOLUTION_LEVELS in
+    // utils/locationCost.js): 'district', 'area', 'nation' and so on. Null on
+    // estimates saved before district-level pricing.
+    resolutionLevel: {
+      type: String,
+      enum: [...RESOLUTION_LEVELS, null],
+      default: null
     }
     // STILL NOT STORED: city, full postcode, specific location
   },
@@ -105,10 +131,19 @@ const estimateSchema = new mongoose.Schema({
     detectedIssues: [String],  // Changed from Boolean to match frontend
     materials: [String]        // Simplified to match frontend
   },
+
+  // Full per-image analysis behind photoAnalysis (models/PhotoAnalysis.js)
+  photoAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PhotoAnalysis',
+    default: null
+  },
   
   // Calculation Results — matches what App.js sends from computeEstimate()
   estimate: {
-    total: Number,            // Final cost after all multipliers
+    total: Number,            // Final cost after all multipliers (the "likely" figure)
+    low: Number,              // Range lower bound - services/estimateRange.js
+    high: Number,             // Range upper bound - services/estimateRange.js
     labour: Number,           // Labour portion
     materials: Number,        // Materials portion
     baseRate: Number,         // Base rate for the job
@@ -121,15 +156,124 @@ const estimateSchema = new mongoose.Schema({
     }
   },
   
+  // How low/high were derived: model version plus every factor that fed the
+  // spread, so a published range can be explained after the model changes.
+  rangeModel: {
+    version:          String,
+    lowPct:           Number,
+    highPct:          Number,
+    qualitySpread:    { low: Number, high: Number },
+    regionalWidening: Number,
+    reviewSamples:    Number,
+    reviewWeight:     Number,
+    photoFactor:      Number
+  },
+
   // Breakdown of multipliers applied - UPDATED to match frontend
   multipliers: mongoose.Schema.Types.Mixed,  // Allow flexible structure from frontend
+
+  // Itemised bill of quantities (services/billOfQuantities.js). Splits the stored
+  // labour and materials figures into line items, so it always adds up to total.
+  boq: {
+    version: String,
+    rateKey: String,
+    items: [{
+      _id: false,
+      type:        { type: String, enum: ['material', 'labour'] },
+      description: String,
+      unit:        String,
+      quantity:    Number,
+      unitRate:    Number,
+      amount:      Number,
+      source:      { type: String, enum: ['template', 'photo'] },  // 'photo' when photo analysis named the material
+      note:        String
+    }],
+    labourDays: Number,
+    contingency: {
+      pct:    Number,
+      amount: Number,
+      reason: String
+    },
+    totals: {
+      materials:       Number,
+      labour:          Number,
+      estimate:        Number,
+      contingency:     Number,
+      withContingency: Number
+    }
+  },
+
+  // Phased project plan (services/timeline.js): approvals, material lead times and
+  // trade sequence, in working days from the go-ahead. Durations come from boq.
+  timeline: {
+    version: String,
+    rateKey: String,
+    labourDays: Number,
+    phases: [{
+      _id: false,
+      order:        Number,
+      name:         String,
+      trade:        String,
+      crew:         Number,
+      startDay:     Number,
+      durationDays: Number,
+      endDay:       Number,
+      waitingForMaterialsDays: Number,
+      needs:        [String]
+    }],
+    leadTimes: [{
+      _id: false,
+      item:       String,
+      weeks:      Number,
+      arrivalDay: Number
+    }],
+    compliance: [{
+      _id: false,
+      step:        String,
+      stage:       { type: String, enum: ['before', 'during', 'after'] },
+      weeks:       Number,
+      conditional: Boolean,
+      note:        String
+    }],
+    totals: {
+      preConstructionWeeks:          Number,
+      worstCasePreConstructionWeeks: Number,
+      onSiteDays:       Number,
+      bufferDays:       Number,
+      totalWorkingDays: Number,
+      totalWeeks:       Number,
+      signOffWeeks:     Number
+    }
+  },
+
+  // Server-side recomputation of the posted total (services/pricingEngine.js).
+  // flagged means the client total was outside the tamper tolerance. Null when
+  // the job type has no server base rate, so there was nothing to compare.
+  pricingCheck: {
+    serverTotal:  Number,
+    clientTotal:  Number,
+    deviationPct: Number,
+    flagged:      Boolean,
+    rateKey:      String,
+    pricingConfigVersion: Number,
+    inflationIndexMonth: String,   // services/inflation.js index the server priced with, e.g. '2026-08'
+    checkedAt:    Date
+  },
+
+  // PricingConfig version (services/pricingConfig.js) in force when the estimate
+  // was saved. 0 is the built-in defaults; null on estimates saved before versioning.
+  pricingConfigVersion: { type: Number, default: null },
   
   // Contractors recommended (public business data - not personal)
   contractorsShown: [{
     name: String,
+    placeId: String,
     rating: Number,
     totalReviews: Number,
-    matchScore: Number
+    matchScore: Number,
+    // Ranking profile (name@version, utils/rankingProfiles.js) that produced matchScore.
+    // Null on estimates saved before profiles existed.
+    rankingProfile: { type: String, default: null }
   }],
   
   // Source — which article/page the estimate originated from (via ?ref= param)
@@ -145,6 +289,14 @@ const estimateSchema = new mongoose.Schema({
     default: null
   },
 
+  // Multi-job renovation this estimate is a line item of (models/Project.js)
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
+    index: true
+  },
+
   // Sharing & engagement tracking
   sharedAt: {
     type: Date,
@@ -176,6 +328,8 @@ estimateSchema.index({ projectSize: 1 }); // Filter by project size
 estimateSchema.index({ source: 1 });       // Filter by source article
 estimateSchema.index({ abVariant: 1 });    // Filter by A/B test variant
 estimateSchema.index({ sharedAt: 1 });     // Filter shared estimates
+estimateSchema.index({ 'pricingCheck.flagged': 1 }); // Review tampered/mismatched totals
+estimateSchema.index({ pricingConfigVersion: 1 }); // Compare accuracy across pricing versions
 
 // Virtual for easy display of project size
 estimateSchema.virtual('projectSizeDisplay').get(function() {
@@ -0,0 +1,24 @@
+// models/InflationIndex.js
+// One month of construction price indices (services/inflation.js). Base rates
+// are set in the index base month; an estimate priced in another month has its
+// materials and labour scaled by the ratio of that month's index to the base.
+//
+// Seeded from data/constructionPriceIndices.csv. Seeding only inserts missing
+// months, so a revised or newly released month entered through the admin route
+// is never overwritten by the file.
+
+const mongoose = require('mongoose');
+
+const inflationIndexSchema = new mongoose.Schema({
+  month:       { type: String, required: true, unique: true, match: /^\d{4}-(0[1-9]|1[0-2])$/ },  // '2026-03'
+  materials:   { type: Number, required: true, min: 1 },
+  labour:      { type: Number, required: true, min: 1 },
+  // First estimate for the month, revised when the next release lands
+  provisional: { type: Boolean, default: false },
+  source:      { type: String, enum: ['seed', 'admin'], default: 'seed' },
+  updatedBy:   { type: String, default: null, trim: true }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('InflationIndex', inflationIndexSchema);
@@ -112,6 +112,14 @@ const leadSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+
+  // Multi-job renovation the lead was captured against (models/Project.js).
+  // estimateValue is then the project's combined total.
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
   
   contractorAssigned: {
     type: mongoose.Schema.Types.ObjectId,
@@ -149,6 +157,7 @@ leadSchema.index({ status: 1 });
 leadSchema.index({ source: 1 });
 leadSchema.index({ category: 1, status: 1 });
 leadSchema.index({ abVariant: 1 });
+leadSchema.index({ projectId: 1 });
 
 // Text index for searching
 leadSchema.index({ email: 'text', jobName: 'text' });
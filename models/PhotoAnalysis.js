@@ -0,0 +1,115 @@
+// models/PhotoAnalysis.js
+// One run of /api/analyze-photos, kept so the result behind a photo-enhanced
+// estimate can be audited and re-used without paying for the model call again.
+// The photos themselves are NOT stored, only what the model said about each one.
+// estimateId is set when the frontend saves the estimate with this analysis.
+
+const mongoose = require('mongoose');
+
+const DEFECT_TYPES = [
+  'damp', 'mould', 'crack', 'rot', 'leak', 'water_damage', 'corrosion',
+  'electrical_hazard', 'asbestos_risk', 'structural', 'pest', 'wear', 'other'
+];
+const SEVERITIES = ['minor', 'moderate', 'severe'];
+
+const defectSchema = new mongoose.Schema({
+  type:        { type: String, enum: DEFECT_TYPES, default: 'other' },
+  severity:    { type: String, enum: SEVERITIES, default: 'minor' },
+  location:    { type: String, default: null },   // where in the image, e.g. "ceiling above window"
+  description: { type: String, default: null },
+  imageIndex:  { type: Number, default: null }
+}, { _id: false });
+
+// Rough dimensions the model can read off a photo. Hints, not survey measurements.
+const measurementSchema = new mongoose.Schema({
+  wallAreaSqm:    { type: Number, default: null },
+  floorAreaSqm:   { type: Number, default: null },
+  ceilingHeightM: { type: Number, default: null },
+  openings:       { type: Number, default: null }  // doors and windows visible
+}, { _id: false });
+
+const areaBandSchema = new mongoose.Schema({
+  low:    Number,
+  likely: Number,
+  high:   Number
+}, { _id: false });
+
+const imageResultSchema = new mongoose.Schema({
+  index:        { type: Number, required: true },  // position in the uploaded images array
+  hash:         { type: String, default: null },   // sha256 of the ingested image (services/imageIngestion.js)
+  description:  { type: String, default: null },
+  findings:     { type: [String], default: [] },
+  defects:      { type: [defectSchema], default: [] },
+  materials:    { type: [String], default: [] },
+  measurements: { type: measurementSchema, default: () => ({}) },
+  confidence:   { type: Number, min: 0, max: 100, default: null }
+}, { _id: false });
+
+const photoAnalysisSchema = new mongoose.Schema({
+  jobType:       { type: String, required: true },
+  estimateId:    { type: mongoose.Schema.Types.ObjectId, ref: 'Estimate', default: null, index: true },
+
+  // Which prompt and model produced this, so results from different versions are not mixed up
+  promptVersion: { type: String, required: true },
+  provider:      { type: String, default: 'openai' },   // services/visionProvider.js
+  model:         { type: String, default: null },
+  attempts:      { type: Number, default: 1 },          // model calls it took, including retries and fallback; 0 when cached
+
+  imageCount:    { type: Number, required: true },
+  images:        { type: [imageResultSchema], default: [] },
+
+  // Same photos, job type and prompt version -> same cacheKey. A repeat upload
+  // copies the earlier result (cachedFrom) instead of calling the model again.
+  cacheKey:      { type: String, default: null },
+  cachedFrom:    { type: mongoose.Schema.Types.ObjectId, ref: 'PhotoAnalysis', default: null },
+
+  multipliers: {
+    complexity:      Number,
+    condition:       Number,
+    access:          Number,
+    materialQuality: Number
+  },
+  adjustment:    Number,   // mean of the four multipliers, the pricing input
+  confidence:    Number,   // 0-100, reported by the model, not derived from the multipliers
+
+  // Flattened across images, the v1 response shape the frontend already reads
+  insights:       { type: [String], default: [] },
+  detectedIssues: { type: [String], default: [] },
+  materials:      { type: [String], default: [] },
+  defects:        { type: [defectSchema], default: [] },
+  measurements:   { type: measurementSchema, default: () => ({}) },
+
+  // Area bands and the areaQuantity proposed from them (services/areaMeasurement.js)
+  area: {
+    floorAreaSqm:     { type: areaBandSchema, default: null },
+    wallAreaSqm:      { type: areaBandSchema, default: null },
+    referenceObjects: { type: [String], default: [] },
+    confidence:       Number
+  },
+  areaSuggestion: {
+    type: new mongoose.Schema({
+      areaQuantity:     Number,
+      low:              Number,
+      high:             Number,
+      measure:          { type: String, enum: ['floor', 'wall'] },
+      unit:             String,
+      confidence:       Number,
+      referenceObjects: [String],
+      source:           String
+    }, { _id: false }),
+    default: null
+  },
+
+  durationMs:    Number,
+  tokensUsed:    Number
+}, {
+  timestamps: true
+});
+
+photoAnalysisSchema.index({ createdAt: -1 });
+photoAnalysisSchema.index({ jobType: 1, createdAt: -1 });
+photoAnalysisSchema.index({ cacheKey: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PhotoAnalysis', photoAnalysisSchema);
+module.exports.DEFECT_TYPES = DEFECT_TYPES;
+module.exports.SEVERITIES = SEVERITIES;
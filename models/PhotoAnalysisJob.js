@@ -0,0 +1,60 @@
+// models/PhotoAnalysisJob.js
+// Queue entry for an asynchronous photo analysis (services/photoAnalysisJobs.js).
+// The collection is the queue: a worker claims the oldest due 'queued' job,
+// and a job whose worker died mid-run is reclaimed once its lock goes stale.
+//
+// The uploaded images are held only until the job finishes either way, then
+// removed. Finished jobs expire after JOB_TTL_DAYS; the PhotoAnalysis they
+// produced is kept.
+
+const mongoose = require('mongoose');
+
+const JOB_TTL_DAYS = 7;
+
+const photoAnalysisJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'succeeded', 'failed'],
+    default: 'queued'
+  },
+
+  jobType:    { type: String, required: true },
+  images:     { type: [String], default: undefined },   // ingested JPEG data URLs, cleared when the job finishes
+  imageHashes: { type: [String], default: [] },          // sha256 per image, for the analysis cache
+  imageCount: { type: Number, required: true },
+
+  // Estimate to re-price with the result, instead of the client PATCHing it
+  estimateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Estimate', default: null, index: true },
+
+  attempts:      { type: Number, default: 0 },
+  maxAttempts:   { type: Number, default: 4 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt:      { type: Date, default: null },
+  lastError:     { type: String, default: null },
+
+  photoAnalysisId: { type: mongoose.Schema.Types.ObjectId, ref: 'PhotoAnalysis', default: null },
+  estimatePatched: { type: Boolean, default: false },
+  estimatePatchError: { type: String, default: null },   // e.g. 'unknown_job_type': analysis linked, price unchanged
+  completedAt:     { type: Date, default: null },
+
+  // Optional webhook, POSTed once the job succeeds or finally fails
+  callback: {
+    url:         { type: String, default: null },
+    attempts:    { type: Number, default: 0 },
+    deliveredAt: { type: Date, default: null },
+    lastError:   { type: String, default: null }
+  },
+
+  // Set when the job succeeds or finally fails: a job still queued or retrying
+  // (possibly for longer than the TTL) is never removed under its worker.
+  expiresAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+// Worker claim query: due queued jobs, oldest first
+photoAnalysisJobSchema.index({ status: 1, nextAttemptAt: 1 });
+photoAnalysisJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PhotoAnalysisJob', photoAnalysisJobSchema);
+module.exports.JOB_TTL_DAYS = JOB_TTL_DAYS;
@@ -0,0 +1,35 @@
+// models/PlacesCacheEntry.js
+// One cached Google Places response (services/placesCache.js): a Nearby Search
+// for a job in a postcode district, or the Place Details of one contractor.
+//
+// An entry is served as-is until freshUntil, served and refreshed in the
+// background until expiresAt, then removed by the TTL index.
+
+const mongoose = require('mongoose');
+
+const placesCacheEntrySchema = new mongoose.Schema({
+  key:        { type: String, required: true },
+  kind:       { type: String, required: true, enum: ['nearby', 'details'] },
+
+  // What the entry answers, for invalidation and stats
+  jobType:    { type: String, default: null },
+  district:   { type: String, default: null },
+  placeId:    { type: String, default: null },
+
+  data:       { type: mongoose.Schema.Types.Mixed, required: true },
+  fetchedAt:  { type: Date, required: true },
+  freshUntil: { type: Date, required: true },
+  expiresAt:  { type: Date, required: true },
+
+  hits:       { type: Number, default: 0 },
+  lastHitAt:  { type: Date, default: null }
+}, {
+  collection: 'placescache'
+});
+
+placesCacheEntrySchema.index({ key: 1 }, { unique: true });
+placesCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+placesCacheEntrySchema.index({ kind: 1, jobType: 1, district: 1 });
+placesCacheEntrySchema.index({ placeId: 1 });
+
+module.exports = mongoose.model('PlacesCacheEntry', placesCacheEntrySchema);
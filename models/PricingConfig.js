@@ -0,0 +1,100 @@
+// models/PricingConfig.js
+// Versioned pricing configuration: region map, Central London districts, Places
+// job-type map and base rates. Replaces the literals that used to live in
+// server.js so a price change is a new version, not a deploy.
+//
+// Published versions are immutable. Every Estimate records the version it was
+// priced with (Estimate.pricingConfigVersion), so historical estimates stay
+// explainable after rates change. Version 0 is the built-in default in
+// utils/pricingDefaults.js and never appears in this collection.
+
+const mongoose = require('mongoose');
+
+const pricingConfigSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+
+  notes: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Drafts can be edited or deleted; published versions are frozen.
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+
+  // The version in force at time T is the published version with the latest
+  // effectiveFrom <= T. Publishing with a future date schedules a price change.
+  effectiveFrom: {
+    type: Date,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+
+  // 'admin' for versions created through the API, 'calibration' for versions
+  // published by approving a CalibrationProposal.
+  source: {
+    type: String,
+    enum: ['admin', 'calibration'],
+    default: 'admin'
+  },
+  calibrationProposalVersion: {
+    type: Number,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    default: null,
+    trim: true
+  },
+
+  // { 'SW': { name, slug, m }, ... } keyed by postcode area
+  areaRegions: { type: mongoose.Schema.Types.Mixed, required: true },
+  // [{ m, reason }] - an array because Mongo keys cannot contain the '.' in 1.35
+  regionReasons: [{ _id: false, m: Number, reason: String }],
+  centralLondon: {
+    name: String,
+    slug: String,
+    m: Number
+  },
+  centralLondonAreas:     { type: [String], default: [] },
+  centralLondonDistricts: { type: [String], default: [] },
+  // { 'TN1': { m }, ... } keyed by outward district; unlisted districts inherit the area
+  districtMultipliers: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // { 'England': { m }, ... } for valid postcodes in an area missing from areaRegions
+  nationDefaults:      { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Labour price factor per calendar month, January first (services/inflation.js)
+  seasonalLabourFactors: { type: [Number], default: undefined },
+  outOfScopeAreas:        { type: [String], default: [] },
+  // { 'Full Rewire': { placesType, keyword }, ... }
+  jobTypeMap: { type: mongoose.Schema.Types.Mixed, required: true },
+  // { 'full-rewire': { name, base, category, unit, labourShare, jobTypes }, ... }
+  baseRates:  { type: mongoose.Schema.Types.Mixed, required: true }
+
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+pricingConfigSchema.index({ status: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('PricingConfig', pricingConfigSchema);
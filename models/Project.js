@@ -0,0 +1,95 @@
+// models/Project.js
+// A renovation made of several jobs, e.g. "kitchen extension + rewire + re-skim".
+// Each job is still its own anonymous Estimate (and still feeds the cost index on
+// its own); the Project groups them and stores the combined, bundle-discounted
+// total from services/projectBundle.js. Same anonymity rules as Estimate: no
+// postcode, only the hash and outward code copied from the first estimate.
+
+const mongoose = require('mongoose');
+
+const lineItemSchema = new mongoose.Schema({
+  estimateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Estimate', required: true },
+  jobType:    { type: String, required: true },
+  jobName:    String,
+  category:   String,
+  quality:    String,
+  rateKey:    { type: String, default: null },  // baseRates key the bundle rules matched on
+  total:      Number,
+  low:        Number,
+  high:       Number,
+  labour:     Number,
+  materials:  Number,
+  discount:   { type: Number, default: 0 }      // bundle discount taken off this item's labour
+}, { _id: false });
+
+const bundleDiscountSchema = new mongoose.Schema({
+  estimateId: mongoose.Schema.Types.ObjectId,
+  jobType:    String,
+  rule:       { type: String, enum: ['shared-prep', 'same-trade', 'sequencing'] },
+  pct:        Number,
+  reason:     String
+}, { _id: false });
+
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+    default: null
+  },
+
+  lineItems: {
+    type: [lineItemSchema],
+    validate: {
+      validator: v => v.length >= 2,
+      message: 'A project needs at least two estimates'
+    }
+  },
+
+  // Combined figures after the bundle discount. subtotal is the plain sum.
+  totals: {
+    subtotal:  Number,
+    discount:  Number,
+    total:     Number,
+    low:       Number,
+    high:      Number,
+    labour:    Number,
+    materials: Number
+  },
+
+  bundle: {
+    version:     String,
+    discountPct: Number,
+    capped:      Boolean,   // true when MAX_PROJECT_DISCOUNT_PCT limited the discount
+    discounts:   { type: [bundleDiscountSchema], default: [] }
+  },
+
+  // Location (ANONYMIZED), from the first line item
+  locationHash: { type: String, default: null },
+  locationData: {
+    region:     { type: String, default: null },
+    regionSlug: { type: String, default: null },
+    district:   { type: String, default: null }
+  },
+
+  source:    { type: String, default: null },
+  abVariant: { type: String, default: null },
+
+  // Sharing & engagement tracking, as on Estimate
+  sharedAt:   { type: Date, default: null },
+  shareCount: { type: Number, default: 0 },
+  viewCount:  { type: Number, default: 0 },
+
+  // Leads captured against the project as a whole (Lead.projectId)
+  leadCount:  { type: Number, default: 0 },
+  lastLeadAt: { type: Date, default: null }
+
+}, {
+  timestamps: true
+});
+
+projectSchema.index({ createdAt: -1 });
+projectSchema.index({ 'lineItems.estimateId': 1 });
+projectSchema.index({ 'locationData.regionSlug': 1, createdAt: -1 });
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,108 @@
+// models/RankingProposal.js
+// Contractor ranking weights learned from engagement with served search results
+// (services/rankingTraining.js) for one hand-tuned profile in
+// utils/rankingProfiles.js, with the held-out evaluation against the weights
+// served for it at the time.
+//
+// An approved proposal is served as the profile '<baseProfile>-learned@<version>'
+// in place of the hand-tuned one, until it is retired or replaced by the next
+// approval. Proposals are never deleted, so every learned profile id recorded
+// on an estimate or click can still be looked up.
+
+const mongoose = require('mongoose');
+const { FACTORS } = require('../utils/rankingProfiles');
+
+const factorNumbers = Object.fromEntries(FACTORS.map(factor => [factor, { type: Number, default: 0 }]));
+
+// Position bias by rank within a results page: every page starts at the top of
+// the list the user is looking at, whichever page of the search it is.
+const rankSchema = new mongoose.Schema({
+  rank:        { type: Number, required: true },   // 1-based place within the page
+  impressions: { type: Number, required: true },
+  engagements: { type: Number, required: true },
+  rate:        { type: Number, default: null },
+  propensity:  { type: Number, required: true },   // estimated chance the card is looked at, rank 1 = 1
+  estimated:   { type: Boolean, default: true }    // false: too few impressions, 1/rank used instead
+}, { _id: false });
+
+const factorBandSchema = new mongoose.Schema({
+  factor:        { type: String, enum: FACTORS, required: true },
+  band:          { type: String, enum: ['low', 'mid', 'high'], required: true },
+  impressions:   { type: Number, required: true },
+  engagements:   { type: Number, required: true },
+  debiasedRate:  { type: Number, default: null }
+}, { _id: false });
+
+const contractorRateSchema = new mongoose.Schema({
+  placeId:        { type: String, required: true },
+  contractorName: { type: String, default: null },
+  impressions:    { type: Number, required: true },
+  engagements:    { type: Number, required: true },
+  debiasedRate:   { type: Number, default: null },
+  shrunkRate:     { type: Number, default: null },  // pulled toward the overall rate by impressions
+  boost:          { type: Number, default: null }   // shrunkRate / overall rate: 1 = average
+}, { _id: false });
+
+const rankingProposalSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'superseded', 'retired'],
+    default: 'pending'
+  },
+
+  source: { type: String, enum: ['script', 'admin'], default: 'admin' },
+
+  // Hand-tuned profile the weights were learned for
+  baseProfile:   { type: String, required: true },   // name, e.g. 'default'
+  baseProfileId: { type: String, required: true },   // name@version at training time
+  // Profile served for it at training time, learned or hand-tuned: the weights
+  // start from and are evaluated against it. Approval requires it still served.
+  baselineProfileId: { type: String, required: true },
+
+  windowStart: { type: Date, required: true },
+  windowEnd:   { type: Date, required: true },
+
+  training: {
+    searches:    { type: Number, default: 0 },
+    impressions: { type: Number, default: 0 },
+    engagements: { type: Number, default: 0 }
+  },
+
+  ranks:            { type: [rankSchema], default: [] },
+  factorEngagement: { type: [factorBandSchema], default: [] },
+  contractors:      { type: [contractorRateSchema], default: [] },
+
+  coefficients:   factorNumbers,   // IPW logistic regression on factor scores
+  learnedWeights: factorNumbers,   // coefficients scaled to 100, before shrinkage
+  baseWeights:    factorNumbers,   // the baseline profile's
+  weights:        factorNumbers,   // proposed: base moved toward learned, sums to 100
+
+  evaluation: {
+    holdoutShare:    { type: Number, default: null },
+    pages:           { type: Number, default: 0 },    // held-out results pages, as served
+    engagedPages:    { type: Number, default: 0 },    // with at least one engagement
+    candidateDcg:    { type: Number, default: null }, // mean IPW DCG per held-out page
+    baselineDcg:     { type: Number, default: null },
+    loggedDcg:       { type: Number, default: null }, // the order users actually saw
+    liftPct:         { type: Number, default: null }, // candidate over baseline
+    wins:            { type: Number, default: 0 },
+    losses:          { type: Number, default: 0 },
+    ties:            { type: Number, default: 0 },
+    beatsBaseline:   { type: Boolean, default: false },
+    reason:          { type: String, default: null }
+  },
+
+  reviewedBy: { type: String, default: null, trim: true },
+  reviewedAt: { type: Date, default: null },
+  reviewNote: { type: String, default: null, trim: true, maxlength: 500 },
+  retiredAt:  { type: Date, default: null }
+
+}, {
+  timestamps: true
+});
+
+rankingProposalSchema.index({ baseProfile: 1, status: 1, version: -1 });
+
+module.exports = mongoose.model('RankingProposal', rankingProposalSchema);
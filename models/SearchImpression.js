@@ -0,0 +1,42 @@
+// models/SearchImpression.js
+// One document per contractor served by /api/search-contractors, written by the
+// server as the page is sent: what was shown, where, and the factor scores it
+// was ranked on. Ranking training (services/rankingTraining.js) reads its
+// impressions from here, and /api/contractor-click only attaches a searchId to
+// a click when this collection has that searchId and placeId, so nothing the
+// client sends can shape the training data beyond which card was engaged.
+//
+// Expires after IMPRESSION_TTL_DAYS, comfortably longer than a training window.
+
+const mongoose = require('mongoose');
+const { FACTORS } = require('../utils/rankingProfiles');
+
+const IMPRESSION_TTL_DAYS = 180;
+
+const factorScoresSchema = new mongoose.Schema(
+  Object.fromEntries(FACTORS.map(factor => [factor, { type: Number, min: 0, max: 1, required: true }])),
+  { _id: false }
+);
+
+const searchImpressionSchema = new mongoose.Schema({
+  searchId:       { type: String, required: true },
+  placeId:        { type: String, required: true },
+  contractorName: { type: String, default: null },
+  page:           { type: Number, required: true },   // 1-based results page of the search, as served
+  rank:           { type: Number, required: true },   // 1-based place within that page
+  position:       { type: Number, required: true },   // 1-based place across the whole search
+  rankingProfile: { type: String, required: true },   // name@version
+  factorScores:   { type: factorScoresSchema, required: true },   // scoreBreakdown[factor].score
+  jobType:        { type: String, default: null },
+  postcodeDistrict: { type: String, default: null },
+  timestamp:      { type: Date, default: Date.now }
+});
+
+// Click verification and training joins
+searchImpressionSchema.index({ searchId: 1, placeId: 1 });
+// Training window per profile
+searchImpressionSchema.index({ rankingProfile: 1, timestamp: 1 });
+searchImpressionSchema.index({ timestamp: 1 }, { expireAfterSeconds: IMPRESSION_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SearchImpression', searchImpressionSchema);
+module.exports.IMPRESSION_TTL_DAYS = IMPRESSION_TTL_DAYS;
@@ -0,0 +1,174 @@
+/**
+ * calibrationRoutes.js
+ * ====================
+ * Admin workflow for pricing calibration proposals (services/calibration.js).
+ * Protected by REINDEX_SECRET, same admin key as the indexing and annotation routes.
+ *
+ * Mount in server.js:
+ *   const calibrationRoutes = require('./routes/calibrationRoutes');
+ *   app.use('/api/admin/calibration', calibrationRoutes);
+ *
+ * Endpoints:
+ *   POST /api/admin/calibration/proposals              — run the analysis now, creates a pending proposal
+ *   GET  /api/admin/calibration/proposals              — version history, newest first (?status=pending)
+ *   GET  /api/admin/calibration/proposals/:id          — one proposal with its full evidence
+ *   POST /api/admin/calibration/proposals/:id/approve  — publish it as a new PricingConfig version
+ *   POST /api/admin/calibration/proposals/:id/reject
+ *   GET  /api/admin/calibration/active                 — latest approved proposal and the live config version
+ *   GET  /api/admin/calibration/area-accuracy          — review variance, photo-derived vs user-entered areas
+ */
+
+const express = require('express');
+const router  = express.Router();
+const mongoose = require('mongoose');
+const CalibrationProposal = require('../models/CalibrationProposal');
+const {
+  createProposal,
+  approveProposal,
+  rejectProposal,
+  areaAccuracyReport,
+  CalibrationRatesChangedError
+} = require('../services/calibration');
+const { getActivePricingConfig } = require('../services/pricingConfig');
+const { requireAdminSecret } = require('../utils/adminAuth');
+
+router.use(requireAdminSecret);
+
+// ─── POST /proposals ─────────────────────────────────────────────────────────
+// Optional body: { windowStart, windowEnd } as ISO dates. Defaults to the last 180 days.
+
+router.post('/proposals', async (req, res) => {
+  try {
+    const { windowStart, windowEnd } = req.body;
+    for (const value of [windowStart, windowEnd]) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: 'windowStart and windowEnd must be valid dates' });
+      }
+    }
+
+    const proposal = await createProposal({ windowStart, windowEnd, source: 'admin' });
+    console.log(`📐 Calibration proposal v${proposal.version} created from ${proposal.reviewsConsidered} reviews`);
+    return res.status(201).json({ success: true, proposal });
+  } catch (error) {
+    console.error('❌ Error creating calibration proposal:', error);
+    return res.status(500).json({ error: 'Failed to create calibration proposal' });
+  }
+});
+
+// ─── GET /proposals ──────────────────────────────────────────────────────────
+
+router.get('/proposals', async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+
+    const proposals = await CalibrationProposal.find(filter)
+      .sort({ version: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .lean();
+
+    return res.json({ success: true, count: proposals.length, proposals });
+  } catch (error) {
+    console.error('❌ Error fetching calibration proposals:', error);
+    return res.status(500).json({ error: 'Failed to fetch calibration proposals' });
+  }
+});
+
+// ─── GET /proposals/:id ──────────────────────────────────────────────────────
+
+router.get('/proposals/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid proposal ID' });
+    }
+    const proposal = await CalibrationProposal.findById(req.params.id).lean();
+    if (!proposal) return res.status(404).json({ error: 'Proposal not found' });
+    return res.json({ success: true, proposal });
+  } catch (error) {
+    console.error('❌ Error fetching calibration proposal:', error);
+    return res.status(500).json({ error: 'Failed to fetch calibration proposal' });
+  }
+});
+
+// ─── POST /proposals/:id/approve | /reject ───────────────────────────────────
+// Body: { reviewedBy, reviewNote } — both optional, stored on the proposal.
+
+router.post('/proposals/:id/approve', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid proposal ID' });
+    }
+    const { reviewedBy, reviewNote } = req.body;
+    const proposal = await approveProposal(req.params.id, { reviewedBy, reviewNote });
+    if (!proposal) {
+      return res.status(409).json({ error: 'Proposal not found or no longer pending' });
+    }
+    console.log(`✅ Calibration v${proposal.version} approved${reviewedBy ? ' by ' + reviewedBy : ''}`);
+    return res.json({ success: true, proposal });
+  } catch (error) {
+    if (error instanceof CalibrationRatesChangedError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('❌ Error approving calibration proposal:', error);
+    return res.status(500).json({ error: 'Failed to approve calibration proposal' });
+  }
+});
+
+router.post('/proposals/:id/reject', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid proposal ID' });
+    }
+    const { reviewedBy, reviewNote } = req.body;
+    const proposal = await rejectProposal(req.params.id, { reviewedBy, reviewNote });
+    if (!proposal) {
+      return res.status(409).json({ error: 'Proposal not found or no longer pending' });
+    }
+    console.log(`🚫 Calibration v${proposal.version} rejected${reviewedBy ? ' by ' + reviewedBy : ''}`);
+    return res.json({ success: true, proposal });
+  } catch (error) {
+    console.error('❌ Error rejecting calibration proposal:', error);
+    return res.status(500).json({ error: 'Failed to reject calibration proposal' });
+  }
+});
+
+// ─── GET /active ─────────────────────────────────────────────────────────────
+
+router.get('/active', async (req, res) => {
+  try {
+    const proposal = await CalibrationProposal.findOne({ status: 'approved' })
+      .sort({ version: -1 })
+      .lean();
+    return res.json({
+      success: true,
+      pricingConfigVersion: getActivePricingConfig().version,
+      proposal
+    });
+  } catch (error) {
+    console.error('❌ Error fetching active calibration:', error);
+    return res.status(500).json({ error: 'Failed to fetch active calibration' });
+  }
+});
+
+// ─── GET /area-accuracy ──────────────────────────────────────────────────────
+// Optional query: ?windowStart=&windowEnd= as ISO dates. Defaults to the last 180 days.
+
+router.get('/area-accuracy', async (req, res) => {
+  try {
+    const { windowStart, windowEnd } = req.query;
+    for (const value of [windowStart, windowEnd]) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: 'windowStart and windowEnd must be valid dates' });
+      }
+    }
+
+    const report = await areaAccuracyReport({ windowStart, windowEnd });
+    return res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('❌ Error building area accuracy report:', error);
+    return res.status(500).json({ error: 'Failed to build area accuracy report' });
+  }
+});
+
+module.exports = router;
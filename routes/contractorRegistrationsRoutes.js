@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const ContractorRegistration = require('../models/ContractorRegistration');
+const { linkRegistration } = require('../services/contractorDirectory');
 
 // ============================================
 // POST /api/contractor-registrations - Founding member interest form (/for-contractors)
@@ -43,6 +44,11 @@ router.post('/', async (req, res) => {
       serviceDistricts: saved.serviceDistricts
     });
 
+    // Directory record for the business; the registration stands either way
+    linkRegistration(saved).catch(error => {
+      console.warn('⚠️ Contractor directory link failed for registration', saved._id, error.message);
+    });
+
     res.status(201).json({
       success: true,
       registrationId: saved._id
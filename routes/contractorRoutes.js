@@ -0,0 +1,198 @@
+/**
+ * contractorRoutes.js
+ * ===================
+ * Admin access to the contractor directory (services/contractorDirectory.js):
+ * businesses seen in Google Places results and registered via /for-contractors.
+ * Protected by REINDEX_SECRET.
+ *
+ * Mount in server.js:
+ *   const contractorRoutes = require('./routes/contractorRoutes');
+ *   app.use('/api/admin/contractors', contractorRoutes);
+ *
+ * Endpoints:
+ *   GET   /api/admin/contractors                      — search: ?q=&jobType=&district=&verification=&source=&sort=&limit=&skip=
+ *   GET   /api/admin/contractors/duplicates           — groups sharing a name, phone, website or Companies House number
+ *   POST  /api/admin/contractors/link-registrations   — add registrations not yet in the directory
+ *   POST  /api/admin/contractors/rebuild-metrics      — recount click metrics from ContractorClick
+ *   GET   /api/admin/contractors/:id                  — one contractor with its registrations
+ *   PATCH /api/admin/contractors/:id/verification     — { status, verifiedBy?, notes? }
+ *   POST  /api/admin/contractors/:id/merge            — fold duplicates into this record: { duplicateIds, mergedBy? }
+ *
+ * sort is one of recent (default), rating, reviews, clicks, name.
+ */
+
+const express = require('express');
+const router  = express.Router();
+const mongoose = require('mongoose');
+const Contractor = require('../models/Contractor');
+const { VERIFICATION_STATUSES } = require('../models/Contractor');
+const {
+  buildSearch,
+  findDuplicateGroups,
+  mergeContractors,
+  ContractorsNotFoundError,
+  rebuildClickMetrics,
+  linkAllRegistrations
+} = require('../services/contractorDirectory');
+const { requireAdminSecret } = require('../utils/adminAuth');
+
+const MAX_MERGE = 20;
+
+router.use(requireAdminSecret);
+
+// ─── GET / ───────────────────────────────────────────────────────────────────
+
+router.get('/', async (req, res) => {
+  try {
+    const { q, jobType, district, verification, source, sort, limit = 25, skip = 0 } = req.query;
+    if (verification && !VERIFICATION_STATUSES.includes(verification)) {
+      return res.status(400).json({ error: `verification must be one of ${VERIFICATION_STATUSES.join(', ')}` });
+    }
+    if (source && !['places', 'registration'].includes(source)) {
+      return res.status(400).json({ error: 'source must be places or registration' });
+    }
+
+    const { filter, sort: sortObj } = buildSearch({
+      q: typeof q === 'string' ? q.trim() : undefined,
+      jobType: typeof jobType === 'string' ? jobType.trim() : undefined,
+      district: typeof district === 'string' ? district.trim() : undefined,
+      verification,
+      source,
+      sort
+    });
+    const safeLimit = Math.min(parseInt(limit) || 25, 100);
+    const safeSkip = Math.max(parseInt(skip) || 0, 0);
+
+    const [contractors, total] = await Promise.all([
+      Contractor.find(filter, { ratingHistory: 0, mergedFrom: 0 })
+        .sort(sortObj)
+        .skip(safeSkip)
+        .limit(safeLimit)
+        .lean(),
+      Contractor.countDocuments(filter)
+    ]);
+
+    return res.json({ success: true, total, limit: safeLimit, skip: safeSkip, contractors });
+  } catch (error) {
+    console.error('❌ Error searching contractors:', error);
+    return res.status(500).json({ error: 'Failed to search contractors' });
+  }
+});
+
+// ─── GET /duplicates ─────────────────────────────────────────────────────────
+
+router.get('/duplicates', async (req, res) => {
+  try {
+    const groups = await findDuplicateGroups({ limit: Math.min(parseInt(req.query.limit) || 50, 200) });
+    return res.json({ success: true, count: groups.length, groups });
+  } catch (error) {
+    console.error('❌ Error finding duplicate contractors:', error);
+    return res.status(500).json({ error: 'Failed to find duplicate contractors' });
+  }
+});
+
+// ─── POST /link-registrations ────────────────────────────────────────────────
+
+router.post('/link-registrations', async (req, res) => {
+  try {
+    const linked = await linkAllRegistrations();
+    console.log(`📇 Contractor directory: ${linked} registrations linked`);
+    return res.json({ success: true, linked });
+  } catch (error) {
+    console.error('❌ Error linking contractor registrations:', error);
+    return res.status(500).json({ error: 'Failed to link contractor registrations' });
+  }
+});
+
+// ─── POST /rebuild-metrics ───────────────────────────────────────────────────
+
+router.post('/rebuild-metrics', async (req, res) => {
+  try {
+    const updated = await rebuildClickMetrics();
+    console.log(`📊 Contractor click metrics rebuilt for ${updated} contractors`);
+    return res.json({ success: true, updated });
+  } catch (error) {
+    console.error('❌ Error rebuilding contractor click metrics:', error);
+    return res.status(500).json({ error: 'Failed to rebuild contractor click metrics' });
+  }
+});
+
+// ─── GET /:id ────────────────────────────────────────────────────────────────
+
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid contractor ID' });
+    }
+    const contractor = await Contractor.findById(req.params.id).populate('registrationIds').lean();
+    if (!contractor) return res.status(404).json({ error: 'Contractor not found' });
+    return res.json({ success: true, contractor });
+  } catch (error) {
+    console.error('❌ Error fetching contractor:', error);
+    return res.status(500).json({ error: 'Failed to fetch contractor' });
+  }
+});
+
+// ─── PATCH /:id/verification ─────────────────────────────────────────────────
+
+router.patch('/:id/verification', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid contractor ID' });
+    }
+    const { status, verifiedBy, notes } = req.body;
+    if (!VERIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${VERIFICATION_STATUSES.join(', ')}` });
+    }
+
+    const contractor = await Contractor.findByIdAndUpdate(req.params.id, {
+      $set: {
+        'verification.status': status,
+        'verification.verifiedAt': status === 'verified' ? new Date() : null,
+        'verification.verifiedBy': verifiedBy || null,
+        ...(notes !== undefined ? { 'verification.notes': notes } : {})
+      }
+    }, { new: true, runValidators: true }).lean();
+    if (!contractor) return res.status(404).json({ error: 'Contractor not found' });
+
+    console.log(`✅ Contractor ${contractor._id} (${contractor.name}) marked ${status}${verifiedBy ? ' by ' + verifiedBy : ''}`);
+    return res.json({ success: true, contractor });
+  } catch (error) {
+    console.error('❌ Error updating contractor verification:', error);
+    return res.status(500).json({ error: 'Failed to update contractor verification' });
+  }
+});
+
+// ─── POST /:id/merge ─────────────────────────────────────────────────────────
+
+router.post('/:id/merge', async (req, res) => {
+  try {
+    const { duplicateIds, mergedBy } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid contractor ID' });
+    }
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0 || duplicateIds.length > MAX_MERGE) {
+      return res.status(400).json({ error: `duplicateIds must list 1 to ${MAX_MERGE} contractor IDs` });
+    }
+    if (!duplicateIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ error: 'duplicateIds must be contractor IDs' });
+    }
+    const ids = [...new Set(duplicateIds.map(String))];
+    if (ids.includes(req.params.id)) {
+      return res.status(400).json({ error: 'A contractor cannot be merged into itself' });
+    }
+
+    const contractor = await mergeContractors(req.params.id, ids, mergedBy || null);
+    if (!contractor) return res.status(404).json({ error: 'Contractor not found' });
+
+    return res.json({ success: true, contractor });
+  } catch (error) {
+    if (error instanceof ContractorsNotFoundError) {
+      return res.status(404).json({ error: error.message, missing: error.ids });
+    }
+    console.error('❌ Error merging contractors:', error);
+    return res.status(500).json({ error: 'Failed to merge contractors' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,341 @@
+/**
+ * costIndexOpenDataRoutes.js
+ * ==========================
+ * Public, read-only open data feed of the Cost Index for third parties (press,
+ * property portals): stable per-month files, a "new month published" feed and
+ * server-rendered charts to embed. Everything is cacheable, carries an ETag
+ * (conditional requests get a 304) and is served with CORS open to any origin.
+ *
+ * Mount in server.js:
+ *   const costIndexOpenDataRoutes = require('./routes/costIndexOpenDataRoutes');
+ *   app.use('/api/open-data/cost-index', costIndexOpenDataRoutes);
+ *
+ * Endpoints:
+ *   GET /api/open-data/cost-index                  — catalogue: licence, methodology, every month's URLs, feeds, embeds
+ *   GET /api/open-data/cost-index/:month.json      — one month ('2026-05'), stable URL
+ *   GET /api/open-data/cost-index/:month.csv       — that month's price cells as CSV
+ *   GET /api/open-data/cost-index/latest.json|csv  — the most recent month
+ *   GET /api/open-data/cost-index/feed.atom        — new month published (Atom)
+ *   GET /api/open-data/cost-index/feed.rss         — the same as RSS 2.0
+ *   GET /api/open-data/cost-index/embed/chart.svg  — chart for <img>; ?jobType=&regionSlug=&quality=&months=&width=&height=
+ *   GET /api/open-data/cost-index/embed/chart.html — the same chart in a page for <iframe>
+ *
+ * Without jobType a chart shows estimate volume per month; with it, the median
+ * price of that job's cell (regionSlug default 'uk', quality default 'standard')
+ * with its interquartile range.
+ *
+ * Links in the feeds and catalogue are absolute, built from OPEN_DATA_BASE_URL
+ * when set (the public URL of this mount), else from the request host.
+ */
+
+const crypto  = require('crypto');
+const express = require('express');
+const router  = express.Router();
+const CostIndex = require('../models/CostIndex');
+const { METHODOLOGY } = require('../services/costIndexStats');
+const {
+  parseMonthParam,
+  labelForMonth,
+  monthOfDoc,
+  methodologyVersion,
+  parseRegionParam,
+  rowsForDoc,
+  filterRows,
+  rowsToCsv,
+  QUALITIES,
+  LICENCE
+} = require('../services/costIndexDataset');
+const { buildAtomFeed, buildRssFeed } = require('../services/costIndexFeed');
+const { renderChartSvg, renderChartHtml } = require('../services/costIndexChart');
+
+// A month's file only changes if the analyser is re-run for it
+const MONTH_MAX_AGE = 24 * 60 * 60;
+const LATEST_MAX_AGE = 60 * 60;
+const FEED_ENTRIES = 24;
+const MONTH_KEY_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Listing fields: enough for the catalogue, feeds, volume chart and ETags
+const SUMMARY_FIELDS = {
+  monthLabel:     1,
+  monthStart:     1,
+  generatedAt:    1,
+  totalEstimates: 1,
+  topJobTypes:    1,
+  commentary:     1,
+  methodology:    1,
+};
+
+// ─── Headers ──────────────────────────────────────────────────────────────────
+
+// Open to any origin and embeddable anywhere. Overrides the site-only CORS and
+// the same-origin resource policy set app-wide.
+router.use((req, res, next) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.removeHeader('Access-Control-Allow-Credentials');
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.set('Link', `<${LICENCE.url}>; rel="license"`);
+  next();
+});
+
+function baseUrl(req) {
+  return process.env.OPEN_DATA_BASE_URL || `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+}
+
+// Weak ETag over the documents a response is built from: a month changes when
+// it is regenerated, a list when any month is added or regenerated.
+function etagFor(docs, ...extra) {
+  const hash = crypto.createHash('sha1');
+  docs.forEach(doc => hash.update(`${doc._id}|${new Date(doc.generatedAt || 0).getTime()}|${methodologyVersion(doc)};`));
+  hash.update(JSON.stringify(extra));
+  return `W/"${hash.digest('hex').slice(0, 20)}"`;
+}
+
+// Caching headers before the body: res.send answers a matching If-None-Match with a 304.
+function setCaching(res, maxAge, etag) {
+  res.set('Cache-Control', `public, max-age=${maxAge}`);
+  res.set('ETag', etag);
+}
+
+function monthLinks(req, month) {
+  const base = baseUrl(req);
+  return { json: `${base}/${month}.json`, csv: `${base}/${month}.csv` };
+}
+
+// ─── Month files ──────────────────────────────────────────────────────────────
+
+function sendMonth(req, res, doc, format, maxAge) {
+  const month = monthOfDoc(doc);
+  setCaching(res, maxAge, etagFor([doc], format));
+
+  if (format === 'csv') {
+    res.type('text/csv; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="renovation-cost-index-${month}.csv"`);
+    return res.send(rowsToCsv(rowsForDoc(doc)));
+  }
+
+  res.json({
+    dataset: 'renovation-cost-index',
+    licence: LICENCE,
+    month,
+    monthLabel: doc.monthLabel,
+    generatedAt: doc.generatedAt,
+    methodologyVersion: methodologyVersion(doc),
+    methodology: doc.methodology || null,
+    totalEstimates: doc.totalEstimates,
+    topJobTypes: doc.topJobTypes,
+    topRegions: doc.topRegions,
+    labourMaterialsRatio: doc.labourMaterialsRatio,
+    priceIndices: doc.priceIndices || null,
+    commentary: doc.commentary,
+    prices: rowsForDoc(doc),
+    links: { ...monthLinks(req, month), feed: `${baseUrl(req)}/feed.atom` }
+  });
+}
+
+// ─── GET / ────────────────────────────────────────────────────────────────────
+
+router.get('/', async (req, res) => {
+  try {
+    const docs = await CostIndex.find({}, SUMMARY_FIELDS).sort({ monthStart: -1 }).lean();
+    const base = baseUrl(req);
+    const chartExample = `${base}/embed/chart.html?jobType=${encodeURIComponent(docs[0]?.topJobTypes?.[0]?.jobType || 'Kitchen Fitting')}`;
+
+    setCaching(res, LATEST_MAX_AGE, etagFor(docs, base));
+    res.json({
+      dataset: 'renovation-cost-index',
+      title: 'EstimateAI UK Renovation Cost Index',
+      licence: LICENCE,
+      methodology: METHODOLOGY,
+      latest: docs.length > 0 ? monthOfDoc(docs[0]) : null,
+      months: docs.map(doc => ({
+        month: monthOfDoc(doc),
+        monthLabel: doc.monthLabel,
+        generatedAt: doc.generatedAt,
+        methodologyVersion: methodologyVersion(doc),
+        totalEstimates: doc.totalEstimates,
+        ...monthLinks(req, monthOfDoc(doc))
+      })),
+      feeds: { atom: `${base}/feed.atom`, rss: `${base}/feed.rss` },
+      embeds: {
+        svg: `${base}/embed/chart.svg`,
+        html: `${base}/embed/chart.html`,
+        iframe: `<iframe src="${chartExample}" width="640" height="360" style="border:0" title="${LICENCE.attribution}"></iframe>`
+      }
+    });
+  } catch (err) {
+    console.error('Open data catalogue error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch cost index catalogue.' });
+  }
+});
+
+// ─── Feeds ────────────────────────────────────────────────────────────────────
+
+async function sendFeed(req, res, format) {
+  try {
+    const docs = await CostIndex.find({}, SUMMARY_FIELDS).sort({ monthStart: -1 }).limit(FEED_ENTRIES).lean();
+    setCaching(res, LATEST_MAX_AGE, etagFor(docs, format, baseUrl(req)));
+    if (format === 'atom') {
+      res.type('application/atom+xml; charset=utf-8');
+      return res.send(buildAtomFeed(docs, baseUrl(req)));
+    }
+    res.type('application/rss+xml; charset=utf-8');
+    return res.send(buildRssFeed(docs, baseUrl(req)));
+  } catch (err) {
+    console.error(`Open data ${format} feed error:`, err.message);
+    res.status(500).json({ error: 'Failed to build cost index feed.' });
+  }
+}
+
+router.get('/feed.atom', (req, res) => sendFeed(req, res, 'atom'));
+router.get('/feed.rss', (req, res) => sendFeed(req, res, 'rss'));
+
+// ─── Embeds ───────────────────────────────────────────────────────────────────
+
+// Query -> { chart options } or { errors }.
+function parseChartQuery(query) {
+  const errors = [];
+  const intParam = (field, fallback, min, max) => {
+    if (query[field] === undefined) return fallback;
+    const n = Number(query[field]);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      errors.push({ field, message: `must be a whole number from ${min} to ${max}` });
+      return fallback;
+    }
+    return n;
+  };
+
+  const options = {
+    months: intParam('months', 12, 3, 36),
+    width:  intParam('width', 640, 320, 1200),
+    height: intParam('height', 320, 200, 800),
+    jobType: undefined,
+    regionSlug: null,
+    quality: 'standard'
+  };
+
+  if (query.jobType !== undefined) {
+    const jobType = String(query.jobType).trim();
+    if (!jobType || jobType.length > 100) errors.push({ field: 'jobType', message: 'must be a job type name' });
+    else options.jobType = jobType;
+  }
+  if (query.regionSlug !== undefined) {
+    const slug = parseRegionParam(query.regionSlug);
+    if (slug === undefined) errors.push({ field: 'regionSlug', message: "must be a region slug, or 'uk' for national" });
+    else options.regionSlug = slug;
+  }
+  if (query.quality !== undefined) {
+    if (!QUALITIES.includes(query.quality)) errors.push({ field: 'quality', message: `must be one of ${QUALITIES.join(', ')}` });
+    else options.quality = query.quality;
+  }
+  return errors.length > 0 ? { errors } : { options };
+}
+
+// Chart subtitle by cell unit; null is a month from before unit prices.
+const CHART_STATISTICS = {
+  sqm:  'Median price per square metre in GBP',
+  job:  'Median price for a medium-sized job in GBP',
+  null: 'Median estimate total in GBP'
+};
+
+// Options -> { chart, docs } for the renderer, from the last `months` documents.
+async function buildChart(options) {
+  const projection = options.jobType ? { ...SUMMARY_FIELDS, priceStats: 1 } : SUMMARY_FIELDS;
+  const docs = (await CostIndex.find({}, projection).sort({ monthStart: -1 }).limit(options.months).lean()).reverse();
+  const size = { width: options.width, height: options.height };
+
+  if (!options.jobType) {
+    return {
+      docs,
+      chart: {
+        ...size,
+        title: 'UK renovation estimates per month',
+        subtitle: 'Estimates priced on EstimateAI',
+        unit: 'count',
+        points: docs.map(doc => ({ month: monthOfDoc(doc), value: doc.totalEstimates || 0 }))
+      }
+    };
+  }
+
+  const rows = docs.flatMap(doc => filterRows(rowsForDoc(doc), {
+    jobType: options.jobType,
+    regionSlug: options.regionSlug,
+    quality: options.quality
+  }));
+  const latest = rows[rows.length - 1];
+  const place = latest?.region || (options.regionSlug === null ? 'UK' : options.regionSlug);
+  return {
+    docs,
+    chart: {
+      ...size,
+      title: `${latest?.jobType || options.jobType}, ${place} (${options.quality})`,
+      subtitle: `${CHART_STATISTICS[latest?.unit ?? null]}, interquartile range shaded`,
+      unit: 'gbp',
+      // Totals from before unit prices are not on the same scale: left off
+      points: rows
+        .filter(row => row.unit === (latest?.unit ?? null))
+        .map(row => ({ month: row.month, value: row.median, low: row.p25, high: row.p75 }))
+    }
+  };
+}
+
+async function sendChart(req, res, format) {
+  const { options, errors } = parseChartQuery(req.query);
+  if (errors) {
+    return res.status(400).json({ error: 'Validation failed', details: errors });
+  }
+
+  try {
+    const { docs, chart } = await buildChart(options);
+    setCaching(res, LATEST_MAX_AGE, etagFor(docs, format, options));
+    if (format === 'svg') {
+      res.type('image/svg+xml; charset=utf-8');
+      return res.send(renderChartSvg(chart));
+    }
+    // Framed by other sites, so drop the app-wide SAMEORIGIN frame policy
+    res.removeHeader('X-Frame-Options');
+    res.type('text/html; charset=utf-8');
+    return res.send(renderChartHtml(chart));
+  } catch (err) {
+    console.error('Open data chart error:', err.message);
+    res.status(500).json({ error: 'Failed to render cost index chart.' });
+  }
+}
+
+router.get('/embed/chart.svg', (req, res) => sendChart(req, res, 'svg'));
+router.get('/embed/chart.html', (req, res) => sendChart(req, res, 'html'));
+
+// ─── Month files ──────────────────────────────────────────────────────────────
+
+router.get('/latest.:format(json|csv)', async (req, res) => {
+  try {
+    const doc = await CostIndex.findOne().sort({ monthStart: -1 }).lean();
+    if (!doc) {
+      return res.status(404).json({ error: 'No cost index published yet.' });
+    }
+    return sendMonth(req, res, doc, req.params.format, LATEST_MAX_AGE);
+  } catch (err) {
+    console.error('Open data latest error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch cost index.' });
+  }
+});
+
+router.get('/:month.:format(json|csv)', async (req, res) => {
+  // Only the canonical key, so each month has exactly one URL
+  if (!MONTH_KEY_REGEX.test(req.params.month)) {
+    return res.status(404).json({ error: "Months are published as YYYY-MM, e.g. '2026-05.json'." });
+  }
+
+  try {
+    const month = parseMonthParam(req.params.month);
+    const doc = await CostIndex.findOne({ monthLabel: labelForMonth(month) }).lean();
+    if (!doc) {
+      return res.status(404).json({ error: `No cost index published for ${labelForMonth(month)}.` });
+    }
+    return sendMonth(req, res, doc, req.params.format, MONTH_MAX_AGE);
+  } catch (err) {
+    console.error('Open data month error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch cost index.' });
+  }
+});
+
+module.exports = router;
@@ -10,32 +10,33 @@
  * Endpoints:
  *   GET /api/cost-index/latest      — most recent published index
  *   GET /api/cost-index/history     — all published indexes, newest first (for chart data)
+ *   GET /api/cost-index/month/:month — one published index by month ('2026-05', 'may-2026' or 'May 2026')
+ *   GET /api/cost-index/series      — price series for ?jobType= and/or ?regionSlug= (?quality=, ?from=, ?to=)
+ *   GET /api/cost-index/compare     — one job across ?regions=a,b,... in ?month= (default latest), vs the UK median
+ *   GET /api/cost-index/download    — every published price cell, ?format=json|csv (?from=, ?to=)
+ *
+ * Price cells and their rows are described in services/costIndexDataset.js.
+ * The national cells use regionSlug 'uk' in queries and null in JSON.
  */
 
 const express  = require('express');
 const router   = express.Router();
-const mongoose = require('mongoose');
-
-// ─── SCHEMA ───────────────────────────────────────────────────────────────────
-// Mirrors the schema in cost-index-analyser.js. Defined here so server.js can
-// serve the data without importing the cron script.
-
-const costIndexSchema = new mongoose.Schema({
-  monthLabel:           String,
-  monthStart:           Date,
-  generatedAt:          Date,
-  totalEstimates:       Number,
-  topJobTypes:          Array,
-  topRegions:           Array,
-  labourMaterialsRatio: Object,
-  commentary:           String,
-  prevMonthLabel:       String,
-  prevMonthTotals:      Object,
-}, { collection: 'costindex' });
-
-// Use existing model if already registered (handles hot-reload in dev)
-const CostIndex = mongoose.models.CostIndex
-  || mongoose.model('CostIndex', costIndexSchema);
+const CostIndex = require('../models/CostIndex');
+const { METHODOLOGY } = require('../services/costIndexStats');
+const {
+  parseMonthParam,
+  labelForMonth,
+  monthOfDoc,
+  methodologyVersion,
+  parseRegionParam,
+  rowsForDoc,
+  filterRows,
+  rowsToCsv,
+  QUALITIES,
+  LICENCE
+} = require('../services/costIndexDataset');
+
+const MAX_COMPARE_REGIONS = 10;
 
 // ─── GET /api/cost-index/latest ───────────────────────────────────────────────
 
@@ -70,6 +71,7 @@ router.get('/history', async (req, res) => {
         totalEstimates: 1,
         topJobTypes:    1,
         labourMaterialsRatio: 1,
+        priceIndices:   1,
       })
       .sort({ monthStart: -1 })
       .lean();
@@ -81,4 +83,219 @@ router.get('/history', async (req, res) => {
   }
 });
 
+// ─── Query helpers ───────────────────────────────────────────────────────────
+
+// Reads jobType / regionSlug / quality / from / to from a query string.
+// Returns { filters, range, errors }; an absent parameter stays undefined.
+function parseQuery(query) {
+  const errors = [];
+  const filters = {};
+  const range = {};
+
+  if (query.jobType !== undefined) {
+    const jobType = String(query.jobType).trim();
+    if (!jobType || jobType.length > 100) errors.push({ field: 'jobType', message: 'must be a job type name' });
+    else filters.jobType = jobType;
+  }
+  if (query.regionSlug !== undefined) {
+    const slug = parseRegionParam(query.regionSlug);
+    if (slug === undefined) errors.push({ field: 'regionSlug', message: "must be a region slug, or 'uk' for national" });
+    else filters.regionSlug = slug;
+  }
+  if (query.quality !== undefined) {
+    if (!QUALITIES.includes(query.quality)) errors.push({ field: 'quality', message: `must be one of ${QUALITIES.join(', ')}` });
+    else filters.quality = query.quality;
+  }
+  for (const field of ['from', 'to']) {
+    if (query[field] === undefined) continue;
+    const month = parseMonthParam(query[field]);
+    if (!month) errors.push({ field, message: "must be a month such as '2026-05'" });
+    else range[field] = month;
+  }
+  return { filters, range, errors };
+}
+
+function inRange(month, { from, to }) {
+  return month && (!from || month >= from) && (!to || month <= to);
+}
+
+// Published documents with price cells, oldest first, within range.
+async function fetchPricedDocs(range = {}) {
+  const docs = await CostIndex
+    .find({ 'priceStats.0': { $exists: true } }, {
+      monthLabel:  1,
+      monthStart:  1,
+      priceStats:  1,
+      methodology: 1,
+    })
+    .sort({ monthStart: 1 })
+    .lean();
+  return docs.filter(doc => inRange(monthOfDoc(doc), range));
+}
+
+// ─── GET /api/cost-index/month/:month ────────────────────────────────────────
+
+router.get('/month/:month', async (req, res) => {
+  const month = parseMonthParam(req.params.month);
+  if (!month) {
+    return res.status(400).json({ error: "month must look like '2026-05', 'may-2026' or 'May 2026'." });
+  }
+
+  try {
+    const doc = await CostIndex.findOne({ monthLabel: labelForMonth(month) }).lean();
+    if (!doc) {
+      return res.status(404).json({ error: `No cost index published for ${labelForMonth(month)}.` });
+    }
+    res.json({ month, methodologyVersion: methodologyVersion(doc), ...doc });
+  } catch (err) {
+    console.error('Cost index /month error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch cost index.' });
+  }
+});
+
+// ─── GET /api/cost-index/series ──────────────────────────────────────────────
+// One point per published month and cell, oldest first. With jobType only, the
+// national cells; with regionSlug only, every job in that region. Months where
+// a cell fell below the sample threshold are missing from its points.
+
+router.get('/series', async (req, res) => {
+  const { filters, range, errors } = parseQuery(req.query);
+  if (filters.jobType === undefined && req.query.regionSlug === undefined) {
+    errors.push({ field: 'jobType', message: 'jobType or regionSlug is required' });
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details: errors });
+  }
+  if (filters.regionSlug === undefined) filters.regionSlug = null;
+
+  try {
+    const docs = await fetchPricedDocs(range);
+    const points = docs.flatMap(doc => filterRows(rowsForDoc(doc), filters));
+
+    res.json({
+      jobType: filters.jobType ?? null,
+      regionSlug: filters.regionSlug,
+      quality: filters.quality ?? null,
+      from: range.from ?? null,
+      to: range.to ?? null,
+      count: points.length,
+      points
+    });
+  } catch (err) {
+    console.error('Cost index /series error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch cost index series.' });
+  }
+});
+
+// ─── GET /api/cost-index/compare ─────────────────────────────────────────────
+// One jobType across regions in a single month. Each row carries its median's
+// difference from the national median for the same quality and unit.
+
+router.get('/compare', async (req, res) => {
+  const { filters, errors } = parseQuery(req.query);
+  if (req.query.jobType === undefined) {
+    errors.push({ field: 'jobType', message: 'is required' });
+  }
+
+  const regions = String(req.query.regions || '').split(',').map(r => r.trim()).filter(Boolean);
+  const slugs = regions.map(parseRegionParam);
+  if (regions.length < 2 || regions.length > MAX_COMPARE_REGIONS) {
+    errors.push({ field: 'regions', message: `must list 2 to ${MAX_COMPARE_REGIONS} region slugs, comma-separated` });
+  } else if (slugs.some(slug => slug === undefined)) {
+    errors.push({ field: 'regions', message: 'must be region slugs' });
+  }
+
+  let month = null;
+  if (req.query.month !== undefined) {
+    month = parseMonthParam(req.query.month);
+    if (!month) errors.push({ field: 'month', message: "must be a month such as '2026-05'" });
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details: errors });
+  }
+
+  try {
+    const doc = month
+      ? await CostIndex.findOne({ monthLabel: labelForMonth(month) }).lean()
+      : await CostIndex.findOne({ 'priceStats.0': { $exists: true } }).sort({ monthStart: -1 }).lean();
+    if (!doc) {
+      return res.status(404).json({ error: month ? `No cost index published for ${labelForMonth(month)}.` : 'No cost index prices published yet.' });
+    }
+
+    const rows = filterRows(rowsForDoc(doc), { jobType: filters.jobType, quality: filters.quality });
+    const national = rows.filter(row => row.regionSlug === null);
+    const nationalMedian = row => national.find(n => n.quality === row.quality && n.unit === row.unit)?.median ?? null;
+
+    const compared = rows
+      .filter(row => row.regionSlug !== null && slugs.includes(row.regionSlug))
+      .map(row => {
+        const ukMedian = nationalMedian(row);
+        return {
+          ...row,
+          nationalMedian: ukMedian,
+          vsNationalPct: ukMedian ? Math.round(((row.median - ukMedian) / ukMedian) * 1000) / 10 : null
+        };
+      })
+      .sort((a, b) => slugs.indexOf(a.regionSlug) - slugs.indexOf(b.regionSlug) || QUALITIES.indexOf(a.quality) - QUALITIES.indexOf(b.quality));
+
+    res.json({
+      month: monthOfDoc(doc),
+      monthLabel: doc.monthLabel,
+      methodologyVersion: methodologyVersion(doc),
+      jobType: filters.jobType,
+      quality: filters.quality ?? null,
+      national,
+      regions: compared,
+      // Requested regions with no published cell (too few estimates, or no such region)
+      missing: slugs.filter(slug => slug !== null && !compared.some(row => row.regionSlug === slug))
+    });
+  } catch (err) {
+    console.error('Cost index /compare error:', err.message);
+    res.status(500).json({ error: 'Failed to compare cost index regions.' });
+  }
+});
+
+// ─── GET /api/cost-index/download ────────────────────────────────────────────
+// The whole published price dataset. Each row names the methodology version it
+// was computed under; the JSON form also carries the current methodology and
+// the licence.
+
+router.get('/download', async (req, res) => {
+  const format = req.query.format || 'json';
+  const { range, errors } = parseQuery({ from: req.query.from, to: req.query.to });
+  if (!['json', 'csv'].includes(format)) {
+    errors.push({ field: 'format', message: 'must be json or csv' });
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details: errors });
+  }
+
+  try {
+    const docs = await fetchPricedDocs(range);
+    const rows = docs.flatMap(rowsForDoc);
+    const latest = docs.length > 0 ? monthOfDoc(docs[docs.length - 1]) : null;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="renovation-cost-index-${latest || 'empty'}.csv"`);
+      console.log(`📄 Cost index CSV downloaded: ${rows.length} rows`);
+      return res.send(rowsToCsv(rows));
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="renovation-cost-index-${latest || 'empty'}.json"`);
+    res.json({
+      dataset: 'renovation-cost-index',
+      licence: LICENCE,
+      methodologyVersion: METHODOLOGY.version,
+      methodology: METHODOLOGY,
+      months: docs.map(monthOfDoc),
+      count: rows.length,
+      rows
+    });
+  } catch (err) {
+    console.error('Cost index /download error:', err.message);
+    res.status(500).json({ error: 'Failed to build cost index download.' });
+  }
+});
+
 module.exports = router;
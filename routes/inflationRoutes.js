@@ -0,0 +1,74 @@
+/**
+ * inflationRoutes.js
+ * ==================
+ * Admin access to the construction price indices behind inflation-adjusted
+ * pricing (services/inflation.js). Protected by REINDEX_SECRET.
+ *
+ * Mount in server.js:
+ *   const inflationRoutes = require('./routes/inflationRoutes');
+ *   app.use('/api/admin/inflation-indices', inflationRoutes);
+ *
+ * Endpoints:
+ *   GET /api/admin/inflation-indices          — the series in use, plus the factors for now (?at=ISO for another date)
+ *   PUT /api/admin/inflation-indices/:month   — add or revise a month: { materials, labour, provisional?, updatedBy? }
+ *
+ * A revised month reprices new estimates from the next request; saved
+ * estimates keep the totals they were saved with.
+ */
+
+const express = require('express');
+const router  = express.Router();
+const mongoose = require('mongoose');
+const { getActivePricingConfig } = require('../services/pricingConfig');
+const {
+  inflationFor,
+  getInflationSeries,
+  validateIndexInput,
+  upsertInflationIndex
+} = require('../services/inflation');
+const { requireAdminSecret } = require('../utils/adminAuth');
+
+router.use(requireAdminSecret);
+
+// ─── GET / ───────────────────────────────────────────────────────────────────
+
+router.get('/', (req, res) => {
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (isNaN(at.getTime())) {
+    return res.status(400).json({ error: 'at must be a valid date' });
+  }
+  const { baseMonth, series } = getInflationSeries();
+  res.json({
+    success: true,
+    baseMonth,
+    factors: inflationFor(at, getActivePricingConfig(at)),
+    count: series.length,
+    series
+  });
+});
+
+// ─── PUT /:month ─────────────────────────────────────────────────────────────
+
+router.put('/:month', async (req, res) => {
+  try {
+    const { materials, labour, provisional, updatedBy } = req.body;
+    const input = { month: req.params.month, materials, labour, provisional };
+
+    const errors = validateIndexInput(input);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ error: 'Database unavailable' });
+    }
+
+    const index = await upsertInflationIndex({ ...input, updatedBy });
+    console.log(`📈 Inflation index ${index.month} saved: materials ${index.materials}, labour ${index.labour}${index.provisional ? ' (provisional)' : ''}`);
+    return res.json({ success: true, index });
+  } catch (error) {
+    console.error('❌ Error saving inflation index:', error);
+    return res.status(500).json({ error: 'Failed to save inflation index' });
+  }
+});
+
+module.exports = router;
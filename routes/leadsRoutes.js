@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Lead = require('../models/LeadModel');
 const Job = require('../models/Job');
+const Project = require('../models/Project');
+const Contractor = require('../models/Contractor');
 const { sendWelcomeEmail } = require('../services/emailService');
+const { estimatePdfAttachment } = require('../services/pdfReport');
 const { bandForEstimateValue } = require('../utils/budgetBands');
 
 const JOB_EXPIRY_DAYS = 30;
@@ -31,7 +35,8 @@ router.post('/', async (req, res) => {
       estimateId,       // Job Feed: ref to the anonymous Estimate, for provenance only
       postcodeDistrict, // Job Feed: outward postcode district, e.g. 'LS6'
       region,           // Job Feed: region name, consistent with locationData.region elsewhere
-      consent           // Job Feed: { namedAt, feedAt, copyVersion } — only sent by contact-request flow
+      consent,          // Job Feed: { namedAt, feedAt, copyVersion } — only sent by contact-request flow
+      projectId         // Multi-job project the lead is for; estimateValue defaults to its total
     } = req.body;
 
     // Validation — only email is required
@@ -44,6 +49,19 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // A project lead is for the renovation as a whole, so its value is the combined
+    // bundle total rather than whichever line item the user was looking at.
+    let project = null;
+    if (projectId) {
+      if (!mongoose.Types.ObjectId.isValid(projectId)) {
+        return res.status(400).json({ success: false, error: 'Invalid project ID' });
+      }
+      project = await Project.findById(projectId, { name: 1, totals: 1 }).lean();
+      if (!project) {
+        return res.status(404).json({ success: false, error: 'Project not found' });
+      }
+    }
+
     // Create lead document
     const leadDocument = new Lead({
       email: email.toLowerCase().trim(),
@@ -55,10 +73,11 @@ router.post('/', async (req, res) => {
       status: 'new',
       source: source || 'web-app',
       userLocation: userLocation || undefined,
-      estimateValue: estimateValue || null,
+      estimateValue: estimateValue || project?.totals?.total || null,
       abVariant: abVariant || null,
       propertyValue: propertyValue || null,
       topRenovation: topRenovation || null,
+      projectId: project ? project._id : null,
       consent: consent ? {
         namedAt: consent.namedAt || null,
         feedAt: consent.feedAt || null,
@@ -102,6 +121,13 @@ router.post('/', async (req, res) => {
       }
     }
 
+    if (project) {
+      await Project.updateOne(
+        { _id: project._id },
+        { $inc: { leadCount: 1 }, $set: { lastLeadAt: new Date() } }
+      ).catch(err => console.error('❌ Project lead count update failed:', err.message));
+    }
+
     console.log('✅ Lead captured:', {
       leadId: savedLead._id,
       email: savedLead.email,
@@ -115,7 +141,15 @@ router.post('/', async (req, res) => {
     const noEmailSources = ['admin', 'test', 'dev'];
     if (!noEmailSources.includes(source)) {
       console.log('📤 Attempting to send welcome email to:', email);
-      sendWelcomeEmail({ ...savedLead.toObject(), contractors: contractors || [] }, estimateData)
+      // The server-rendered PDF report goes with the email whenever the lead is tied
+      // to a saved estimate. Rendering failures just send the email without it.
+      const pdfAttachment = estimateId ? estimatePdfAttachment(estimateId) : Promise.resolve(null);
+      pdfAttachment
+        .then(attachment => sendWelcomeEmail(
+          { ...savedLead.toObject(), contractors: contractors || [] },
+          estimateData,
+          { attachments: attachment ? [attachment] : [] }
+        ))
         .then((result) => {
           console.log('📧 Welcome email sent successfully!');
           console.log('   Email ID:', result.id);
@@ -298,7 +332,7 @@ router.get('/:id', async (req, res) => {
 router.patch('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, notes, estimateValue, followUpDate } = req.body;
+    const { status, notes, estimateValue, followUpDate, contractorAssigned } = req.body;
 
     const updateFields = { updatedAt: new Date() };
 
@@ -313,6 +347,12 @@ router.patch('/:id', async (req, res) => {
     if (notes !== undefined) updateFields.notes = notes;
     if (estimateValue !== undefined) updateFields.estimateValue = estimateValue;
     if (followUpDate !== undefined) updateFields.followUpDate = followUpDate;
+    if (contractorAssigned !== undefined) {
+      if (contractorAssigned !== null && !(mongoose.Types.ObjectId.isValid(contractorAssigned) && await Contractor.exists({ _id: contractorAssigned }))) {
+        return res.status(400).json({ success: false, error: 'contractorAssigned must be a contractor ID from the directory, or null' });
+      }
+      updateFields.contractorAssigned = contractorAssigned;
+    }
 
     const lead = await Lead.findByIdAndUpdate(id, { $set: updateFields }, { new: true, runValidators: true });
 
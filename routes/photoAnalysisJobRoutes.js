@@ -0,0 +1,114 @@
+/**
+ * photoAnalysisJobRoutes.js
+ * =========================
+ * Asynchronous photo analysis (services/photoAnalysisJobs.js). The request
+ * returns at once with a job id; the worker runs the analysis with retries and,
+ * when an estimateId is given, re-prices the saved estimate itself.
+ *
+ * Mount in server.js:
+ *   const photoAnalysisJobRoutes = require('./routes/photoAnalysisJobRoutes');
+ *   app.use('/api/photo-analysis-jobs', photoAnalysisJobRoutes);
+ *
+ * Endpoints:
+ *   POST /api/photo-analysis-jobs      — { images, jobType, estimateId?, callbackUrl? } → 202 { jobId, statusUrl }
+ *   GET  /api/photo-analysis-jobs/:id  — job status; includes the analysis once succeeded
+ *
+ * callbackUrl must be a public https URL. It receives the same body as the
+ * status route, plus `event`, when the job succeeds or finally fails.
+ */
+
+const express = require('express');
+const router  = express.Router();
+const mongoose = require('mongoose');
+const validator = require('validator');
+const PhotoAnalysisJob = require('../models/PhotoAnalysisJob');
+const Estimate = require('../models/Estimate');
+const { validatePhotoRequest } = require('../services/photoAnalysis');
+const { enqueuePhotoAnalysisJob, jobStatus } = require('../services/photoAnalysisJobs');
+const { ingestImages, ImageIngestionError } = require('../services/imageIngestion');
+
+// Public https hosts only: the server must not be pointed at itself or the private network.
+// This is the syntactic check; the host's addresses are checked when the webhook is sent.
+function validateCallbackUrl(url) {
+  if (typeof url !== 'string' || url.length > 2000) return false;
+  if (!validator.isURL(url, { protocols: ['https'], require_protocol: true, require_tld: true })) return false;
+  const { hostname } = new URL(url);
+  return !validator.isIP(hostname.replace(/^\[|\]$/g, '')) && hostname !== 'localhost';
+}
+
+// ─── POST / ──────────────────────────────────────────────────────────────────
+
+router.post('/', async (req, res) => {
+  try {
+    const { images, jobType, estimateId, callbackUrl } = req.body;
+
+    const validation = validatePhotoRequest({ images, jobType });
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    if (estimateId && !mongoose.Types.ObjectId.isValid(estimateId)) {
+      return res.status(400).json({ error: 'Invalid estimateId' });
+    }
+    if (callbackUrl && !validateCallbackUrl(callbackUrl)) {
+      return res.status(400).json({ error: 'callbackUrl must be a public https URL' });
+    }
+
+    // The queue lives in MongoDB; without it the job would never run.
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        error: 'Photo analysis queue unavailable',
+        message: 'Please try again shortly, or use /api/analyze-photos.'
+      });
+    }
+
+    if (estimateId && !(await Estimate.exists({ _id: estimateId }))) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    // Ingested before queueing, so the stored copies are already EXIF-free and small
+    let ingestedImages;
+    try {
+      ingestedImages = await ingestImages(validation.images.map(img => img.dataUrl));
+    } catch (ingestionError) {
+      if (!(ingestionError instanceof ImageIngestionError)) throw ingestionError;
+      return res.status(400).json({ error: ingestionError.message });
+    }
+
+    const job = await enqueuePhotoAnalysisJob({ images: ingestedImages, jobType, estimateId, callbackUrl });
+    console.log(`📷 Photo analysis job queued: ${job._id} (${job.imageCount} photos for ${jobType}${estimateId ? ', estimate ' + estimateId : ''})`);
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/api/photo-analysis-jobs/${job._id}`
+    });
+  } catch (error) {
+    console.error('❌ Error queueing photo analysis:', error);
+    res.status(500).json({ error: 'Failed to queue photo analysis' });
+  }
+});
+
+// ─── GET /:id ────────────────────────────────────────────────────────────────
+
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await PhotoAnalysisJob.findById(id, { images: 0 }).lean();
+    if (!job) {
+      return res.status(404).json({ error: 'Photo analysis job not found' });
+    }
+
+    res.json({ success: true, ...(await jobStatus(job)) });
+  } catch (error) {
+    console.error('❌ Error fetching photo analysis job:', error);
+    res.status(500).json({ error: 'Failed to fetch photo analysis job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+/**
+ * placesCacheRoutes.js
+ * ====================
+ * Admin view of the Google Places cache behind /api/search-contractors
+ * (services/placesCache.js). Protected by REINDEX_SECRET.
+ *
+ * Mount in server.js:
+ *   const placesCacheRoutes = require('./routes/placesCacheRoutes');
+ *   app.use('/api/admin/places-cache', placesCacheRoutes);
+ *
+ * Endpoints:
+ *   GET  /api/admin/places-cache             — hit/stale/miss counters since start, entries held per kind
+ *   POST /api/admin/places-cache/invalidate  — delete entries: { kind?, jobType?, district?, placeId? } or { all: true }
+ *
+ * Invalidating forces the next matching search to call Google; use it after a
+ * contractor asks to be removed, or when a district's results look wrong.
+ */
+
+const express = require('express');
+const router  = express.Router();
+const mongoose = require('mongoose');
+const { getPlacesCacheStats, invalidatePlacesCache, KINDS } = require('../services/placesCache');
+const { requireAdminSecret } = require('../utils/adminAuth');
+
+const DISTRICT_REGEX = /^[A-Z]{1,2}\d[A-Z\d]?$/i;
+
+router.use(requireAdminSecret);
+
+// ─── GET / ───────────────────────────────────────────────────────────────────
+
+router.get('/', async (req, res) => {
+  try {
+    const stats = await getPlacesCacheStats();
+    res.json({ success: true, databaseConnected: stats.entries !== null, ...stats });
+  } catch (error) {
+    console.error('❌ Error fetching places cache stats:', error);
+    res.status(500).json({ error: 'Failed to fetch places cache stats' });
+  }
+});
+
+// ─── POST /invalidate ────────────────────────────────────────────────────────
+
+router.post('/invalidate', async (req, res) => {
+  try {
+    const { kind, jobType, district, placeId, all } = req.body || {};
+    const errors = [];
+
+    if (kind !== undefined && !KINDS.includes(kind)) errors.push({ field: 'kind', message: `must be one of ${KINDS.join(', ')}` });
+    if (jobType !== undefined && (typeof jobType !== 'string' || !jobType.trim())) errors.push({ field: 'jobType', message: 'must be a job type name' });
+    if (district !== undefined && (typeof district !== 'string' || !DISTRICT_REGEX.test(district.trim()))) errors.push({ field: 'district', message: 'must be a postcode district such as SW1A' });
+    if (placeId !== undefined && (typeof placeId !== 'string' || !placeId.trim())) errors.push({ field: 'placeId', message: 'must be a Google place ID' });
+
+    const filter = {
+      kind,
+      jobType: jobType?.trim(),
+      district: district?.trim(),
+      placeId: placeId?.trim()
+    };
+    const hasFilter = Object.values(filter).some(v => v !== undefined);
+    if (!hasFilter && all !== true) {
+      errors.push({ field: 'all', message: 'give at least one filter, or all: true to clear the whole cache' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ error: 'Database unavailable' });
+    }
+
+    const deleted = await invalidatePlacesCache(filter);
+    console.log(`🗑️ Places cache invalidated: ${deleted} entries (${hasFilter ? JSON.stringify(filter) : 'all'})`);
+    return res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('❌ Error invalidating places cache:', error);
+    return res.status(500).json({ error: 'Failed to invalidate places cache' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+/**
+ * pricingConfigRoutes.js
+ * ======================
+ * Admin CRUD for versioned pricing configuration (models/PricingConfig.js).
+ * Protected by REINDEX_SECRET, same admin key as the other /api/admin routes.
+ *
+ * Mount in server.js:
+ *   const pricingConfigRoutes = require('./routes/pricingConfigRoutes');
+ *   app.use('/api/admin/pricing-config', pricingConfigRoutes);
+ *
+ * Endpoints:
+ *   GET    /api/admin/pricing-config                   — version list (no maps), plus the active version
+ *   GET    /api/admin/pricing-config/active            — full config in force now (?at=ISO for another time)
+ *   GET    /api/admin/pricing-config/:version          — one version in full
+ *   POST   /api/admin/pricing-config                   — new draft; omitted fields are copied from the active version
+ *   PATCH  /api/admin/pricing-config/:version          — edit a draft
+ *   POST   /api/admin/pricing-config/:version/publish  — publish a draft ({ effectiveFrom } optional: now or later, default now)
+ *   DELETE /api/admin/pricing-config/:version          — delete a draft
+ *
+ * Published versions are immutable: estimates record the version that priced
+ * them, so changing one after the fact would make those estimates unexplainable.
+ */
+
+const express = require('express');
+const router  = express.Router();
+const PricingConfig = require('../models/PricingConfig');
+const {
+  getActivePricingConfig,
+  validatePricingConfig,
+  pickConfigFields,
+  createConfigVersion,
+  publishConfigVersion,
+  EffectiveFromInPastError,
+  BUILT_IN_CONFIG
+} = require('../services/pricingConfig');
+const { requireAdminSecret } = require('../utils/adminAuth');
+
+router.use(requireAdminSecret);
+
+function parseVersion(req, res) {
+  const version = parseInt(req.params.version);
+  if (isNaN(version) || version < 0) {
+    res.status(400).json({ error: 'version must be a non-negative integer' });
+    return null;
+  }
+  return version;
+}
+
+// Mongoose ValidationError -> the { field, message } details used for 400s.
+function validationDetails(error) {
+  return Object.keys(error.errors).map(key => ({
+    field: key,
+    message: error.errors[key].message
+  }));
+}
+
+// ─── GET / ───────────────────────────────────────────────────────────────────
+
+router.get('/', async (req, res) => {
+  try {
+    const versions = await PricingConfig.find({}, {
+      version: 1, label: 1, status: 1, effectiveFrom: 1, publishedAt: 1,
+      source: 1, calibrationProposalVersion: 1, createdBy: 1, createdAt: 1
+    })
+      .sort({ version: -1 })
+      .lean();
+
+    return res.json({
+      success: true,
+      activeVersion: getActivePricingConfig().version,
+      count: versions.length,
+      versions
+    });
+  } catch (error) {
+    console.error('❌ Error listing pricing configs:', error);
+    return res.status(500).json({ error: 'Failed to list pricing configs' });
+  }
+});
+
+// ─── GET /active ─────────────────────────────────────────────────────────────
+
+router.get('/active', (req, res) => {
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (isNaN(at.getTime())) {
+    return res.status(400).json({ error: 'at must be a valid date' });
+  }
+  res.json({ success: true, config: getActivePricingConfig(at) });
+});
+
+// ─── GET /:version ───────────────────────────────────────────────────────────
+
+router.get('/:version', async (req, res) => {
+  const version = parseVersion(req, res);
+  if (version === null) return;
+
+  try {
+    const config = version === 0
+      ? BUILT_IN_CONFIG
+      : await PricingConfig.findOne({ version }).lean();
+    if (!config) return res.status(404).json({ error: 'Pricing config version not found' });
+    return res.json({ success: true, config });
+  } catch (error) {
+    console.error('❌ Error fetching pricing config:', error);
+    return res.status(500).json({ error: 'Failed to fetch pricing config' });
+  }
+});
+
+// ─── POST / ──────────────────────────────────────────────────────────────────
+
+router.post('/', async (req, res) => {
+  try {
+    const { label, notes, createdBy } = req.body;
+    const fields = pickConfigFields(req.body);
+
+    const errors = validatePricingConfig(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const config = await createConfigVersion({ label, notes, createdBy, ...fields });
+    console.log(`💷 Pricing config v${config.version} drafted: ${config.label}`);
+    return res.status(201).json({ success: true, config });
+  } catch (error) {
+    console.error('❌ Error creating pricing config:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: validationDetails(error) });
+    }
+    return res.status(500).json({ error: 'Failed to create pricing config' });
+  }
+});
+
+// ─── PATCH /:version ─────────────────────────────────────────────────────────
+// Replaces whole fields (e.g. the full baseRates map), it does not deep-merge.
+
+router.patch('/:version', async (req, res) => {
+  const version = parseVersion(req, res);
+  if (version === null) return;
+
+  try {
+    const fields = pickConfigFields(req.body);
+    const errors = validatePricingConfig(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const { label, notes } = req.body;
+    const update = { ...fields };
+    if (label !== undefined) update.label = label;
+    if (notes !== undefined) update.notes = notes;
+
+    const config = await PricingConfig.findOneAndUpdate(
+      { version, status: 'draft' },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+    if (!config) {
+      return res.status(409).json({ error: 'Pricing config not found or already published' });
+    }
+
+    console.log(`💷 Pricing config v${version} draft updated`);
+    return res.json({ success: true, config });
+  } catch (error) {
+    console.error('❌ Error updating pricing config:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: validationDetails(error) });
+    }
+    return res.status(500).json({ error: 'Failed to update pricing config' });
+  }
+});
+
+// ─── POST /:version/publish ──────────────────────────────────────────────────
+
+router.post('/:version/publish', async (req, res) => {
+  const version = parseVersion(req, res);
+  if (version === null) return;
+
+  try {
+    const { effectiveFrom } = req.body;
+    if (effectiveFrom && isNaN(new Date(effectiveFrom).getTime())) {
+      return res.status(400).json({ error: 'effectiveFrom must be a valid date' });
+    }
+
+    const config = await publishConfigVersion(version, effectiveFrom);
+    if (!config) {
+      return res.status(409).json({ error: 'Pricing config not found or already published' });
+    }
+
+    console.log(`✅ Pricing config v${version} published, effective ${config.effectiveFrom.toISOString()}`);
+    return res.json({ success: true, config, activeVersion: getActivePricingConfig().version });
+  } catch (error) {
+    if (error instanceof EffectiveFromInPastError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error publishing pricing config:', error);
+    return res.status(500).json({ error: 'Failed to publish pricing config' });
+  }
+});
+
+// ─── DELETE /:version ────────────────────────────────────────────────────────
+
+router.delete('/:version', async (req, res) => {
+  const version = parseVersion(req, res);
+  if (version === null) return;
+
+  try {
+    const deleted = await PricingConfig.findOneAndDelete({ version, status: 'draft' });
+    if (!deleted) {
+      return res.status(409).json({ error: 'Pricing config not found or already published' });
+    }
+    console.log(`🗑️ Pricing config v${version} draft deleted`);
+    return res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error deleting pricing config:', error);
+    return res.status(500).json({ error: 'Failed to delete pricing config' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,176 @@
+/**
+ * projectRoutes.js
+ * ================
+ * Multi-job renovations: several saved Estimates grouped into one Project with a
+ * combined, bundle-discounted total (services/projectBundle.js).
+ *
+ * Mount in server.js:
+ *   const projectRoutes = require('./routes/projectRoutes');
+ *   app.use('/api/projects', projectRoutes);
+ *
+ * Endpoints:
+ *   POST  /api/projects            — { name, estimateIds: [...], source, abVariant }
+ *   GET   /api/projects/:id        — project with line items and totals (counts a view)
+ *   PATCH /api/projects/:id        — { name, estimateIds } — replaces the line items and re-prices
+ *   PATCH /api/projects/:id/share  — record a share action
+ *
+ * Leads are captured against a project through POST /api/leads with a projectId.
+ */
+
+const express = require('express');
+const router  = express.Router();
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Estimate = require('../models/Estimate');
+const { computeBundle, loadLineEstimates } = require('../services/projectBundle');
+
+const MIN_LINE_ITEMS = 2;
+const MAX_LINE_ITEMS = 10;
+
+function validateEstimateIds(estimateIds) {
+  if (!Array.isArray(estimateIds) || estimateIds.length < MIN_LINE_ITEMS || estimateIds.length > MAX_LINE_ITEMS) {
+    return `estimateIds must be an array of ${MIN_LINE_ITEMS} to ${MAX_LINE_ITEMS} estimate IDs`;
+  }
+  return null;
+}
+
+// ─── POST / ──────────────────────────────────────────────────────────────────
+
+router.post('/', async (req, res) => {
+  try {
+    const { name, estimateIds, source, abVariant } = req.body;
+
+    const idError = validateEstimateIds(estimateIds);
+    if (idError) return res.status(400).json({ error: idError });
+
+    const loaded = await loadLineEstimates(estimateIds);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error, estimateId: loaded.estimateId });
+    }
+
+    const { lineItems, totals, bundle } = computeBundle(loaded.estimates);
+    const first = loaded.estimates[0];
+
+    const project = await Project.create({
+      name: name || null,
+      lineItems,
+      totals,
+      bundle,
+      locationHash: first.locationHash || null,
+      locationData: {
+        region:     first.locationData?.region ?? null,
+        regionSlug: first.locationData?.regionSlug ?? null,
+        district:   first.locationData?.district ?? null
+      },
+      source: source || null,
+      abVariant: abVariant || null
+    });
+
+    await Estimate.updateMany({ _id: { $in: estimateIds } }, { $set: { projectId: project._id } });
+
+    console.log('🧱 Project created:', project._id.toString(), '—', lineItems.length, 'jobs, £' + totals.total, `(${bundle.discountPct}% bundle discount)`);
+    return res.status(201).json({ success: true, projectId: project._id, project });
+  } catch (error) {
+    console.error('❌ Error creating project:', error);
+    return res.status(500).json({ error: 'Failed to create project' });
+  }
+});
+
+// ─── GET /:id ────────────────────────────────────────────────────────────────
+
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid project ID' });
+    }
+
+    const project = await Project.findByIdAndUpdate(
+      id,
+      { $inc: { viewCount: 1 } },
+      { new: true, lean: true }
+    );
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    console.log('👁 Project viewed:', id, '— viewCount:', project.viewCount);
+    return res.json({ success: true, project });
+  } catch (error) {
+    console.error('❌ Error fetching project:', error);
+    return res.status(500).json({ error: 'Failed to fetch project' });
+  }
+});
+
+// ─── PATCH /:id ──────────────────────────────────────────────────────────────
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, estimateIds } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid project ID' });
+    }
+
+    const project = await Project.findById(id);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    if (name !== undefined) project.name = name || null;
+
+    // Without estimateIds the existing line items are re-priced from their Estimates.
+    const ids = estimateIds !== undefined ? estimateIds : project.lineItems.map(i => String(i.estimateId));
+    const idError = validateEstimateIds(ids);
+    if (idError) return res.status(400).json({ error: idError });
+
+    const loaded = await loadLineEstimates(ids, project._id);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error, estimateId: loaded.estimateId });
+    }
+
+    const removed = project.lineItems
+      .map(i => String(i.estimateId))
+      .filter(eid => !ids.map(String).includes(eid));
+
+    const { lineItems, totals, bundle } = computeBundle(loaded.estimates);
+    project.lineItems = lineItems;
+    project.totals = totals;
+    project.bundle = bundle;
+    await project.save();
+
+    await Estimate.updateMany({ _id: { $in: ids } }, { $set: { projectId: project._id } });
+    if (removed.length > 0) {
+      await Estimate.updateMany({ _id: { $in: removed }, projectId: project._id }, { $set: { projectId: null } });
+    }
+
+    console.log('✅ Project updated:', id, '—', lineItems.length, 'jobs, £' + totals.total);
+    return res.json({ success: true, project });
+  } catch (error) {
+    console.error('❌ Error updating project:', error);
+    return res.status(500).json({ error: 'Failed to update project' });
+  }
+});
+
+// ─── PATCH /:id/share ────────────────────────────────────────────────────────
+
+router.patch('/:id/share', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid project ID' });
+    }
+    const updated = await Project.findByIdAndUpdate(
+      id,
+      {
+        $set: { sharedAt: new Date() },
+        $inc: { shareCount: 1 }
+      },
+      { new: true }
+    );
+    if (!updated) return res.status(404).json({ error: 'Project not found' });
+    console.log('🔗 Project shared:', id, '— shareCount:', updated.shareCount);
+    return res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error recording project share:', error);
+    return res.status(500).json({ error: 'Failed to record share' });
+  }
+});
+
+module.exports = router;
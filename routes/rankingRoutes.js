@@ -0,0 +1,183 @@
+/**
+ * rankingRoutes.js
+ * ================
+ * Admin workflow for contractor ranking weights learned from click-through
+ * (services/rankingTraining.js). Protected by REINDEX_SECRET.
+ *
+ * Mount in server.js:
+ *   const rankingRoutes = require('./routes/rankingRoutes');
+ *   app.use('/api/admin/ranking', rankingRoutes);
+ *
+ * Endpoints:
+ *   GET  /api/admin/ranking/profiles                — hand-tuned profiles and the learned profile serving each
+ *   POST /api/admin/ranking/proposals               — train now: { profile, windowStart?, windowEnd? }
+ *   GET  /api/admin/ranking/proposals               — history, newest first (?status=&profile=)
+ *   GET  /api/admin/ranking/proposals/:id           — one proposal with its full evidence
+ *   POST /api/admin/ranking/proposals/:id/approve   — serve it; only if it beat the weights still served
+ *   POST /api/admin/ranking/proposals/:id/reject
+ *   POST /api/admin/ranking/proposals/:id/retire    — stop serving it, back to the hand-tuned weights
+ */
+
+const express = require('express');
+const router  = express.Router();
+const mongoose = require('mongoose');
+const RankingProposal = require('../models/RankingProposal');
+const {
+  createRankingProposal,
+  approveRankingProposal,
+  rejectRankingProposal,
+  retireRankingProposal,
+  RankingProposalNotBetterError,
+  RankingBaselineChangedError
+} = require('../services/rankingTraining');
+const { latestProfiles, activeLearnedProfiles, profileId } = require('../services/contractorRanking');
+const { requireAdminSecret } = require('../utils/adminAuth');
+
+router.use(requireAdminSecret);
+
+// ─── GET /profiles ───────────────────────────────────────────────────────────
+
+router.get('/profiles', (req, res) => {
+  const learned = activeLearnedProfiles();
+  const profiles = latestProfiles().map(profile => {
+    const replacement = learned.find(p => p.baseProfile === profile.name);
+    return {
+      profile: profileId(profile),
+      description: profile.description,
+      appliesTo: profile.appliesTo,
+      weights: profile.weights,
+      largeProject: profile.largeProject,
+      serving: replacement ? profileId(replacement) : profileId(profile),
+      learnedWeights: replacement ? replacement.weights : null
+    };
+  });
+  return res.json({ success: true, profiles });
+});
+
+// ─── POST /proposals ─────────────────────────────────────────────────────────
+// Body: { profile } naming a hand-tuned profile, plus optional { windowStart,
+// windowEnd } as ISO dates. Defaults to the last 90 days.
+
+router.post('/proposals', async (req, res) => {
+  try {
+    const { profile, windowStart, windowEnd } = req.body;
+    const names = latestProfiles().map(p => p.name);
+    if (!names.includes(profile)) {
+      return res.status(400).json({ error: `profile must be one of ${names.join(', ')}` });
+    }
+    for (const value of [windowStart, windowEnd]) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: 'windowStart and windowEnd must be valid dates' });
+      }
+    }
+
+    const proposal = await createRankingProposal({ profile, windowStart, windowEnd, source: 'admin' });
+    const { evaluation } = proposal;
+    console.log(`🏅 Ranking proposal v${proposal.version} (${profile}) from ${proposal.training.engagements} engagements: ${evaluation.beatsBaseline ? 'beats' : 'does not beat'} ${proposal.baselineProfileId}`);
+    return res.status(201).json({ success: true, proposal });
+  } catch (error) {
+    console.error('❌ Error creating ranking proposal:', error);
+    return res.status(500).json({ error: 'Failed to create ranking proposal' });
+  }
+});
+
+// ─── GET /proposals ──────────────────────────────────────────────────────────
+
+router.get('/proposals', async (req, res) => {
+  try {
+    const { status, profile, limit = 50 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (profile) filter.baseProfile = profile;
+
+    const proposals = await RankingProposal.find(filter, { contractors: 0, factorEngagement: 0 })
+      .sort({ version: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .lean();
+
+    return res.json({ success: true, count: proposals.length, proposals });
+  } catch (error) {
+    console.error('❌ Error fetching ranking proposals:', error);
+    return res.status(500).json({ error: 'Failed to fetch ranking proposals' });
+  }
+});
+
+// ─── GET /proposals/:id ──────────────────────────────────────────────────────
+
+router.get('/proposals/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid proposal ID' });
+    }
+    const proposal = await RankingProposal.findById(req.params.id).lean();
+    if (!proposal) return res.status(404).json({ error: 'Proposal not found' });
+    return res.json({ success: true, proposal });
+  } catch (error) {
+    console.error('❌ Error fetching ranking proposal:', error);
+    return res.status(500).json({ error: 'Failed to fetch ranking proposal' });
+  }
+});
+
+// ─── POST /proposals/:id/approve | /reject | /retire ─────────────────────────
+// Body: { reviewedBy, reviewNote } — both optional, stored on the proposal.
+
+router.post('/proposals/:id/approve', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid proposal ID' });
+    }
+    const { reviewedBy, reviewNote } = req.body;
+    const proposal = await approveRankingProposal(req.params.id, { reviewedBy, reviewNote });
+    if (!proposal) {
+      return res.status(409).json({ error: 'Proposal not found or no longer pending' });
+    }
+    console.log(`✅ Ranking v${proposal.version} approved for ${proposal.baseProfile}${reviewedBy ? ' by ' + reviewedBy : ''}`);
+    return res.json({ success: true, proposal });
+  } catch (error) {
+    if (error instanceof RankingProposalNotBetterError) {
+      return res.status(409).json({ error: error.message, evaluation: error.evaluation });
+    }
+    if (error instanceof RankingBaselineChangedError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('❌ Error approving ranking proposal:', error);
+    return res.status(500).json({ error: 'Failed to approve ranking proposal' });
+  }
+});
+
+router.post('/proposals/:id/reject', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid proposal ID' });
+    }
+    const { reviewedBy, reviewNote } = req.body;
+    const proposal = await rejectRankingProposal(req.params.id, { reviewedBy, reviewNote });
+    if (!proposal) {
+      return res.status(409).json({ error: 'Proposal not found or no longer pending' });
+    }
+    console.log(`🚫 Ranking v${proposal.version} rejected${reviewedBy ? ' by ' + reviewedBy : ''}`);
+    return res.json({ success: true, proposal });
+  } catch (error) {
+    console.error('❌ Error rejecting ranking proposal:', error);
+    return res.status(500).json({ error: 'Failed to reject ranking proposal' });
+  }
+});
+
+router.post('/proposals/:id/retire', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid proposal ID' });
+    }
+    const proposal = await retireRankingProposal(req.params.id);
+    if (!proposal) {
+      return res.status(409).json({ error: 'Proposal not found or not the approved one' });
+    }
+    console.log(`↩️  Ranking v${proposal.version} retired, ${proposal.baseProfile} back to hand-tuned weights`);
+    return res.json({ success: true, proposal });
+  } catch (error) {
+    console.error('❌ Error retiring ranking proposal:', error);
+    return res.status(500).json({ error: 'Failed to retire ranking proposal' });
+  }
+});
+
+module.exports = router;
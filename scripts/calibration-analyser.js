@@ -0,0 +1,76 @@
+/**
+ * EstimateAI — Pricing Calibration Analyser
+ * ==========================================
+ * Joins the last 180 days of EstimateReview records to their Estimates, measures
+ * per-jobType and per-region pricing bias, and writes a pending CalibrationProposal.
+ * Nothing changes live pricing until the proposal is approved through
+ * POST /api/admin/calibration/proposals/:id/approve.
+ *
+ * Unlike the other cron scripts this one requires the real model files and
+ * services/calibration.js rather than mirroring schemas: the admin route runs
+ * the same analysis on demand, and the two must never produce different numbers.
+ *
+ * ENV VARS (already present in Render environment):
+ *   MONGODB_URI          MongoDB Atlas connection string
+ *
+ * USAGE:
+ *   node scripts/calibration-analyser.js
+ *   node scripts/calibration-analyser.js --since 2026-01-01
+ *
+ * SCHEDULE (Render cron): suggested monthly, e.g. "0 6 2 * *" (2nd of the month,
+ * 6am), after the month's reviews are in. Configured in the Render dashboard like
+ * cost-index-analyser.js rather than declared in render.yaml.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { createProposal } = require('../services/calibration');
+const { loadPricingConfigs } = require('../services/pricingConfig');
+
+function parseSinceArg() {
+  const idx = process.argv.indexOf('--since');
+  if (idx === -1) return null;
+  const value = process.argv[idx + 1];
+  if (!value || isNaN(new Date(value).getTime())) {
+    throw new Error('--since must be followed by a valid date, e.g. 2026-01-01');
+  }
+  return value;
+}
+
+async function main() {
+  console.log('📐 Calibration Analyser starting...');
+
+  if (!process.env.MONGODB_URI) throw new Error('MONGODB_URI env var not set');
+  const since = parseSinceArg();
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected');
+  // Proposals are measured against the live rates, not the built-in defaults
+  await loadPricingConfigs();
+
+  const proposal = await createProposal({ windowStart: since, source: 'script' });
+
+  console.log(`✅ Proposal v${proposal.version} created (${proposal._id}) from ${proposal.reviewsConsidered} reviews`);
+  console.log(`   Window: ${proposal.windowStart.toISOString().split('T')[0]} to ${proposal.windowEnd.toISOString().split('T')[0]}`);
+
+  if (proposal.jobTypeAdjustments.length === 0 && proposal.regionAdjustments.length === 0) {
+    console.log('ℹ️  Not enough reviews for any adjustment yet.');
+  }
+
+  proposal.jobTypeAdjustments.forEach(a => {
+    const change = a.changePct != null ? `${a.changePct >= 0 ? '+' : ''}${a.changePct}%` : 'no base rate';
+    console.log(`   ${a.jobType}: median variance ${a.medianVariancePct}% over ${a.samples} reviews → ${change}`);
+  });
+  proposal.regionAdjustments.forEach(a => {
+    console.log(`   ${a.region}: residual ${a.medianResidualPct}% over ${a.samples} reviews → ${a.currentMultiplier} to ${a.proposedMultiplier}`);
+  });
+
+  await mongoose.disconnect();
+  console.log('🎉 Done!');
+}
+
+main().catch(async (err) => {
+  console.error('❌ Error:', err.message);
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
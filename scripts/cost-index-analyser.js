@@ -2,8 +2,10 @@
  * EstimateAI — Monthly Cost Index Generator
  * ==========================================
  * Runs every Monday but exits early unless it is the first Monday of the month.
- * Queries MongoDB for the previous calendar month's estimates, computes the index,
- * calls Claude for a plain-English commentary paragraph, then writes the result
+ * Queries MongoDB for the previous calendar month's estimates, computes the index
+ * (demand mix, plus price statistics per job type, region and quality from
+ * services/costIndexStats.js), calls Claude for a plain-English commentary
+ * paragraph, then writes the result
  * to the `costindex` collection. The frontend /renovation-cost-index page reads
  * from that collection via the /api/cost-index endpoint.
  *
@@ -26,6 +28,8 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const Anthropic = require('@anthropic-ai/sdk');
+const { loadInflationIndices, indexMovement } = require('../services/inflation');
+const { buildPriceStats, METHODOLOGY } = require('../services/costIndexStats');
 
 // ─── DATE HELPERS ─────────────────────────────────────────────────────────────
 
@@ -45,21 +49,22 @@ function getMonthLabel(date) {
 const estimateSchema = new mongoose.Schema({
   jobType:        String,
   category:       String,
-  postcodeDistrict: String,
-  total:          Number,
-  labour:         Number,
-  materials:      Number,
   quality:        String,
+  locationHash:   String,
+  locationData:   Object,  // { region, regionSlug, district, regionResolved, ... }
+  estimate:       Object,  // { total, low, high, labour, materials, ... }
+  pricingCheck:   Object,
   createdAt:      Date,
 }, { collection: 'estimates', strict: false });
 
+// The server reads these documents through models/CostIndex.js
 const costIndexSchema = new mongoose.Schema({
   monthLabel:     { type: String, required: true }, // e.g. "May 2026"
   monthStart:     { type: Date,   required: true },
   generatedAt:    { type: Date,   default: Date.now },
   totalEstimates: Number,
   topJobTypes:    Array,   // [{ jobType, count, avgTotal, avgLow, avgHigh, avgLabourPct }]
-  topRegions:     Array,   // [{ district, count, avgTotal }]
+  topRegions:     Array,   // [{ district, count, avgTotal }] - resolved regions only
   labourMaterialsRatio: {
     avgLabourPct:    Number, // e.g. 0.68
     avgMaterialsPct: Number,
@@ -67,6 +72,9 @@ const costIndexSchema = new mongoose.Schema({
   commentary:     String,  // Claude-generated paragraph, publish-ready
   prevMonthLabel: String,
   prevMonthTotals: Object, // { totalEstimates, topJobType, avgLabourPct } for MoM comparison
+  priceIndices:   Object,  // materials and labour indices for the month with MoM/YoY % (services/inflation.js)
+  priceStats:     Array,   // [{ jobType, regionSlug, region, quality, unit, samples, median, p25, p75, iqr, trimmedMean, momPct, yoyPct, ... }]
+  methodology:    Object,  // services/costIndexStats.js METHODOLOGY, incl. version
 }, { collection: 'costindex' });
 
 // ─── MONGODB QUERIES ──────────────────────────────────────────────────────────
@@ -92,15 +100,17 @@ async function fetchIndexData(Estimate, start, end) {
       { $limit: 5 },
     ]),
 
-    // Top regions by estimate volume
+    // Top postcode districts by estimate volume. Estimates store the outward code
+    // as locationData.district; there is no top-level postcodeDistrict field.
     Estimate.aggregate([
       { $match: {
         createdAt: { $gte: start, $lt: end },
         'estimate.total': { $gt: 0 },
-        postcodeDistrict: { $exists: true, $ne: null, $ne: '' },
+        'locationData.regionResolved': true,
+        'locationData.district': { $nin: [null, ''] },
       }},
       { $group: {
-        _id:      '$postcodeDistrict',
+        _id:      '$locationData.district',
         count:    { $sum: 1 },
         avgTotal: { $avg: '$estimate.total' },
       }},
@@ -160,7 +170,7 @@ async function fetchIndexData(Estimate, start, end) {
 
 // ─── CLAUDE COMMENTARY ────────────────────────────────────────────────────────
 
-async function generateCommentary(indexData, monthLabel, prevMonthData) {
+async function generateCommentary(indexData, monthLabel, prevMonthData, priceStats) {
   const client = new Anthropic();
 
   // Build a concise MoM comparison string if previous month data exists
@@ -173,6 +183,18 @@ async function generateCommentary(indexData, monthLabel, prevMonthData) {
     momContext = `Previous month (${prevMonthData.monthLabel}): ${prevMonthData.totalEstimates} estimates, top job type: ${prevMonthData.topJobTypes?.[0]?.jobType ?? 'n/a'}, avg labour share: ${prevMonthData.labourMaterialsRatio?.avgLabourPct ? Math.round(prevMonthData.labourMaterialsRatio.avgLabourPct * 100) + '%' : 'n/a'}. Volume change: ${volChange >= 0 ? '+' : ''}${volChange} estimates (${volPct !== null ? (volPct >= 0 ? '+' : '') + volPct + '%' : 'n/a'}).`;
   }
 
+  // National median prices for the best-sampled job types, with their movement.
+  // Only published cells (minimum sample met) are offered, so every figure the
+  // commentary can quote is one the page also shows.
+  const fmtPct = v => v === null ? 'n/a' : `${v >= 0 ? '+' : ''}${v}%`;
+  const priceLines = priceStats.cells
+    .filter(c => c.regionSlug === null)
+    .slice(0, 5)
+    .map(c => `${c.jobType} (${c.quality}): median £${c.median.toLocaleString('en-GB')} ${c.unit === 'sqm' ? 'per square metre' : 'for a medium-sized job'}, month on month ${fmtPct(c.momPct)}, year on year ${fmtPct(c.yoyPct)}`);
+  const priceContext = priceLines.length > 0
+    ? priceLines.join('; ')
+    : 'No job type met the minimum sample for a published price this month.';
+
   const prompt = `You are writing the commentary paragraph for the EstimateAI UK Renovation Cost Index for ${monthLabel}.
 
 This paragraph appears on a public-facing web page read by UK homeowners and journalists. It must be publish-ready with no editing.
@@ -181,16 +203,17 @@ DATA:
 - Top job types by share of demand: ${indexData.topJobTypes.map(j => `${j.jobType} (${Math.round((j.count / indexData.totalEstimates) * 100)}%)`).join(', ')}
 - Top regions by demand: ${indexData.topRegions.slice(0, 5).map(r => r.district).join(', ')}
 - ${momContext}
+- National median prices: ${priceContext}
 
 RULES — follow every one without exception:
 1. Output exactly two short paragraphs separated by a blank line. No title, no preamble, no sign-off.
-2. Paragraph 1 (40 to 50 words): summarise the job type demand mix for the month. Lead with a percentage share from the data.
+2. Paragraph 1 (40 to 50 words): summarise the job type demand mix and the price movement for the month. Lead with a percentage share from the data.
 3. Paragraph 2 (40 to 50 words): cover regional demand and any month-on-month trend if previous data is available. End with one sentence relevant to homeowners planning a project.
 4. Make definitive claims. No hedging. No "may suggest" or "could indicate".
 5. No em dashes. Use commas or full stops instead.
 6. No "it is worth noting", "importantly", "it is interesting", or similar filler phrases.
 7. Plain British English. No jargon.
-8. Do NOT mention specific cost or price figures, pound signs, monetary amounts, or raw estimate counts. Focus on demand patterns, job type mix, and regional trends only.`;
+8. The only money figures you may use are the national median prices and percentage movements in the DATA, quoted exactly. Do not derive, round, average or combine them, and do not mention raw estimate counts.`;
 
   const message = await client.messages.create({
     model:      'claude-sonnet-4-6',
@@ -239,6 +262,14 @@ async function main() {
     process.exit(0);
   }
 
+  // Construction price indices for the month, so the page can show price
+  // movement alongside demand. Null when the month's index is not out yet.
+  await loadInflationIndices();
+  const priceIndices = indexMovement(`${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`);
+  console.log(priceIndices
+    ? `📈 Price indices ${priceIndices.month}: materials ${priceIndices.materials}, labour ${priceIndices.labour}`
+    : 'ℹ️  No price index published for this month yet.');
+
   // Fetch previous month's index for MoM comparison
   const prevMonthStart = new Date(start.getFullYear(), start.getMonth() - 1, 1);
   const prevMonthData  = await CostIndex.findOne({ monthStart: prevMonthStart }).lean();
@@ -248,9 +279,14 @@ async function main() {
     console.log('ℹ️  No previous month index found — commentary will not include MoM comparison.');
   }
 
+  // Price-level statistics per jobType x region x quality, with MoM/YoY deltas
+  console.log('💷 Computing price statistics...');
+  const priceStats = await buildPriceStats(Estimate, start);
+  console.log(`✅ ${priceStats.cells.length} price cells published from ${priceStats.estimatesCounted} estimates (${priceStats.rowsConsidered - priceStats.estimatesCounted} double-fires collapsed)`);
+
   // Generate Claude commentary
   console.log('🤖 Generating commentary...');
-  const commentary = await generateCommentary(indexData, monthLabel, prevMonthData);
+  const commentary = await generateCommentary(indexData, monthLabel, prevMonthData, priceStats);
   console.log('✅ Commentary generated');
   console.log('--- COMMENTARY PREVIEW ---');
   console.log(commentary);
@@ -274,6 +310,9 @@ async function main() {
           avgLabourPct:   prevMonthData.labourMaterialsRatio?.avgLabourPct ?? null,
         }
       : null,
+    priceIndices,
+    priceStats:           priceStats.cells,
+    methodology:          METHODOLOGY,
   });
 
   await doc.save();
@@ -0,0 +1,77 @@
+/**
+ * EstimateAI — Contractor Ranking Trainer
+ * ========================================
+ * Learns contractor ranking weights from the last 90 days of SearchImpressions
+ * and ContractorClick engagements, one pending RankingProposal per hand-tuned profile in
+ * utils/rankingProfiles.js, each evaluated on held-out searches against the
+ * weights served for it now (its approved learned profile, if any). Nothing
+ * changes the live ranking until a proposal is approved through
+ * POST /api/admin/ranking/proposals/:id/approve, and only a proposal that beat
+ * the weights still served can be.
+ *
+ * Like calibration-analyser.js this requires the real model files and
+ * services/rankingTraining.js, so the admin route trains identically.
+ *
+ * ENV VARS (already present in Render environment):
+ *   MONGODB_URI          MongoDB Atlas connection string
+ *
+ * USAGE:
+ *   node scripts/ranking-trainer.js
+ *   node scripts/ranking-trainer.js --profile default --since 2026-06-01
+ *
+ * SCHEDULE (Render cron): suggested weekly, e.g. "0 5 * * 1" (Mondays, 5am).
+ * Configured in the Render dashboard like the other analysers.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { createRankingProposal } = require('../services/rankingTraining');
+const { latestProfiles } = require('../services/contractorRanking');
+
+function parseArg(name) {
+  const idx = process.argv.indexOf(name);
+  if (idx === -1) return null;
+  return process.argv[idx + 1] || '';
+}
+
+async function main() {
+  console.log('🏅 Ranking Trainer starting...');
+
+  if (!process.env.MONGODB_URI) throw new Error('MONGODB_URI env var not set');
+  const since = parseArg('--since');
+  if (since !== null && isNaN(new Date(since).getTime())) {
+    throw new Error('--since must be followed by a valid date, e.g. 2026-06-01');
+  }
+  const names = latestProfiles().map(p => p.name);
+  const only = parseArg('--profile');
+  if (only !== null && !names.includes(only)) {
+    throw new Error(`--profile must be one of ${names.join(', ')}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected');
+
+  for (const profile of only ? [only] : names) {
+    const proposal = await createRankingProposal({ profile, windowStart: since, source: 'script' });
+    const { training, evaluation, weights, baseWeights, baselineProfileId } = proposal;
+
+    console.log(`\n✅ ${profile}: proposal v${proposal.version} (${proposal._id})`);
+    console.log(`   Training: ${training.impressions} impressions, ${training.engagements} engagements over ${training.searches} searches`);
+    console.log(`   Weights:  ${Object.entries(weights).map(([f, w]) => `${f} ${baseWeights[f]}→${w}`).join(', ')}`);
+    if (evaluation.pages > 0) {
+      console.log(`   Held out: ${evaluation.pages} results pages, DCG ${evaluation.candidateDcg} learned vs ${evaluation.baselineDcg} ${baselineProfileId} (logged order ${evaluation.loggedDcg}), ${evaluation.wins}/${evaluation.losses}/${evaluation.ties} wins/losses/ties`);
+    }
+    console.log(evaluation.beatsBaseline
+      ? `   🏆 Beats ${baselineProfileId}: ready for approval`
+      : `   ℹ️  ${evaluation.reason}`);
+  }
+
+  await mongoose.disconnect();
+  console.log('🎉 Done!');
+}
+
+main().catch(async (err) => {
+  console.error('❌ Error:', err.message);
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
@@ -2,7 +2,6 @@ require('dotenv').config();
 const crypto = require('crypto'); // Built into Node.js
 const express = require('express');
 const cors = require('cors');
-const OpenAI = require('openai');
 const { Client } = require('@googlemaps/google-maps-services-js');
 const mongoose = require('mongoose');
 const rateLimit = require('express-rate-limit');
@@ -15,6 +14,28 @@ const path = require('path');
 
 // Load regional data for Google Indexing API
 const regionalData = require('./regionalCostData.json');
+const { parsePostcode, analyzeLocationCost, RESOLUTION_LEVELS } = require('./utils/locationCost');
+const { lookupPostcode, resolvePostcodeLocation } = require('./services/postcodeGeography');
+const { computeEstimate, checkClientTotal, QUALITY_MULTIPLIERS } = require('./services/pricingEngine');
+const { rangeForEstimate, computeRange, getReviewVarianceStats } = require('./services/estimateRange');
+const { loadPricingConfigs, getActivePricingConfig } = require('./services/pricingConfig');
+const { refreshProject } = require('./services/projectBundle');
+const { buildBillOfQuantities, boqToCsv } = require('./services/billOfQuantities');
+const { getEstimatePdf, PdfUnavailableError } = require('./services/pdfReport');
+const { buildTimeline } = require('./services/timeline');
+const { computeRoi } = require('./services/roi');
+const { loadInflationIndices } = require('./services/inflation');
+const { cachedNearbySearch, cachedPlaceDetails } = require('./services/placesCache');
+const {
+  parseSearchOptions, radiusPlan, getTier, tierMinRating, passesTier, describeFallback,
+  searchFingerprint, encodePageToken, decodePageToken, collectPage, RATING_TIERS
+} = require('./services/contractorSearch');
+const { recordPlacesResults, recordPlaceDetails, recordContractorClick } = require('./services/contractorDirectory');
+const { rankContractors, resolveRankingProfile, getRankingProfile, profileId, effectiveWeights, loadLearnedProfiles } = require('./services/contractorRanking');
+const { recordSearchImpressions, wasServed } = require('./services/rankingTraining');
+const { startPhotoAnalysisWorker } = require('./services/photoAnalysisJobs');
+const { ingestImages, ImageIngestionError } = require('./services/imageIngestion');
+const { analysePhotos, validatePhotoRequest, savePhotoAnalysis, linkPhotoAnalysis, toAnalysisResponse, PhotoAnalysisFailedError } = require('./services/photoAnalysis');
 
 // MongoDB Connection
 const connectDB = async () => {
@@ -24,6 +45,12 @@ const connectDB = async () => {
       useUnifiedTopology: true
     });
     console.log('✅ MongoDB connected successfully');
+    // Published PricingConfig versions replace the built-in rates and multipliers.
+    await loadPricingConfigs();
+    // Construction price indices, seeded from data/constructionPriceIndices.csv.
+    await loadInflationIndices();
+    // Approved ranking weights learned from contractor clicks.
+    await loadLearnedProfiles();
   } catch (error) {
     console.error('❌ MongoDB connection error:', error.message);
     // Don't exit process - app can still run without database
@@ -43,33 +70,11 @@ const dailyUsageSchema = new mongoose.Schema({
 
 const DailyUsage = mongoose.model('DailyUsage', dailyUsageSchema);
 
-// Contractor click schema -- one document per Call/Website/Map action
-const contractorClickSchema = new mongoose.Schema({
-  estimateId:       { type: mongoose.Schema.Types.ObjectId, ref: 'Estimate', index: true },
-  placeId:          { type: String, required: true, index: true },
-  contractorName:   { type: String, required: true },
-  actionType:       { type: String, enum: ['call', 'website', 'map', 'shown', 'contact_requested'], required: true },
-  jobType:          { type: String },
-  category:         { type: String },
-  region:           { type: String },
-  matchScore:       { type: Number },
-  estimateValue:    { type: Number },        // estimate total at point of interaction
-  postcodeDistrict: { type: String },        // outward code only, e.g. "SW1A"
-  abVariant:        { type: String },        // blur/control from A/B test session
-  leadId:           { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', default: null, index: true }, // joins to Leads collection, contact_requested only
-  timestamp:        { type: Date, default: Date.now, index: true }
-});
-
-const ContractorClick = mongoose.model('ContractorClick', contractorClickSchema);
+const ContractorClick = require('./models/ContractorClick');
 
 const app = express();
 const port = process.env.PORT || 3001;
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 // Initialize Google Places client
 const googlePlacesClient = new Client({});
 
@@ -184,10 +189,16 @@ const apiLimiter = rateLimit({
   },
   standardHeaders: true, // Return rate limit info in `RateLimit-*` headers
   legacyHeaders: false, // Disable `X-RateLimit-*` headers
-  // Skip rate limiting for health check, contractor-click, and leads/save-estimate
-  // (each has its own more generous limiter below)
-  skip: (req) => req.path === '/' || req.method === 'OPTIONS' || req.path === '/api/contractor-click'
-    || req.path.startsWith('/api/leads') || req.path.startsWith('/api/save-estimate')
+  // Skip rate limiting for health check, contractor-click, leads/save-estimate/compute-estimate/projects
+  // photo analysis jobs and open data (each has its own limiter below). Mounted at /api/, so req.path has
+  // the /api prefix stripped: match on the full path.
+  skip: (req) => {
+    const fullPath = req.baseUrl + req.path;
+    return fullPath === '/' || req.method === 'OPTIONS' || fullPath === '/api/contractor-click'
+      || fullPath.startsWith('/api/leads') || fullPath.startsWith('/api/save-estimate')
+      || fullPath.startsWith('/api/compute-estimate') || fullPath.startsWith('/api/projects')
+      || fullPath.startsWith('/api/photo-analysis-jobs') || fullPath.startsWith('/api/open-data');
+  }
   // Using default keyGenerator which handles IPv6 correctly
 });
 
@@ -225,11 +236,34 @@ const photoAnalysisLimiter = rateLimit({
   // Using default keyGenerator which handles IPv6 correctly
 });
 
+// Photo analysis job polling -- a client checks every few seconds while the worker runs
+const photoJobPollLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: { error: 'Too many requests', message: 'Please poll less often.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Open data feed -- public and cacheable; embedded charts can load several per page
+const openDataLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: { error: 'Too many requests', message: 'Please cache open data responses and retry later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Apply rate limiter to all API routes
 app.use('/api/', apiLimiter);
+app.use('/api/open-data', openDataLimiter);
 app.use('/api/contractor-click', contractorClickLimiter);
 app.use('/api/leads', leadsAndEstimateLimiter);
 app.use('/api/save-estimate', leadsAndEstimateLimiter);
+app.use('/api/compute-estimate', leadsAndEstimateLimiter);
+app.use('/api/projects', leadsAndEstimateLimiter);
+app.post('/api/photo-analysis-jobs', photoAnalysisLimiter);
+app.get('/api/photo-analysis-jobs/:id', photoJobPollLimiter);
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -237,112 +271,40 @@ app.get('/', (req, res) => {
 });
 
 // Photo analysis endpoint
-// Single GPT-4o call with 3 high-detail images
-// No batching, no mini model, no complexity - just clean and fast
+// One vision-model call with up to 3 high-detail images. The model is chosen by
+// VISION_PROVIDER / VISION_MODEL (services/visionProvider.js), with retries and
+// an optional fallback provider. Prompt and result schema live in
+// services/photoAnalysis.js. Each run is stored as a PhotoAnalysis; pass
+// photoAnalysisId to /api/save-estimate to link it.
 // ====================================================================
 
 app.post('/api/analyze-photos', photoAnalysisLimiter, async (req, res) => {
   try {
     const { images, jobType } = req.body;
 
-    if (!images || images.length === 0) {
-      return res.status(400).json({ error: 'No images provided' });
-    }
-
-    if (images.length > 3) {
-      return res.status(400).json({ error: 'Maximum 3 images allowed' });
+    const validation = validatePhotoRequest({ images, jobType });
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
     }
 
-        // VALIDATION
-    if (!images || !Array.isArray(images)) {
-      return res.status(400).json({ error: 'Invalid images data' });
-    }
-
-    if (!jobType || typeof jobType !== 'string' || jobType.length > 200) {
-      return res.status(400).json({ error: 'Invalid job type' });
-    }
-
-    if (images.length === 0 || images.length > 3) {
-      return res.status(400).json({ error: 'Invalid number of images (1-3)' });
-    }
-
-    // Validate each image is a valid data URL
-    for (const img of images) {
-      if (!img.data || !img.data.startsWith('data:image/')) {
-        return res.status(400).json({ error: 'Invalid image format' });
-      }
-      
-      // Check image size (prevent huge uploads)
-      if (img.data.length > 10 * 1024 * 1024) { // 10MB limit
-        return res.status(400).json({ error: 'Image too large' });
-      }
+    // Real type check, EXIF/GPS stripping, downsizing and content hashing
+    let ingestedImages;
+    try {
+      ingestedImages = await ingestImages(validation.images.map(img => img.dataUrl));
+    } catch (ingestionError) {
+      if (!(ingestionError instanceof ImageIngestionError)) throw ingestionError;
+      return res.status(400).json({ error: ingestionError.message });
     }
 
     console.log(`Analyzing ${images.length} photos for ${jobType}`);
     const startTime = Date.now();
 
-    // Process 3 images with HIGH detail for 100% accuracy
-    const imageMessages = images.slice(0, 3).map(img => ({
-      type: "image_url",
-      image_url: {
-        url: img.data,
-        detail: "high"
-      }
-    }));
-
-    const prompt = `You are an expert construction, decoration, repair and renovation estimator. Analyse these photos of a ${jobType} project.
-
-Please evaluate and provide your assessment as JSON with this exact structure:
-{
-  "complexity": 1.05,
-  "condition": 0.95,
-  "access": 1.0,
-  "materialQuality": 1.0,
-  "insights": ["insight 1", "insight 2", "insight 3"],
-  "detectedIssues": ["issue1", "issue2"],
-  "materials": ["material1", "material2"]
-}
-
-Each multiplier should be between 0.7 (much easier/cheaper) and 1.5 (much harder/expensive):
-- complexity: Job difficulty (prep work, special skills needed)
-- condition: Current state (good = lower, poor = higher)
-- access: How difficult to reach/work on
-- materialQuality: What's currently there or needed
-
-Insights should be specific, helpful observations about the space.
-DetectedIssues should note any visible problems that will affect cost.
-Materials should list what appears to be needed or present.
-
-Return ONLY valid JSON, no other text.`;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "user",
-          content: [
-            { type: "text", text: prompt },
-            ...imageMessages
-          ]
-        }
-      ],
-      max_tokens: 1000,
-      temperature: 0.3
-    });
-
-    const responseText = completion.choices[0].message.content.trim();
-    
-    let analysis;
+    let result;
     try {
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        analysis = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in response');
-      }
-    } catch (parseError) {
-      console.error('JSON parse error:', parseError);
-      console.error('Raw response:', responseText);
+      result = await analysePhotos({ images: ingestedImages, jobType });
+    } catch (analysisError) {
+      if (!(analysisError instanceof PhotoAnalysisFailedError)) throw analysisError;
+      console.error('❌ Photo analysis failed on every provider:', analysisError.message);
       
       return res.status(500).json({
         error: 'Failed to parse AI response',
@@ -353,33 +315,13 @@ Return ONLY valid JSON, no other text.`;
       });
     }
 
-    const avgMultiplier = (
-      (analysis.complexity || 1) +
-      (analysis.condition || 1) +
-      (analysis.access || 1) +
-      (analysis.materialQuality || 1)
-    ) / 4;
-
-    const confidence = Math.round((1 - Math.abs(1 - avgMultiplier)) * 100);
-
-    const result = {
-      adjustment: Math.round(avgMultiplier * 100) / 100,
-      confidence: Math.max(0, Math.min(100, confidence)),
-      insights: analysis.insights || [],
-      detectedIssues: analysis.detectedIssues || [],
-      materials: analysis.materials || [],
-      breakdown: {
-        complexity: analysis.complexity || 1,
-        condition: analysis.condition || 1,
-        access: analysis.access || 1,
-        materialQuality: analysis.materialQuality || 1
-      }
-    };
+    const { analysis } = result;
+    const durationMs = Date.now() - startTime;
+    const photoAnalysisId = await savePhotoAnalysis(result, { jobType, durationMs });
 
-    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    console.log(`✅ Analysis complete in ${duration}s - Adjustment: ${result.adjustment}x (${result.confidence}% confidence)`);
+    console.log(`✅ Analysis complete in ${(durationMs / 1000).toFixed(1)}s via ${result.cachedFrom ? 'cache' : result.provider + '/' + result.model} - Adjustment: ${analysis.adjustment}x (${analysis.confidence}% confidence, ${analysis.defects.length} defects)`);
 
-    res.json(result);
+    res.json({ ...analysis, photoAnalysisId, provider: result.provider, model: result.model, cached: Boolean(result.cachedFrom) });
 
   } catch (error) {
     console.error('Photo analysis error:', error);
@@ -395,298 +337,40 @@ Return ONLY valid JSON, no other text.`;
   }
 });
 
-// Postcode validation and geocoding
-async function validateAndGeocodePostcode(postcode) {
-  if (!postcode || typeof postcode !== 'string') {
-    return { valid: false, error: 'Invalid postcode format' };
-  }
-
-  const cleanPostcode = postcode.trim().toUpperCase();
-  
-  const ukPostcodeRegex = /^[A-Z]{1,2}\d{1,2}[A-Z]?\s?\d[A-Z]{2}$/i;
-  if (!ukPostcodeRegex.test(cleanPostcode)) {
-    return { valid: false, error: 'Invalid UK postcode format' };
-  }
-
+// Stored photo analysis by id, for auditing an estimate's photo adjustment or
+// re-pricing with it without re-running the model.
+app.get('/api/photo-analysis/:id', async (req, res) => {
   try {
-    const response = await googlePlacesClient.geocode({
-      params: {
-        address: cleanPostcode + ', UK',
-        key: process.env.GOOGLE_PLACES_API_KEY,
-        region: 'uk'
-      }
-    });
-
-    if (response.data.results.length === 0) {
-      return { valid: false, error: 'Postcode not found' };
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid photo analysis ID' });
     }
 
-    const result = response.data.results[0];
-    
-    const ukComponent = result.address_components.find(
-      comp => comp.types.includes('country') && comp.short_name === 'GB'
-    );
-    
-    if (!ukComponent) {
-      return { valid: false, error: 'Not a UK postcode' };
+    const analysis = await PhotoAnalysis.findById(id).lean();
+    if (!analysis) {
+      return res.status(404).json({ error: 'Photo analysis not found' });
     }
 
-    return {
-      valid: true,
-      formattedAddress: result.formatted_address,
-      location: result.geometry.location,
-      placeId: result.place_id
-    };
+    res.json({ success: true, analysis });
   } catch (error) {
-    console.error('Geocoding error:', error);
-    return { valid: false, error: 'Failed to validate postcode' };
-  }
-}
-
-// ── Postcode parsing ─────────────────────────────────────────────────────────
-// Single source of truth for postcode handling. The previous implementation did
-// outward = postcode.replace(/\s+/g,'').slice(0, -3), which silently assumes the
-// input is a complete postcode. It is not: the frontend debounce fires on partial
-// input, so "BS1 5" resolved to area "B" (Birmingham) and "BS1" resolved to
-// nothing at all. Both saved. Never slice blindly again.
-//
-// Returns { valid: false, reason } or
-//         { valid: true, complete, area, district, districtNum, formatted }
-//
-// An outward code on its own (BS1, SW1A) fully resolves a multiplier, so it is
-// accepted as valid but incomplete. Everything else is rejected, not guessed at.
-const OUTWARD_REGEX = /^[A-Z]{1,2}[0-9][A-Z0-9]?$/;
-const INWARD_REGEX  = /^[0-9][A-Z]{2}$/;
-
-function parsePostcode(input) {
-  if (!input || typeof input !== 'string') return { valid: false, reason: 'empty' };
-
-  const raw = input.toUpperCase().replace(/[^A-Z0-9]/g, '');
-  if (!raw) return { valid: false, reason: 'empty' };
-
-  let outward, inward;
-  if (raw.length >= 5) {
-    outward = raw.slice(0, -3);
-    inward  = raw.slice(-3);
-    if (!OUTWARD_REGEX.test(outward) || !INWARD_REGEX.test(inward)) {
-      return { valid: false, reason: 'malformed' };
-    }
-  } else {
-    outward = raw;
-    inward  = null;
-    if (!OUTWARD_REGEX.test(outward)) return { valid: false, reason: 'malformed' };
+    console.error('❌ Error fetching photo analysis:', error);
+    res.status(500).json({ error: 'Failed to fetch photo analysis' });
   }
+});
 
+// Public subset of a services/postcodeGeography.js result.
+function geographySummary(place) {
   return {
-    valid: true,
-    complete: Boolean(inward),
-    area: outward.match(/^([A-Z]+)/)[1],       // BS, SW
-    district: outward,                          // BS1, SW1A - outward code only
-    districtNum: outward.replace(/[A-Z]$/, ''), // SW1A -> SW1, for the Central London check
-    formatted: inward ? outward + ' ' + inward : outward
+    district: place.district,
+    localAuthority: place.localAuthority,
+    nation: place.nation,
+    region: place.region,
+    centralLondon: place.centralLondon,
+    precision: place.precision,
+    source: place.source
   };
 }
 
-// ── Postcode area to region map ──────────────────────────────────────────────
-// Full UK coverage. Previously 16 areas (BT CW DG FK GY HS IM IV JE KA KW KY PH
-// SY TD ZE) had no mapping at all and fell through to region 'Unknown'.
-//
-// `slug` matches regionalCostData.json where a region page exists, null where the
-// area has no dedicated page but still needs a name and a multiplier. `name` is
-// the ONLY string ever written to locationData.region. Bare postcode letters
-// ('S', 'B', 'G') and Google postal_town strings ('Whitley Bay', 'Crieff') are no
-// longer written anywhere, so the field now has one controlled vocabulary.
-const AREA_REGIONS = {
-  'E':  { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'N':  { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'NW': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'SE': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'SW': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'W':  { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'BR': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'CR': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'DA': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'EN': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'HA': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'IG': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'KT': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'RM': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'SM': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'TN': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'TW': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'UB': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
-  'SL': { name: 'Slough', slug: 'slough', m: 1.25 },
-  'RG': { name: 'Reading', slug: 'reading', m: 1.25 },
-  'OX': { name: 'Oxford', slug: 'oxford', m: 1.25 },
-  'CB': { name: 'Cambridge', slug: 'cambridge', m: 1.25 },
-  'WD': { name: 'Watford', slug: 'watford', m: 1.25 },
-  'BN': { name: 'Brighton & Hove', slug: 'brighton', m: 1.25 },
-  'BA': { name: 'Bath', slug: 'bath', m: 1.25 },
-  'AL': { name: 'St Albans', slug: null, m: 1.25 },
-  'GU': { name: 'Guildford & Surrey', slug: null, m: 1.25 },
-  'HP': { name: 'Hemel Hempstead & Chilterns', slug: null, m: 1.25 },
-  'CM': { name: 'Chelmsford & Mid Essex', slug: null, m: 1.25 },
-  'RH': { name: 'Redhill & East Surrey', slug: null, m: 1.25 },
-  'SG': { name: 'Stevenage & North Hertfordshire', slug: null, m: 1.25 },
-  'AB': { name: 'Aberdeen', slug: 'aberdeen', m: 1.15 },
-  'B':  { name: 'Birmingham', slug: 'birmingham', m: 1.15 },
-  'BD': { name: 'Bradford', slug: null, m: 1.15 },
-  'BH': { name: 'Bournemouth', slug: 'bournemouth', m: 1.15 },
-  'BL': { name: 'Bolton', slug: null, m: 1.15 },
-  'BS': { name: 'Bristol', slug: 'bristol', m: 1.15 },
-  'CH': { name: 'Chester & Birkenhead', slug: 'birkenhead', m: 1.15 },
-  'CT': { name: 'Canterbury', slug: 'canterbury', m: 1.15 },
-  'EH': { name: 'Edinburgh', slug: 'edinburgh', m: 1.15 },
-  'G':  { name: 'Glasgow', slug: 'glasgow', m: 1.15 },
-  'GL': { name: 'Gloucester & Cheltenham', slug: 'gloucester', m: 1.15 },
-  'L':  { name: 'Liverpool', slug: 'liverpool', m: 1.15 },
-  'LS': { name: 'Leeds', slug: 'leeds', m: 1.15 },
-  'LU': { name: 'Luton', slug: 'luton', m: 1.15 },
-  'M':  { name: 'Manchester', slug: 'manchester', m: 1.15 },
-  'MK': { name: 'Milton Keynes', slug: 'milton-keynes', m: 1.15 },
-  'ML': { name: 'Motherwell', slug: null, m: 1.15 },
-  'OL': { name: 'Oldham', slug: null, m: 1.15 },
-  'PA': { name: 'Paisley', slug: null, m: 1.15 },
-  'PO': { name: 'Portsmouth', slug: 'portsmouth', m: 1.15 },
-  'S':  { name: 'Sheffield', slug: 'sheffield', m: 1.15 },
-  'SK': { name: 'Stockport', slug: null, m: 1.15 },
-  'SO': { name: 'Southampton', slug: 'southampton', m: 1.15 },
-  'WA': { name: 'Warrington', slug: null, m: 1.15 },
-  'WF': { name: 'Wakefield', slug: null, m: 1.15 },
-  'WN': { name: 'Wigan', slug: null, m: 1.15 },
-  'CF': { name: 'Cardiff', slug: 'cardiff', m: 1.05 },
-  'DD': { name: 'Dundee', slug: 'dundee', m: 1.05 },
-  'EX': { name: 'Exeter', slug: 'exeter', m: 1.05 },
-  'NE': { name: 'Newcastle', slug: 'newcastle', m: 1.05 },
-  'NG': { name: 'Nottingham', slug: 'nottingham', m: 1.05 },
-  'NR': { name: 'Norwich', slug: 'norwich', m: 1.05 },
-  'SN': { name: 'Swindon', slug: 'swindon', m: 1.05 },
-  'YO': { name: 'York', slug: 'york', m: 1.05 },
-  'DT': { name: 'Dorchester & Dorset', slug: null, m: 1.05 },
-  'ME': { name: 'Medway', slug: null, m: 1.05 },
-  'SP': { name: 'Salisbury', slug: null, m: 1.05 },
-  'SS': { name: 'Southend-on-Sea', slug: null, m: 1.05 },
-  'TQ': { name: 'Torquay & Torbay', slug: null, m: 1.05 },
-  'TR': { name: 'Truro & Cornwall', slug: null, m: 1.05 },
-  'WR': { name: 'Worcester', slug: null, m: 1.05 },
-  'HG': { name: 'Harrogate', slug: null, m: 1.05 },
-  'KW': { name: 'Caithness & Orkney', slug: null, m: 1.05 },
-  'HS': { name: 'Outer Hebrides', slug: null, m: 1.05 },
-  'ZE': { name: 'Shetland', slug: null, m: 1.05 },
-  'CO': { name: 'Colchester', slug: 'colchester', m: 1.0 },
-  'CV': { name: 'Coventry', slug: 'coventry', m: 1.0 },
-  'DE': { name: 'Derby', slug: 'derby', m: 1.0 },
-  'DY': { name: 'Dudley', slug: null, m: 1.0 },
-  'FY': { name: 'Blackpool', slug: 'blackpool', m: 1.0 },
-  'IP': { name: 'Ipswich', slug: 'ipswich', m: 1.0 },
-  'LE': { name: 'Leicester', slug: 'leicester', m: 1.0 },
-  'NP': { name: 'Newport', slug: 'newport', m: 1.0 },
-  'PE': { name: 'Peterborough', slug: 'peterborough', m: 1.0 },
-  'PL': { name: 'Plymouth', slug: 'plymouth', m: 1.0 },
-  'PR': { name: 'Preston', slug: 'preston', m: 1.0 },
-  'SA': { name: 'Swansea', slug: 'swansea', m: 1.0 },
-  'SR': { name: 'Sunderland', slug: 'sunderland', m: 1.0 },
-  'TF': { name: 'Telford', slug: 'telford', m: 1.0 },
-  'WV': { name: 'Wolverhampton', slug: 'wolverhampton', m: 1.0 },
-  'TA': { name: 'Taunton & Somerset', slug: null, m: 1.0 },
-  'HR': { name: 'Hereford', slug: null, m: 1.0 },
-  'NN': { name: 'Northampton', slug: null, m: 1.0 },
-  'LA': { name: 'Lancaster', slug: null, m: 1.0 },
-  'LD': { name: 'Llandrindod Wells & Powys', slug: null, m: 1.0 },
-  'LL': { name: 'North Wales', slug: null, m: 1.0 },
-  'LN': { name: 'Lincoln', slug: null, m: 1.0 },
-  'WS': { name: 'Walsall', slug: null, m: 1.0 },
-  'CA': { name: 'Carlisle & Cumbria', slug: null, m: 1.0 },
-  'HD': { name: 'Huddersfield', slug: null, m: 1.0 },
-  'BT': { name: 'Belfast & Northern Ireland', slug: 'belfast', m: 1.0 },
-  'CW': { name: 'Crewe', slug: null, m: 1.0 },
-  'SY': { name: 'Shrewsbury', slug: null, m: 1.0 },
-  'FK': { name: 'Falkirk', slug: null, m: 1.0 },
-  'KY': { name: 'Kirkcaldy & Fife', slug: null, m: 1.0 },
-  'KA': { name: 'Kilmarnock & Ayrshire', slug: null, m: 1.0 },
-  'PH': { name: 'Perth & Highland Perthshire', slug: null, m: 1.0 },
-  'IV': { name: 'Inverness & Highlands', slug: null, m: 1.0 },
-  'DL': { name: 'Darlington', slug: null, m: 0.95 },
-  'DN': { name: 'Doncaster', slug: null, m: 0.95 },
-  'HU': { name: 'Hull', slug: 'hull', m: 0.95 },
-  'ST': { name: 'Stoke-on-Trent', slug: 'stoke-on-trent', m: 0.95 },
-  'TS': { name: 'Middlesbrough', slug: 'middlesbrough', m: 0.95 },
-  'BB': { name: 'Blackburn', slug: null, m: 0.95 },
-  'DH': { name: 'Durham', slug: null, m: 0.95 },
-  'HX': { name: 'Halifax', slug: null, m: 0.95 },
-  'TD': { name: 'Galashiels & Scottish Borders', slug: null, m: 0.95 },
-  'DG': { name: 'Dumfries & Galloway', slug: null, m: 0.95 },
-};
-
-const REGION_REASONS = {
-  1.55: 'Central London rates (ULEZ, parking permits, premium labour)',
-  1.35: 'Greater London rates (materials, labour, access costs)',
-  1.25: 'London-adjacent premium city rates',
-  1.15: 'Major city rates',
-  1.05: 'Above-average regional rates',
-  1:    'Standard UK rates',
-  0.95: 'Below-average regional rates'
-};
-
-// Central London is district-specific, so it is checked before the area map.
-const CENTRAL_LONDON_AREAS     = ['EC', 'WC'];
-const CENTRAL_LONDON_DISTRICTS = ['W1', 'SW1', 'SW3', 'SW5', 'SW7', 'SW10', 'SE1', 'N1', 'NW1', 'NW8'];
-
-// Outside the UK mainland trades market. Places returns nothing usable and the
-// cost model does not apply, so these are rejected rather than priced at 1.0.
-const OUT_OF_SCOPE_AREAS = ['GY', 'JE', 'IM'];
-
-// Location-based cost analysis
-// Postcode area is now the only input. addressComponents is retained in the
-// signature for the existing call site but is no longer read: the Google
-// postal_town fallback was the source of the third region vocabulary, and with
-// full area coverage above there is nothing left for it to catch.
-//
-// Unresolvable input still returns a usable 1.0 multiplier so the estimate saves
-// and volume is preserved, but region is null and regionResolved is false, so the
-// record can be cleanly excluded from regional demand reporting and the cost index.
-function analyzeLocationCost(addressComponents, rawPostcode) {
-  const unresolved = (resolutionReason) => ({
-    region: null,
-    regionSlug: null,
-    costMultiplier: 1.0,
-    costReason: 'UK average rates',
-    regionResolved: false,
-    resolutionReason
-  });
-
-  const parsed = parsePostcode(rawPostcode);
-  if (!parsed.valid) return unresolved('invalid_input');
-  if (OUT_OF_SCOPE_AREAS.includes(parsed.area)) return unresolved('out_of_scope');
-
-  if (CENTRAL_LONDON_AREAS.includes(parsed.area) || CENTRAL_LONDON_DISTRICTS.includes(parsed.districtNum)) {
-    return {
-      region: 'Central London',
-      regionSlug: 'london-central',
-      costMultiplier: 1.55,
-      costReason: REGION_REASONS[1.55],
-      regionResolved: true,
-      resolutionReason: 'matched'
-    };
-  }
-
-  const match = AREA_REGIONS[parsed.area];
-  if (match) {
-    return {
-      region: match.name,
-      regionSlug: match.slug,
-      costMultiplier: match.m,
-      costReason: REGION_REASONS[match.m],
-      regionResolved: true,
-      resolutionReason: 'matched'
-    };
-  }
-
-  // Valid postcode, unmapped area. Should not happen now the map is complete, but
-  // Royal Mail does add areas. Logged so it surfaces rather than failing silently.
-  console.warn('WARN unmapped postcode area:', parsed.area, '| district:', parsed.district);
-  return unresolved('uncovered_area');
-}
 // ── Location cost lookup — postcode only, no Places call ──
 // Used by the frontend to resolve a multiplier and show an estimate immediately,
 // before the contractor search completes. Falls back to 1.0 for unknown postcodes.
@@ -712,7 +396,8 @@ app.post('/api/location-cost', async (req, res) => {
     if (!locationData.regionResolved) {
       console.warn('WARN location-cost unresolved region:', parsed.district, '| reason:', locationData.resolutionReason);
     }
-    return res.json({ locationData, district: parsed.district });
+    const place = lookupPostcode(parsed.formatted);
+    return res.json({ locationData, district: parsed.district, geography: place.valid ? geographySummary(place) : null });
   } catch (error) {
     console.error('location-cost error:', error);
     return res.status(500).json({ error: 'Failed to resolve location cost' });
@@ -722,13 +407,18 @@ app.post('/api/location-cost', async (req, res) => {
 // Contractor click logging endpoint
 app.post('/api/contractor-click', async (req, res) => {
   try {
-    const { estimateId, placeId, contractorName, actionType, jobType, category, region, matchScore, estimateValue, postcodeDistrict, abVariant, leadId } = req.body;
+    const { estimateId, placeId, contractorName, actionType, jobType, category, region, matchScore, estimateValue, postcodeDistrict, abVariant, leadId, searchId } = req.body;
     if (!placeId || !contractorName || !actionType) {
       return res.status(400).json({ error: 'placeId, contractorName and actionType are required' });
     }
     if (!['call', 'website', 'map', 'shown', 'contact_requested'].includes(actionType)) {
       return res.status(400).json({ error: 'actionType must be call, website, map, shown, or contact_requested' });
     }
+    // searchId is optional, so older clients keep logging. It is kept only when
+    // that search served this contractor: ranking training joins on it, and
+    // everything else it learns from was logged by the server.
+    const servedSearchId = typeof searchId === 'string' && /^[\w-]{1,64}$/.test(searchId)
+      && await wasServed(searchId, placeId) ? searchId : null;
     const click = new ContractorClick({
       estimateId:       estimateId || null,
       placeId,
@@ -742,8 +432,10 @@ app.post('/api/contractor-click', async (req, res) => {
       postcodeDistrict: postcodeDistrict || null,
       abVariant:        abVariant || null,
       leadId:           leadId || null,
+      searchId:         servedSearchId,
     });
     await click.save();
+    recordContractorClick({ placeId, actionType, at: click.timestamp });
     console.log(`✅ Contractor click logged: ${contractorName} | ${actionType} | ${region || 'unknown'}`);
     return res.json({ success: true });
   } catch (error) {
@@ -765,270 +457,145 @@ app.post('/api/search-contractors', async (req, res) => {
       return res.status(400).json({ error: 'Location is required' });
     }
 
-    const postcodeValidation = await validateAndGeocodePostcode(userLocation);
-    
-    if (!postcodeValidation.valid) {
-      console.warn('⚠️ Postcode validation failed:', postcodeValidation.error, '| input:', userLocation);
+    // Paging and user filters (services/contractorSearch.js)
+    const { options, errors } = parseSearchOptions(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+    const { filters, pageSize } = options;
+
+    // One lookup for validation and the search centre: the bundled postcode
+    // dataset, with Google geocoding only for districts it does not list.
+    const place = await resolvePostcodeLocation(userLocation);
+
+    if (!place.valid) {
+      console.warn('⚠️ Postcode validation failed:', place.reason, '| input:', userLocation);
       return res.status(400).json({
         error: 'invalid_postcode',
         message: "We couldn't find that postcode. Please check it and try again."
       });
     }
 
-    const geocodingResponse = await googlePlacesClient.geocode({
-      params: {
-        address: userLocation + ', UK',
-        key: process.env.GOOGLE_PLACES_API_KEY
-      }
-    }).catch(err => {
-      console.warn('⚠️ Geocoding failed, using fallback:', err.message);
-      return {
-        data: {
-          results: [{
-            geometry: { location: postcodeValidation.location },
-            formatted_address: postcodeValidation.formattedAddress,
-            address_components: [
-              { long_name: 'United Kingdom', short_name: 'GB', types: ['country', 'political'] },
-              { long_name: 'England', short_name: 'England', types: ['administrative_area_level_1', 'political'] }
-            ]
-          }]
-        }
-      };
-    });
-
-    if (geocodingResponse.data.results.length === 0) {
-      console.warn('⚠️ No geocoding results, using validation data');
-      geocodingResponse.data.results = [{
-        geometry: { location: postcodeValidation.location },
-        formatted_address: postcodeValidation.formattedAddress,
-        address_components: [
-          { long_name: 'United Kingdom', short_name: 'GB', types: ['country', 'political'] },
-          { long_name: 'England', short_name: 'England', types: ['administrative_area_level_1', 'political'] }
-        ]
-      }];
-    }
-
-    const location = geocodingResponse.data.results[0].geometry.location;
-    const addressComponents = geocodingResponse.data.results[0].address_components;
-    
-    const locationDetails = analyzeLocationCost(addressComponents, userLocation);
-
-    // ── Job-type to Places type + keyword mapping ──
-    // Maps each job name to the most specific Google Places type available
-    // and a focused keyword so the search pool is relevant to the actual trade
-    const JOB_TYPE_MAP = {
-      // Plumbing
-      'Full Bathroom Installation': { placesType: 'plumber',            keyword: 'bathroom plumber' },
-      'Boiler Replacement':         { placesType: 'plumber',            keyword: 'boiler installation' },
-      'Radiator Installation':      { placesType: 'plumber',            keyword: 'plumber radiator' },
-      'Tap Leaks':                  { placesType: 'plumber',            keyword: 'plumber' },
-      'Toilet Repair':              { placesType: 'plumber',            keyword: 'plumber' },
-      'Radiator Repair':            { placesType: 'plumber',            keyword: 'plumber' },
-      // Electrical
-      'Full Rewire':                { placesType: 'electrician',        keyword: 'electrician rewire' },
-      'Consumer Unit Replacement':  { placesType: 'electrician',        keyword: 'electrician' },
-      'EV Charger Installation':    { placesType: 'electrician',        keyword: 'EV charger electrician' },
-      // Decoration
-      'Paint Room':                 { placesType: 'painter',            keyword: 'painter decorator' },
-      'Wallpaper Room':             { placesType: 'painter',            keyword: 'wallpaper decorator' },
-      'Floor Sanding & Varnishing': { placesType: 'general_contractor', keyword: 'floor sanding' },
-      // Building
-      'Single-Storey Extension':    { placesType: 'general_contractor', keyword: 'building contractor extension' },
-      'Double-Storey Extension':    { placesType: 'general_contractor', keyword: 'building contractor extension' },
-      'Loft Conversion':            { placesType: 'general_contractor', keyword: 'loft conversion contractor' },
-      'Loft Conversion (Dormer)':   { placesType: 'general_contractor', keyword: 'loft conversion contractor' },
-      'Plaster / Skim Room':        { placesType: 'general_contractor', keyword: 'plasterer' },
-      'Full House Re-skim':         { placesType: 'general_contractor', keyword: 'plasterer' },
-      'Kitchen Extension':          { placesType: 'general_contractor', keyword: 'kitchen extension builder' },
-      // Outdoor
-      'Garden Landscaping':         { placesType: 'general_contractor', keyword: 'landscaper garden' },
-      'Window Cleaning':            { placesType: 'general_contractor', keyword: 'window cleaner' },
-    };
+    const location = { lat: place.lat, lng: place.lng };
+    const locationDetails = analyzeLocationCost([], place.postcode);
 
-    const jobConfig = JOB_TYPE_MAP[jobType] || { placesType: 'general_contractor', keyword: `${jobType} contractor` };
+    const jobConfig = getActivePricingConfig().jobTypeMap[jobType] || { placesType: 'general_contractor', keyword: `${jobType} contractor` };
     const searchQuery = jobConfig.keyword;
     const fullQuery = `${searchQuery} near ${userLocation}`;
 
-    console.log(`Searching: "${fullQuery}" (type: ${jobConfig.placesType}, quality: ${quality}, scale: ${projectScale})`);
-
-    // ── Haversine distance helper (metres between two lat/lng points) ──
-    const haversineDistance = (lat1, lng1, lat2, lng2) => {
-      const R = 6371000;
-      const toRad = deg => deg * Math.PI / 180;
-      const dLat = toRad(lat2 - lat1);
-      const dLng = toRad(lng2 - lng1);
-      const a = Math.sin(dLat / 2) ** 2 +
-                Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
-      return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    };
-
-    // ── Quality tier to Google Places priceLevel affinity ──
-    // priceLevel: 0=free, 1=inexpensive, 2=moderate, 3=expensive, 4=very expensive
-    // A luxury-finish user should match with higher-priceLevel contractors and vice versa
-    const QUALITY_PRICE_AFFINITY = {
-      budget:   [0, 1],      // prefer inexpensive
-      standard: [1, 2],      // prefer moderate
-      premium:  [2, 3],      // prefer expensive
-      luxury:   [3, 4],      // prefer very expensive
-    };
-    const preferredPriceLevels = QUALITY_PRICE_AFFINITY[quality] || QUALITY_PRICE_AFFINITY.standard;
-
-    // ── Project scale thresholds for review weight adjustment ──
-    // Large projects (big extensions, full rewires, loft conversions) warrant
-    // contractors with more proven track records, so we increase the review count weight
-    const isLargeProject = projectScale >= 30; // 30m² or equivalent weighted rooms
-
-const response = await googlePlacesClient.placesNearby({
-  params: {
-    location: location,
-    radius: 25000,
-    keyword: searchQuery,
-    type: jobConfig.placesType,
-    key: process.env.GOOGLE_PLACES_API_KEY
-  }
-});
+    // Weight profile for this job (services/contractorRanking.js)
+    const rankingProfile = resolveRankingProfile({ jobType, category });
 
-const MIN_RATING = 4.0;
-const MIN_REVIEWS = 10;
-const RELAXED_MIN_RATING = 3.5;
-const RELAXED_MIN_REVIEWS = 3;
-
-const mapPlace = (place, qualityVerified) => ({
-  name: place.name,
-  address: place.formatted_address || place.vicinity || 'Address not available',
-  rating: place.rating || 0,
-  totalReviews: place.user_ratings_total || 0,
-  phoneNumber: place.formatted_phone_number || place.international_phone_number,
-  website: place.website,
-  location: place.geometry.location,
-  placeId: place.place_id,
-  openNow: place.opening_hours?.open_now,
-  priceLevel: place.price_level,
-  types: place.types,
-  qualityVerified
-});
+    console.log(`Searching: "${fullQuery}" (type: ${jobConfig.placesType}, quality: ${quality}, scale: ${projectScale}, ranking: ${profileId(rankingProfile)})`);
 
-let contractors = response.data.results
-  .filter(place => {
-    const rating = place.rating || 0;
-    const reviews = place.user_ratings_total || 0;
-    return rating >= MIN_RATING && reviews >= MIN_REVIEWS;
-  })
-  .map(place => mapPlace(place, true));
-
-let filtersUsed = { minimumRating: MIN_RATING, minimumReviews: MIN_REVIEWS, relaxed: false };
-
-if (contractors.length === 0) {
-  console.log('No contractors found with strict filters. Trying relaxed criteria...');
-  contractors = response.data.results
-    .filter(place => {
-      const rating = place.rating || 0;
-      const reviews = place.user_ratings_total || 0;
-      return rating >= RELAXED_MIN_RATING && reviews >= RELAXED_MIN_REVIEWS;
-    })
-    .map(place => mapPlace(place, false));
-  filtersUsed = { minimumRating: RELAXED_MIN_RATING, minimumReviews: RELAXED_MIN_REVIEWS, relaxed: true };
-}
+    const fingerprint = searchFingerprint({ jobType, district: place.district, quality, category, projectScale, filters, pageSize });
+    let cursor = null;
+    if (options.pageToken) {
+      cursor = decodePageToken(options.pageToken, fingerprint);
+      if (!cursor) {
+        return res.status(400).json({
+          error: 'invalid_page_token',
+          message: 'That page token is not from this search. Start the search again.'
+        });
+      }
+    }
 
-console.log(`Found ${contractors.length} contractors matching criteria`);
-
-// ── Scoring weights ──
-// Rating 30% | Reviews 15-20% | Relevance 15% | Proximity 20% | Quality affinity 10% | Presence 5%
-// Review weight scales up to 20% for large projects (more track record needed)
-const reviewWeight = isLargeProject ? 20 : 15;
-const ratingWeight = 30;
-const relevanceWeight = 15;
-const proximityWeight = 20;
-const qualityWeight = 10;
-const presenceWeight = 5;
-// Total always = 100: 30 + (15|20) + 15 + 20 + 10 + 5 = 95|100
-// For small projects the remaining 5 points roll into rating to keep total at 100
-const effectiveRatingWeight = isLargeProject ? ratingWeight : ratingWeight + 5;
-
-const scoredContractors = contractors.map(contractor => {
-  let score = 0;
-  const breakdown = {};
-
-  // 1. Rating (30% standard / 35% small projects)
-  const ratingScore = (contractor.rating / 5) * effectiveRatingWeight;
-  score += ratingScore;
-  breakdown.rating = ratingScore.toFixed(1);
-
-  // 2. Review count (15% standard / 20% large projects)
-  // Logarithmic — diminishing returns after ~100 reviews
-  const reviewScore = Math.min(Math.log10(contractor.totalReviews + 1) / 2, 1) * reviewWeight;
-  score += reviewScore;
-  breakdown.reviews = reviewScore.toFixed(1);
-
-  // 3. Relevance (15%) — keyword match against business name and Google types
-  let relevanceScore = 0;
-  const nameAndTypes = `${contractor.name} ${contractor.types.join(' ')}`.toLowerCase();
-  searchQuery.toLowerCase().split(' ').forEach(keyword => {
-    if (keyword.length > 3 && nameAndTypes.includes(keyword)) relevanceScore += 5;
-  });
-  relevanceScore = Math.min(relevanceScore, relevanceWeight);
-  score += relevanceScore;
-  breakdown.relevance = relevanceScore.toFixed(1);
-
-  // 4. Proximity (20%) — linear decay from 0km (full) to 25km (zero)
-  const distanceM = haversineDistance(
-    location.lat, location.lng,
-    contractor.location.lat, contractor.location.lng
-  );
-  const distanceKm = distanceM / 1000;
-  const proximityScore = Math.max(0, (1 - distanceKm / 25)) * proximityWeight;
-  score += proximityScore;
-  breakdown.proximity = `${proximityScore.toFixed(1)} (${distanceKm.toFixed(1)}km)`;
-
-  // 5. Quality affinity (10%) — price level match to user's chosen finish quality
-  // Full 10 pts if contractor priceLevel is in preferred range, 5 pts if adjacent, 0 otherwise
-  let qualityScore = 0;
-  if (contractor.priceLevel !== undefined && contractor.priceLevel !== null) {
-    if (preferredPriceLevels.includes(contractor.priceLevel)) {
-      qualityScore = qualityWeight;
-    } else if (
-      contractor.priceLevel === preferredPriceLevels[0] - 1 ||
-      contractor.priceLevel === preferredPriceLevels[1] + 1
-    ) {
-      qualityScore = qualityWeight / 2;
-    }
-  } else {
-    // No price level data — award half points rather than penalising
-    qualityScore = qualityWeight / 2;
-  }
-  score += qualityScore;
-  breakdown.quality = qualityScore.toFixed(1);
+    // Cached per job, postcode district, radius and results page (services/placesCache.js)
+    const nearbyPages = new Map();
+    const nearbyPage = (radiusKm, page) => {
+      const key = `${radiusKm}|${page}`;
+      if (!nearbyPages.has(key)) {
+        nearbyPages.set(key, cachedNearbySearch(googlePlacesClient, {
+          jobType,
+          district: place.district,
+          page,
+          params: {
+            location: location,
+            radius: Math.round(radiusKm * 1000),
+            keyword: searchQuery,
+            type: jobConfig.placesType,
+            ...(filters.openNow ? { opennow: true } : {})
+          },
+          // Fresh Google results also update the contractor directory
+          onFetch: results => recordPlacesResults({ results, jobType, district: place.district })
+        }));
+      }
+      return nearbyPages.get(key);
+    };
 
-  // 6. Professional presence (5%) — website and phone number
-  let presenceScore = 0;
-  if (contractor.website) presenceScore += 3;
-  if (contractor.phoneNumber) presenceScore += 2;
-  score += presenceScore;
-  breakdown.presence = presenceScore.toFixed(1);
+    const mapPlace = (place, qualityVerified) => ({
+      name: place.name,
+      address: place.formatted_address || place.vicinity || 'Address not available',
+      rating: place.rating || 0,
+      totalReviews: place.user_ratings_total || 0,
+      phoneNumber: place.formatted_phone_number || place.international_phone_number,
+      website: place.website,
+      location: place.geometry.location,
+      placeId: place.place_id,
+      openNow: place.opening_hours?.open_now,
+      priceLevel: place.price_level,
+      types: place.types,
+      qualityVerified
+    });
 
-  return {
-    ...contractor,
-    distanceKm: Math.round(distanceKm * 10) / 10,
-    matchScore: Math.round(score),
-    scoreBreakdown: breakdown
-  };
-});
+    // One Google results page filtered to a rating tier, ranked, and cut to the
+    // user's maximum distance.
+    const rankPage = (results, radiusKm, tier) => {
+      const ranked = rankContractors(
+        results.filter(p => passesTier(p, tier, filters)).map(p => mapPlace(p, tier.qualityVerified)),
+        { origin: location, searchQuery, quality, projectScale, profile: rankingProfile, searchRadiusKm: radiusKm }
+      );
+      return filters.maxDistanceKm === null ? ranked : ranked.filter(c => c.distanceKm <= filters.maxDistanceKm);
+    };
 
-    // Sort by match score
-    scoredContractors.sort((a, b) => b.matchScore - a.matchScore);
+    // First page: widen the radius, then relax the rating, until something is found
+    const plan = radiusPlan(place.area, filters.maxDistanceKm);
+    let exhausted = false;
+    if (!cursor) {
+      let chosen = null;
+      let totalFound = 0;
+      for (const radiusKm of plan.radiiKm) {
+        const first = await nearbyPage(radiusKm, 1);
+        totalFound = first.results.length;
+        const tier = RATING_TIERS.find(t => rankPage(first.results, radiusKm, t).length > 0);
+        if (tier) {
+          chosen = { radiusKm, tier: tier.name };
+          break;
+        }
+        console.log(`No contractors within ${radiusKm}km, even with relaxed criteria`);
+      }
+      const last = plan.radiiKm[plan.radiiKm.length - 1];
+      exhausted = !chosen;
+      cursor = { searchId: crypto.randomUUID(), resultsPage: 1, page: 1, offset: 0, shown: 0, totalFound, ...(chosen || { radiusKm: last, tier: RATING_TIERS[RATING_TIERS.length - 1].name }) };
+    }
+    const tier = getTier(cursor.tier);
+    const fallback = describeFallback({ radiusKm: cursor.radiusKm, tier, plan, exhausted });
+    if (fallback.applied.length > 0) console.log(`Contractor search fallback: ${fallback.applied.join(', ')} (${cursor.radiusKm}km)`);
+
+    // Later Google pages are best effort: a failed page ends the results.
+    // The cache status reported is that of the first Google page this response read.
+    let nearbyCache = null;
+    const loadBlock = async page => {
+      try {
+        const nearby = await nearbyPage(cursor.radiusKm, page);
+        if (!nearbyCache) nearbyCache = nearby.cache;
+        return { ranked: rankPage(nearby.results, cursor.radiusKm, tier), hasMore: nearby.hasMore };
+      } catch (pageError) {
+        if (page === 1) throw pageError;
+        console.warn(`Nearby Search page ${page} failed:`, pageError.message);
+        return { ranked: [], hasMore: false };
+      }
+    };
 
-    // Enrich top 5 with Place Details -- Nearby Search doesn't return website or phone
-    const top5 = scoredContractors.slice(0, 5);
-    const enriched = await Promise.all(top5.map(async (contractor) => {
+    // Nearby Search doesn't return website or phone: Place Details for each contractor served
+    const detailsCache = [];
+    const enrich = async (contractor) => {
       try {
-        const details = await googlePlacesClient.placeDetails({
-          params: {
-            place_id: contractor.placeId,
-            fields: ['website', 'formatted_phone_number', 'international_phone_number'],
-            key: process.env.GOOGLE_PLACES_API_KEY
-          }
-        });
-        const d = details.data.result;
+        const details = await cachedPlaceDetails(googlePlacesClient, contractor.placeId,
+          ['website', 'formatted_phone_number', 'international_phone_number'],
+          { onFetch: result => recordPlaceDetails(contractor.placeId, result) });
+        detailsCache.push(details.cache.status);
+        const d = details.result;
         return {
           ...contractor,
           website: d.website || contractor.website || null,
@@ -1038,25 +605,68 @@ const scoredContractors = contractors.map(contractor => {
         console.warn(`Place Details failed for ${contractor.name}:`, detailsError.message);
         return contractor;
       }
-    }));
-    console.log(`Place Details enrichment complete for ${enriched.length} contractors`);
-
-// Return top 5 contractors (enriched with website and phone from Place Details)
-res.json({
-  contractors: enriched,
-  searchQuery: fullQuery,
-  totalFound: response.data.results.length,
-  filters: filtersUsed,
-  locationData: locationDetails ? {
-    costMultiplier: locationDetails.costMultiplier,
-    costReason: locationDetails.costReason,
-    region: locationDetails.region,
-    regionSlug: locationDetails.regionSlug,
-    regionResolved: locationDetails.regionResolved,
-    resolutionReason: locationDetails.resolutionReason
-  } : null
-});
+    };
+
+    const { contractors, next } = await collectPage({
+      cursor,
+      pageSize,
+      loadBlock,
+      enrich,
+      requireWebsite: filters.hasWebsite
+    });
+    console.log(`Served ${contractors.length} contractors within ${cursor.radiusKm}km (${tier.name} rating filter, nearby cache: ${nearbyCache?.status ?? 'none'})`);
+
+    // What was served, as ranked, for ranking training. Not awaited: the search
+    // does not wait on it. The client only echoes searchId in /api/contractor-click.
+    recordSearchImpressions({
+      searchId: cursor.searchId,
+      page: cursor.resultsPage,
+      shownBefore: cursor.shown,
+      contractors,
+      jobType,
+      postcodeDistrict: place.district
+    });
 
+    // position carries on across the pages of one search
+    res.json({
+      contractors: contractors.map((contractor, i) => ({ ...contractor, position: cursor.shown + i + 1 })),
+      searchId: cursor.searchId,
+      searchQuery: fullQuery,
+      totalFound: cursor.totalFound,
+      filters: {
+        minimumRating: tierMinRating(tier, filters),
+        minimumReviews: tier.minReviews,
+        relaxed: tier.name === 'relaxed',
+        openNow: filters.openNow,
+        hasWebsite: filters.hasWebsite,
+        maxDistanceKm: filters.maxDistanceKm
+      },
+      fallback,
+      pagination: {
+        pageSize,
+        nextPageToken: next ? encodePageToken(next, fingerprint) : null
+      },
+      locationData: locationDetails ? {
+        costMultiplier: locationDetails.costMultiplier,
+        costReason: locationDetails.costReason,
+        region: locationDetails.region,
+        regionSlug: locationDetails.regionSlug,
+        regionResolved: locationDetails.regionResolved,
+        resolutionReason: locationDetails.resolutionReason,
+        resolutionLevel: locationDetails.resolutionLevel
+      } : null,
+      geography: geographySummary(place),
+      ranking: {
+        profile: profileId(rankingProfile),
+        description: rankingProfile.description,
+        weights: effectiveWeights(rankingProfile, projectScale)
+      },
+      cache: {
+        nearby: nearbyCache?.status ?? null,
+        fetchedAt: nearbyCache?.fetchedAt ?? null,
+        details: detailsCache.reduce((counts, status) => ({ ...counts, [status]: (counts[status] || 0) + 1 }), {})
+      }
+    });
   } catch (error) {
     console.error('Contractor search error:', error);
     res.status(500).json({ 
@@ -1068,11 +678,20 @@ res.json({
 
 const Estimate = require('./models/Estimate');
 const EstimateReview = require('./models/EstimateReview');
+const PhotoAnalysis = require('./models/PhotoAnalysis');
 
 // Import and mount leads routes
 const leadsRouter = require('./routes/leadsRoutes');
 app.use('/api/leads', leadsRouter);
 
+// Multi-job projects: several estimates bundled into one renovation
+const projectRoutes = require('./routes/projectRoutes');
+app.use('/api/projects', projectRoutes);
+
+// Asynchronous photo analysis: queue a job, poll it or receive a webhook
+const photoAnalysisJobRoutes = require('./routes/photoAnalysisJobRoutes');
+app.use('/api/photo-analysis-jobs', photoAnalysisJobRoutes);
+
 // Import and mount contractor registration routes (/for-contractors founding member form)
 const contractorRegistrationsRouter = require('./routes/contractorRegistrationsRoutes');
 app.use('/api/contractor-registrations', contractorRegistrationsRouter);
@@ -1113,6 +732,93 @@ app.get('/api/jobs/region-counts', async (req, res) => {
   }
 });
 
+// Server-side estimate calculation - the same maths /api/save-estimate uses to
+// check the totals App.js posts. Nothing is stored here; the frontend still saves
+// through /api/save-estimate once the user has an estimate to keep.
+app.post('/api/compute-estimate', async (req, res) => {
+  try {
+    const { category, jobType, inputType, projectSize, areaQuantity, quality, postcode, photoAnalysis, asOf } = req.body;
+
+    if (!jobType || typeof jobType !== 'string') {
+      return res.status(400).json({ error: 'Missing required fields', required: ['jobType'] });
+    }
+    // asOf prices the job at another date (YYYY-MM-DD): that month's price
+    // indices and the pricing configuration in force then.
+    if (asOf !== undefined && (typeof asOf !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(asOf))) {
+      return res.status(400).json({ error: 'asOf must be a date, YYYY-MM-DD' });
+    }
+
+    const reviewStats = await getReviewVarianceStats(jobType);
+    const result = computeEstimate({ jobType, projectSize, areaQuantity, quality, postcode, photoAnalysis, reviewStats, asOf });
+    if (!result.valid) {
+      console.warn('WARN compute-estimate rejected:', jobType, '| reason:', result.error);
+      return res.status(400).json({ error: result.error });
+    }
+    const boq = buildBillOfQuantities({ jobType, projectSize, estimate: result.estimate, photoAnalysis, locationData: result.locationData });
+
+    // inputType is the frontend's view of the job; the base rate's unit wins, but a
+    // mismatch means the two job catalogues have drifted and is worth seeing in logs.
+    if (inputType && inputType !== result.estimate.unit && !(inputType === 'area' && result.estimate.unit === 'sqm')) {
+      console.warn('WARN compute-estimate unit mismatch:', jobType, '| client:', inputType, '| server:', result.estimate.unit);
+    }
+
+    return res.json({
+      success: true,
+      category: category || null,
+      jobType,
+      estimate: result.estimate,
+      multipliers: result.multipliers,
+      rangeModel: result.rangeModel,
+      boq,
+      timeline: buildTimeline({ jobType, projectSize, quality, estimate: result.estimate, photoAnalysis, boq }),
+      rateKey: result.rateKey,
+      pricingConfigVersion: result.pricingConfigVersion,
+      locationData: result.locationData,
+      inflation: result.inflation
+    });
+  } catch (error) {
+    console.error('compute-estimate error:', error);
+    return res.status(500).json({ error: 'Failed to compute estimate' });
+  }
+});
+
+// Renovation ROI ranking for the ROI tool (services/roi.js). Takes a postcode or
+// district and an optional property value; returns the ranking with every
+// assumption used, so a result shown to a homeowner can be reproduced later.
+app.post('/api/roi', async (req, res) => {
+  try {
+    const { postcode, district, propertyValue, quality = 'standard' } = req.body;
+
+    const parsed = parsePostcode(district || postcode);
+    if (!parsed.valid) {
+      console.warn('WARN roi rejected:', JSON.stringify(district || postcode), '| reason:', parsed.reason);
+      return res.status(400).json({
+        error: 'invalid_postcode',
+        message: "We couldn't find that postcode. Please check it and try again."
+      });
+    }
+
+    let value = null;
+    if (propertyValue !== undefined && propertyValue !== null && propertyValue !== '') {
+      value = Number(propertyValue);
+      if (isNaN(value) || value < 20000 || value > 20000000) {
+        return res.status(400).json({ error: 'propertyValue must be between 20,000 and 20,000,000' });
+      }
+    }
+
+    if (!QUALITY_MULTIPLIERS[quality]) {
+      return res.status(400).json({ error: 'invalid_quality', validQualities: Object.keys(QUALITY_MULTIPLIERS) });
+    }
+
+    const roi = computeRoi({ district: parsed.district, propertyValue: value, quality });
+    console.log('📈 ROI ranked for', parsed.district, '— top:', roi.topRenovation, '| value basis:', roi.assumptions.propertyValueBasis);
+    return res.json({ success: true, ...roi });
+  } catch (error) {
+    console.error('roi error:', error);
+    return res.status(500).json({ error: 'Failed to compute ROI' });
+  }
+});
+
 // Save estimate endpoint - UPDATED to handle projectSize
 app.post('/api/save-estimate', async (req, res) => {
   try {
@@ -1131,9 +837,20 @@ app.post('/api/save-estimate', async (req, res) => {
       multipliers,
       contractors,
       source,
-      abVariant
+      abVariant,
+      areaSource         // 'photo-derived' when the user accepted the photo area suggestion
     } = req.body;
 
+    // Stored analysis behind photoAnalysis, sent on its own or inside the analysis result
+    const photoAnalysisId = req.body.photoAnalysisId || photoAnalysis?.photoAnalysisId || null;
+    if (photoAnalysisId && !mongoose.Types.ObjectId.isValid(photoAnalysisId)) {
+      return res.status(400).json({ error: 'Invalid photoAnalysisId' });
+    }
+
+    if (areaSource && !['user-entered', 'photo-derived'].includes(areaSource)) {
+      return res.status(400).json({ error: 'Invalid areaSource', validAreaSources: ['user-entered', 'photo-derived'] });
+    }
+
     // Validation
     if (!category || !jobType || !estimate) {
       return res.status(400).json({ 
@@ -1162,6 +879,22 @@ app.post('/api/save-estimate', async (req, res) => {
       });
     }
 
+    // Area provenance, for comparing photo-derived and typed areas against reviews.
+    // The suggestion is read from the stored analysis, not trusted from the client.
+    const resolvedAreaSource = areaQuantity ? (areaSource || 'user-entered') : null;
+    let areaSuggestion = null;
+    if (areaQuantity && photoAnalysisId) {
+      const storedAnalysis = await PhotoAnalysis.findById(photoAnalysisId, { areaSuggestion: 1 }).lean();
+      const suggestion = storedAnalysis?.areaSuggestion;
+      areaSuggestion = suggestion ? {
+        areaQuantity: suggestion.areaQuantity,
+        low:          suggestion.low,
+        high:         suggestion.high,
+        measure:      suggestion.measure,
+        confidence:   suggestion.confidence
+      } : null;
+    }
+
     // Hash the postcode (ANONYMIZATION)
     const locationHash = hashPostcode(userLocation);
 
@@ -1172,6 +905,19 @@ app.post('/api/save-estimate', async (req, res) => {
     const parsedLocation = parsePostcode(userLocation);
     const district = parsedLocation.valid ? parsedLocation.district : null;
 
+    // Recompute server-side and flag (not reject) totals that disagree. Rejecting
+    // would lose the estimate entirely if the frontend catalogue is simply ahead of ours.
+    const pricingCheck = checkClientTotal(estimate, { jobType, projectSize, areaQuantity, quality, postcode: userLocation, photoAnalysis });
+    if (pricingCheck?.flagged) {
+      console.warn('⚠️ Estimate total mismatch:', jobType, '| client:', pricingCheck.clientTotal, '| server:', pricingCheck.serverTotal, '| deviation:', pricingCheck.deviationPct + '%');
+    }
+
+    // Every stored estimate carries a low/likely/high range around the total it stores.
+    const range = await rangeForEstimate({ jobType, total: estimate.total, quality, photoAnalysis, locationData });
+    const estimateWithRange = { ...estimate, low: range.low, high: range.high };
+    const boq = buildBillOfQuantities({ jobType, projectSize, estimate, photoAnalysis, locationData });
+    const timeline = buildTimeline({ jobType, projectSize, quality, estimate, photoAnalysis, boq });
+
     console.log('🔒 Anonymizing postcode:');
     console.log('  Original:', userLocation);
     console.log('  Hashed:', locationHash);
@@ -1191,9 +937,17 @@ app.post('/api/save-estimate', async (req, res) => {
     }).sort({ createdAt: -1 });
 
     if (recentDuplicate) {
-      recentDuplicate.estimate = estimate;
+      recentDuplicate.estimate = estimateWithRange;
+      recentDuplicate.rangeModel = range.model;
+      recentDuplicate.boq = boq;
+      recentDuplicate.timeline = timeline;
       recentDuplicate.multipliers = multipliers;
       recentDuplicate.quality = quality;
+      recentDuplicate.areaQuantity = areaQuantity || null;
+      recentDuplicate.areaSource = resolvedAreaSource;
+      recentDuplicate.areaSuggestion = areaSuggestion;
+      recentDuplicate.pricingCheck = pricingCheck;
+      recentDuplicate.pricingConfigVersion = getActivePricingConfig().version;
       recentDuplicate.locationData = {
         region:           locationData?.region ?? null,
         regionSlug:       locationData?.regionSlug ?? null,
@@ -1201,9 +955,11 @@ app.post('/api/save-estimate', async (req, res) => {
         costMultiplier:   locationData?.costMultiplier ?? 1.0,
         costReason:       locationData?.costReason ?? 'UK average rates',
         regionResolved:   locationData?.regionResolved ?? false,
-        resolutionReason: locationData?.resolutionReason ?? 'invalid_input'
+        resolutionReason: locationData?.resolutionReason ?? 'invalid_input',
+        resolutionLevel:  RESOLUTION_LEVELS.includes(locationData?.resolutionLevel) ? locationData.resolutionLevel : null
       };
       await recentDuplicate.save();
+      await linkPhotoAnalysis(photoAnalysisId, recentDuplicate._id);
       console.log('♻️ Duplicate estimate collapsed into', recentDuplicate._id.toString());
       return res.json({
         success: true,
@@ -1225,6 +981,8 @@ app.post('/api/save-estimate', async (req, res) => {
       // Input details - UPDATED
       projectSize: projectSize || null,  // Store single project size for room-based jobs
       areaQuantity: areaQuantity || null, // Store quantity for area/unit-based jobs
+      areaSource: resolvedAreaSource,
+      areaSuggestion,
       
       // Location (ANONYMIZED)
       locationHash: locationHash,  // Hashed, not actual postcode
@@ -1236,7 +994,8 @@ app.post('/api/save-estimate', async (req, res) => {
         costMultiplier:   locationData?.costMultiplier ?? 1.0,
         costReason:       locationData?.costReason ?? 'UK average rates',
         regionResolved:   locationData?.regionResolved ?? false,
-        resolutionReason: locationData?.resolutionReason ?? 'invalid_input'
+        resolutionReason: locationData?.resolutionReason ?? 'invalid_input',
+        resolutionLevel:  RESOLUTION_LEVELS.includes(locationData?.resolutionLevel) ? locationData.resolutionLevel : null
         // Still not stored: city, full postcode
       },
       
@@ -1252,11 +1011,24 @@ app.post('/api/save-estimate', async (req, res) => {
         materials: photoAnalysis.materials
       } : null,
       
-      // Estimate results
-      estimate,
+      // Estimate results, with the server-computed low/high range
+      estimate: estimateWithRange,
+      rangeModel: range.model,
+
+      // Itemised materials, labour days and contingency behind the total
+      boq,
+
+      // Phased project plan built from the BoQ labour days
+      timeline,
       
       // Multipliers
       multipliers,
+
+      // Server recomputation of the total, null when the job type has no base rate
+      pricingCheck,
+
+      // PricingConfig version in force when this estimate was saved
+      pricingConfigVersion: getActivePricingConfig().version,
       
       // Source article (from ?ref= param — not personal data)
       source: source || null,
@@ -1267,9 +1039,12 @@ app.post('/api/save-estimate', async (req, res) => {
       // Contractors (top 5 only - public business data)
       contractorsShown: contractors ? contractors.slice(0, 5).map(c => ({
         name: c.name,
+        placeId: typeof c.placeId === 'string' ? c.placeId : null,
         rating: c.rating,
         totalReviews: c.totalReviews,
-        matchScore: c.matchScore
+        matchScore: c.matchScore,
+        // Only ids the server knows, since the list comes back from the client
+        rankingProfile: getRankingProfile(c.rankingProfile) ? c.rankingProfile : null
       })) : []
       
       // NO PERSONAL DATA:
@@ -1280,6 +1055,7 @@ app.post('/api/save-estimate', async (req, res) => {
 
     // Save to database
     const savedEstimate = await newEstimate.save();
+    await linkPhotoAnalysis(photoAnalysisId, savedEstimate._id);
     
     // Increment global usage counter
     await incrementGlobalUsage();
@@ -1333,6 +1109,11 @@ app.patch('/api/save-estimate/:id', async (req, res) => {
       });
     }
 
+    const photoAnalysisId = req.body.photoAnalysisId || photoAnalysis?.photoAnalysisId || null;
+    if (photoAnalysisId && !mongoose.Types.ObjectId.isValid(photoAnalysisId)) {
+      return res.status(400).json({ error: 'Invalid photoAnalysisId' });
+    }
+
     // A corrected or completed postcode arriving after the first save must update the
     // region, not leave the original (possibly unresolved) one in place.
     let locationPatch = {};
@@ -1347,17 +1128,69 @@ app.patch('/api/save-estimate/:id', async (req, res) => {
           costMultiplier:   locationData?.costMultiplier ?? 1.0,
           costReason:       locationData?.costReason ?? 'UK average rates',
           regionResolved:   locationData?.regionResolved ?? false,
-          resolutionReason: locationData?.resolutionReason ?? 'invalid_input'
+          resolutionReason: locationData?.resolutionReason ?? 'invalid_input',
+          resolutionLevel:  RESOLUTION_LEVELS.includes(locationData?.resolutionLevel) ? locationData.resolutionLevel : null
         }
       };
     }
 
+    // The PATCH only carries what changed, so the rest of the pricing input comes from
+    // the stored record. The full postcode is never stored; the outward code prices the same.
+    const existing = await Estimate.findById(id, {
+      jobType: 1, projectSize: 1, areaQuantity: 1, quality: 1, locationData: 1, photoAnalysis: 1, createdAt: 1
+    }).lean();
+    if (!existing) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    const pricingCheck = checkClientTotal(estimate, {
+      jobType:      existing.jobType,
+      projectSize:  existing.projectSize,
+      areaQuantity: existing.areaQuantity,
+      quality:      quality || existing.quality,
+      postcode:     userLocation || existing.locationData?.district,
+      photoAnalysis,
+      asOf:         existing.createdAt
+    });
+    if (pricingCheck?.flagged) {
+      console.warn('⚠️ Estimate total mismatch on update:', id, '| client:', pricingCheck.clientTotal, '| server:', pricingCheck.serverTotal, '| deviation:', pricingCheck.deviationPct + '%');
+    }
+
+    const range = await rangeForEstimate({
+      jobType:      existing.jobType,
+      total:        estimate.total,
+      quality:      quality || existing.quality,
+      photoAnalysis,
+      locationData: locationPatch.locationData || existing.locationData
+    });
+
+    const boq = buildBillOfQuantities({
+      jobType:       existing.jobType,
+      projectSize:   existing.projectSize,
+      estimate,
+      photoAnalysis: photoAnalysis || existing.photoAnalysis,
+      locationData:  locationPatch.locationData || existing.locationData
+    });
+
     const updated = await Estimate.findByIdAndUpdate(
       id,
       {
         $set: {
-          estimate,
+          estimate: { ...estimate, low: range.low, high: range.high },
+          rangeModel: range.model,
+          boq,
+          timeline: buildTimeline({
+            jobType:     existing.jobType,
+            projectSize: existing.projectSize,
+            quality:     quality || existing.quality,
+            estimate,
+            photoAnalysis: photoAnalysis || existing.photoAnalysis,
+            boq
+          }),
           multipliers,
+          pricingCheck,
+          // The version that priced it as of createdAt, as the check used
+          pricingConfigVersion: pricingCheck?.pricingConfigVersion ?? getActivePricingConfig().version,
           ...locationPatch,
           ...(quality ? { quality } : {}),
           photoAnalysis: photoAnalysis ? {
@@ -1376,6 +1209,13 @@ app.patch('/api/save-estimate/:id', async (req, res) => {
       return res.status(404).json({ error: 'Estimate not found' });
     }
 
+    await linkPhotoAnalysis(photoAnalysisId, updated._id);
+
+    // A line item changed, so the project's combined total has too
+    if (updated.projectId) {
+      await refreshProject(updated.projectId).catch(err => console.error('❌ Project refresh failed:', err.message));
+    }
+
     console.log('✅ Estimate updated with photo analysis:', id);
     res.json({ success: true, estimateId: updated._id });
 
@@ -1397,13 +1237,33 @@ app.get('/api/estimate/:id', async (req, res) => {
     const estimate = await Estimate.findByIdAndUpdate(
       id,
       { $inc: { viewCount: 1 } },
-      { new: true, strict: false, lean: true }
+      // Counters leave updatedAt alone: it versions the estimate's content (PDF cache)
+      { new: true, strict: false, lean: true, timestamps: false }
     );
 
     if (!estimate) {
       return res.status(404).json({ error: 'Estimate not found' });
     }
 
+    // Estimates saved before ranges existed get one computed on read (prior only,
+    // no review lookup) so permalinks always show low/high. Not persisted.
+    if (estimate.estimate?.total && estimate.estimate.low == null) {
+      const range = computeRange({
+        total:         estimate.estimate.total,
+        quality:       estimate.quality,
+        photoAnalysis: estimate.photoAnalysis,
+        locationData:  estimate.locationData
+      });
+      estimate.estimate.low  = range.low;
+      estimate.estimate.high = range.high;
+      estimate.rangeModel    = range.model;
+    }
+
+    // Same for the bill of quantities on estimates saved before it existed.
+    if (estimate.estimate?.total && !estimate.boq) {
+      estimate.boq = buildBillOfQuantities(estimate);
+    }
+
     console.log('👁 Estimate viewed:', id, '— viewCount:', estimate.viewCount);
     res.json({ success: true, estimate });
   } catch (error) {
@@ -1412,6 +1272,104 @@ app.get('/api/estimate/:id', async (req, res) => {
   }
 });
 
+// Project timeline for an estimate (services/timeline.js). Estimates saved before
+// timelines existed get one generated and stored on first request.
+app.get('/api/estimate/:id/timeline', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || id.length !== 24) {
+      return res.status(400).json({ error: 'Invalid estimate ID' });
+    }
+
+    const estimate = await Estimate.findById(id, {
+      jobType: 1, jobName: 1, projectSize: 1, quality: 1, estimate: 1, photoAnalysis: 1, locationData: 1, boq: 1, timeline: 1
+    }).lean();
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    let timeline = estimate.timeline;
+    if (!timeline?.phases?.length) {
+      timeline = buildTimeline(estimate);
+      if (!timeline) {
+        return res.status(404).json({ error: 'No timeline for this estimate' });
+      }
+      await Estimate.updateOne({ _id: id }, { $set: { timeline } }, { timestamps: false });
+      console.log('🗓️ Timeline generated for estimate:', id);
+    }
+
+    res.json({ success: true, estimateId: id, jobName: estimate.jobName, timeline });
+  } catch (error) {
+    console.error('❌ Error fetching timeline:', error);
+    res.status(500).json({ error: 'Failed to fetch timeline' });
+  }
+});
+
+// Bill of quantities as a CSV download. Does not count as a view.
+app.get('/api/estimate/:id/boq.csv', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || id.length !== 24) {
+      return res.status(400).json({ error: 'Invalid estimate ID' });
+    }
+
+    const estimate = await Estimate.findById(id, {
+      jobType: 1, jobName: 1, projectSize: 1, estimate: 1, photoAnalysis: 1, locationData: 1, boq: 1
+    }).lean();
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    const boq = estimate.boq || buildBillOfQuantities(estimate);
+    if (!boq) {
+      return res.status(404).json({ error: 'No bill of quantities for this estimate' });
+    }
+
+    const slug = (estimate.jobName || estimate.jobType || 'estimate').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${slug}-bill-of-quantities-${id}.csv"`);
+    console.log('📄 BoQ CSV downloaded:', id);
+    return res.send(boqToCsv(boq));
+  } catch (error) {
+    console.error('❌ Error exporting bill of quantities:', error);
+    return res.status(500).json({ error: 'Failed to export bill of quantities' });
+  }
+});
+
+// Branded PDF report (services/pdfReport.js), cached per estimate version.
+// Does not count as a view. ETag is the version, so a browser re-download of an
+// unchanged estimate gets a 304.
+app.get('/api/estimate/:id/pdf', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || id.length !== 24) {
+      return res.status(400).json({ error: 'Invalid estimate ID' });
+    }
+
+    const pdf = await getEstimatePdf(id);
+    if (!pdf) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    const etag = `"${id}-${pdf.version}"`;
+    res.setHeader('ETag', etag);
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${req.query.download === '1' ? 'attachment' : 'inline'}; filename="${pdf.filename}"`);
+    return res.send(pdf.buffer);
+  } catch (error) {
+    if (error instanceof PdfUnavailableError) {
+      console.error('❌ PDF unavailable:', error.message);
+      return res.status(503).json({ error: 'PDF reports are temporarily unavailable' });
+    }
+    console.error('❌ Error rendering estimate PDF:', error);
+    return res.status(500).json({ error: 'Failed to render estimate PDF' });
+  }
+});
+
 // Record a share action on an estimate
 app.patch('/api/estimate/:id/share', async (req, res) => {
   try {
@@ -1425,7 +1383,7 @@ app.patch('/api/estimate/:id/share', async (req, res) => {
         $set: { sharedAt: new Date() },
         $inc: { shareCount: 1 }
       },
-      { new: true, strict: false }
+      { new: true, strict: false, timestamps: false }
     );
     if (!updated) return res.status(404).json({ error: 'Estimate not found' });
     console.log('🔗 Estimate shared:', id, '— shareCount:', updated.shareCount);
@@ -1757,6 +1715,34 @@ const Annotation = require('./models/Annotation');
 const costIndexRoutes = require('./routes/costIndexRoutes');
 app.use('/api/cost-index', costIndexRoutes);
 
+// Public Cost Index open data: per-month JSON/CSV, Atom/RSS feeds, embeddable charts
+const costIndexOpenDataRoutes = require('./routes/costIndexOpenDataRoutes');
+app.use('/api/open-data/cost-index', costIndexOpenDataRoutes);
+
+// Pricing calibration proposals from EstimateReview data (approve/reject workflow)
+const calibrationRoutes = require('./routes/calibrationRoutes');
+app.use('/api/admin/calibration', calibrationRoutes);
+
+// Versioned pricing configuration: base rates, regional multipliers, job type map
+const pricingConfigRoutes = require('./routes/pricingConfigRoutes');
+app.use('/api/admin/pricing-config', pricingConfigRoutes);
+
+// Monthly construction price indices applied to base rates by pricing date
+const inflationRoutes = require('./routes/inflationRoutes');
+app.use('/api/admin/inflation-indices', inflationRoutes);
+
+// Google Places cache behind the contractor search: hit metrics and invalidation
+const placesCacheRoutes = require('./routes/placesCacheRoutes');
+app.use('/api/admin/places-cache', placesCacheRoutes);
+
+// Contractor directory built from Places results and registrations: search, verify, merge
+const contractorRoutes = require('./routes/contractorRoutes');
+app.use('/api/admin/contractors', contractorRoutes);
+
+// Contractor ranking weights learned from click-through (approve/reject/retire workflow)
+const rankingRoutes = require('./routes/rankingRoutes');
+app.use('/api/admin/ranking', rankingRoutes);
+
 // POST — log a new intervention
 app.post('/api/admin/annotations', async (req, res) => {
   const providedSecret = req.headers['x-reindex-secret'] || req.query.secret;
@@ -2095,4 +2081,5 @@ app.post('/api/subscribe', async (req, res) => {
 
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
+  startPhotoAnalysisWorker();
 });
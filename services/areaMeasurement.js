@@ -0,0 +1,87 @@
+// services/areaMeasurement.js
+// Floor and wall areas read off the photos, turned into a proposed areaQuantity
+// for jobs priced per sqm, so homeowners are not left guessing.
+//
+// The vision model reports each area as a low/likely/high band and names the
+// reference objects it scaled from (doors, sockets, tiles, bricks). A band with
+// no width is given one from the model's confidence. A proposal is only made
+// when the job is priced per sqm, the relevant area was measured and the model
+// was at least MIN_AREA_CONFIDENCE sure; otherwise the user enters the area.
+//
+// Estimates record whether their areaQuantity was 'photo-derived' or
+// 'user-entered' (Estimate.areaSource), and the calibration report compares
+// review variance between the two (services/calibration.js).
+
+const { resolveBaseRate } = require('./pricingEngine');
+
+// Which area prices each sqm job. null: the area cannot be seen in photos (an
+// extension that is not built yet). Unlisted sqm jobs use the floor area.
+const AREA_MEASURES = {
+  'floor-sanding':           'floor',
+  'garden-landscaping':      'floor',   // ground area; the prompt counts garden ground as floor
+  'single-storey-extension': null,
+  'double-storey-extension': null,
+  'kitchen-extension':       null
+};
+
+const AREA_LIMIT_SQM = 500;
+const MIN_AREA_CONFIDENCE = 40;
+
+// Band half-width as a share of the likely value when the model gave none:
+// 15% at full confidence, widening to 50% at none.
+function defaultBandPct(confidence) {
+  return 0.15 + 0.35 * (1 - (confidence ?? 0) / 100);
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function positiveArea(value) {
+  const n = Number(value);
+  return value != null && isFinite(n) && n > 0 && n <= AREA_LIMIT_SQM ? n : null;
+}
+
+// Model output (a number or { low, likely, high }) -> ordered band, or null.
+function cleanAreaBand(raw, confidence) {
+  const likely = positiveArea(typeof raw === 'object' && raw !== null ? raw.likely : raw);
+  if (likely == null) return null;
+  const pct = defaultBandPct(confidence);
+  let low = positiveArea(raw?.low) ?? likely * (1 - pct);
+  let high = positiveArea(raw?.high) ?? likely * (1 + pct);
+  low = Math.min(low, likely);
+  high = Math.max(high, likely);
+  return { low: round1(low), likely: round1(likely), high: round1(high) };
+}
+
+// Proposed areaQuantity for this job from an analysis, or null when there is none.
+function proposeAreaQuantity(analysis, jobType) {
+  const rate = resolveBaseRate(jobType);
+  if (!rate || rate.unit !== 'sqm') return null;
+
+  const measure = rate.key in AREA_MEASURES ? AREA_MEASURES[rate.key] : 'floor';
+  if (!measure) return null;
+
+  const area = analysis?.area;
+  const band = area?.[`${measure}AreaSqm`];
+  const confidence = area?.confidence ?? analysis?.confidence ?? 0;
+  if (!band || confidence < MIN_AREA_CONFIDENCE) return null;
+
+  return {
+    areaQuantity: Math.round(band.likely),
+    low: band.low,
+    high: band.high,
+    measure,
+    unit: 'sqm',
+    confidence,
+    referenceObjects: area.referenceObjects || [],
+    source: 'photo-derived'
+  };
+}
+
+module.exports = {
+  cleanAreaBand,
+  proposeAreaQuantity,
+  AREA_MEASURES,
+  MIN_AREA_CONFIDENCE
+};
@@ -0,0 +1,161 @@
+// services/billOfQuantities.js
+// Itemised bill of quantities (BoQ) for an estimate: what the materials figure
+// buys, which trades the labour figure pays for and for how many days, and a
+// recommended contingency.
+//
+// The BoQ explains an estimate; it never re-prices one. Material lines split the
+// estimate's materials figure by the template shares in utils/boqTemplates.js and
+// labour lines split its labour figure by trade, so the lines always add up to
+// exactly the stored total. Materials from photo analysis are matched to template
+// lines by keyword and noted on them; anything unmatched is listed under sundries.
+
+const { createObjectCsvStringifier } = require('csv-writer');
+const { resolveBaseRate, PROJECT_SIZE_MULTIPLIERS } = require('./pricingEngine');
+const { BOQ_TEMPLATES, GENERIC_TEMPLATE, TRADE_DAY_RATES } = require('../utils/boqTemplates');
+
+const BOQ_VERSION = 'boq-v1';
+
+// Extra contingency when photo analysis found problems that will affect cost.
+const DETECTED_ISSUES_CONTINGENCY_PCT = 5;
+
+// Units counted in whole numbers; everything else (sqm, m, litre...) keeps one decimal.
+// A 'set' is one lot for the job and never scales.
+const WHOLE_UNITS = ['item', 'set', 'point', 'roll', 'bag'];
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Splits `amount` by shares, putting the rounding remainder on the largest share
+// so the parts sum to the whole.
+function splitByShare(amount, shares) {
+  const parts = shares.map(s => Math.round(amount * s));
+  const largest = shares.indexOf(Math.max(...shares));
+  parts[largest] += amount - parts.reduce((sum, p) => sum + p, 0);
+  return parts;
+}
+
+function buildBillOfQuantities({ jobType, projectSize, estimate, photoAnalysis, locationData }) {
+  const total = Math.round(Number(estimate?.total) || 0);
+  if (total <= 0) return null;
+
+  const rate = resolveBaseRate(jobType);
+  const template = (rate && BOQ_TEMPLATES[rate.key]) || GENERIC_TEMPLATE;
+
+  const labour = Math.round(estimate.labour ?? total * (rate?.labourShare ?? 0.5));
+  const materials = Math.round(estimate.materials ?? total - labour);
+
+  // Area jobs already carry their size in quantity; room and unit jobs scale by project size.
+  const jobQuantity = Number(estimate.quantity) || 1;
+  const sizeFactor = rate?.unit === 'sqm' ? 1 : (PROJECT_SIZE_MULTIPLIERS[projectSize] || 1);
+  const locationMultiplier = locationData?.costMultiplier || 1;
+
+  const photoMaterials = (photoAnalysis?.materials || [])
+    .filter(m => typeof m === 'string' && m.trim())
+    .map(m => m.trim());
+  const matched = new Set();
+
+  const materialAmounts = splitByShare(materials, template.materials.map(m => m.share));
+  const materialItems = template.materials.map((line, i) => {
+    const raw = line.fixed || line.unit === 'set' ? line.qty : line.qty * jobQuantity * sizeFactor;
+    const quantity = WHOLE_UNITS.includes(line.unit) ? Math.max(1, Math.ceil(raw)) : Math.max(0.1, round1(raw));
+    const fromPhotos = photoMaterials.filter(m => (line.keywords || []).some(k => m.toLowerCase().includes(k)));
+    fromPhotos.forEach(m => matched.add(m));
+
+    return {
+      type: 'material',
+      description: line.description,
+      unit: line.unit,
+      quantity,
+      unitRate: round2(materialAmounts[i] / quantity),
+      amount: materialAmounts[i],
+      source: fromPhotos.length > 0 ? 'photo' : 'template',
+      note: fromPhotos.length > 0 ? `Seen in photos: ${fromPhotos.join(', ')}` : null,
+      sundries: !!line.sundries
+    };
+  });
+
+  const unmatched = photoMaterials.filter(m => !matched.has(m));
+  const sundries = materialItems.find(i => i.sundries);
+  if (unmatched.length > 0 && sundries) {
+    sundries.source = 'photo';
+    sundries.note = `Includes items seen in photos: ${unmatched.join(', ')}`;
+  }
+
+  const labourAmounts = splitByShare(labour, template.labour.map(l => l.share));
+  const labourItems = template.labour.map((line, i) => {
+    const dayRate = Math.round((TRADE_DAY_RATES[line.trade] || TRADE_DAY_RATES.builder) * locationMultiplier);
+    const days = Math.max(0.5, round1(labourAmounts[i] / dayRate));
+    return {
+      type: 'labour',
+      description: line.trade.charAt(0).toUpperCase() + line.trade.slice(1),
+      unit: 'day',
+      quantity: days,
+      unitRate: dayRate,
+      amount: labourAmounts[i],
+      source: 'template',
+      note: null
+    };
+  });
+
+  const issues = photoAnalysis?.detectedIssues || [];
+  const contingencyPct = template.contingencyPct + (issues.length > 0 ? DETECTED_ISSUES_CONTINGENCY_PCT : 0);
+  const contingencyAmount = Math.round(total * contingencyPct / 100);
+
+  return {
+    version: BOQ_VERSION,
+    rateKey: rate ? rate.key : null,
+    items: [...materialItems.map(({ sundries: _, ...item }) => item), ...labourItems],
+    labourDays: round1(labourItems.reduce((sum, i) => sum + i.quantity, 0)),
+    contingency: {
+      pct: contingencyPct,
+      amount: contingencyAmount,
+      reason: issues.length > 0
+        ? `Includes +${DETECTED_ISSUES_CONTINGENCY_PCT}% for issues seen in photos`
+        : 'Recommended allowance for unforeseen work, not included in the estimate total'
+    },
+    totals: {
+      materials,
+      labour,
+      estimate: materials + labour,
+      contingency: contingencyAmount,
+      withContingency: materials + labour + contingencyAmount
+    }
+  };
+}
+
+// CSV download of a stored BoQ: one row per line item, then the totals.
+function boqToCsv(boq) {
+  const csv = createObjectCsvStringifier({
+    header: [
+      { id: 'type',        title: 'Type' },
+      { id: 'description', title: 'Description' },
+      { id: 'quantity',    title: 'Quantity' },
+      { id: 'unit',        title: 'Unit' },
+      { id: 'unitRate',    title: 'Unit rate (GBP)' },
+      { id: 'amount',      title: 'Amount (GBP)' },
+      { id: 'note',        title: 'Notes' }
+    ]
+  });
+
+  const rows = boq.items.map(i => ({ ...i, note: i.note || '' }));
+  rows.push(
+    { type: 'total', description: 'Materials',  amount: boq.totals.materials },
+    { type: 'total', description: 'Labour',     amount: boq.totals.labour, quantity: boq.labourDays, unit: 'day' },
+    { type: 'total', description: 'Estimate total', amount: boq.totals.estimate },
+    { type: 'total', description: `Contingency (${boq.contingency.pct}%)`, amount: boq.totals.contingency, note: boq.contingency.reason },
+    { type: 'total', description: 'Total with contingency', amount: boq.totals.withContingency }
+  );
+
+  return csv.getHeaderString() + csv.stringifyRecords(rows);
+}
+
+module.exports = {
+  buildBillOfQuantities,
+  boqToCsv,
+  BOQ_VERSION
+};
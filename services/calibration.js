@@ -0,0 +1,316 @@
+// services/calibration.js
+// Accuracy feedback loop. Joins EstimateReview records (the homeowner's actual
+// cost) to the Estimates they reviewed, measures where pricing is biased, and
+// turns that into a CalibrationProposal for an admin to approve or reject.
+//
+// Method:
+//   - Only reviews with a variancePct inside the window count, of estimates
+//     priced under the active pricing version. variancePct is
+//     (actual - estimated) / estimated, so +10 means homeowners paid 10% more.
+//   - jobType bias is the median variancePct per jobType. Median, not mean: one
+//     homeowner quoting the cost of a whole renovation should not move a rate.
+//   - Region bias is measured on residuals (variancePct minus the jobType
+//     median), so a region full of under-priced extensions is not mistaken for
+//     an under-priced region.
+//   - Corrections are shrunk by n / (n + SHRINKAGE_K) and capped at MAX_STEP_PCT
+//     per proposal, so pricing drifts toward observed costs over several
+//     approvals rather than jumping on one month of reviews.
+//
+// Approving a proposal publishes a new PricingConfig version (services/pricingConfig.js)
+// with the corrected rates, so every estimate records exactly which rates priced it.
+//
+// Used by both scripts/calibration-analyser.js (scheduled) and the admin routes
+// in routes/calibrationRoutes.js, so the two always produce identical proposals.
+
+const Estimate = require('../models/Estimate');
+const EstimateReview = require('../models/EstimateReview');
+const CalibrationProposal = require('../models/CalibrationProposal');
+const { resolveBaseRate } = require('./pricingEngine');
+const { getRegionMultiplier } = require('../utils/locationCost');
+const { getActivePricingConfig, createConfigVersion, publishConfigVersion } = require('./pricingConfig');
+
+const DEFAULT_WINDOW_DAYS = 180;
+const MIN_JOBTYPE_SAMPLES = 5;
+const MIN_REGION_SAMPLES  = 5;
+const SHRINKAGE_K         = 20;
+const MAX_STEP_PCT        = 15;
+
+// The proposal's rates were computed against a pricing version that is no
+// longer active: approving would undo whatever was published since.
+class CalibrationRatesChangedError extends Error {
+  constructor(proposal, activeVersion) {
+    super(`Proposal was computed against pricing v${proposal.reviewedPricingConfigVersion}, but v${activeVersion} is active now; create a new proposal`);
+    this.name = 'CalibrationRatesChangedError';
+  }
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// Damped, capped percentage correction for a median bias over n samples.
+function correctionPct(medianPct, samples) {
+  const shrunk = medianPct * (samples / (samples + SHRINKAGE_K));
+  return Math.max(-MAX_STEP_PCT, Math.min(MAX_STEP_PCT, shrunk));
+}
+
+// Reviews in the window joined to the fields of their Estimate that calibration
+// needs. EstimateReview.estimateId is stored as a string, hence the $convert.
+// With pricingConfigVersion, only estimates priced under that version count:
+// a review of an estimate priced under older rates measures a bias those rates
+// had, which a later calibration may already have corrected. Estimates from
+// before versioning have no pricingConfigVersion and were priced by version 0.
+async function fetchReviewedEstimates(windowStart, windowEnd, pricingConfigVersion = null) {
+  const versionMatch = pricingConfigVersion === null ? []
+    : [{ $match: { pricingConfigVersion: pricingConfigVersion === 0 ? { $in: [0, null] } : pricingConfigVersion } }];
+  return EstimateReview.aggregate([
+    { $match: {
+      submittedAt: { $gte: windowStart, $lt: windowEnd },
+      variancePct: { $ne: null }
+    }},
+    { $lookup: {
+      from: Estimate.collection.name,
+      let: { eid: '$estimateId' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', { $convert: { input: '$$eid', to: 'objectId', onError: null, onNull: null } }] } } },
+        ...versionMatch,
+        { $project: { jobType: 1, 'locationData.region': 1, 'locationData.regionResolved': 1, areaQuantity: 1, areaSource: 1, areaSuggestion: 1 } }
+      ],
+      as: 'estimate'
+    }},
+    { $unwind: '$estimate' },
+    { $project: {
+      _id: 0,
+      variancePct: 1,
+      jobType: '$estimate.jobType',
+      region: '$estimate.locationData.region',
+      regionResolved: '$estimate.locationData.regionResolved',
+      areaQuantity: '$estimate.areaQuantity',
+      areaSource: '$estimate.areaSource',
+      suggestedArea: '$estimate.areaSuggestion.areaQuantity'
+    }}
+  ]);
+}
+
+function computeAdjustments(rows) {
+  const byJobType = new Map();
+  rows.forEach(r => {
+    if (!byJobType.has(r.jobType)) byJobType.set(r.jobType, []);
+    byJobType.get(r.jobType).push(r.variancePct);
+  });
+
+  const jobTypeMedians = new Map();
+  const jobTypeAdjustments = [];
+  for (const [jobType, values] of byJobType) {
+    const med = median(values);
+    jobTypeMedians.set(jobType, med);
+    if (values.length < MIN_JOBTYPE_SAMPLES) continue;
+
+    const rate = resolveBaseRate(jobType);
+    const step = correctionPct(med, values.length);
+    const proposedBase = rate ? Math.round(rate.base * (1 + step / 100)) : null;
+    jobTypeAdjustments.push({
+      jobType,
+      rateKey:           rate ? rate.key : null,
+      samples:           values.length,
+      medianVariancePct: round1(med),
+      currentBase:       rate ? rate.base : null,
+      proposedBase,
+      changePct:         rate ? round1(step) : null
+    });
+  }
+
+  // Unresolved regions were priced at the national 1.0 and have no multiplier to correct.
+  const byRegion = new Map();
+  rows.filter(r => r.regionResolved && r.region).forEach(r => {
+    if (!byRegion.has(r.region)) byRegion.set(r.region, []);
+    byRegion.get(r.region).push(r.variancePct - jobTypeMedians.get(r.jobType));
+  });
+
+  const regionAdjustments = [];
+  for (const [region, residuals] of byRegion) {
+    if (residuals.length < MIN_REGION_SAMPLES) continue;
+    const med = median(residuals);
+    const current = getRegionMultiplier(region);
+    const step = correctionPct(med, residuals.length);
+    regionAdjustments.push({
+      region,
+      samples:            residuals.length,
+      medianResidualPct:  round1(med),
+      currentMultiplier:  current,
+      proposedMultiplier: current != null ? Math.round(current * (1 + step / 100) * 100) / 100 : null,
+      changePct:          current != null ? round1(step) : null
+    });
+  }
+
+  jobTypeAdjustments.sort((a, b) => b.samples - a.samples);
+  regionAdjustments.sort((a, b) => b.samples - a.samples);
+  return { jobTypeAdjustments, regionAdjustments };
+}
+
+// Review accuracy of area-priced estimates by where their area came from:
+// photo-derived (the user accepted the photo suggestion) or user-entered. For
+// typed areas that had a suggestion, also how far the user strayed from it.
+function computeAreaAccuracy(rows) {
+  const groups = {};
+  rows.filter(r => r.areaQuantity && r.areaSource).forEach(r => {
+    if (!groups[r.areaSource]) groups[r.areaSource] = { variance: [], vsSuggestion: [] };
+    groups[r.areaSource].variance.push(r.variancePct);
+    if (r.suggestedArea) {
+      groups[r.areaSource].vsSuggestion.push(((r.areaQuantity - r.suggestedArea) / r.suggestedArea) * 100);
+    }
+  });
+
+  return Object.entries(groups).map(([areaSource, g]) => ({
+    areaSource,
+    samples:                   g.variance.length,
+    medianVariancePct:         round1(median(g.variance)),
+    medianAbsVariancePct:      round1(median(g.variance.map(Math.abs))),
+    withSuggestion:            g.vsSuggestion.length,
+    medianAreaVsSuggestionPct: g.vsSuggestion.length ? round1(median(g.vsSuggestion)) : null
+  })).sort((a, b) => b.samples - a.samples);
+}
+
+async function areaAccuracyReport({ windowStart, windowEnd } = {}) {
+  const end = windowEnd ? new Date(windowEnd) : new Date();
+  const start = windowStart
+    ? new Date(windowStart)
+    : new Date(end.getTime() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const rows = await fetchReviewedEstimates(start, end);
+  return { windowStart: start, windowEnd: end, bySource: computeAreaAccuracy(rows) };
+}
+
+// Builds and saves a pending proposal from reviews of estimates priced under the
+// active pricing version, so its corrections are relative to the rates they
+// will be applied to. Any older pending proposal is superseded: its numbers
+// were computed against rates that this one already accounts for.
+async function createProposal({ windowStart, windowEnd, source = 'admin' } = {}) {
+  const end = windowEnd ? new Date(windowEnd) : new Date();
+  const start = windowStart
+    ? new Date(windowStart)
+    : new Date(end.getTime() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const ratesVersion = getActivePricingConfig().version;
+  const rows = await fetchReviewedEstimates(start, end, ratesVersion);
+  const { jobTypeAdjustments, regionAdjustments } = computeAdjustments(rows);
+
+  const latest = await CalibrationProposal.findOne().sort({ version: -1 }).lean();
+  const version = (latest?.version || 0) + 1;
+
+  await CalibrationProposal.updateMany({ status: 'pending' }, { $set: { status: 'superseded' } });
+
+  return CalibrationProposal.create({
+    version,
+    source,
+    windowStart: start,
+    windowEnd: end,
+    reviewsConsidered: rows.length,
+    reviewedPricingConfigVersion: ratesVersion,
+    jobTypeAdjustments,
+    regionAdjustments
+  });
+}
+
+// Approves a pending proposal: applies its corrections to a copy of the active
+// pricing configuration and publishes that as a new version, effective now.
+// Only while the version it was computed against is still active, since its
+// rates are absolute. The proposal is claimed before anything is published, so
+// two concurrent approvals cannot both publish; a failed publish releases it.
+// Returns null when the proposal does not exist or is not pending.
+async function approveProposal(id, { reviewedBy, reviewNote } = {}) {
+  const pending = await CalibrationProposal.findOne({ _id: id, status: 'pending' }).lean();
+  if (!pending) return null;
+
+  const current = getActivePricingConfig();
+  if (pending.reviewedPricingConfigVersion !== current.version) {
+    throw new CalibrationRatesChangedError(pending, current.version);
+  }
+
+  const proposal = await CalibrationProposal.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { $set: { status: 'approved', reviewedBy: reviewedBy || null, reviewedAt: new Date(), reviewNote: reviewNote || null } },
+    { new: true }
+  );
+  if (!proposal) return null;
+
+  const baseRates = JSON.parse(JSON.stringify(current.baseRates));
+  const areaRegions = JSON.parse(JSON.stringify(current.areaRegions));
+  const centralLondon = { ...current.centralLondon };
+  const districtMultipliers = JSON.parse(JSON.stringify(current.districtMultipliers || {}));
+
+  proposal.jobTypeAdjustments.forEach(a => {
+    if (a.rateKey && a.proposedBase != null && baseRates[a.rateKey]) baseRates[a.rateKey].base = a.proposedBase;
+  });
+  proposal.regionAdjustments.forEach(a => {
+    if (a.proposedMultiplier == null) return;
+    if (a.region === centralLondon.name) centralLondon.m = a.proposedMultiplier;
+    const areas = [];
+    Object.entries(areaRegions).forEach(([area, r]) => {
+      if (r.name === a.region) {
+        r.m = a.proposedMultiplier;
+        areas.push(area);
+      }
+    });
+    // District entries in the region move by the same ratio, keeping their
+    // offset from the area they sit in.
+    if (a.currentMultiplier) {
+      const ratio = a.proposedMultiplier / a.currentMultiplier;
+      Object.entries(districtMultipliers).forEach(([district, d]) => {
+        if (areas.includes(district.match(/^[A-Z]+/)[0])) d.m = Math.round(d.m * ratio * 100) / 100;
+      });
+    }
+  });
+
+  let draft;
+  try {
+    draft = await createConfigVersion({
+      label: `Calibration v${proposal.version}`,
+      notes: reviewNote || null,
+      createdBy: reviewedBy || null,
+      source: 'calibration',
+      calibrationProposalVersion: proposal.version,
+      baseRates,
+      areaRegions,
+      centralLondon,
+      districtMultipliers
+    });
+    await publishConfigVersion(draft.version);
+  } catch (error) {
+    await CalibrationProposal.updateOne(
+      { _id: proposal._id, status: 'approved', pricingConfigVersion: null },
+      { $set: { status: 'pending', reviewedBy: null, reviewedAt: null, reviewNote: null } }
+    );
+    throw error;
+  }
+
+  proposal.pricingConfigVersion = draft.version;
+  await proposal.save();
+
+  return proposal;
+}
+
+async function rejectProposal(id, { reviewedBy, reviewNote } = {}) {
+  return CalibrationProposal.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { $set: { status: 'rejected', reviewedBy: reviewedBy || null, reviewedAt: new Date(), reviewNote: reviewNote || null } },
+    { new: true }
+  );
+}
+
+module.exports = {
+  createProposal,
+  approveProposal,
+  rejectProposal,
+  areaAccuracyReport,
+  computeAdjustments,
+  computeAreaAccuracy,
+  CalibrationRatesChangedError
+};
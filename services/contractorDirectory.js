@@ -0,0 +1,420 @@
+// services/contractorDirectory.js
+// Keeps the Contractor directory (models/Contractor.js) up to date from the
+// places the contractor search sees, /for-contractors registrations and
+// ContractorClick events. Also holds the admin side: search, duplicate
+// detection and merging.
+//
+// Writes from the search and click paths are fire-and-forget: a directory
+// failure is logged and never fails the request that triggered it.
+//
+// Duplicates are only ever merged by an admin. findDuplicateGroups() suggests
+// records sharing a normalised name, phone number, website host or Companies
+// House number; mergeContractors() folds them into one.
+
+const mongoose = require('mongoose');
+const Contractor = require('../models/Contractor');
+const { CLICK_ACTIONS, RATING_HISTORY_LIMIT } = require('../models/Contractor');
+const ContractorClick = require('../models/ContractorClick');
+const Lead = require('../models/LeadModel');
+const { parsePostcode } = require('../utils/locationCost');
+
+const NAME_SUFFIXES = /\b(ltd|limited|llp|plc|inc|co|company|uk|the|and)\b/g;
+const POSTCODE_IN_ADDRESS = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i;
+const VERIFICATION_RANK = { unverified: 0, registered: 1, verified: 2 };
+const DUPLICATE_KEYS = ['normalizedName', 'phoneKey', 'websiteHost', 'companiesHouseNumber'];
+
+class ContractorsNotFoundError extends Error {
+  constructor(ids) {
+    super(`Contractors not found: ${ids.join(', ')}`);
+    this.ids = ids;
+  }
+}
+
+// ── Keys ─────────────────────────────────────────────────────────────────────
+
+// "Smith & Sons Plumbing Ltd." -> "smith sons plumbing"
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(NAME_SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim() || String(name || '').toLowerCase().trim();
+}
+
+// "+44 20 7946 0000" and "020 7946 0000" -> "02079460000"
+function phoneKeyOf(phone) {
+  if (!phone) return null;
+  let digits = String(phone).replace(/\D/g, '');
+  if (digits.startsWith('44') && digits.length >= 12) digits = '0' + digits.slice(2);
+  return digits.length >= 10 ? digits : null;
+}
+
+function websiteHostOf(website) {
+  if (!website) return null;
+  try {
+    return new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`).hostname.replace(/^www\./, '').toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+function postcodeFromAddress(address) {
+  const match = String(address || '').match(POSTCODE_IN_ADDRESS);
+  if (!match) return null;
+  const parsed = parsePostcode(`${match[1]} ${match[2]}`);
+  return parsed.valid ? parsed.formatted : null;
+}
+
+function districtOf(postcode) {
+  const parsed = parsePostcode(postcode);
+  return parsed.valid ? parsed.district : null;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Matches a contractor by any of its place IDs
+function byPlaceId(placeId) {
+  return { $or: [{ placeId }, { additionalPlaceIds: placeId }] };
+}
+
+// ── Places ───────────────────────────────────────────────────────────────────
+
+// Upserts the places from one Nearby Search for `jobType` around `district`.
+// Ratings that changed since the last sighting are appended to ratingHistory.
+async function recordPlacesResults({ results, jobType, district }) {
+  if (mongoose.connection.readyState !== 1) return;
+  const places = (results || []).filter(p => p.place_id && p.name);
+  if (places.length === 0) return;
+
+  const now = new Date();
+  const ops = places.flatMap(p => {
+    const rating = p.rating ?? null;
+    const totalReviews = p.user_ratings_total ?? null;
+    const address = p.formatted_address || p.vicinity || null;
+    const postcode = postcodeFromAddress(address);
+    const point = { at: now, rating, totalReviews };
+
+    return [
+      // Existing records: a history point when the rating or review count moved
+      {
+        updateOne: {
+          filter: { ...byPlaceId(p.place_id), $nor: [{ rating, totalReviews }] },
+          update: { $push: { ratingHistory: { $each: [point], $slice: -RATING_HISTORY_LIMIT } } }
+        }
+      },
+      {
+        updateOne: {
+          filter: byPlaceId(p.place_id),
+          update: {
+            $set: {
+              name: p.name,
+              normalizedName: normalizeName(p.name),
+              address,
+              ...(postcode ? { postcode } : {}),
+              location: p.geometry?.location || null,
+              googleTypes: p.types || [],
+              priceLevel: p.price_level ?? null,
+              rating,
+              totalReviews,
+              lastSeenAt: now
+            },
+            $addToSet: {
+              sources: 'places',
+              jobTypes: jobType,
+              districts: { $each: [district, districtOf(postcode)].filter(Boolean) }
+            },
+            $setOnInsert: {
+              placeId: p.place_id,
+              firstSeenAt: now,
+              ratingHistory: [point]
+            }
+          },
+          upsert: true
+        }
+      }
+    ];
+  });
+
+  try {
+    await Contractor.bulkWrite(ops, { ordered: true });
+  } catch (error) {
+    console.warn('⚠️ Contractor directory update from Places failed:', error.message);
+  }
+}
+
+// Website and phone from Place Details, which Nearby Search does not return.
+async function recordPlaceDetails(placeId, details) {
+  if (mongoose.connection.readyState !== 1 || !details) return;
+  const website = details.website || null;
+  const phoneNumber = details.formatted_phone_number || details.international_phone_number || null;
+  if (!website && !phoneNumber) return;
+
+  try {
+    await Contractor.updateOne(byPlaceId(placeId), {
+      $set: {
+        ...(website ? { website, websiteHost: websiteHostOf(website) } : {}),
+        ...(phoneNumber ? { phoneNumber, phoneKey: phoneKeyOf(phoneNumber) } : {})
+      }
+    });
+  } catch (error) {
+    console.warn('⚠️ Contractor directory details update failed:', error.message);
+  }
+}
+
+// ── Clicks ───────────────────────────────────────────────────────────────────
+
+async function recordContractorClick({ placeId, actionType, at = new Date() }) {
+  if (mongoose.connection.readyState !== 1 || !CLICK_ACTIONS.includes(actionType)) return;
+  try {
+    await Contractor.updateOne(byPlaceId(placeId), {
+      $inc: { [`clickMetrics.${actionType}`]: 1 },
+      $max: { 'clickMetrics.lastClickAt': at }
+    });
+  } catch (error) {
+    console.warn('⚠️ Contractor click metrics update failed:', error.message);
+  }
+}
+
+// Recounts every contractor's clickMetrics from ContractorClick, for records
+// created after their clicks were logged and after merges. Returns the number
+// of contractors updated.
+async function rebuildClickMetrics() {
+  const rows = await ContractorClick.aggregate([
+    { $group: { _id: { placeId: '$placeId', actionType: '$actionType' }, count: { $sum: 1 }, lastAt: { $max: '$timestamp' } } }
+  ]);
+
+  const byPlace = new Map();
+  for (const row of rows) {
+    if (!byPlace.has(row._id.placeId)) byPlace.set(row._id.placeId, []);
+    byPlace.get(row._id.placeId).push(row);
+  }
+
+  const contractors = await Contractor.find({}, { placeId: 1, additionalPlaceIds: 1 }).lean();
+  const ops = contractors.map(c => {
+    const metrics = { ...Object.fromEntries(CLICK_ACTIONS.map(a => [a, 0])), lastClickAt: null };
+    [c.placeId, ...(c.additionalPlaceIds || [])].filter(Boolean).forEach(id => {
+      (byPlace.get(id) || []).forEach(row => {
+        if (CLICK_ACTIONS.includes(row._id.actionType)) metrics[row._id.actionType] += row.count;
+        if (!metrics.lastClickAt || row.lastAt > metrics.lastClickAt) metrics.lastClickAt = row.lastAt;
+      });
+    });
+    return { updateOne: { filter: { _id: c._id }, update: { $set: { clickMetrics: metrics } } } };
+  });
+
+  if (ops.length > 0) await Contractor.bulkWrite(ops, { ordered: false });
+  return ops.length;
+}
+
+// ── Registrations ────────────────────────────────────────────────────────────
+
+// Links a ContractorRegistration to the directory: to the contractor it
+// already belongs to, else one with the same Companies House number, email,
+// or name in an overlapping district; else a new record. Returns the contractor.
+async function linkRegistration(registration) {
+  const districts = [...new Set([
+    ...(registration.serviceDistricts || []),
+    districtOf(registration.postcode)
+  ].filter(Boolean))];
+  const normalizedName = normalizeName(registration.businessName);
+
+  const candidates = [
+    { registrationIds: registration._id },
+    registration.companiesHouseNumber ? { companiesHouseNumber: registration.companiesHouseNumber } : null,
+    { email: registration.email },
+    districts.length > 0 ? { normalizedName, districts: { $in: districts } } : null
+  ].filter(Boolean);
+
+  let existing = null;
+  for (const filter of candidates) {
+    existing = await Contractor.findOne(filter);
+    if (existing) break;
+  }
+
+  if (!existing) {
+    const created = await Contractor.create({
+      name: registration.businessName,
+      normalizedName,
+      registrationIds: [registration._id],
+      sources: ['registration'],
+      companiesHouseNumber: registration.companiesHouseNumber || null,
+      email: registration.email,
+      postcode: registration.postcode,
+      jobTypes: registration.jobTypes || [],
+      districts,
+      verification: { status: 'registered' }
+    });
+    console.log(`📇 Contractor directory: new record for registration ${registration._id} (${created.name})`);
+    return created;
+  }
+
+  existing.registrationIds.addToSet(registration._id);
+  existing.sources.addToSet('registration');
+  existing.jobTypes.addToSet(...(registration.jobTypes || []));
+  existing.districts.addToSet(...districts);
+  if (!existing.companiesHouseNumber) existing.companiesHouseNumber = registration.companiesHouseNumber || null;
+  if (!existing.email) existing.email = registration.email;
+  if (existing.verification.status === 'unverified') existing.verification.status = 'registered';
+  await existing.save();
+  console.log(`📇 Contractor directory: registration ${registration._id} linked to ${existing._id} (${existing.name})`);
+  return existing;
+}
+
+// Links every registration not yet in the directory. Returns the count linked.
+async function linkAllRegistrations() {
+  const ContractorRegistration = require('../models/ContractorRegistration');
+  const linked = await Contractor.distinct('registrationIds');
+  const pending = await ContractorRegistration.find({ _id: { $nin: linked } });
+  for (const registration of pending) {
+    await linkRegistration(registration);
+  }
+  return pending.length;
+}
+
+// ── Admin ────────────────────────────────────────────────────────────────────
+
+// Filter for the admin search. Returns { filter, sort }.
+function buildSearch({ q, jobType, district, verification, source, sort }) {
+  const filter = {};
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    filter.$or = [{ name: pattern }, { placeId: q }, { additionalPlaceIds: q }, { email: q.toLowerCase() }, { companiesHouseNumber: q }];
+  }
+  if (jobType) filter.jobTypes = new RegExp(`^${escapeRegex(jobType)}$`, 'i');
+  if (district) filter.districts = district.toUpperCase();
+  if (verification) filter['verification.status'] = verification;
+  if (source) filter.sources = source;
+
+  const sorts = {
+    recent:  { lastSeenAt: -1 },
+    rating:  { rating: -1, totalReviews: -1 },
+    reviews: { totalReviews: -1 },
+    clicks:  { 'clickMetrics.contact_requested': -1, 'clickMetrics.call': -1, 'clickMetrics.website': -1 },
+    name:    { normalizedName: 1 }
+  };
+  return { filter, sort: sorts[sort] || sorts.recent };
+}
+
+// Groups of two or more contractors sharing a dedupe key, largest first.
+// Returns [{ key, value, contractors: [{ _id, name, placeId, ... }] }].
+async function findDuplicateGroups({ limit = 50 } = {}) {
+  const groups = [];
+  for (const key of DUPLICATE_KEYS) {
+    const rows = await Contractor.aggregate([
+      { $match: { [key]: { $type: 'string', $ne: '' } } },
+      { $group: { _id: `$${key}`, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: limit }
+    ]);
+    rows.forEach(row => groups.push({ key, value: row._id, ids: row.ids }));
+  }
+
+  const ids = [...new Set(groups.flatMap(g => g.ids.map(String)))];
+  const contractors = await Contractor.find({ _id: { $in: ids } }, {
+    name: 1, placeId: 1, address: 1, phoneNumber: 1, website: 1, districts: 1,
+    rating: 1, totalReviews: 1, sources: 1, 'verification.status': 1
+  }).lean();
+  const byId = new Map(contractors.map(c => [String(c._id), c]));
+
+  return groups
+    .sort((a, b) => b.ids.length - a.ids.length)
+    .slice(0, limit)
+    .map(g => ({ key: g.key, value: g.value, contractors: g.ids.map(id => byId.get(String(id))).filter(Boolean) }));
+}
+
+// Folds `duplicateIds` into `survivorId`: place IDs, registrations, trades,
+// districts and click counts are combined, missing contact details filled in,
+// leads re-pointed, and the duplicates deleted. The survivor keeps its own
+// name and Google data. Returns the merged contractor, or null if the survivor
+// does not exist. Throws ContractorsNotFoundError when a duplicate is missing.
+async function mergeContractors(survivorId, duplicateIds, mergedBy = null) {
+  const survivor = await Contractor.findById(survivorId);
+  if (!survivor) return null;
+
+  const duplicates = await Contractor.find({ _id: { $in: duplicateIds } });
+  if (duplicates.length !== duplicateIds.length) {
+    const found = new Set(duplicates.map(d => String(d._id)));
+    const missing = duplicateIds.filter(id => !found.has(String(id)));
+    throw new ContractorsNotFoundError(missing);
+  }
+
+  const now = new Date();
+  for (const doc of duplicates) {
+    const dup = doc.toObject();
+    survivor.additionalPlaceIds.addToSet(...[dup.placeId, ...dup.additionalPlaceIds].filter(Boolean));
+    survivor.registrationIds.addToSet(...dup.registrationIds);
+    survivor.sources.addToSet(...dup.sources);
+    survivor.jobTypes.addToSet(...dup.jobTypes);
+    survivor.districts.addToSet(...dup.districts);
+
+    for (const field of ['companiesHouseNumber', 'email', 'phoneNumber', 'phoneKey', 'website', 'websiteHost', 'address', 'postcode']) {
+      if (!survivor[field] && dup[field]) survivor[field] = dup[field];
+    }
+    if (!survivor.placeId && dup.placeId) {
+      // A registration-only record taking over a Google listing
+      survivor.placeId = dup.placeId;
+      survivor.additionalPlaceIds.pull(dup.placeId);
+      for (const field of ['location', 'googleTypes', 'priceLevel', 'rating', 'totalReviews', 'ratingHistory']) {
+        survivor.set(field, dup[field]);
+      }
+    }
+
+    CLICK_ACTIONS.forEach(action => {
+      survivor.clickMetrics[action] = (survivor.clickMetrics[action] || 0) + (dup.clickMetrics?.[action] || 0);
+    });
+    if (dup.clickMetrics?.lastClickAt > (survivor.clickMetrics.lastClickAt || 0)) {
+      survivor.clickMetrics.lastClickAt = dup.clickMetrics.lastClickAt;
+    }
+
+    const survivorRank = VERIFICATION_RANK[survivor.verification.status];
+    const dupRank = VERIFICATION_RANK[dup.verification?.status];
+    if (survivorRank !== undefined && dupRank !== undefined && dupRank > survivorRank) {
+      survivor.set('verification', dup.verification);
+    }
+
+    if (dup.firstSeenAt < survivor.firstSeenAt) survivor.firstSeenAt = dup.firstSeenAt;
+    if (dup.lastSeenAt > survivor.lastSeenAt) survivor.lastSeenAt = dup.lastSeenAt;
+    survivor.mergedFrom.push(
+      ...dup.mergedFrom,
+      { contractorId: dup._id, name: dup.name, placeId: dup.placeId, mergedAt: now, mergedBy }
+    );
+  }
+
+  // One transaction, so a failed save or lead update loses nothing. Duplicates
+  // are deleted first within it: the survivor may take over one of their
+  // placeIds, which is unique. transaction() resets the survivor on a retry.
+  const mergedIds = duplicates.map(d => d._id);
+  let leads;
+  await mongoose.connection.transaction(async session => {
+    await Contractor.deleteMany({ _id: { $in: mergedIds } }, { session });
+    await survivor.save({ session });
+    leads = await Lead.updateMany(
+      { contractorAssigned: { $in: mergedIds } },
+      { $set: { contractorAssigned: survivor._id } },
+      { session }
+    );
+  });
+
+  console.log(`🔗 Contractors merged into ${survivor._id} (${survivor.name}): ${duplicates.length} records, ${leads.modifiedCount} leads re-pointed`);
+  return survivor;
+}
+
+module.exports = {
+  recordPlacesResults,
+  recordPlaceDetails,
+  recordContractorClick,
+  rebuildClickMetrics,
+  linkRegistration,
+  linkAllRegistrations,
+  buildSearch,
+  findDuplicateGroups,
+  mergeContractors,
+  ContractorsNotFoundError,
+  normalizeName,
+  phoneKeyOf,
+  websiteHostOf
+};
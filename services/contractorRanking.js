@@ -0,0 +1,269 @@
+// services/contractorRanking.js
+// Ranks Google Places contractors for /api/search-contractors. Each factor is
+// scored 0-1, multiplied by its weight in the selected profile
+// (utils/rankingProfiles.js), and explained in words, so the breakdown sent to
+// the frontend can be shown to users and compared across profiles.
+//
+//   rating     Google rating out of 5
+//   reviews    review count, logarithmic: full marks at ~100 reviews
+//   relevance  trade keywords found in the business name and Places types
+//   proximity  linear from full at the search centre to zero at maxDistanceKm,
+//              or at the search radius when the search was widened past it
+//   quality    Google price level against the chosen finish quality
+//   presence   website and phone number in the Nearby Search listing
+//
+// Every ranked contractor carries the profile id (name@version) it was scored
+// with, which the estimate keeps in contractorsShown.
+//
+// Approved learned profiles (RankingProposal) are held in memory, reloaded on
+// startup, after every approval and every REFRESH_MS, like pricing configs.
+
+const RankingProposal = require('../models/RankingProposal');
+const { RANKING_PROFILES, DEFAULT_PROFILE, FACTORS } = require('../utils/rankingProfiles');
+const { distanceKm } = require('./postcodeGeography');
+
+const REFRESH_MS = 15 * 60 * 1000;
+
+let learnedProfiles = [];   // approved and retired, so old ids still resolve
+let refreshTimer = null;
+
+// Google priceLevel: 0=free, 1=inexpensive, 2=moderate, 3=expensive, 4=very expensive.
+// A luxury-finish user should match with higher-priceLevel contractors and vice versa.
+const QUALITY_PRICE_AFFINITY = {
+  budget:   [0, 1],
+  standard: [1, 2],
+  premium:  [2, 3],
+  luxury:   [3, 4]
+};
+
+// ── Profiles ─────────────────────────────────────────────────────────────────
+
+function profileId(profile) {
+  return `${profile.name}@${profile.version}`;
+}
+
+// Latest version of each named profile.
+function latestProfiles() {
+  const latest = new Map();
+  for (const profile of RANKING_PROFILES) {
+    const current = latest.get(profile.name);
+    if (!current || profile.version > current.version) latest.set(profile.name, profile);
+  }
+  return [...latest.values()];
+}
+
+function learnedName(baseName) {
+  return `${baseName}-learned`;
+}
+
+// A RankingProposal as a profile: the base profile's settings with the
+// proposal's weights. Learned weights were fitted across project sizes, so
+// there are no largeProject overrides.
+function toLearnedProfile(proposal, base) {
+  return {
+    name: learnedName(proposal.baseProfile),
+    version: proposal.version,
+    description: `${base.description} (learned from clicks, proposal v${proposal.version})`,
+    appliesTo: base.appliesTo,
+    weights: { ...proposal.weights },
+    largeProject: {},
+    largeProjectScale: base.largeProjectScale,
+    maxDistanceKm: base.maxDistanceKm,
+    relevanceMatchesForFull: base.relevanceMatchesForFull,
+    baseProfile: proposal.baseProfile,
+    active: proposal.status === 'approved'
+  };
+}
+
+async function loadLearnedProfiles() {
+  try {
+    const proposals = await RankingProposal.find({ status: { $in: ['approved', 'retired'] } })
+      .select({ version: 1, status: 1, baseProfile: 1, weights: 1 })
+      .sort({ version: -1 })
+      .lean();
+    const bases = latestProfiles();
+    learnedProfiles = proposals
+      .map(proposal => {
+        const base = bases.find(p => p.name === proposal.baseProfile);
+        return base ? toLearnedProfile(proposal, base) : null;
+      })
+      .filter(Boolean);
+    const active = learnedProfiles.filter(p => p.active).map(profileId);
+    console.log(`🏅 Contractor ranking: ${active.length > 0 ? active.join(', ') : 'hand-tuned profiles only'}`);
+  } catch (error) {
+    console.error('Error loading learned ranking profiles:', error.message);
+  }
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(loadLearnedProfiles, REFRESH_MS);
+    refreshTimer.unref();
+  }
+  return learnedProfiles;
+}
+
+// Approved learned profiles, one per base profile at most.
+function activeLearnedProfiles() {
+  return learnedProfiles.filter(p => p.active);
+}
+
+// The profile for a search: jobType match, then category, then the default,
+// replaced by its approved learned profile when there is one.
+function resolveRankingProfile({ jobType, category } = {}) {
+  const profiles = latestProfiles();
+  const base = profiles.find(p => p.appliesTo.jobTypes.includes(jobType))
+    || profiles.find(p => category && p.appliesTo.categories.includes(String(category).toLowerCase()))
+    || profiles.find(p => p.name === DEFAULT_PROFILE);
+  return servingProfile(base);
+}
+
+// What searches for a hand-tuned profile are ranked by: its approved learned
+// profile, else the profile itself.
+function servingProfile(base) {
+  return activeLearnedProfiles().find(p => p.baseProfile === base.name) || base;
+}
+
+// Latest hand-tuned version of a profile name, or null.
+function getBaseProfile(name) {
+  return latestProfiles().find(p => p.name === name) || null;
+}
+
+// 'name@version' -> that profile, hand-tuned or learned, or null.
+function getRankingProfile(id) {
+  return RANKING_PROFILES.find(p => profileId(p) === id)
+    || learnedProfiles.find(p => profileId(p) === id)
+    || null;
+}
+
+// Weights for one search: largeProject overrides apply from largeProjectScale.
+function effectiveWeights(profile, projectScale) {
+  return projectScale >= profile.largeProjectScale
+    ? { ...profile.weights, ...profile.largeProject }
+    : { ...profile.weights };
+}
+
+// ── Factors ──────────────────────────────────────────────────────────────────
+
+// contractor -> { factor: { score 0-1, explanation } }
+function scoreFactors(contractor, { origin, searchQuery, quality, profile, maxDistanceKm }) {
+  const rating = contractor.rating || 0;
+  const reviews = contractor.totalReviews || 0;
+
+  const nameAndTypes = `${contractor.name} ${(contractor.types || []).join(' ')}`.toLowerCase();
+  const matched = [...new Set(String(searchQuery).toLowerCase().split(' '))]
+    .filter(keyword => keyword.length > 3 && nameAndTypes.includes(keyword));
+
+  const km = distanceKm(origin, contractor.location);
+
+  const preferred = QUALITY_PRICE_AFFINITY[quality] || QUALITY_PRICE_AFFINITY.standard;
+  const level = contractor.priceLevel;
+  let qualityScore;
+  let qualityExplanation;
+  if (level === undefined || level === null) {
+    // No price level data: half marks rather than a penalty
+    qualityScore = 0.5;
+    qualityExplanation = 'No Google price level, scored neutral';
+  } else if (preferred.includes(level)) {
+    qualityScore = 1;
+    qualityExplanation = `Google price level ${level} suits a ${quality} finish`;
+  } else if (level === preferred[0] - 1 || level === preferred[1] + 1) {
+    qualityScore = 0.5;
+    qualityExplanation = `Google price level ${level} is close to a ${quality} finish`;
+  } else {
+    qualityScore = 0;
+    qualityExplanation = `Google price level ${level} does not suit a ${quality} finish`;
+  }
+
+  const presence = [contractor.website && 'website', contractor.phoneNumber && 'phone'].filter(Boolean);
+
+  return {
+    rating: {
+      score: rating / 5,
+      explanation: rating > 0 ? `Rated ${rating} out of 5 on Google` : 'No Google rating'
+    },
+    reviews: {
+      score: Math.min(Math.log10(reviews + 1) / 2, 1),
+      explanation: `${reviews} Google review${reviews === 1 ? '' : 's'}`
+    },
+    relevance: {
+      score: Math.min(matched.length / profile.relevanceMatchesForFull, 1),
+      explanation: matched.length > 0
+        ? `Listing mentions ${matched.map(k => `"${k}"`).join(', ')}`
+        : 'Listing does not mention the trade searched for'
+    },
+    proximity: {
+      score: Math.max(0, 1 - km / maxDistanceKm),
+      explanation: km >= maxDistanceKm
+        ? `${km.toFixed(1)} km away, beyond ${maxDistanceKm} km`
+        : `${km.toFixed(1)} km away`
+    },
+    quality: {
+      score: qualityScore,
+      explanation: qualityExplanation
+    },
+    presence: {
+      score: (contractor.website ? 0.6 : 0) + (contractor.phoneNumber ? 0.4 : 0),
+      explanation: presence.length > 0 ? `${presence.join(' and ')} listed` : 'No website or phone in the search listing'
+    },
+    distanceKm: km
+  };
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// ── Ranking ──────────────────────────────────────────────────────────────────
+
+// Scores and sorts contractors (mapped Places results), best first. Each gets
+// distanceKm, matchScore (0-100), scoreBreakdown { factor: { score, points,
+// maxPoints, explanation } } and rankingProfile. score is the unweighted 0-1
+// value logged with each served contractor for training (SearchImpression).
+//
+// searchRadiusKm: a search widened past the profile's maxDistanceKm scores
+// proximity out to the wider radius, so the nearest of a sparse area still
+// earns points.
+function rankContractors(contractors, { origin, searchQuery, quality = 'standard', projectScale = 1, profile, searchRadiusKm = 0 }) {
+  const weights = effectiveWeights(profile, projectScale);
+  const id = profileId(profile);
+  const maxDistanceKm = Math.max(profile.maxDistanceKm, searchRadiusKm);
+
+  return contractors
+    .map(contractor => {
+      const factors = scoreFactors(contractor, { origin, searchQuery, quality, profile, maxDistanceKm });
+      let total = 0;
+      const scoreBreakdown = {};
+      for (const factor of FACTORS) {
+        const points = weights[factor] * factors[factor].score;
+        total += points;
+        scoreBreakdown[factor] = {
+          score: Math.round(factors[factor].score * 1000) / 1000,
+          points: round1(points),
+          maxPoints: weights[factor],
+          explanation: factors[factor].explanation
+        };
+      }
+      return {
+        ...contractor,
+        distanceKm: round1(factors.distanceKm),
+        matchScore: Math.round(total),
+        scoreBreakdown,
+        rankingProfile: id
+      };
+    })
+    .sort((a, b) => b.matchScore - a.matchScore);
+}
+
+module.exports = {
+  rankContractors,
+  resolveRankingProfile,
+  servingProfile,
+  getRankingProfile,
+  getBaseProfile,
+  latestProfiles,
+  loadLearnedProfiles,
+  activeLearnedProfiles,
+  learnedName,
+  profileId,
+  effectiveWeights,
+  FACTORS
+};
@@ -0,0 +1,208 @@
+// services/contractorSearch.js
+// Paging, user filters and fallbacks for /api/search-contractors. Fetching is
+// services/placesCache.js and scoring services/contractorRanking.js; this
+// decides which results make a page.
+//
+// Fallbacks, decided on the first page and kept for the rest:
+//   - Radius: RADIUS_STEPS_KM in turn until one returns contractors. A search
+//     in one of SPARSE_POSTCODE_AREAS (the Hebrides, Shetland, Orkney and the
+//     Highlands) starts at the widest, since the narrow search would come back
+//     empty. Everywhere else tries the narrowest first. The user's
+//     maxDistanceKm caps every step.
+//   - Rating: at each radius the strict tier first, then the relaxed one.
+//   The response reports both as fallback.applied.
+//
+// Paging walks Google's result pages in order. Each page of 20 is ranked on its
+// own, so a contractor never moves between pages already served: page tokens
+// (ours, not Google's) carry the Places page, the offset into its ranked list
+// and the fallbacks chosen, bound to the search they came from.
+
+const crypto = require('crypto');
+const RADIUS_STEPS_KM = [25, 50];          // 50 km is the Nearby Search maximum
+
+// Postcode areas sparse enough that 25 km rarely finds a contractor. Listed
+// rather than derived from data/postcodeDistricts.csv, which holds too few of
+// the UK's districts to measure density from.
+const SPARSE_POSTCODE_AREAS = ['HS', 'IV', 'KW', 'ZE'];
+
+const RATING_TIERS = [
+  { name: 'strict',  minRating: 4.0, minReviews: 10, qualityVerified: true },
+  { name: 'relaxed', minRating: 3.5, minReviews: 3,  qualityVerified: false }
+];
+
+const DEFAULT_PAGE_SIZE = 5;
+const MAX_PAGE_SIZE = 10;
+const MAX_WEBSITE_LOOKUPS = 30;            // Place Details calls per page when hasWebsite is set
+
+// ── Request ──────────────────────────────────────────────────────────────────
+
+// { options: { pageSize, pageToken, filters: { minRating, openNow, hasWebsite,
+// maxDistanceKm } }, errors: [{ field, message }] }. Every filter is optional.
+function parseSearchOptions(body) {
+  const errors = [];
+  const raw = body.filters && typeof body.filters === 'object' ? body.filters : {};
+  const filters = { minRating: null, openNow: false, hasWebsite: false, maxDistanceKm: null };
+
+  if (raw.minRating !== undefined && raw.minRating !== null) {
+    const value = Number(raw.minRating);
+    if (!Number.isFinite(value) || value < 0 || value > 5) {
+      errors.push({ field: 'filters.minRating', message: 'minRating must be a number from 0 to 5' });
+    } else {
+      filters.minRating = value;
+    }
+  }
+  for (const flag of ['openNow', 'hasWebsite']) {
+    if (raw[flag] !== undefined && typeof raw[flag] !== 'boolean') {
+      errors.push({ field: `filters.${flag}`, message: `${flag} must be true or false` });
+    } else {
+      filters[flag] = raw[flag] === true;
+    }
+  }
+  if (raw.maxDistanceKm !== undefined && raw.maxDistanceKm !== null) {
+    const value = Number(raw.maxDistanceKm);
+    const widest = RADIUS_STEPS_KM[RADIUS_STEPS_KM.length - 1];
+    if (!Number.isFinite(value) || value < 1 || value > widest) {
+      errors.push({ field: 'filters.maxDistanceKm', message: `maxDistanceKm must be a number from 1 to ${widest}` });
+    } else {
+      filters.maxDistanceKm = value;
+    }
+  }
+
+  let pageSize = DEFAULT_PAGE_SIZE;
+  if (body.pageSize !== undefined) {
+    pageSize = Number(body.pageSize);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      errors.push({ field: 'pageSize', message: `pageSize must be a whole number from 1 to ${MAX_PAGE_SIZE}` });
+    }
+  }
+
+  const pageToken = body.pageToken === undefined || body.pageToken === null ? null : body.pageToken;
+  if (pageToken !== null && typeof pageToken !== 'string') {
+    errors.push({ field: 'pageToken', message: 'pageToken must be the string from a previous response' });
+  }
+
+  return { options: { pageSize, pageToken, filters }, errors };
+}
+
+// ── Fallbacks ────────────────────────────────────────────────────────────────
+
+// Radii to try for a search in a postcode area, narrowest first: { radiiKm, sparseArea }.
+function radiusPlan(postcodeArea, maxDistanceKm) {
+  const sparseArea = SPARSE_POSTCODE_AREAS.includes(postcodeArea);
+  const steps = sparseArea ? RADIUS_STEPS_KM.slice(-1) : RADIUS_STEPS_KM;
+  if (maxDistanceKm === null) return { radiiKm: steps, sparseArea };
+  const capped = steps.filter(km => km < maxDistanceKm);
+  return { radiiKm: [...capped, Math.min(maxDistanceKm, steps[steps.length - 1])], sparseArea };
+}
+
+function getTier(name) {
+  return RATING_TIERS.find(t => t.name === name) || null;
+}
+
+// The rating floor for a tier: the user's minRating when it is higher.
+function tierMinRating(tier, filters) {
+  return Math.max(tier.minRating, filters.minRating || 0);
+}
+
+// Places result passes the tier and the user's rating filter.
+function passesTier(place, tier, filters) {
+  return (place.rating || 0) >= tierMinRating(tier, filters)
+    && (place.user_ratings_total || 0) >= tier.minReviews;
+}
+
+// { applied: [...], radiusKm, sparseArea, exhausted } for the response.
+// exhausted: every fallback was tried and none found a contractor.
+function describeFallback({ radiusKm, tier, plan, exhausted = false }) {
+  const applied = [];
+  if (plan.sparseArea && radiusKm > RADIUS_STEPS_KM[0]) applied.push('sparse_area_radius');
+  else if (radiusKm > plan.radiiKm[0]) applied.push('wider_radius');
+  if (tier.name === 'relaxed') applied.push('relaxed_rating');
+  return { applied, radiusKm, sparseArea: plan.sparseArea, exhausted };
+}
+
+// ── Page tokens ──────────────────────────────────────────────────────────────
+
+// Ties a page token to the search that issued it.
+function searchFingerprint({ jobType, district, quality, category, projectScale, filters, pageSize }) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([jobType, district, quality, category, projectScale, filters, pageSize]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// cursor: { searchId, resultsPage, page, offset, shown, totalFound, radiusKm, tier }
+// resultsPage counts our pages (1 for the first response); page is Google's.
+// totalFound is the result count of Google's first page, as the first response
+// reported it.
+function encodePageToken(cursor, fingerprint) {
+  const { searchId, resultsPage, page, offset, shown, totalFound, radiusKm, tier } = cursor;
+  return Buffer.from(JSON.stringify({ f: fingerprint, s: searchId, q: resultsPage, p: page, o: offset, n: shown, c: totalFound, r: radiusKm, t: tier }))
+    .toString('base64url');
+}
+
+// The cursor in a token from this same search, or null.
+function decodePageToken(token, fingerprint) {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!data || data.f !== fingerprint || !getTier(data.t)) return null;
+  if (typeof data.s !== 'string' || !/^[\w-]{1,64}$/.test(data.s)) return null;
+  const whole = [data.q, data.p, data.o, data.n, data.c].every(n => Number.isInteger(n) && n >= 0);
+  if (!whole || data.q < 1 || data.p < 1 || !(Number(data.r) > 0)) return null;
+  return { searchId: data.s, resultsPage: data.q, page: data.p, offset: data.o, shown: data.n, totalFound: data.c, radiusKm: Number(data.r), tier: data.t };
+}
+
+// ── Paging ───────────────────────────────────────────────────────────────────
+
+// Fills a page from the cursor on. loadBlock(page) -> { ranked, hasMore } for
+// one Google results page; enrich(contractor) -> contractor with Place Details.
+// With requireWebsite, contractors without one after enrichment are skipped,
+// looking at no more than MAX_WEBSITE_LOOKUPS. Returns { contractors, next }
+// where next is the cursor for the following page, or null at the end.
+async function collectPage({ cursor, pageSize, loadBlock, enrich, requireWebsite }) {
+  const contractors = [];
+  let page = cursor.page;
+  let offset = cursor.offset;
+  let lookups = 0;
+  let block = await loadBlock(page);
+
+  while (contractors.length < pageSize) {
+    if (offset >= block.ranked.length) {
+      if (!block.hasMore) break;
+      page++;
+      offset = 0;
+      block = await loadBlock(page);
+      continue;
+    }
+    if (requireWebsite && lookups >= MAX_WEBSITE_LOOKUPS) break;
+
+    const batch = block.ranked.slice(offset, offset + pageSize - contractors.length);
+    offset += batch.length;
+    lookups += batch.length;
+    const enriched = await Promise.all(batch.map(enrich));
+    contractors.push(...enriched.filter(c => !requireWebsite || c.website));
+  }
+
+  const more = offset < block.ranked.length || block.hasMore;
+  return {
+    contractors,
+    next: more ? { ...cursor, resultsPage: cursor.resultsPage + 1, page, offset, shown: cursor.shown + contractors.length } : null
+  };
+}
+
+module.exports = {
+  parseSearchOptions,
+  radiusPlan,
+  getTier,
+  tierMinRating,
+  passesTier,
+  describeFallback,
+  searchFingerprint,
+  encodePageToken,
+  decodePageToken,
+  collectPage,
+  RATING_TIERS
+};
@@ -0,0 +1,128 @@
+// services/costIndexChart.js
+// Server-rendered charts for embedding the Cost Index on other sites: a plain
+// SVG (for <img>) and a small HTML page around it (for <iframe>). No scripts,
+// no external fonts or styles, so they render the same everywhere and can be
+// cached by the embedding site. Every chart carries the attribution line the
+// licence asks for.
+//
+// A chart is a line over monthly points [{ month: '2026-05', value, low?, high? }],
+// oldest first. When points carry low/high (the interquartile range of a price
+// cell) the band is drawn behind the line.
+
+const { escapeXml } = require('./costIndexFeed');
+const { LICENCE } = require('./costIndexDataset');
+
+const MONTH_ABBR = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const PADDING = { top: 48, right: 20, bottom: 52, left: 64 };
+const GRID_LINES = 4;
+const COLOURS = { line: '#1f6feb', band: '#1f6feb', grid: '#e5e7eb', text: '#374151', muted: '#6b7280' };
+
+function shortMonth(key) {
+  const [year, month] = key.split('-');
+  return `${MONTH_ABBR[Number(month) - 1]} ${year.slice(2)}`;
+}
+
+function formatValue(value, unit) {
+  if (unit === 'gbp') {
+    return value >= 10000 ? `£${Math.round(value / 1000)}k` : `£${Math.round(value).toLocaleString('en-GB')}`;
+  }
+  return Math.round(value).toLocaleString('en-GB');
+}
+
+function attributionText() {
+  return `Source: ${LICENCE.attribution} (${LICENCE.spdx})`;
+}
+
+// Returns an SVG document. `unit` is 'gbp' or 'count'; counts start the axis at 0.
+function renderChartSvg({ title, subtitle = '', points, unit = 'count', width = 640, height = 320 }) {
+  const plotW = width - PADDING.left - PADDING.right;
+  const plotH = height - PADDING.top - PADDING.bottom;
+  const font = 'font-family="Helvetica, Arial, sans-serif"';
+
+  const parts = [
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<text x="${PADDING.left}" y="22" ${font} font-size="15" font-weight="bold" fill="${COLOURS.text}">${escapeXml(title)}</text>`,
+    `<text x="${PADDING.left}" y="38" ${font} font-size="11" fill="${COLOURS.muted}">${escapeXml(subtitle)}</text>`,
+    `<text x="${width - PADDING.right}" y="${height - 8}" ${font} font-size="10" text-anchor="end" fill="${COLOURS.muted}">${escapeXml(attributionText())}</text>`
+  ];
+
+  if (points.length === 0) {
+    parts.push(`<text x="${width / 2}" y="${PADDING.top + plotH / 2}" ${font} font-size="13" text-anchor="middle" fill="${COLOURS.muted}">No figures published for this selection yet</text>`);
+  } else {
+    const values = points.flatMap(p => [p.value, p.low, p.high]).filter(v => typeof v === 'number');
+    let min = unit === 'count' ? 0 : Math.min(...values);
+    let max = Math.max(...values);
+    const pad = (max - min) * 0.1 || max * 0.1 || 1;
+    if (unit !== 'count') min = Math.max(0, min - pad);
+    max += pad;
+
+    const x = i => PADDING.left + (points.length === 1 ? plotW / 2 : (i / (points.length - 1)) * plotW);
+    const y = v => PADDING.top + plotH - ((v - min) / (max - min)) * plotH;
+    const round1 = n => Math.round(n * 10) / 10;
+
+    for (let g = 0; g <= GRID_LINES; g++) {
+      const value = min + ((max - min) * g) / GRID_LINES;
+      const gy = round1(y(value));
+      parts.push(`<line x1="${PADDING.left}" x2="${width - PADDING.right}" y1="${gy}" y2="${gy}" stroke="${COLOURS.grid}"/>`);
+      parts.push(`<text x="${PADDING.left - 8}" y="${gy + 4}" ${font} font-size="10" text-anchor="end" fill="${COLOURS.muted}">${escapeXml(formatValue(value, unit))}</text>`);
+    }
+
+    // At most ~8 month labels, always including the last month
+    const step = Math.ceil(points.length / 8);
+    points.forEach((p, i) => {
+      if (i % step !== 0 && i !== points.length - 1) return;
+      parts.push(`<text x="${round1(x(i))}" y="${PADDING.top + plotH + 18}" ${font} font-size="10" text-anchor="middle" fill="${COLOURS.muted}">${escapeXml(shortMonth(p.month))}</text>`);
+    });
+
+    const banded = points.filter(p => typeof p.low === 'number' && typeof p.high === 'number');
+    if (banded.length === points.length && points.length > 1) {
+      const upper = points.map((p, i) => `${round1(x(i))},${round1(y(p.high))}`);
+      const lower = points.map((p, i) => `${round1(x(i))},${round1(y(p.low))}`).reverse();
+      parts.push(`<polygon points="${[...upper, ...lower].join(' ')}" fill="${COLOURS.band}" fill-opacity="0.15"/>`);
+    }
+
+    const line = points.map((p, i) => `${round1(x(i))},${round1(y(p.value))}`).join(' ');
+    parts.push(`<polyline points="${line}" fill="none" stroke="${COLOURS.line}" stroke-width="2"/>`);
+    points.forEach((p, i) => {
+      parts.push(`<circle cx="${round1(x(i))}" cy="${round1(y(p.value))}" r="3" fill="${COLOURS.line}"><title>${escapeXml(`${shortMonth(p.month)}: ${formatValue(p.value, unit)}`)}</title></circle>`);
+    });
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(title)}">
+<title>${escapeXml(title)}</title>
+${parts.join('\n')}
+</svg>
+`;
+}
+
+// Minimal page around the SVG for <iframe> embeds, with a linked attribution.
+function renderChartHtml(chart) {
+  const svg = renderChartSvg(chart);
+  return `<!DOCTYPE html>
+<html lang="en-GB">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeXml(chart.title)}</title>
+<style>
+  body { margin: 0; font-family: Helvetica, Arial, sans-serif; background: #ffffff; }
+  figure { margin: 0; }
+  svg { max-width: 100%; height: auto; display: block; }
+  figcaption { font-size: 11px; color: ${COLOURS.muted}; padding: 4px 8px; }
+  a { color: ${COLOURS.line}; }
+</style>
+</head>
+<body>
+<figure>
+${svg}<figcaption>Source: <a href="${escapeXml(LICENCE.attributionUrl)}" target="_blank" rel="noopener">${escapeXml(LICENCE.attribution)}</a>, licensed <a href="${escapeXml(LICENCE.url)}" target="_blank" rel="noopener license">${escapeXml(LICENCE.spdx)}</a></figcaption>
+</figure>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderChartSvg,
+  renderChartHtml
+};
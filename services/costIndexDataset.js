@@ -0,0 +1,145 @@
+// services/costIndexDataset.js
+// The published Cost Index as a dataset: month identifiers, the price cells of
+// each monthly document flattened to one row per jobType x region x quality,
+// and the CSV form of those rows. Used by routes/costIndexRoutes.js so the
+// query endpoints and the downloads describe the same numbers.
+//
+// A month is identified by its key ('2026-05'). Documents store the label the
+// analyser printed ('May 2026') and the month start in the analyser host's
+// local time, so the key is derived from the label rather than from the date.
+// Months published before priceStats existed have no cells and no rows.
+
+const { createObjectCsvStringifier } = require('csv-writer');
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_KEY_REGEX = /^(\d{4})-(0[1-9]|1[0-2])$/;
+const REGION_SLUG_REGEX = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const QUALITIES = ['budget', 'standard', 'premium', 'luxury'];
+
+// Slug accepted wherever a region is expected, for the national cells.
+const NATIONAL_SLUG = 'uk';
+
+const SITE_URL = 'https://getestimateai.co.uk';
+
+// Terms for everything published from the index: downloads, the open data
+// feed and the embeddable charts.
+const LICENCE = Object.freeze({
+  name: 'Creative Commons Attribution 4.0 International',
+  spdx: 'CC-BY-4.0',
+  url: 'https://creativecommons.org/licenses/by/4.0/',
+  attribution: 'EstimateAI UK Renovation Cost Index',
+  attributionUrl: `${SITE_URL}/renovation-cost-index`
+});
+
+// '2026-05', 'may-2026' or 'May 2026' -> '2026-05'. null when unrecognised.
+function parseMonthParam(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim().toLowerCase();
+  if (MONTH_KEY_REGEX.test(trimmed)) return trimmed;
+
+  const match = trimmed.match(/^([a-z]+)[-\s](\d{4})$/);
+  if (!match) return null;
+  const month = MONTH_NAMES.indexOf(match[1]);
+  if (month === -1) return null;
+  return `${match[2]}-${String(month + 1).padStart(2, '0')}`;
+}
+
+// '2026-05' -> 'May 2026', as getMonthLabel() in the analyser prints it.
+function labelForMonth(key) {
+  const [, year, month] = key.match(MONTH_KEY_REGEX);
+  const name = MONTH_NAMES[Number(month) - 1];
+  return `${name[0].toUpperCase()}${name.slice(1)} ${year}`;
+}
+
+function monthOfDoc(doc) {
+  return parseMonthParam(doc.monthLabel || '');
+}
+
+function methodologyVersion(doc) {
+  // Documents from before the price statistics carry no methodology block
+  return doc.methodology?.version || 'cost-index-v1';
+}
+
+// Region query value -> the regionSlug stored on cells (null for national).
+// undefined when the value is not a slug.
+function parseRegionParam(value) {
+  const slug = String(value).trim().toLowerCase();
+  if (slug === NATIONAL_SLUG) return null;
+  return REGION_SLUG_REGEX.test(slug) ? slug : undefined;
+}
+
+// One document -> one row per published cell.
+function rowsForDoc(doc) {
+  const month = monthOfDoc(doc);
+  const version = methodologyVersion(doc);
+  return (doc.priceStats || []).map(cell => ({
+    month,
+    monthLabel: doc.monthLabel,
+    jobType: cell.jobType,
+    regionSlug: cell.regionSlug ?? null,
+    region: cell.region,
+    quality: cell.quality,
+    // 'sqm' or 'job' (services/costIndexStats.js); null for cells from before
+    // cost-index-v3, which are estimate totals
+    unit: cell.unit ?? null,
+    samples: cell.samples,
+    median: cell.median,
+    p25: cell.p25,
+    p75: cell.p75,
+    iqr: cell.iqr,
+    trimmedMean: cell.trimmedMean ?? null,
+    momPct: cell.momPct ?? null,
+    yoyPct: cell.yoyPct ?? null,
+    methodologyVersion: version
+  }));
+}
+
+// Keeps rows matching every filter given. `regionSlug` null selects the
+// national cells; undefined leaves region unfiltered.
+function filterRows(rows, { jobType, regionSlug, quality } = {}) {
+  return rows.filter(row =>
+    (jobType === undefined || row.jobType.toLowerCase() === jobType.toLowerCase()) &&
+    (regionSlug === undefined || row.regionSlug === regionSlug) &&
+    (quality === undefined || row.quality === quality)
+  );
+}
+
+function rowsToCsv(rows) {
+  const csv = createObjectCsvStringifier({
+    header: [
+      { id: 'month',              title: 'month' },
+      { id: 'jobType',            title: 'job_type' },
+      { id: 'regionSlug',         title: 'region_slug' },
+      { id: 'region',             title: 'region' },
+      { id: 'quality',            title: 'quality' },
+      { id: 'unit',               title: 'unit' },
+      { id: 'samples',            title: 'samples' },
+      { id: 'median',             title: 'median_gbp' },
+      { id: 'p25',                title: 'p25_gbp' },
+      { id: 'p75',                title: 'p75_gbp' },
+      { id: 'iqr',                title: 'iqr_gbp' },
+      { id: 'trimmedMean',        title: 'trimmed_mean_gbp' },
+      { id: 'momPct',             title: 'mom_pct' },
+      { id: 'yoyPct',             title: 'yoy_pct' },
+      { id: 'methodologyVersion', title: 'methodology_version' }
+    ]
+  });
+  // National cells have no slug; the CSV uses the same 'uk' the queries accept
+  const records = rows.map(row => ({ ...row, regionSlug: row.regionSlug ?? NATIONAL_SLUG }));
+  return csv.getHeaderString() + csv.stringifyRecords(records);
+}
+
+module.exports = {
+  parseMonthParam,
+  labelForMonth,
+  monthOfDoc,
+  methodologyVersion,
+  parseRegionParam,
+  rowsForDoc,
+  filterRows,
+  rowsToCsv,
+  QUALITIES,
+  NATIONAL_SLUG,
+  LICENCE
+};
@@ -0,0 +1,106 @@
+// services/costIndexFeed.js
+// "New month published" feeds for the Cost Index, in Atom and RSS 2.0. One
+// entry per published month, newest first. Entries link to the month's stable
+// JSON and CSV files on the open data feed (routes/costIndexOpenDataRoutes.js)
+// and to the index page on the site. `baseUrl` is the absolute URL the feed
+// is mounted at.
+
+const { monthOfDoc, LICENCE } = require('./costIndexDataset');
+
+const FEED_TITLE = 'EstimateAI UK Renovation Cost Index';
+const FEED_SUBTITLE = 'Monthly renovation prices and demand from UK estimates, by job, region and quality.';
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Plain-text summary of a month: volume, the leading job, and the commentary.
+function entrySummary(doc) {
+  const topJob = doc.topJobTypes?.[0]?.jobType;
+  const lead = `${doc.totalEstimates ?? 0} estimates in ${doc.monthLabel}` + (topJob ? `; most requested: ${topJob}.` : '.');
+  return doc.commentary ? `${lead} ${doc.commentary}` : lead;
+}
+
+function entryUpdated(doc) {
+  return new Date(doc.generatedAt || doc.monthStart || Date.now());
+}
+
+function entryLinks(doc, baseUrl) {
+  const month = monthOfDoc(doc);
+  return {
+    month,
+    json: `${baseUrl}/${month}.json`,
+    csv:  `${baseUrl}/${month}.csv`
+  };
+}
+
+function buildAtomFeed(docs, baseUrl) {
+  const updated = docs.length > 0 ? entryUpdated(docs[0]) : new Date(0);
+  const entries = docs.map(doc => {
+    const links = entryLinks(doc, baseUrl);
+    return `  <entry>
+    <id>tag:getestimateai.co.uk,2026:cost-index/${links.month}</id>
+    <title>${escapeXml(`${FEED_TITLE}: ${doc.monthLabel}`)}</title>
+    <updated>${entryUpdated(doc).toISOString()}</updated>
+    <link rel="alternate" type="application/json" href="${escapeXml(links.json)}"/>
+    <link rel="enclosure" type="text/csv" href="${escapeXml(links.csv)}"/>
+    <link rel="related" type="text/html" href="${escapeXml(LICENCE.attributionUrl)}"/>
+    <summary type="text">${escapeXml(entrySummary(doc))}</summary>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(`${baseUrl}/feed.atom`)}</id>
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_SUBTITLE)}</subtitle>
+  <updated>${updated.toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(`${baseUrl}/feed.atom`)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(LICENCE.attributionUrl)}"/>
+  <link rel="license" href="${escapeXml(LICENCE.url)}"/>
+  <author><name>EstimateAI</name></author>
+  <rights>${escapeXml(`${LICENCE.spdx}: credit "${LICENCE.attribution}" (${LICENCE.attributionUrl})`)}</rights>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function buildRssFeed(docs, baseUrl) {
+  const updated = docs.length > 0 ? entryUpdated(docs[0]) : new Date(0);
+  const items = docs.map(doc => {
+    const links = entryLinks(doc, baseUrl);
+    return `    <item>
+      <guid isPermaLink="true">${escapeXml(links.json)}</guid>
+      <title>${escapeXml(`${FEED_TITLE}: ${doc.monthLabel}`)}</title>
+      <link>${escapeXml(links.json)}</link>
+      <enclosure url="${escapeXml(links.csv)}" length="0" type="text/csv"/>
+      <pubDate>${entryUpdated(doc).toUTCString()}</pubDate>
+      <description>${escapeXml(entrySummary(doc))}</description>
+    </item>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(FEED_TITLE)}</title>
+    <link>${escapeXml(LICENCE.attributionUrl)}</link>
+    <description>${escapeXml(FEED_SUBTITLE)}</description>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(`${baseUrl}/feed.rss`)}"/>
+    <copyright>${escapeXml(`${LICENCE.spdx}: credit "${LICENCE.attribution}" (${LICENCE.attributionUrl})`)}</copyright>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+module.exports = {
+  buildAtomFeed,
+  buildRssFeed,
+  escapeXml
+};
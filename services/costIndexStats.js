@@ -0,0 +1,230 @@
+// services/costIndexStats.js
+// Price-level statistics for the monthly Cost Index (scripts/cost-index-analyser.js).
+// The index used to describe demand only; these cells describe what the work
+// costs: per jobType x regionSlug x quality, the median, interquartile range and
+// a trimmed mean of the unit prices of the estimates saved that month, plus
+// national cells (regionSlug null) per jobType x quality.
+//
+// A unit price is the estimate total per sqm for area-priced jobs, and per job
+// at medium size (total / the project size multiplier) for the rest. Totals
+// would make a cell move with its mix of job sizes: a month of large
+// extensions is not a month of higher prices. Each cell carries its `unit`.
+//
+// What is left out, and why:
+//   - unresolved regions: priced at the national 1.0, so they are not regional prices
+//   - flagged pricing checks: the client total disagreed with the server by more
+//     than the tamper tolerance (services/pricingEngine.js)
+//   - double-fires: estimates saved before the dedup guard in /api/save-estimate
+//     can be several documents for one estimate. The same hashed postcode, job
+//     and category within DEDUP_WINDOW_MS counts once, as its last save.
+//
+// A cell is published only with MIN_CELL_SAMPLES estimates, and carries a
+// trimmed mean only with MIN_TRIMMED_SAMPLES. Month-on-month and year-on-year
+// deltas compare medians computed the same way from the earlier month's raw
+// estimates, so a change of methodology never shows up as price movement.
+
+const { PROJECT_SIZE_MULTIPLIERS } = require('./pricingEngine');
+
+const METHODOLOGY_VERSION = 'cost-index-v3';
+const MIN_CELL_SAMPLES = 5;
+const MIN_TRIMMED_SAMPLES = 10;
+const TRIM_FRACTION = 0.1;                 // 10% off each end
+const DEDUP_WINDOW_MS = 60 * 1000;         // same window as the save-estimate dedup guard
+
+const METHODOLOGY = Object.freeze({
+  version: METHODOLOGY_VERSION,
+  statistic: 'unit price in GBP, labour and materials: per sqm for area-priced jobs, else per job at medium size',
+  units: { sqm: 'GBP per square metre', job: 'GBP per job at medium project size' },
+  minCellSamples: MIN_CELL_SAMPLES,
+  minTrimmedSamples: MIN_TRIMMED_SAMPLES,
+  trimFraction: TRIM_FRACTION,
+  quantiles: 'linear interpolation between order statistics',
+  excludes: ['unresolved regions', 'flagged pricing checks', 'double-fired saves within 60 seconds', 'area-priced estimates without an area'],
+  deltas: 'median change against the same cell recomputed from the earlier month'
+});
+
+// ── Statistics ───────────────────────────────────────────────────────────────
+
+// q in [0, 1] of an ascending array, interpolating between neighbours.
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+function trimmedMean(sorted, fraction = TRIM_FRACTION) {
+  const cut = Math.floor(sorted.length * fraction);
+  const kept = sorted.slice(cut, sorted.length - cut);
+  return kept.reduce((sum, v) => sum + v, 0) / kept.length;
+}
+
+function summarise(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const p25 = quantile(sorted, 0.25);
+  const p75 = quantile(sorted, 0.75);
+  return {
+    samples:     sorted.length,
+    median:      Math.round(quantile(sorted, 0.5)),
+    p25:         Math.round(p25),
+    p75:         Math.round(p75),
+    iqr:         Math.round(p75 - p25),
+    trimmedMean: sorted.length >= MIN_TRIMMED_SAMPLES ? Math.round(trimmedMean(sorted)) : null
+  };
+}
+
+// ── Rows ─────────────────────────────────────────────────────────────────────
+
+// Estimates saved in [start, end) that can carry a price, projected to what the
+// statistics need. `Estimate` is whichever model the caller has for the collection.
+async function fetchPriceRows(Estimate, start, end) {
+  return Estimate.find({
+    createdAt: { $gte: start, $lt: end },
+    'estimate.total': { $gt: 0 },
+    'locationData.regionResolved': true,
+    'pricingCheck.flagged': { $ne: true }
+  }, {
+    jobType: 1,
+    category: 1,
+    quality: 1,
+    inputType: 1,
+    projectSize: 1,
+    areaQuantity: 1,
+    locationHash: 1,
+    createdAt: 1,
+    'estimate.total': 1,
+    'estimate.quantity': 1,
+    'estimate.unit': 1,
+    'multipliers.size': 1,
+    'locationData.region': 1,
+    'locationData.regionSlug': 1
+  }).sort({ createdAt: 1 }).lean();
+}
+
+// Collapses double-fires: rows with the same postcode hash, job and category
+// whose first save was within DEDUP_WINDOW_MS count once, as the last of them.
+// Rows must be in createdAt order.
+function dedupeRows(rows) {
+  const open = new Map();   // key -> { firstAt, index into kept }
+  const kept = [];
+  for (const row of rows) {
+    const key = `${row.locationHash}|${row.jobType}|${row.category}`;
+    const at = new Date(row.createdAt).getTime();
+    const cluster = row.locationHash ? open.get(key) : null;
+    if (cluster && at - cluster.firstAt <= DEDUP_WINDOW_MS) {
+      kept[cluster.index] = row;
+      continue;
+    }
+    if (row.locationHash) open.set(key, { firstAt: at, index: kept.length });
+    kept.push(row);
+  }
+  return kept;
+}
+
+// Row -> { unit, price }, or null when an area-priced row has no area.
+// The size multiplier the server priced with is used when it was stored.
+function unitPrice(row) {
+  const total = row.estimate?.total;
+  if (row.estimate?.unit === 'sqm' || row.inputType === 'sqm' || row.inputType === 'area') {
+    const area = Number(row.areaQuantity || row.estimate?.quantity);
+    return area > 0 ? { unit: 'sqm', price: total / area } : null;
+  }
+  const size = Number(row.multipliers?.size) || PROJECT_SIZE_MULTIPLIERS[row.projectSize] || 1;
+  return { unit: 'job', price: total / size };
+}
+
+// ── Cells ────────────────────────────────────────────────────────────────────
+
+// unit is part of the key: a job type repriced from per-job to per-sqm must
+// not pool the two.
+function cellKey(jobType, regionSlug, quality, unit) {
+  return `${jobType}|${regionSlug || ''}|${quality}|${unit}`;
+}
+
+// Rows -> published cells (below-threshold cells are dropped), national cells first.
+function computeCells(rows) {
+  const groups = new Map();
+  const add = (jobType, regionSlug, region, quality, unit, price) => {
+    const key = cellKey(jobType, regionSlug, quality, unit);
+    if (!groups.has(key)) groups.set(key, { jobType, regionSlug, region, quality, unit, prices: [] });
+    groups.get(key).prices.push(price);
+  };
+
+  dedupeRows(rows).forEach(row => {
+    if (!row.jobType || !row.quality || !(row.estimate?.total > 0)) return;
+    const unit = unitPrice(row);
+    if (!unit) return;
+    add(row.jobType, null, 'UK', row.quality, unit.unit, unit.price);
+    // Regions with no page have no slug and appear in the national cells only
+    const slug = row.locationData?.regionSlug;
+    if (slug) add(row.jobType, slug, row.locationData.region, row.quality, unit.unit, unit.price);
+  });
+
+  return [...groups.values()]
+    .filter(g => g.prices.length >= MIN_CELL_SAMPLES)
+    .map(g => ({
+      jobType: g.jobType,
+      regionSlug: g.regionSlug,
+      region: g.region,
+      quality: g.quality,
+      unit: g.unit,
+      ...summarise(g.prices)
+    }))
+    .sort((a, b) => (a.regionSlug === null ? 0 : 1) - (b.regionSlug === null ? 0 : 1) || b.samples - a.samples);
+}
+
+function pctChange(now, then) {
+  return then ? Math.round(((now - then) / then) * 1000) / 10 : null;
+}
+
+// Adds momPct / yoyPct (median change) to each cell. A delta is null when the
+// earlier month had no published cell for the same key.
+function attachDeltas(cells, prevCells, lastYearCells) {
+  const index = list => new Map(list.map(c => [cellKey(c.jobType, c.regionSlug, c.quality, c.unit), c]));
+  const prev = index(prevCells);
+  const lastYear = index(lastYearCells);
+  return cells.map(c => {
+    const key = cellKey(c.jobType, c.regionSlug, c.quality, c.unit);
+    return {
+      ...c,
+      prevMedian: prev.get(key)?.median ?? null,
+      momPct: pctChange(c.median, prev.get(key)?.median),
+      lastYearMedian: lastYear.get(key)?.median ?? null,
+      yoyPct: pctChange(c.median, lastYear.get(key)?.median)
+    };
+  });
+}
+
+// Cells for the month starting at `start`, with deltas against the month before
+// and the same month a year earlier.
+async function buildPriceStats(Estimate, start) {
+  const monthRange = (offset) => ({
+    from: new Date(start.getFullYear(), start.getMonth() + offset, 1),
+    to:   new Date(start.getFullYear(), start.getMonth() + offset + 1, 1)
+  });
+  const [current, prev, lastYear] = await Promise.all([0, -1, -12].map(offset => {
+    const { from, to } = monthRange(offset);
+    return fetchPriceRows(Estimate, from, to);
+  }));
+
+  const cells = attachDeltas(computeCells(current), computeCells(prev), computeCells(lastYear));
+  return {
+    cells,
+    rowsConsidered: current.length,
+    estimatesCounted: dedupeRows(current).length
+  };
+}
+
+module.exports = {
+  buildPriceStats,
+  computeCells,
+  dedupeRows,
+  unitPrice,
+  attachDeltas,
+  summarise,
+  quantile,
+  METHODOLOGY,
+  METHODOLOGY_VERSION,
+  MIN_CELL_SAMPLES
+};
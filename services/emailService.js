@@ -32,8 +32,9 @@ console.log('   SMTP Port:', process.env.SMTP_PORT || 587);
 
 /**
  * Send welcome email with estimate details to new lead
+ * options.attachments: nodemailer attachments, e.g. the estimate PDF from services/pdfReport.js
  */
-async function sendWelcomeEmail(leadData, estimateData = null) {
+async function sendWelcomeEmail(leadData, estimateData = null, options = {}) {
   try {
     const { email, jobName, category, quality, hasPhotos } = leadData;
     
@@ -45,13 +46,19 @@ async function sendWelcomeEmail(leadData, estimateData = null) {
     
     console.log('📧 Sending via SMTP...');
     
+    const attachments = options.attachments || [];
+    if (attachments.length > 0) {
+      console.log('📎 Attaching:', attachments.map(a => a.filename).join(', '));
+    }
+
     // Send email
     const info = await transporter.sendMail({
       from: `"EstimateAI" <${process.env.SMTP_USER}>`,
       to: email,
       subject: `Your ${jobName} Estimate is Ready`,
       text: textContent,
-      html: htmlContent
+      html: htmlContent,
+      attachments
     });
     
     console.log('✅ Email sent successfully!');
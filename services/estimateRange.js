@@ -0,0 +1,166 @@
+// services/estimateRange.js
+// Low / likely / high range for an estimate total. `likely` is the total itself;
+// low and high are percentages either side of it, built in four steps:
+//
+//   1. Quality prior. Each tier has a downside and an upside spread. Ranges are
+//      asymmetric because overruns are more common than underruns, and wider at
+//      the top end because premium and luxury specs vary far more between quotes.
+//   2. Regional band. London-rate areas (multiplier 1.35+) widen both sides:
+//      labour prices there move more between contractors. An unresolved postcode
+//      is priced at the national average, so it widens both sides as well.
+//   3. Review evidence. Once a jobType has MIN_REVIEW_SAMPLES EstimateReview
+//      records with a variance, the observed P10 / P90 variancePct is blended
+//      with the prior, weighted n / (n + REVIEW_PRIOR_WEIGHT). Ten reviews
+//      count as much as the prior; beyond that the data dominates.
+//   4. Photo narrowing. Photos are evidence about this specific job, so the
+//      blended spread shrinks by up to PHOTO_NARROWING_MAX in proportion to the
+//      photo analysis confidence.
+//
+// The model version and every factor are returned alongside the range and saved
+// as Estimate.rangeModel, so a stored range can always be explained later.
+
+const mongoose = require('mongoose');
+const Estimate = require('../models/Estimate');
+const EstimateReview = require('../models/EstimateReview');
+
+const RANGE_MODEL_VERSION = 'range-v1';
+
+const QUALITY_SPREADS = {
+  budget:   { low: 0.10, high: 0.15 },
+  standard: { low: 0.10, high: 0.18 },
+  premium:  { low: 0.12, high: 0.22 },
+  luxury:   { low: 0.15, high: 0.30 }
+};
+
+const LONDON_BAND_MULTIPLIER = 1.35;
+const REGIONAL_WIDENING      = 0.05;
+
+const MIN_REVIEW_SAMPLES   = 5;
+const REVIEW_PRIOR_WEIGHT  = 10;
+const PHOTO_NARROWING_MAX  = 0.4;
+
+// Hard bounds so one wild review cannot publish a range like "£0 - £40,000".
+const LOW_PCT_BOUNDS  = [0.05, 0.5];
+const HIGH_PCT_BOUNDS = [0.05, 1.0];
+
+// Review stats change slowly, and every compute/save asks for them.
+const REVIEW_STATS_TTL_MS = 60 * 60 * 1000;
+const reviewStatsCache = new Map();
+
+function clamp(value, [min, max]) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+// Observed variancePct spread for a jobType, from reviews joined to their
+// estimates. variancePct is (actual - estimated) / estimated, so a negative P10
+// is the downside and a positive P90 the upside. Returns { samples, p10, p90 }.
+async function getReviewVarianceStats(jobType) {
+  // No database, no evidence - the prior alone still produces a usable range.
+  // Checked up front so a dropped connection does not stall pricing on buffering.
+  if (!jobType || mongoose.connection.readyState !== 1) return { samples: 0, p10: null, p90: null };
+
+  const cached = reviewStatsCache.get(jobType);
+  if (cached && Date.now() - cached.at < REVIEW_STATS_TTL_MS) return cached.stats;
+
+  try {
+    const rows = await EstimateReview.aggregate([
+      { $match: { variancePct: { $ne: null } } },
+      { $lookup: {
+        from: Estimate.collection.name,
+        let: { eid: '$estimateId' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', { $convert: { input: '$$eid', to: 'objectId', onError: null, onNull: null } }] } } },
+          { $project: { jobType: 1 } }
+        ],
+        as: 'estimate'
+      }},
+      { $unwind: '$estimate' },
+      { $match: { 'estimate.jobType': jobType } },
+      { $project: { _id: 0, variancePct: 1 } }
+    ]);
+
+    const sorted = rows.map(r => r.variancePct / 100).sort((a, b) => a - b);
+    const stats = {
+      samples: sorted.length,
+      p10: percentile(sorted, 0.1),
+      p90: percentile(sorted, 0.9)
+    };
+    reviewStatsCache.set(jobType, { at: Date.now(), stats });
+    return stats;
+  } catch (error) {
+    console.error('Error fetching review variance stats:', error.message);
+    return { samples: 0, p10: null, p90: null };
+  }
+}
+
+// Pure range calculation. reviewStats is optional; pass the result of
+// getReviewVarianceStats() when it is available.
+function computeRange({ total, quality, photoAnalysis, locationData, reviewStats }) {
+  const likely = Math.round(Number(total) || 0);
+  const prior = QUALITY_SPREADS[quality] || QUALITY_SPREADS.standard;
+
+  let regionalWidening = 0;
+  if (!locationData?.regionResolved) regionalWidening = REGIONAL_WIDENING;
+  else if ((locationData.costMultiplier || 1) >= LONDON_BAND_MULTIPLIER) regionalWidening = REGIONAL_WIDENING;
+
+  let lowPct  = prior.low  + regionalWidening;
+  let highPct = prior.high + regionalWidening;
+
+  const samples = reviewStats?.samples || 0;
+  let reviewWeight = 0;
+  if (samples >= MIN_REVIEW_SAMPLES) {
+    reviewWeight = samples / (samples + REVIEW_PRIOR_WEIGHT);
+    const observedLow  = Math.max(0, -(reviewStats.p10 ?? 0));
+    const observedHigh = Math.max(0, reviewStats.p90 ?? 0);
+    lowPct  = (1 - reviewWeight) * lowPct  + reviewWeight * observedLow;
+    highPct = (1 - reviewWeight) * highPct + reviewWeight * observedHigh;
+  }
+
+  const photoConfidence = typeof photoAnalysis?.confidence === 'number'
+    ? clamp(photoAnalysis.confidence, [0, 100])
+    : null;
+  const photoFactor = photoConfidence !== null
+    ? 1 - PHOTO_NARROWING_MAX * (photoConfidence / 100)
+    : 1;
+  lowPct  = clamp(lowPct  * photoFactor, LOW_PCT_BOUNDS);
+  highPct = clamp(highPct * photoFactor, HIGH_PCT_BOUNDS);
+
+  return {
+    low:  Math.round(likely * (1 - lowPct)),
+    likely,
+    high: Math.round(likely * (1 + highPct)),
+    model: {
+      version:          RANGE_MODEL_VERSION,
+      lowPct:           Math.round(lowPct  * 1000) / 1000,
+      highPct:          Math.round(highPct * 1000) / 1000,
+      qualitySpread:    prior,
+      regionalWidening,
+      reviewSamples:    samples,
+      reviewWeight:     Math.round(reviewWeight * 1000) / 1000,
+      photoFactor:      Math.round(photoFactor * 1000) / 1000
+    }
+  };
+}
+
+// Convenience for the save/patch routes: fetches review stats and computes the
+// range around whatever total is being stored.
+async function rangeForEstimate({ jobType, total, quality, photoAnalysis, locationData }) {
+  const reviewStats = await getReviewVarianceStats(jobType);
+  return computeRange({ total, quality, photoAnalysis, locationData, reviewStats });
+}
+
+module.exports = {
+  computeRange,
+  rangeForEstimate,
+  getReviewVarianceStats,
+  RANGE_MODEL_VERSION,
+  QUALITY_SPREADS
+};
@@ -0,0 +1,104 @@
+// services/imageIngestion.js
+// Every uploaded photo passes through here before any vision model sees it.
+//
+//   1. Decode the base64 data URL and identify the real format from the bytes.
+//      The declared data:image/... type is ignored: a renamed SVG or PDF is refused.
+//   2. Apply the EXIF orientation, then re-encode without any metadata, so GPS
+//      coordinates, camera serials and timestamps never leave the server.
+//   3. Downsize to MAX_LONG_EDGE_PX. Vision models downscale larger images
+//      themselves (OpenAI high detail to 768px on the short side, Anthropic to
+//      about 1568px on the long edge), so the extra pixels only cost upload time.
+//   4. Hash the normalised JPEG. The same photo uploaded again hashes the same,
+//      which is what lets services/photoAnalysis.js reuse an earlier analysis.
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'heif', 'avif', 'gif', 'tiff'];
+const MAX_LONG_EDGE_PX = 1568;
+const MAX_INPUT_PIXELS = 60 * 1000 * 1000;   // 60MP, above any phone camera
+const JPEG_QUALITY = 85;
+
+class ImageIngestionError extends Error {}
+
+// dataUrl -> { mediaType, base64, dataUrl, hash, width, height, original: {...} }
+async function ingestImage(dataUrl, index = 0) {
+  const match = /^data:[^;,]*;base64,(.+)$/s.exec(String(dataUrl || ''));
+  if (!match) throw new ImageIngestionError(`Image ${index + 1} is not a base64 data URL`);
+
+  const input = Buffer.from(match[1], 'base64');
+  if (input.length === 0) throw new ImageIngestionError(`Image ${index + 1} is empty`);
+
+  let metadata;
+  try {
+    metadata = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw new ImageIngestionError(`Image ${index + 1} could not be read as an image`);
+  }
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+    throw new ImageIngestionError(`Image ${index + 1} has an unsupported format (${metadata.format || 'unknown'})`);
+  }
+
+  let output;
+  try {
+    // rotate() with no angle applies the EXIF orientation; sharp writes no
+    // metadata unless asked to, so the output carries no EXIF or XMP at all.
+    output = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS, animated: false })
+      .rotate()
+      .resize({ width: MAX_LONG_EDGE_PX, height: MAX_LONG_EDGE_PX, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })   // transparent PNGs would otherwise turn black
+      .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw new ImageIngestionError(`Image ${index + 1} could not be processed`);
+  }
+
+  const base64 = output.data.toString('base64');
+  return {
+    mediaType: 'image/jpeg',
+    base64,
+    dataUrl: `data:image/jpeg;base64,${base64}`,
+    hash: crypto.createHash('sha256').update(output.data).digest('hex'),
+    width: output.info.width,
+    height: output.info.height,
+    original: {
+      format: metadata.format,
+      bytes: input.length,
+      width: metadata.width,
+      height: metadata.height,
+      hadExif: Boolean(metadata.exif),
+      hadGps: hasGps(metadata.exif)
+    }
+  };
+}
+
+// The GPS IFD pointer tag (0x8825) in the raw EXIF block, in either byte order.
+// A byte match can over-report, which is fine: it is only logged, and all
+// metadata is stripped whether or not it is found.
+function hasGps(exif) {
+  if (!exif) return false;
+  return exif.includes(Buffer.from([0x88, 0x25])) || exif.includes(Buffer.from([0x25, 0x88]));
+}
+
+// Ingests in order, one at a time: sharp is CPU-bound and uploads are at most three.
+async function ingestImages(dataUrls) {
+  const images = [];
+  for (let i = 0; i < dataUrls.length; i++) {
+    images.push(await ingestImage(dataUrls[i], i));
+  }
+
+  const stripped = images.filter(img => img.original.hadExif).length;
+  const withGps = images.filter(img => img.original.hadGps).length;
+  const before = images.reduce((sum, img) => sum + img.original.bytes, 0);
+  const after = images.reduce((sum, img) => sum + img.base64.length * 0.75, 0);
+  console.log(`🧹 Ingested ${images.length} photos: ${Math.round(before / 1024)} KB -> ${Math.round(after / 1024)} KB` +
+    (stripped ? `, EXIF stripped from ${stripped}${withGps ? ` (${withGps} with GPS)` : ''}` : ''));
+  return images;
+}
+
+module.exports = {
+  ingestImage,
+  ingestImages,
+  ImageIngestionError,
+  MAX_LONG_EDGE_PX
+};
@@ -0,0 +1,184 @@
+// services/inflation.js
+// Construction price inflation. Base rates are priced at the index base month
+// (January 2026). An estimate priced in another month scales the materials part
+// by the materials index and the labour part by the labour index, both relative
+// to the base month. Labour also carries a seasonal factor, also relative to the
+// base month, because trades charge more in the spring and summer peak than in
+// the winter lull.
+//
+// Indices live in the InflationIndex collection, seeded from
+// data/constructionPriceIndices.csv, and are held in memory so pricing stays
+// synchronous. The seed file is also what is served before the database
+// connects, or when it is down. Months after the latest published index are
+// priced at the latest one: nothing is extrapolated.
+
+const fs = require('fs');
+const path = require('path');
+const InflationIndex = require('../models/InflationIndex');
+
+const SEED_PATH = path.join(__dirname, '..', 'data', 'constructionPriceIndices.csv');
+const REFRESH_MS = 60 * 60 * 1000;
+const MONTH_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function readSeed(file = SEED_PATH) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  const baseLine = lines.find(line => line.startsWith('# base='));
+  const rows = lines.filter(line => line.trim() && !line.startsWith('#'));
+  const header = rows.shift().split(',');
+
+  return {
+    baseMonth: baseLine ? baseLine.slice('# base='.length).trim() : null,
+    rows: rows.map(line => {
+      const cells = line.split(',');
+      const row = Object.fromEntries(header.map((key, i) => [key, cells[i]]));
+      return {
+        month: row.month,
+        materials: Number(row.materials),
+        labour: Number(row.labour),
+        provisional: row.provisional === '1'
+      };
+    })
+  };
+}
+
+const seed = readSeed();
+const BASE_MONTH = seed.baseMonth || seed.rows[0].month;
+
+// Oldest month first.
+let series = seed.rows;
+let refreshTimer = null;
+
+// Inserts seed months the collection lacks, then loads the whole series.
+// Safe to call repeatedly; keeps the current series if the database fails.
+async function loadInflationIndices() {
+  try {
+    await InflationIndex.bulkWrite(seed.rows.map(row => ({
+      updateOne: {
+        filter: { month: row.month },
+        update: { $setOnInsert: { ...row, source: 'seed' } },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    const docs = await InflationIndex.find({}, { month: 1, materials: 1, labour: 1, provisional: 1 })
+      .sort({ month: 1 })
+      .lean();
+    if (docs.length > 0) {
+      series = docs.map(d => ({ month: d.month, materials: d.materials, labour: d.labour, provisional: d.provisional }));
+    }
+    const latest = series[series.length - 1];
+    console.log(`📈 Inflation indices loaded: ${series.length} months, latest ${latest.month}${latest.provisional ? ' (provisional)' : ''}`);
+  } catch (error) {
+    console.error('Error loading inflation indices:', error.message);
+  }
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(loadInflationIndices, REFRESH_MS);
+    refreshTimer.unref();
+  }
+  return series;
+}
+
+function monthKey(date) {
+  return new Date(date).toISOString().slice(0, 7);
+}
+
+// The row for a month: that month, else the latest before it, else the first.
+function indexForMonth(month) {
+  let row = series[0];
+  for (const r of series) {
+    if (r.month > month) break;
+    row = r;
+  }
+  return row;
+}
+
+function round4(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+// Factors for pricing at `at`. `config` is the pricing configuration in force
+// then, for its seasonalLabourFactors (one per calendar month, January first).
+// Base rates already carry the base month's season, so the seasonal factor is
+// taken relative to it: pricing in the base month itself is exactly 1.0.
+function inflationFor(at = new Date(), config = null) {
+  const date = new Date(at);
+  const month = monthKey(date);
+  const row = indexForMonth(month);
+  const base = series.find(r => r.month === BASE_MONTH) || series[0];
+  const factors = config?.seasonalLabourFactors;
+  const baseSeasonal = factors?.[Number(base.month.slice(5, 7)) - 1] ?? 1;
+  const seasonal = round4((factors?.[date.getUTCMonth()] ?? 1) / baseSeasonal);
+
+  return {
+    asOf: date.toISOString().slice(0, 10),
+    baseMonth: base.month,
+    indexMonth: row.month,               // differs from asOf's month when no index is published for it yet
+    provisional: row.provisional,
+    materials: round4(row.materials / base.materials),
+    labour: round4((row.labour / base.labour) * seasonal),
+    seasonalLabour: seasonal
+  };
+}
+
+// Month-on-month and year-on-year movement of both indices for a month, or
+// null when the month has no index. For the cost index.
+function indexMovement(month) {
+  const row = series.find(r => r.month === month);
+  if (!row) return null;
+  const [y, m] = month.split('-').map(Number);
+  const shift = (months) => {
+    const d = new Date(Date.UTC(y, m - 1 + months, 1));
+    return series.find(r => r.month === monthKey(d)) || null;
+  };
+  const change = (now, then) => then ? Math.round(((now - then) / then) * 1000) / 10 : null;
+  const prev = shift(-1);
+  const lastYear = shift(-12);
+
+  return {
+    month,
+    baseMonth: BASE_MONTH,
+    materials: row.materials,
+    labour: row.labour,
+    provisional: row.provisional,
+    materialsMoMPct: change(row.materials, prev?.materials),
+    labourMoMPct:    change(row.labour, prev?.labour),
+    materialsYoYPct: change(row.materials, lastYear?.materials),
+    labourYoYPct:    change(row.labour, lastYear?.labour)
+  };
+}
+
+function getInflationSeries() {
+  return { baseMonth: BASE_MONTH, series };
+}
+
+// Returns a list of { field, message }.
+function validateIndexInput({ month, materials, labour, provisional }) {
+  const errors = [];
+  if (!MONTH_REGEX.test(month || '')) errors.push({ field: 'month', message: 'must be YYYY-MM' });
+  if (typeof materials !== 'number' || !(materials > 0)) errors.push({ field: 'materials', message: 'must be a positive number' });
+  if (typeof labour !== 'number' || !(labour > 0)) errors.push({ field: 'labour', message: 'must be a positive number' });
+  if (provisional !== undefined && typeof provisional !== 'boolean') errors.push({ field: 'provisional', message: 'must be a boolean' });
+  return errors;
+}
+
+// Adds or revises a month, then reloads the in-memory series.
+async function upsertInflationIndex({ month, materials, labour, provisional = false, updatedBy = null }) {
+  const doc = await InflationIndex.findOneAndUpdate(
+    { month },
+    { $set: { materials, labour, provisional, source: 'admin', updatedBy } },
+    { upsert: true, new: true, runValidators: true }
+  );
+  await loadInflationIndices();
+  return doc;
+}
+
+module.exports = {
+  loadInflationIndices,
+  inflationFor,
+  indexMovement,
+  getInflationSeries,
+  validateIndexInput,
+  upsertInflationIndex,
+  BASE_MONTH
+};
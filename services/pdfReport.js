@@ -0,0 +1,296 @@
+// services/pdfReport.js
+// Server-rendered PDF estimate report, served by GET /api/estimate/:id/pdf and
+// attached to the welcome email. Replaces the report the frontend used to build
+// for 'pdf_download' leads, so both come from the stored Estimate.
+//
+// Rendering uses puppeteer-core, which ships without a browser: set
+// CHROME_EXECUTABLE_PATH to a Chrome/Chromium binary. Without it, rendering
+// throws PdfUnavailableError and callers fall back (503, or an email without
+// the attachment).
+//
+// Renders run at most MAX_CONCURRENT_RENDERS at a time, each page closed after
+// RENDER_TIMEOUT_MS; further renders wait their turn, up to MAX_QUEUED_RENDERS.
+//
+// PDFs are cached in memory per estimate version. The version is the Estimate's
+// updatedAt, which every PATCH moves, so a re-priced estimate renders afresh and
+// an unchanged one is rendered once.
+
+const puppeteer = require('puppeteer-core');
+const mongoose = require('mongoose');
+const Estimate = require('../models/Estimate');
+const { buildBillOfQuantities } = require('./billOfQuantities');
+
+const MAX_CACHED_PDFS = 50;
+const pdfCache = new Map();   // key `${id}:${version}` -> Buffer, oldest first
+
+const MAX_CONCURRENT_RENDERS = 2;
+const MAX_QUEUED_RENDERS = 20;
+const RENDER_TIMEOUT_MS = 20000;
+
+let browserPromise = null;
+let activeRenders = 0;
+const renderQueue = [];   // resolve callbacks of renders waiting for a slot
+
+class PdfUnavailableError extends Error {}
+
+const REPORT_FIELDS = {
+  jobType: 1, jobName: 1, category: 1, quality: 1, projectSize: 1, areaQuantity: 1,
+  estimate: 1, boq: 1, locationData: 1, photoAnalysis: 1, contractorsShown: 1,
+  createdAt: 1, updatedAt: 1
+};
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function gbp(n) {
+  return '£' + Math.round(Number(n) || 0).toLocaleString('en-GB');
+}
+
+function capitalise(s) {
+  return s ? s.charAt(0).toUpperCase() + s.slice(1) : '';
+}
+
+// updatedAt only moves when the estimate's content does: view and share counters
+// are updated with timestamps: false.
+function estimateVersion(estimate) {
+  return new Date(estimate.updatedAt || estimate.createdAt || 0).getTime();
+}
+
+function buildEstimateReportHTML(estimate) {
+  const e = estimate.estimate || {};
+  const location = estimate.locationData || {};
+  const photo = estimate.photoAnalysis || {};
+  const boq = estimate.boq || buildBillOfQuantities(estimate);
+  const contractors = (estimate.contractorsShown || []).slice(0, 5);
+  const issued = new Date(estimate.updatedAt || estimate.createdAt || Date.now())
+    .toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+  const rangeHTML = e.low != null && e.high != null
+    ? `<p class="range">Likely range ${gbp(e.low)} – ${gbp(e.high)}</p>`
+    : '';
+
+  const regionHTML = location.regionResolved && location.region
+    ? `<p><strong>${escapeHtml(location.region)}${location.district ? ' (' + escapeHtml(location.district) + ')' : ''}</strong>
+       — prices ×${Number(location.costMultiplier || 1).toFixed(2)} the UK average. ${escapeHtml(location.costReason || '')}</p>`
+    : '<p>Priced at UK average rates: the postcode could not be matched to a region.</p>';
+
+  const boqRows = boq ? boq.items.map(i => `
+        <tr>
+          <td>${escapeHtml(i.description)}${i.note ? `<div class="note">${escapeHtml(i.note)}</div>` : ''}</td>
+          <td class="num">${i.quantity} ${escapeHtml(i.unit)}</td>
+          <td class="num">${gbp(i.unitRate)}</td>
+          <td class="num">${gbp(i.amount)}</td>
+        </tr>`).join('') : '';
+
+  const boqHTML = boq ? `
+    <h2>Bill of quantities</h2>
+    <table>
+      <thead><tr><th>Item</th><th class="num">Qty</th><th class="num">Rate</th><th class="num">Amount</th></tr></thead>
+      <tbody>${boqRows}</tbody>
+      <tfoot>
+        <tr><td colspan="3">Estimate total (${boq.labourDays} labour days)</td><td class="num">${gbp(boq.totals.estimate)}</td></tr>
+        <tr><td colspan="3">Recommended contingency (${boq.contingency.pct}%) — not included above</td><td class="num">${gbp(boq.totals.contingency)}</td></tr>
+      </tfoot>
+    </table>` : '';
+
+  const insights = photo.insights || [];
+  const issues = photo.detectedIssues || [];
+  const photoHTML = insights.length || issues.length ? `
+    <h2>From your photos</h2>
+    ${insights.length ? `<ul>${insights.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</ul>` : ''}
+    ${issues.length ? `<p><strong>Issues that may affect cost:</strong> ${issues.map(escapeHtml).join(', ')}</p>` : ''}` : '';
+
+  const contractorsHTML = contractors.length ? `
+    <h2>Recommended local contractors</h2>
+    <table>
+      <tbody>${contractors.map(c => `
+        <tr>
+          <td>${escapeHtml(c.name)}</td>
+          <td class="num">${c.rating ? '★ ' + c.rating + '/5' : ''}${c.totalReviews ? ' (' + c.totalReviews + ' reviews)' : ''}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>` : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b; font-size: 12px; margin: 0; }
+    header { border-bottom: 3px solid #0d9488; padding-bottom: 12px; margin-bottom: 20px; display: flex; justify-content: space-between; align-items: flex-end; }
+    header h1 { margin: 0; color: #0d9488; font-size: 24px; }
+    header .meta { color: #64748b; text-align: right; font-size: 11px; }
+    h2 { font-size: 15px; margin: 24px 0 8px; color: #075F58; }
+    .hero { background: #0d9488; color: white; border-radius: 10px; padding: 20px; text-align: center; }
+    .hero .total { font-size: 34px; font-weight: 800; margin: 6px 0; }
+    .hero .range { margin: 0; opacity: 0.9; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 6px 4px; border-bottom: 1px solid #e5e7eb; text-align: left; vertical-align: top; }
+    th { color: #64748b; font-weight: 600; }
+    tfoot td { font-weight: 700; border-bottom: none; }
+    .num { text-align: right; white-space: nowrap; }
+    .note { color: #64748b; font-size: 10px; }
+    .disclaimer { margin-top: 28px; background: #fef3c7; border-left: 4px solid #f59e0b; padding: 10px 12px; font-size: 10px; color: #374151; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>EstimateAI</h1>
+    <div class="meta">Estimate ${escapeHtml(estimate._id)}<br>Issued ${issued}</div>
+  </header>
+
+  <div class="hero">
+    <div>${escapeHtml(estimate.jobName || estimate.jobType)} · ${capitalise(estimate.quality)} quality${estimate.projectSize ? ' · ' + capitalise(estimate.projectSize.replace('-', ' ')) : ''}</div>
+    <div class="total">${gbp(e.total)}</div>
+    ${rangeHTML}
+  </div>
+
+  <h2>Cost breakdown</h2>
+  <table>
+    <tbody>
+      <tr><td>Labour</td><td class="num">${gbp(e.labour)}</td></tr>
+      <tr><td>Materials</td><td class="num">${gbp(e.materials)}</td></tr>
+    </tbody>
+    <tfoot><tr><td>Total</td><td class="num">${gbp(e.total)}</td></tr></tfoot>
+  </table>
+
+  <h2>Your area</h2>
+  ${regionHTML}
+
+  ${photoHTML}
+
+  ${boqHTML}
+
+  ${contractorsHTML}
+
+  <div class="disclaimer">
+    <strong>Please note:</strong> this is an ${e.photoEnhanced ? 'AI-enhanced ' : ''}indicative estimate${e.confidence ? ` (${e.confidence}% confidence)` : ''}, not a quote.
+    Actual costs vary with site conditions, specification and individual contractor rates. Always get at least three
+    written quotes, and check credentials and recent reviews before appointing a contractor. Contractors listed are
+    drawn from public business listings and are not endorsed by EstimateAI.
+  </div>
+</body>
+</html>`;
+}
+
+function getBrowser() {
+  if (!process.env.CHROME_EXECUTABLE_PATH) {
+    return Promise.reject(new PdfUnavailableError('PDF rendering unavailable: CHROME_EXECUTABLE_PATH not set'));
+  }
+  if (!browserPromise) {
+    browserPromise = puppeteer.launch({
+      executablePath: process.env.CHROME_EXECUTABLE_PATH,
+      headless: true,
+      args: ['--no-sandbox', '--disable-dev-shm-usage']
+    }).then(browser => {
+      // A crashed browser is relaunched on the next render rather than left dead.
+      browser.on('disconnected', () => { browserPromise = null; });
+      console.log('🖨️ PDF browser launched');
+      return browser;
+    }).catch(error => {
+      browserPromise = null;
+      throw new PdfUnavailableError('PDF rendering unavailable: ' + error.message);
+    });
+  }
+  return browserPromise;
+}
+
+// Resolves once a render slot is free. A slot is handed straight to the next
+// waiter on release, so activeRenders never exceeds MAX_CONCURRENT_RENDERS.
+function acquireRenderSlot() {
+  if (activeRenders < MAX_CONCURRENT_RENDERS) {
+    activeRenders++;
+    return Promise.resolve();
+  }
+  if (renderQueue.length >= MAX_QUEUED_RENDERS) {
+    return Promise.reject(new PdfUnavailableError('PDF rendering busy: too many reports queued'));
+  }
+  return new Promise(resolve => renderQueue.push(resolve));
+}
+
+function releaseRenderSlot() {
+  const next = renderQueue.shift();
+  if (next) next();
+  else activeRenders--;
+}
+
+async function renderPdf(html) {
+  await acquireRenderSlot();
+  let page = null;
+  try {
+    const browser = await getBrowser();
+    page = await browser.newPage();
+    await page.setContent(html, { waitUntil: 'load', timeout: RENDER_TIMEOUT_MS });
+    const pdf = await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      margin: { top: '18mm', bottom: '18mm', left: '15mm', right: '15mm' },
+      timeout: RENDER_TIMEOUT_MS
+    });
+    return Buffer.from(pdf);
+  } catch (error) {
+    if (error instanceof puppeteer.TimeoutError) {
+      throw new PdfUnavailableError('PDF rendering timed out');
+    }
+    throw error;
+  } finally {
+    if (page) await page.close().catch(() => {});
+    releaseRenderSlot();
+  }
+}
+
+// Returns { buffer, filename, version } or null when the estimate does not exist.
+async function getEstimatePdf(estimateId) {
+  if (!mongoose.Types.ObjectId.isValid(estimateId)) return null;
+  const estimate = await Estimate.findById(estimateId, REPORT_FIELDS).lean();
+  if (!estimate) return null;
+
+  const version = estimateVersion(estimate);
+  const key = `${estimateId}:${version}`;
+  const slug = (estimate.jobName || estimate.jobType || 'estimate').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const filename = `${slug}-estimate-${estimateId}.pdf`;
+
+  let buffer = pdfCache.get(key);
+  if (buffer) {
+    // Refresh recency so the Map's insertion order stays least-recently-used first.
+    pdfCache.delete(key);
+  } else {
+    buffer = await renderPdf(buildEstimateReportHTML(estimate));
+    // Older versions of this estimate will never be asked for again.
+    for (const k of pdfCache.keys()) {
+      if (k.startsWith(estimateId + ':')) pdfCache.delete(k);
+    }
+    console.log(`🖨️ PDF rendered for estimate ${estimateId} (${Math.round(buffer.length / 1024)} KB)`);
+  }
+  pdfCache.set(key, buffer);
+  while (pdfCache.size > MAX_CACHED_PDFS) {
+    pdfCache.delete(pdfCache.keys().next().value);
+  }
+
+  return { buffer, filename, version };
+}
+
+// Nodemailer attachment for an estimate's PDF, or null when it cannot be produced.
+// Never throws: a missing attachment must not stop the welcome email.
+async function estimatePdfAttachment(estimateId) {
+  try {
+    const pdf = await getEstimatePdf(estimateId);
+    if (!pdf) return null;
+    return { filename: pdf.filename, content: pdf.buffer, contentType: 'application/pdf' };
+  } catch (error) {
+    console.error('❌ PDF attachment skipped:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  getEstimatePdf,
+  estimatePdfAttachment,
+  buildEstimateReportHTML,
+  PdfUnavailableError
+};
@@ -0,0 +1,503 @@
+// services/photoAnalysis.js
+// Prompt and response handling for /api/analyze-photos (schema 'photo-v3').
+//
+// v1 asked for four multipliers and three flat lists, then reported a
+// "confidence" that was only the average multiplier's closeness to 1.0. v2 asks
+// the model to report per image: what it shows, typed defects with a severity
+// and where they are, materials, rough measurements, and how sure it is. The
+// overall confidence is the model's own, so a blurry photo of a perfect room no
+// longer scores 100%.
+//
+// Everything the model returns is clamped and whitelisted here before it can
+// reach pricing or the database. The v1 fields (adjustment, confidence,
+// insights, detectedIssues, materials, breakdown) are still produced, so the
+// frontend and computeEstimate() read a v2 result unchanged.
+//
+// v3 adds `area`: floor and wall areas as low/likely/high bands with the
+// reference objects they were scaled from, and `areaSuggestion`, the proposed
+// areaQuantity for sqm-priced jobs (services/areaMeasurement.js).
+//
+// analysePhotos() runs the prompt through the configured vision providers
+// (services/visionProvider.js). A reply that is not JSON, or does not match the
+// schema, is retried with the validation errors fed back to the model; a
+// provider that is down is retried once and then the fallback provider is
+// tried. Only when every attempt fails does the caller fall back to 1.0.
+//
+// Photos arrive already ingested (services/imageIngestion.js) with a content
+// hash. The same photos for the same job reuse the stored analysis: a new
+// PhotoAnalysis is still saved, with cachedFrom pointing at the original, so
+// each estimate links to its own copy.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PhotoAnalysis = require('../models/PhotoAnalysis');
+const Estimate = require('../models/Estimate');
+const { getVisionProviders, parseImageDataUrl } = require('./visionProvider');
+const { cleanAreaBand, proposeAreaQuantity } = require('./areaMeasurement');
+const { DEFECT_TYPES, SEVERITIES } = PhotoAnalysis;
+
+const PROMPT_VERSION = 'photo-v3';
+
+const MULTIPLIER_RANGE = [0.7, 1.5];
+const MULTIPLIER_KEYS = ['complexity', 'condition', 'access', 'materialQuality'];
+
+// Upper bounds for measurement hints. Anything larger is a misread, not a room.
+const MEASUREMENT_LIMITS = {
+  wallAreaSqm: 500,
+  floorAreaSqm: 500,
+  ceilingHeightM: 6,
+  openings: 30
+};
+
+const MAX_IMAGES = 3;
+const MAX_IMAGE_DATA_URL_LENGTH = 10 * 1024 * 1024; // 10MB
+
+const MAX_LIST_ITEMS = 10;
+const MAX_TEXT_LENGTH = 300;
+
+// Per-image results need more room than the v1 summary did
+const MAX_TOKENS = 2500;
+const ATTEMPTS_PER_PROVIDER = 2;
+const RETRY_DELAY_MS = 1000;
+
+// Re-analysing the same photos gives the same answer; reuse one up to this old.
+const CACHE_MAX_AGE_DAYS = 30;
+
+class PhotoAnalysisFailedError extends Error {
+  constructor(attempts) {
+    super('Photo analysis failed: ' + attempts.map(a => `${a.provider}: ${a.error}`).join('; '));
+    this.attempts = attempts;
+  }
+}
+
+function buildPhotoPrompt(jobType, imageCount) {
+  return `You are an expert construction, decoration, repair and renovation estimator. Analyse these ${imageCount} photos of a ${jobType} project. Images are numbered from 0 in the order given.
+
+Return JSON with this exact structure:
+{
+  "images": [
+    {
+      "index": 0,
+      "description": "What this photo shows",
+      "findings": ["specific observation"],
+      "defects": [
+        { "type": "damp", "severity": "moderate", "location": "ceiling above the window", "description": "Brown water stain about 1m across" }
+      ],
+      "materials": ["material seen or needed"],
+      "measurements": { "wallAreaSqm": 12, "floorAreaSqm": null, "ceilingHeightM": 2.4, "openings": 1 },
+      "confidence": 0.8
+    }
+  ],
+  "complexity": 1.05,
+  "condition": 0.95,
+  "access": 1.0,
+  "materialQuality": 1.0,
+  "measurements": { "wallAreaSqm": 35, "floorAreaSqm": 14, "ceilingHeightM": 2.4, "openings": 2 },
+  "area": {
+    "floorAreaSqm": { "low": 12, "likely": 14, "high": 16 },
+    "wallAreaSqm": { "low": 30, "likely": 35, "high": 40 },
+    "referenceObjects": ["internal door", "double socket", "300mm floor tiles"],
+    "confidence": 0.6
+  },
+  "confidence": 0.75
+}
+
+Multipliers are for the whole job, between 0.7 (much easier/cheaper) and 1.5 (much harder/expensive):
+- complexity: Job difficulty (prep work, special skills needed)
+- condition: Current state (good = lower, poor = higher)
+- access: How difficult to reach/work on
+- materialQuality: What's currently there or needed
+
+Defect "type" must be one of: ${DEFECT_TYPES.join(', ')}.
+Defect "severity" must be one of: ${SEVERITIES.join(', ')}.
+Only report defects you can actually see, and say where in the photo they are.
+
+Measurements are your best estimate from visible reference objects of known size: UK internal doors are 1981mm x 762mm, socket and switch plates 86mm square, standard bricks 215mm x 65mm, kitchen worktops 900mm high, and floor or wall tiles are usually 300mm or 600mm. Use null when a photo gives no basis for a measurement. The top-level measurements describe the whole space across all photos, not the sum of the photos.
+
+"area" is the floor area (for outdoor jobs, the ground area) and the total wall area of the space being worked on, each as a range you are confident the true value falls within. List the reference objects you scaled from. Its "confidence" (0 to 1) is for the areas only; set an area to null if nothing of known size is visible.
+
+"confidence" is how sure you are of your assessment, from 0 to 1. Lower it for blurry, dark, cropped or unrelated photos, or when the job cannot be judged from what is visible.
+
+Return ONLY valid JSON, no other text.`;
+}
+
+function clamp(n, [min, max]) {
+  return Math.min(max, Math.max(min, n));
+}
+
+function cleanText(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().slice(0, MAX_TEXT_LENGTH);
+  return text || null;
+}
+
+function cleanList(values) {
+  return (Array.isArray(values) ? values : [])
+    .map(cleanText)
+    .filter(Boolean)
+    .slice(0, MAX_LIST_ITEMS);
+}
+
+// Model confidence arrives as 0-1 (as asked) or occasionally 0-100. Stored as 0-100.
+function cleanConfidence(value) {
+  const n = Number(value);
+  if (value == null || !isFinite(n) || n < 0) return null;
+  return Math.round(clamp(n <= 1 ? n * 100 : n, [0, 100]));
+}
+
+function cleanMeasurements(raw) {
+  const measurements = {};
+  for (const [key, max] of Object.entries(MEASUREMENT_LIMITS)) {
+    const n = Number(raw?.[key]);
+    measurements[key] = raw?.[key] != null && isFinite(n) && n > 0 && n <= max
+      ? Math.round(n * 10) / 10
+      : null;
+  }
+  return measurements;
+}
+
+function cleanDefect(raw, imageIndex) {
+  if (!raw || typeof raw !== 'object') return null;
+  const type = String(raw.type || '').toLowerCase().replace(/[\s-]+/g, '_');
+  const severity = String(raw.severity || '').toLowerCase();
+  const description = cleanText(raw.description);
+  // An unrecognised type with nothing to say about it is noise, not a defect.
+  if (!DEFECT_TYPES.includes(type) && !description) return null;
+  return {
+    type: DEFECT_TYPES.includes(type) ? type : 'other',
+    severity: SEVERITIES.includes(severity) ? severity : 'minor',
+    location: cleanText(raw.location),
+    description,
+    imageIndex
+  };
+}
+
+// One-line form of a defect for the v1 detectedIssues list.
+function describeDefect(defect) {
+  const what = defect.description || defect.type.replace(/_/g, ' ');
+  const where = defect.location ? ` (${defect.location})` : '';
+  return `${what}${where} - ${defect.severity}`;
+}
+
+// Extracts the JSON object from the model's reply. Throws when there is none.
+function parseModelJson(responseText) {
+  const jsonMatch = String(responseText || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('No JSON found in response');
+  return JSON.parse(jsonMatch[0]);
+}
+
+// Request validation shared by /api/analyze-photos and /api/photo-analysis-jobs.
+// Returns { error } or { images: [{ mediaType, base64, dataUrl }] }. Only the
+// request shape is checked here; the bytes are checked by imageIngestion.
+function validatePhotoRequest({ images, jobType }) {
+  if (!Array.isArray(images)) {
+    return { error: images ? 'Invalid images data' : 'No images provided' };
+  }
+  if (images.length === 0) return { error: 'No images provided' };
+  if (images.length > MAX_IMAGES) return { error: `Maximum ${MAX_IMAGES} images allowed` };
+
+  if (!jobType || typeof jobType !== 'string' || jobType.length > 200) {
+    return { error: 'Invalid job type' };
+  }
+
+  const parsed = [];
+  for (const img of images) {
+    const image = parseImageDataUrl(img?.data);
+    if (!image) return { error: 'Invalid image format' };
+    // Prevent huge uploads
+    if (img.data.length > MAX_IMAGE_DATA_URL_LENGTH) return { error: 'Image too large' };
+    parsed.push(image);
+  }
+  return { images: parsed };
+}
+
+// Structural check of the model's JSON before normalising. normaliseAnalysis()
+// tolerates missing detail, but a reply without multipliers, confidence or any
+// per-image results is format drift, and pricing it would quietly return 1.0.
+// Returns a list of problems, empty when the reply is usable.
+function validateAnalysisJson(raw, imageCount) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ['reply is not a JSON object'];
+  const errors = [];
+  for (const key of MULTIPLIER_KEYS) {
+    if (typeof raw[key] !== 'number' || !isFinite(raw[key])) errors.push(`"${key}" must be a number`);
+  }
+  if (typeof raw.confidence !== 'number' || !isFinite(raw.confidence)) {
+    errors.push('"confidence" must be a number from 0 to 1');
+  }
+  if (!Array.isArray(raw.images) || raw.images.length === 0) {
+    errors.push('"images" must be a non-empty array');
+  } else {
+    if (raw.images.length > imageCount) errors.push(`"images" has ${raw.images.length} entries for ${imageCount} photos`);
+    raw.images.forEach((img, i) => {
+      if (!img || typeof img !== 'object') return errors.push(`images[${i}] must be an object`);
+      if (img.defects != null && !Array.isArray(img.defects)) errors.push(`images[${i}].defects must be an array`);
+      if (img.measurements != null && typeof img.measurements !== 'object') errors.push(`images[${i}].measurements must be an object`);
+    });
+  }
+  return errors;
+}
+
+// Turns the model's parsed JSON into the stored/returned analysis.
+// Images the model skipped get an empty entry, so images[i] is always photo i.
+function normaliseAnalysis(raw, imageCount) {
+  const rawImages = Array.isArray(raw.images) ? raw.images : [];
+  const images = [];
+  for (let index = 0; index < imageCount; index++) {
+    const rawImage = rawImages.find(img => Number(img?.index) === index) || rawImages[index] || {};
+    images.push({
+      index,
+      description: cleanText(rawImage.description),
+      findings: cleanList(rawImage.findings),
+      defects: (Array.isArray(rawImage.defects) ? rawImage.defects : [])
+        .map(d => cleanDefect(d, index))
+        .filter(Boolean)
+        .slice(0, MAX_LIST_ITEMS),
+      materials: cleanList(rawImage.materials),
+      measurements: cleanMeasurements(rawImage.measurements),
+      confidence: cleanConfidence(rawImage.confidence)
+    });
+  }
+
+  const multipliers = {};
+  for (const key of MULTIPLIER_KEYS) {
+    const n = Number(raw[key]);
+    multipliers[key] = isFinite(n) && n > 0 ? Math.round(clamp(n, MULTIPLIER_RANGE) * 100) / 100 : 1;
+  }
+  const adjustment = Math.round(
+    (MULTIPLIER_KEYS.reduce((sum, key) => sum + multipliers[key], 0) / MULTIPLIER_KEYS.length) * 100
+  ) / 100;
+
+  // Overall confidence: the model's own, else the mean of its per-image scores, else 0.
+  const imageConfidences = images.map(img => img.confidence).filter(c => c != null);
+  const confidence = cleanConfidence(raw.confidence)
+    ?? (imageConfidences.length
+      ? Math.round(imageConfidences.reduce((a, b) => a + b, 0) / imageConfidences.length)
+      : 0);
+
+  // Whole-space measurements from the model, else the largest per-image reading.
+  const measurements = cleanMeasurements(raw.measurements);
+  for (const key of Object.keys(MEASUREMENT_LIMITS)) {
+    if (measurements[key] == null) {
+      const readings = images.map(img => img.measurements[key]).filter(v => v != null);
+      if (readings.length) measurements[key] = Math.max(...readings);
+    }
+  }
+
+  const defects = images.flatMap(img => img.defects);
+
+  // Area bands, falling back to the plain whole-space measurements
+  const rawArea = raw.area && typeof raw.area === 'object' ? raw.area : {};
+  const areaConfidence = cleanConfidence(rawArea.confidence) ?? confidence;
+  const area = {
+    floorAreaSqm: cleanAreaBand(rawArea.floorAreaSqm ?? measurements.floorAreaSqm, areaConfidence),
+    wallAreaSqm: cleanAreaBand(rawArea.wallAreaSqm ?? measurements.wallAreaSqm, areaConfidence),
+    referenceObjects: cleanList(rawArea.referenceObjects),
+    confidence: areaConfidence
+  };
+
+  return {
+    version: PROMPT_VERSION,
+    adjustment,
+    confidence,
+    insights: [...new Set(images.flatMap(img => img.findings).concat(cleanList(raw.insights)))].slice(0, MAX_LIST_ITEMS),
+    detectedIssues: defects.length ? defects.map(describeDefect) : cleanList(raw.detectedIssues),
+    materials: [...new Set(images.flatMap(img => img.materials).concat(cleanList(raw.materials)))].slice(0, MAX_LIST_ITEMS),
+    breakdown: multipliers,
+    images,
+    defects,
+    measurements,
+    area
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Cache key for a set of ingested photos. Order matters (results are per image),
+// and a new prompt version must not be served answers to the old prompt.
+function photoCacheKey(jobType, images) {
+  if (!images.every(img => img.hash)) return null;
+  return crypto.createHash('sha256')
+    .update([PROMPT_VERSION, String(jobType).trim().toLowerCase(), ...images.map(img => img.hash)].join('|'))
+    .digest('hex');
+}
+
+// The most recent analysis of exactly these photos for this job, or null.
+async function findCachedAnalysis(cacheKey) {
+  if (!cacheKey || mongoose.connection.readyState !== 1) return null;
+  return PhotoAnalysis.findOne({
+    cacheKey,
+    createdAt: { $gte: new Date(Date.now() - CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000) }
+  }).sort({ createdAt: -1 }).lean();
+}
+
+// Analyses ingested photos (services/imageIngestion.js), reusing a cached result
+// for photos seen before. Returns { analysis, provider, model, tokensUsed,
+// attempts, cacheKey, cachedFrom }; throws PhotoAnalysisFailedError when every
+// provider and retry has failed.
+async function analysePhotos({ images, jobType }) {
+  const cacheKey = photoCacheKey(jobType, images);
+  const cached = await findCachedAnalysis(cacheKey);
+  if (cached) {
+    console.log(`♻️ Photo analysis cache hit: reusing ${cached._id}`);
+    const { photoAnalysisId, provider, model, ...analysis } = toAnalysisResponse(cached);
+    return {
+      analysis,
+      provider,
+      model,
+      tokensUsed: 0,
+      attempts: [],
+      cacheKey,
+      cachedFrom: cached.cachedFrom || photoAnalysisId
+    };
+  }
+
+  const result = await runProviders({ images, jobType });
+  result.analysis.images.forEach((img, i) => { img.hash = images[i].hash || null; });
+  result.analysis.areaSuggestion = proposeAreaQuantity(result.analysis, jobType);
+  return { ...result, cacheKey, cachedFrom: null };
+}
+
+// Runs the analysis through the configured providers until one returns a valid reply.
+async function runProviders({ images, jobType }) {
+  const basePrompt = buildPhotoPrompt(jobType, images.length);
+  const attempts = [];
+
+  for (const provider of getVisionProviders()) {
+    let prompt = basePrompt;
+    for (let attempt = 1; attempt <= ATTEMPTS_PER_PROVIDER; attempt++) {
+      let reply;
+      try {
+        reply = await provider.analyzeImages({ prompt, images, maxTokens: MAX_TOKENS });
+      } catch (error) {
+        attempts.push({ provider: provider.name, model: provider.model, error: error.message });
+        console.error(`❌ Vision provider ${provider.name} failed (attempt ${attempt}):`, error.message);
+        // Bad key, bad request: retrying the same provider will not help
+        if (!error.retryable) break;
+        if (attempt < ATTEMPTS_PER_PROVIDER) await sleep(RETRY_DELAY_MS);
+        continue;
+      }
+
+      let raw;
+      let errors;
+      try {
+        raw = parseModelJson(reply.text);
+        errors = validateAnalysisJson(raw, images.length);
+      } catch (parseError) {
+        errors = ['reply is not valid JSON: ' + parseError.message];
+      }
+
+      if (errors.length === 0) {
+        attempts.push({ provider: provider.name, model: reply.model, error: null });
+        return {
+          analysis: normaliseAnalysis(raw, images.length),
+          provider: provider.name,
+          model: reply.model,
+          tokensUsed: reply.tokensUsed,
+          attempts
+        };
+      }
+
+      attempts.push({ provider: provider.name, model: reply.model, error: errors.join('; ') });
+      console.warn(`⚠️ ${provider.name} reply failed schema check (attempt ${attempt}):`, errors.join('; '));
+      console.warn('   Raw response:', String(reply.text).slice(0, 500));
+      // Same provider again, told what was wrong with its last reply
+      prompt = `${basePrompt}
+
+Your previous reply could not be used: ${errors.join('; ')}. Reply again with ONLY the JSON object, exactly in the structure above.`;
+    }
+  }
+
+  throw new PhotoAnalysisFailedError(attempts);
+}
+
+// Persists the result of analysePhotos(). Returns the saved id, or null when the
+// database is unavailable: the homeowner still gets their result, it just cannot be linked.
+async function savePhotoAnalysis(result, { jobType, durationMs }) {
+  if (mongoose.connection.readyState !== 1) return null;
+  const { analysis } = result;
+  try {
+    const doc = await PhotoAnalysis.create({
+      jobType,
+      promptVersion: analysis.version,
+      provider: result.provider,
+      model: result.model,
+      attempts: result.attempts.length,
+      imageCount: analysis.images.length,
+      images: analysis.images,
+      cacheKey: result.cacheKey,
+      cachedFrom: result.cachedFrom,
+      multipliers: analysis.breakdown,
+      adjustment: analysis.adjustment,
+      confidence: analysis.confidence,
+      insights: analysis.insights,
+      detectedIssues: analysis.detectedIssues,
+      materials: analysis.materials,
+      defects: analysis.defects,
+      measurements: analysis.measurements,
+      area: analysis.area,
+      areaSuggestion: analysis.areaSuggestion,
+      durationMs,
+      tokensUsed: result.tokensUsed
+    });
+    return doc._id;
+  } catch (error) {
+    console.error('❌ Photo analysis not saved:', error.message);
+    return null;
+  }
+}
+
+// A stored PhotoAnalysis in the /api/analyze-photos response shape.
+function toAnalysisResponse(doc) {
+  return {
+    version: doc.promptVersion,
+    adjustment: doc.adjustment,
+    confidence: doc.confidence,
+    insights: doc.insights,
+    detectedIssues: doc.detectedIssues,
+    materials: doc.materials,
+    breakdown: doc.multipliers,
+    images: doc.images,
+    defects: doc.defects,
+    measurements: doc.measurements,
+    area: doc.area,
+    areaSuggestion: doc.areaSuggestion,
+    photoAnalysisId: doc._id,
+    provider: doc.provider,
+    model: doc.model
+  };
+}
+
+// Links a stored analysis and the estimate it priced, both ways. Returns the
+// analysis id, or null when the id is unknown or the analysis already belongs to
+// a different estimate (an analysis prices one estimate; re-use it by copying).
+async function linkPhotoAnalysis(photoAnalysisId, estimateId) {
+  if (!photoAnalysisId || !mongoose.Types.ObjectId.isValid(photoAnalysisId)) return null;
+  const analysis = await PhotoAnalysis.findOneAndUpdate(
+    { _id: photoAnalysisId, estimateId: { $in: [null, estimateId] } },
+    { $set: { estimateId } },
+    { new: true, projection: { _id: 1 } }
+  ).lean();
+  if (!analysis) {
+    console.warn('⚠️ Photo analysis not linked:', photoAnalysisId, '-> estimate', estimateId.toString());
+    return null;
+  }
+  await Estimate.updateOne({ _id: estimateId }, { $set: { photoAnalysisId: analysis._id } });
+  return analysis._id;
+}
+
+module.exports = {
+  analysePhotos,
+  photoCacheKey,
+  validatePhotoRequest,
+  buildPhotoPrompt,
+  parseModelJson,
+  validateAnalysisJson,
+  normaliseAnalysis,
+  savePhotoAnalysis,
+  linkPhotoAnalysis,
+  toAnalysisResponse,
+  PhotoAnalysisFailedError,
+  PROMPT_VERSION
+};
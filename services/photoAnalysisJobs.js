@@ -0,0 +1,437 @@
+// services/photoAnalysisJobs.js
+// Asynchronous photo analysis: a MongoDB-backed queue (models/PhotoAnalysisJob.js)
+// and the in-process worker that drains it.
+//
+//   POST /api/photo-analysis-jobs   -> enqueuePhotoAnalysisJob(), 202 with a job id
+//   worker                          -> analysePhotos(), savePhotoAnalysis(), and
+//                                      when the job names an estimate, re-prices it
+//   GET  /api/photo-analysis-jobs/:id  polled by the client, or the optional
+//                                      callbackUrl is POSTed when the job ends
+//
+// A failed attempt is retried with exponential backoff up to maxAttempts; the
+// analysis itself already retries and falls back between providers, so a job
+// retry is for outages that outlast a single request. A job whose worker died
+// is reclaimed once its lock goes stale, or failed if that was its last attempt.
+// Claiming uses a single findOneAndUpdate, so several server instances can run
+// workers safely.
+//
+// Patching the estimate server-side replaces the frontend's PATCH
+// /api/save-estimate/:id round-trip: the total is recomputed with
+// computeEstimate() from the stored inputs, so the price, range, BoQ and
+// timeline all move together.
+//
+// Webhooks are signed when PHOTO_WEBHOOK_SECRET is set:
+//   X-EstimateAI-Signature: sha256=<hex HMAC of the raw body>
+// Delivery is retried in-process only; a client that must not miss a result
+// should also poll. The callback host is resolved at delivery and refused if
+// any address is private, loopback or link-local; redirects are not followed.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const mongoose = require('mongoose');
+const PhotoAnalysisJob = require('../models/PhotoAnalysisJob');
+const PhotoAnalysis = require('../models/PhotoAnalysis');
+const Estimate = require('../models/Estimate');
+const { analysePhotos, savePhotoAnalysis, linkPhotoAnalysis, toAnalysisResponse } = require('./photoAnalysis');
+const { parseImageDataUrl } = require('./visionProvider');
+const { computeEstimate } = require('./pricingEngine');
+const { rangeForEstimate } = require('./estimateRange');
+const { buildBillOfQuantities } = require('./billOfQuantities');
+const { buildTimeline } = require('./timeline');
+const { refreshProject } = require('./projectBundle');
+
+const MAX_ATTEMPTS = 4;
+const BACKOFF_BASE_MS = 15 * 1000;            // 15s, 30s, 60s between attempts
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;        // a 'processing' job older than this is reclaimed
+const IDLE_POLL_MS = 2000;
+
+const CALLBACK_ATTEMPTS = 3;
+const CALLBACK_BACKOFF_MS = [0, 5000, 30000];
+const CALLBACK_TIMEOUT_MS = 10 * 1000;
+
+const JOB_TTL_MS = PhotoAnalysisJob.JOB_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+let workerTimer = null;
+let workerRunning = false;
+
+function enqueuePhotoAnalysisJob({ images, jobType, estimateId, callbackUrl }) {
+  return PhotoAnalysisJob.create({
+    jobType,
+    images: images.map(img => img.dataUrl),
+    imageHashes: images.map(img => img.hash),
+    imageCount: images.length,
+    estimateId: estimateId || null,
+    maxAttempts: MAX_ATTEMPTS,
+    callback: { url: callbackUrl || null }
+  });
+}
+
+// expiresAt for a job that finishes now: only finished jobs are removed by the TTL index.
+function finishedJobExpiry(at = new Date()) {
+  return new Date(at.getTime() + JOB_TTL_MS);
+}
+
+// Takes the oldest due job, or a job whose worker died with attempts to spare,
+// and locks it.
+function claimNextJob() {
+  const now = new Date();
+  return PhotoAnalysisJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        {
+          status: 'processing',
+          lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        }
+      ]
+    },
+    { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+// Fails a job whose worker died on its last attempt. Reclaiming it would run
+// the analysis past maxAttempts, and a job that keeps killing its worker would
+// otherwise be retried for ever.
+function failNextAbandonedJob() {
+  const now = new Date();
+  return PhotoAnalysisJob.findOneAndUpdate(
+    {
+      status: 'processing',
+      lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    },
+    {
+      $set: {
+        status: 'failed',
+        lastError: 'Worker stopped during the final attempt',
+        completedAt: now,
+        expiresAt: finishedJobExpiry(now),
+        lockedAt: null
+      },
+      $unset: { images: 1 }
+    },
+    { new: true }
+  );
+}
+
+// Re-prices a saved estimate with a photo analysis, from the inputs stored on it.
+// Returns { patched: true } or { patched: false, reason } when the server cannot
+// price the job; the analysis is linked either way.
+async function applyAnalysisToEstimate(estimateId, analysis, photoAnalysisId) {
+  const existing = await Estimate.findById(estimateId, {
+    jobType: 1, projectSize: 1, areaQuantity: 1, quality: 1, locationData: 1, projectId: 1, createdAt: 1
+  }).lean();
+  if (!existing) return { patched: false, reason: 'estimate_not_found' };
+
+  const photoSummary = {
+    adjustment: analysis.adjustment,
+    confidence: analysis.confidence,
+    insights: analysis.insights,
+    detectedIssues: analysis.detectedIssues,
+    materials: analysis.materials
+  };
+
+  const computed = computeEstimate({
+    jobType:      existing.jobType,
+    projectSize:  existing.projectSize,
+    areaQuantity: existing.areaQuantity,
+    quality:      existing.quality,
+    postcode:     existing.locationData?.district,
+    photoAnalysis: analysis,
+    asOf:         existing.createdAt   // re-priced at the date it was first priced, not today
+  });
+
+  if (!computed.valid) {
+    // The frontend catalogue can be ahead of ours: keep its price, record the evidence.
+    await Estimate.updateOne({ _id: estimateId }, { $set: { photoAnalysis: photoSummary } });
+    await linkPhotoAnalysis(photoAnalysisId, estimateId);
+    return { patched: false, reason: computed.error };
+  }
+
+  const locationData = existing.locationData;
+  const range = await rangeForEstimate({
+    jobType:  existing.jobType,
+    total:    computed.estimate.total,
+    quality:  existing.quality,
+    photoAnalysis: analysis,
+    locationData
+  });
+  const estimate = { ...computed.estimate, low: range.low, high: range.high };
+  const boq = buildBillOfQuantities({
+    jobType:     existing.jobType,
+    projectSize: existing.projectSize,
+    estimate,
+    photoAnalysis: analysis,
+    locationData
+  });
+
+  await Estimate.updateOne({ _id: estimateId }, {
+    $set: {
+      estimate,
+      rangeModel: range.model,
+      boq,
+      timeline: buildTimeline({
+        jobType:     existing.jobType,
+        projectSize: existing.projectSize,
+        quality:     existing.quality,
+        estimate,
+        photoAnalysis: analysis,
+        boq
+      }),
+      multipliers: computed.multipliers,
+      // The total is the server's now, so the check of the client's is replaced
+      pricingCheck: {
+        serverTotal:  computed.estimate.total,
+        clientTotal:  computed.estimate.total,
+        deviationPct: 0,
+        flagged:      false,
+        rateKey:      computed.rateKey,
+        pricingConfigVersion: computed.pricingConfigVersion,
+        inflationIndexMonth: computed.inflation.indexMonth,
+        checkedAt:    new Date()
+      },
+      pricingConfigVersion: computed.pricingConfigVersion,
+      photoAnalysis: photoSummary
+    }
+  });
+  await linkPhotoAnalysis(photoAnalysisId, estimateId);
+
+  if (existing.projectId) {
+    await refreshProject(existing.projectId).catch(err => console.error('❌ Project refresh failed:', err.message));
+  }
+  return { patched: true };
+}
+
+async function processJob(job) {
+  const images = (job.images || []).map(parseImageDataUrl).filter(Boolean)
+    .map((img, i) => ({ ...img, hash: job.imageHashes?.[i] || null }));
+  if (images.length === 0) throw new Error('Job has no images');
+
+  const startTime = Date.now();
+  const result = await analysePhotos({ images, jobType: job.jobType });
+  const photoAnalysisId = await savePhotoAnalysis(result, { jobType: job.jobType, durationMs: Date.now() - startTime });
+  // Without the stored analysis the job has no result to poll for
+  if (!photoAnalysisId) throw new Error('Photo analysis could not be saved');
+
+  let patch = { patched: false, reason: null };
+  if (job.estimateId) {
+    patch = await applyAnalysisToEstimate(job.estimateId, result.analysis, photoAnalysisId);
+  }
+
+  return { photoAnalysisId, patch, analysis: result.analysis };
+}
+
+async function runNextJob() {
+  const abandoned = await failNextAbandonedJob();
+  if (abandoned) {
+    console.error(`❌ Photo analysis job ${abandoned._id} failed: worker stopped during attempt ${abandoned.attempts}/${abandoned.maxAttempts}`);
+    deliverCallback(abandoned);
+    return true;
+  }
+
+  const job = await claimNextJob();
+  if (!job) return false;
+
+  console.log(`📷 Photo analysis job ${job._id} started (attempt ${job.attempts}/${job.maxAttempts})`);
+  try {
+    const { photoAnalysisId, patch, analysis } = await processJob(job);
+    const done = await PhotoAnalysisJob.findByIdAndUpdate(job._id, {
+      $set: {
+        status: 'succeeded',
+        photoAnalysisId,
+        estimatePatched: patch.patched,
+        estimatePatchError: patch.reason || null,
+        completedAt: new Date(),
+        expiresAt: finishedJobExpiry(),
+        lockedAt: null,
+        lastError: null
+      },
+      $unset: { images: 1 }
+    }, { new: true });
+    console.log(`✅ Photo analysis job ${job._id} succeeded - Adjustment: ${analysis.adjustment}x${job.estimateId ? (patch.patched ? ', estimate re-priced' : `, estimate not re-priced (${patch.reason})`) : ''}`);
+    deliverCallback(done);
+  } catch (error) {
+    const final = job.attempts >= job.maxAttempts;
+    const update = final
+      ? { $set: { status: 'failed', lastError: error.message, completedAt: new Date(), expiresAt: finishedJobExpiry(), lockedAt: null }, $unset: { images: 1 } }
+      : { $set: { status: 'queued', lastError: error.message, lockedAt: null, nextAttemptAt: new Date(Date.now() + BACKOFF_BASE_MS * 2 ** (job.attempts - 1)) } };
+    const updated = await PhotoAnalysisJob.findByIdAndUpdate(job._id, update, { new: true });
+    console.error(`❌ Photo analysis job ${job._id} ${final ? 'failed' : 'will retry'} (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+    if (final) deliverCallback(updated);
+  }
+  return true;
+}
+
+// Job status for polling and callbacks. Includes the analysis once it succeeded.
+async function jobStatus(job) {
+  const status = {
+    jobId: job._id,
+    status: job.status,
+    jobType: job.jobType,
+    imageCount: job.imageCount,
+    estimateId: job.estimateId,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextAttemptAt: job.status === 'queued' ? job.nextAttemptAt : null,
+    photoAnalysisId: job.photoAnalysisId,
+    estimatePatched: job.estimatePatched,
+    estimatePatchError: job.estimatePatchError,
+    error: job.status === 'failed' ? job.lastError : null,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt
+  };
+  if (job.status === 'succeeded' && job.photoAnalysisId) {
+    const analysis = await PhotoAnalysis.findById(job.photoAnalysisId).lean();
+    status.analysis = analysis ? toAnalysisResponse(analysis) : null;
+  }
+  if (job.estimatePatched) {
+    const estimate = await Estimate.findById(job.estimateId, { estimate: 1 }).lean();
+    status.estimate = estimate ? estimate.estimate : null;
+  }
+  return status;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Addresses a webhook may not reach: this host, the private network, link-local
+// (cloud metadata at 169.254.169.254 included), and other non-routable ranges.
+const NON_PUBLIC = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => NON_PUBLIC.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => NON_PUBLIC.addSubnet(prefix, bits, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d, or ::ffff:7f00:1) are judged as
+// the IPv4 address they carry.
+function isPublicAddress(address) {
+  const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (dotted) return isPublicAddress(dotted[1]);
+  const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return isPublicAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !NON_PUBLIC.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup for webhook connections that refuses non-public answers. Checked
+// as the socket connects, so a host cannot pass validation at enqueue and
+// resolve somewhere internal by delivery time.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(a => !isPublicAddress(a.address));
+    if (blocked) return callback(new Error(`${hostname} resolves to a non-public address`));
+    callback(null, address, family);
+  });
+}
+
+// POSTs body to a public https URL and resolves with the status code. Redirects
+// are not followed: a 3xx counts as a failed delivery, since its target has not
+// been checked.
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const { hostname } = new URL(url);
+    const literal = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(literal) && !isPublicAddress(literal)) {
+      return reject(new Error(`${hostname} is not a public address`));
+    }
+    const request = https.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(CALLBACK_TIMEOUT_MS)
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// POSTs the final job status to the job's callbackUrl. Never throws.
+async function deliverCallback(job) {
+  if (!job?.callback?.url) return;
+  try {
+    const body = JSON.stringify({ event: `photo_analysis.${job.status}`, ...(await jobStatus(job)) });
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'EstimateAI-Webhook/1.0' };
+    if (process.env.PHOTO_WEBHOOK_SECRET) {
+      headers['X-EstimateAI-Signature'] = 'sha256=' +
+        crypto.createHmac('sha256', process.env.PHOTO_WEBHOOK_SECRET).update(body).digest('hex');
+    }
+
+    for (let attempt = 1; attempt <= CALLBACK_ATTEMPTS; attempt++) {
+      await sleep(CALLBACK_BACKOFF_MS[attempt - 1] || 0);
+      let error = null;
+      try {
+        const status = await postWebhook(job.callback.url, headers, body);
+        if (status < 200 || status >= 300) error = `HTTP ${status}`;
+      } catch (fetchError) {
+        error = fetchError.message;
+      }
+
+      await PhotoAnalysisJob.updateOne({ _id: job._id }, {
+        $set: error
+          ? { 'callback.lastError': error }
+          : { 'callback.deliveredAt': new Date(), 'callback.lastError': null },
+        $inc: { 'callback.attempts': 1 }
+      });
+      if (!error) {
+        console.log(`📨 Photo analysis webhook delivered for job ${job._id}`);
+        return;
+      }
+      console.warn(`⚠️ Photo analysis webhook failed for job ${job._id} (attempt ${attempt}/${CALLBACK_ATTEMPTS}):`, error);
+    }
+  } catch (error) {
+    console.error('❌ Photo analysis webhook error:', error.message);
+  }
+}
+
+// Drains due jobs one at a time, then idles. Safe to call more than once.
+function startPhotoAnalysisWorker() {
+  if (workerTimer || workerRunning) return;
+
+  const tick = async () => {
+    workerTimer = null;
+    workerRunning = true;
+    let ranJob = false;
+    try {
+      // Without a database there is no queue; check again on the next tick.
+      if (mongoose.connection.readyState === 1) {
+        ranJob = await runNextJob();
+      }
+    } catch (error) {
+      console.error('❌ Photo analysis worker error:', error.message);
+    }
+    workerRunning = false;
+    workerTimer = setTimeout(tick, ranJob ? 0 : IDLE_POLL_MS);
+    workerTimer.unref();
+  };
+
+  workerTimer = setTimeout(tick, IDLE_POLL_MS);
+  workerTimer.unref();
+  console.log('📷 Photo analysis worker started');
+}
+
+module.exports = {
+  enqueuePhotoAnalysisJob,
+  applyAnalysisToEstimate,
+  jobStatus,
+  startPhotoAnalysisWorker,
+  MAX_ATTEMPTS
+};
@@ -0,0 +1,318 @@
+// services/placesCache.js
+// MongoDB cache in front of Google Places for the contractor search. The same
+// trade in the same postcode district used to be re-fetched for every user:
+// one Nearby Search plus a Place Details call per contractor shown.
+//
+//   Nearby Search  keyed by jobType + postcode district (+ the Places type,
+//                  keyword and radius from the pricing config, so a config
+//                  change never serves results for the old query), open-now
+//                  and results page
+//   Place Details  keyed by placeId + requested fields
+//
+// Nearby Search pages: Google returns 20 results a page, up to MAX_NEARBY_PAGES,
+// each page after the first fetched with the previous page's next_page_token.
+// Tokens are short-lived, so one older than PAGE_TOKEN_VALID_MS is not reused:
+// the previous page is fetched again for a new one. Open-now results go stale
+// within the hour and are cached only briefly.
+//
+// Each entry is fresh for a while, then stale: a stale entry is still returned
+// at once and refreshed in the background (stale-while-revalidate). Past its
+// TTL the entry is deleted and the next search fetches from Google again.
+// Concurrent fetches of one key share a single Google call.
+//
+// With the database down every call goes straight to Google ('bypass'), as
+// before the cache existed. A failed background refresh keeps the stale entry.
+
+const mongoose = require('mongoose');
+const PlacesCacheEntry = require('../models/PlacesCacheEntry');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const NEARBY_FRESH_MS = DAY_MS;
+const NEARBY_TTL_MS = 7 * DAY_MS;
+const NEARBY_EMPTY_FRESH_MS = HOUR_MS;   // no contractors found: retry sooner
+const NEARBY_OPEN_NOW_FRESH_MS = 15 * 60 * 1000;
+const NEARBY_OPEN_NOW_TTL_MS = HOUR_MS;
+const DETAILS_FRESH_MS = 7 * DAY_MS;
+const DETAILS_TTL_MS = 30 * DAY_MS;
+
+const MAX_NEARBY_PAGES = 3;                // Google stops at 60 results
+const PAGE_TOKEN_VALID_MS = 2 * 60 * 1000; // undocumented by Google; kept short
+const PAGE_TOKEN_DELAY_MS = 2000;          // a new token is not usable straight away
+const PAGE_TOKEN_ATTEMPTS = 3;
+
+const KINDS = ['nearby', 'details'];
+
+// Counters since process start, per kind
+const startedAt = new Date();
+const counters = Object.fromEntries(KINDS.map(kind => [kind, {
+  hit: 0, stale: 0, miss: 0, bypass: 0, refreshed: 0, refreshFailed: 0
+}]));
+
+const inFlight = new Map();   // key -> Promise of fetched data
+
+function normalise(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function nearbyKey({ jobType, district, type, keyword, radius, opennow, page }) {
+  const parts = ['nearby', normalise(jobType), normalise(district), type, normalise(keyword), radius];
+  // Keys from before paging had neither, and still match page 1
+  if (opennow) parts.push('opennow');
+  if (page > 1) parts.push(`p${page}`);
+  return parts.join('|');
+}
+
+// Nearby entries cached before paging hold a bare results array, with no word
+// on whether more pages exist.
+function nearbyPageData(data) {
+  return Array.isArray(data) ? { results: data, nextPageToken: undefined, tokenIssuedAt: null } : data;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function detailsKey(placeId, fields) {
+  return ['details', placeId, [...fields].sort().join(',')].join('|');
+}
+
+// Fetches, stores and returns fresh data; one fetch per key at a time.
+function fetchAndStore({ key, kind, meta, freshFor, ttlMs, fetcher }) {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const pending = (async () => {
+    const data = await fetcher();
+    const now = Date.now();
+    try {
+      await PlacesCacheEntry.updateOne(
+        { key },
+        {
+          $set: {
+            kind,
+            ...meta,
+            data,
+            fetchedAt: new Date(now),
+            freshUntil: new Date(now + freshFor(data)),
+            expiresAt: new Date(now + ttlMs)
+          },
+          $setOnInsert: { hits: 0 }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.warn('⚠️ Places cache write failed:', error.message);
+    }
+    return data;
+  })().finally(() => inFlight.delete(key));
+
+  inFlight.set(key, pending);
+  return pending;
+}
+
+// Returns { data, cache: { status, fetchedAt } } with status hit | stale | miss | bypass.
+async function cached({ key, kind, meta, freshFor, ttlMs, fetcher }) {
+  if (mongoose.connection.readyState !== 1) {
+    counters[kind].bypass++;
+    return { data: await fetcher(), cache: { status: 'bypass', fetchedAt: new Date() } };
+  }
+
+  let entry = null;
+  try {
+    entry = await PlacesCacheEntry.findOne({ key }).lean();
+  } catch (error) {
+    console.warn('⚠️ Places cache read failed:', error.message);
+  }
+
+  const now = Date.now();
+  // The TTL monitor only runs once a minute, so check expiry here too
+  if (entry && entry.expiresAt.getTime() > now) {
+    PlacesCacheEntry.updateOne({ key }, { $inc: { hits: 1 }, $set: { lastHitAt: new Date(now) } })
+      .catch(error => console.warn('⚠️ Places cache hit count failed:', error.message));
+
+    if (entry.freshUntil.getTime() > now) {
+      counters[kind].hit++;
+      return { data: entry.data, cache: { status: 'hit', fetchedAt: entry.fetchedAt } };
+    }
+
+    counters[kind].stale++;
+    fetchAndStore({ key, kind, meta, freshFor, ttlMs, fetcher })
+      .then(() => { counters[kind].refreshed++; })
+      .catch(error => {
+        counters[kind].refreshFailed++;
+        console.warn(`⚠️ Places cache refresh failed (${kind}), serving stale:`, error.message);
+      });
+    return { data: entry.data, cache: { status: 'stale', fetchedAt: entry.fetchedAt } };
+  }
+
+  counters[kind].miss++;
+  const data = await fetchAndStore({ key, kind, meta, freshFor, ttlMs, fetcher });
+  return { data, cache: { status: 'miss', fetchedAt: new Date() } };
+}
+
+// Runs a caller's hook on data just fetched from Google (a miss, a bypass or a
+// background refresh), never on cached data. Hook errors are only logged.
+function notifyFetched(onFetch, data) {
+  if (!onFetch) return;
+  Promise.resolve()
+    .then(() => onFetch(data))
+    .catch(error => console.warn('⚠️ Places fetch hook failed:', error.message));
+}
+
+// One page of Nearby Search from Google: { results, nextPageToken, tokenIssuedAt }.
+async function fetchNearbyPage(client, params, previous) {
+  if (!previous) {
+    const response = await client.placesNearby({
+      params: { ...params, key: process.env.GOOGLE_PLACES_API_KEY }
+    });
+    return { results: response.data.results, nextPageToken: response.data.next_page_token || null, tokenIssuedAt: new Date() };
+  }
+
+  await sleep(Math.max(0, new Date(previous.tokenIssuedAt).getTime() + PAGE_TOKEN_DELAY_MS - Date.now()));
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await client.placesNearby({
+        params: { pagetoken: previous.nextPageToken, key: process.env.GOOGLE_PLACES_API_KEY }
+      });
+      return { results: response.data.results, nextPageToken: response.data.next_page_token || null, tokenIssuedAt: new Date() };
+    } catch (error) {
+      // INVALID_REQUEST until the token becomes valid
+      if (attempt >= PAGE_TOKEN_ATTEMPTS || error.response?.data?.status !== 'INVALID_REQUEST') throw error;
+      await sleep(PAGE_TOKEN_DELAY_MS);
+    }
+  }
+}
+
+// Nearby Search results for a job around a district's search centre.
+// `params` are the placesNearby params without the key; `page` is 1 to
+// MAX_NEARBY_PAGES. Returns { results, hasMore, cache }.
+async function cachedNearbySearch(client, { jobType, district, params, page = 1, onFetch }) {
+  const spec = nearbySpec(client, { jobType, district, params, onFetch }, page);
+  const { data, cache } = await cached(spec);
+  const { results, nextPageToken } = nearbyPageData(data);
+  return { results, hasMore: nextPageToken !== null && page < MAX_NEARBY_PAGES, cache };
+}
+
+// cached() arguments for one Nearby Search page.
+function nearbySpec(client, search, page) {
+  const { jobType, district, params, onFetch } = search;
+  const openNow = Boolean(params.opennow);
+  return {
+    key: nearbyKey({ jobType, district, type: params.type, keyword: params.keyword, radius: params.radius, opennow: openNow, page }),
+    kind: 'nearby',
+    meta: { jobType, district },
+    freshFor: data => {
+      if (openNow) return NEARBY_OPEN_NOW_FRESH_MS;
+      return data.results.length > 0 ? NEARBY_FRESH_MS : NEARBY_EMPTY_FRESH_MS;
+    },
+    ttlMs: openNow ? NEARBY_OPEN_NOW_TTL_MS : NEARBY_TTL_MS,
+    fetcher: async () => {
+      const previous = page > 1 ? await previousPage(client, search, page - 1) : null;
+      if (page > 1 && !previous) return { results: [], nextPageToken: null, tokenIssuedAt: null };
+      const data = await fetchNearbyPage(client, params, previous);
+      notifyFetched(onFetch, data.results);
+      return data;
+    }
+  };
+}
+
+// The given page with a usable next_page_token, from the cache when its token
+// is recent, otherwise fetched again. null when Google has no page after it.
+async function previousPage(client, search, page) {
+  const spec = nearbySpec(client, search, page);
+  if (mongoose.connection.readyState !== 1) {
+    const data = await spec.fetcher();
+    return data.nextPageToken ? data : null;
+  }
+
+  let entry = null;
+  try {
+    entry = await PlacesCacheEntry.findOne({ key: spec.key }).lean();
+  } catch (error) {
+    console.warn('⚠️ Places cache read failed:', error.message);
+  }
+  if (entry && entry.expiresAt.getTime() > Date.now()) {
+    const data = nearbyPageData(entry.data);
+    if (data.nextPageToken === null) return null;
+    if (data.nextPageToken && Date.now() - new Date(data.tokenIssuedAt).getTime() < PAGE_TOKEN_VALID_MS) return data;
+  }
+
+  const data = await fetchAndStore(spec);
+  return data.nextPageToken ? data : null;
+}
+
+// Place Details `fields` for one place. Returns { result, cache }.
+async function cachedPlaceDetails(client, placeId, fields, { onFetch } = {}) {
+  const { data, cache } = await cached({
+    key: detailsKey(placeId, fields),
+    kind: 'details',
+    meta: { placeId },
+    freshFor: () => DETAILS_FRESH_MS,
+    ttlMs: DETAILS_TTL_MS,
+    fetcher: async () => {
+      const response = await client.placeDetails({
+        params: { place_id: placeId, fields, key: process.env.GOOGLE_PLACES_API_KEY }
+      });
+      const result = response.data.result || {};
+      notifyFetched(onFetch, result);
+      return result;
+    }
+  });
+  return { result: data, cache };
+}
+
+// Counters since start with hit rates, and what the collection holds now.
+async function getPlacesCacheStats() {
+  const requests = Object.fromEntries(KINDS.map(kind => {
+    const c = counters[kind];
+    const served = c.hit + c.stale + c.miss;
+    return [kind, {
+      ...c,
+      // Stale entries are served from the cache too, so they count as hits
+      hitRate: served > 0 ? Math.round(((c.hit + c.stale) / served) * 1000) / 1000 : null
+    }];
+  }));
+
+  let entries = null;
+  if (mongoose.connection.readyState === 1) {
+    const now = new Date();
+    const rows = await PlacesCacheEntry.aggregate([
+      { $group: {
+        _id: '$kind',
+        entries: { $sum: 1 },
+        fresh: { $sum: { $cond: [{ $gt: ['$freshUntil', now] }, 1, 0] } },
+        hits: { $sum: '$hits' },
+        oldestFetchedAt: { $min: '$fetchedAt' }
+      } }
+    ]);
+    entries = Object.fromEntries(KINDS.map(kind => {
+      const row = rows.find(r => r._id === kind);
+      return [kind, row
+        ? { entries: row.entries, fresh: row.fresh, stale: row.entries - row.fresh, hits: row.hits, oldestFetchedAt: row.oldestFetchedAt }
+        : { entries: 0, fresh: 0, stale: 0, hits: 0, oldestFetchedAt: null }];
+    }));
+  }
+
+  return { since: startedAt, requests, entries };
+}
+
+// Deletes entries matching every filter given: kind, jobType, district, placeId.
+// jobType and district only match Nearby Search entries. Returns the count.
+async function invalidatePlacesCache({ kind, jobType, district, placeId } = {}) {
+  const filter = {};
+  if (kind) filter.kind = kind;
+  if (jobType) filter.jobType = new RegExp(`^${jobType.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  if (district) filter.district = district.toUpperCase();
+  if (placeId) filter.placeId = placeId;
+
+  const result = await PlacesCacheEntry.deleteMany(filter);
+  return result.deletedCount;
+}
+
+module.exports = {
+  cachedNearbySearch,
+  cachedPlaceDetails,
+  getPlacesCacheStats,
+  invalidatePlacesCache,
+  KINDS,
+  MAX_NEARBY_PAGES
+};
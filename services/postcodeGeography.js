@@ -0,0 +1,212 @@
+// services/postcodeGeography.js
+// Postcode to place, offline. The contractor search used to geocode every
+// postcode through Google twice (once to validate, once for the search centre);
+// it now reads the bundled outward-code dataset (data/postcodeDistricts.csv)
+// and only calls Google when the district is not in it.
+//
+// Resolution order:
+//   1. The district row: centroid, local authority, nation, ONS region and the
+//      Central London flag.                                precision 'district'
+//   2. Google geocode of the full input, for districts the dataset lacks.
+//      Geography fields still come from the postcode area. precision 'postcode'
+//   3. The postcode area (mean of its listed districts), when Google is not
+//      configured or fails.                                precision 'area'
+//
+// An area the dataset does not know is not a UK postcode, so it is rejected
+// without a Google call.
+//
+// This is geography only. Cost multipliers and the pricing region name still
+// come from the versioned pricing configuration (utils/locationCost.js).
+
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('@googlemaps/google-maps-services-js');
+const { parsePostcode } = require('../utils/locationCost');
+
+const DATASET_PATH = path.join(__dirname, '..', 'data', 'postcodeDistricts.csv');
+const GEOCODE_CACHE_LIMIT = 1000;
+
+const googleClient = new Client({});
+
+// ── Dataset ──────────────────────────────────────────────────────────────────
+
+function loadDataset(file = DATASET_PATH) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  const versionLine = lines.find(line => line.startsWith('# version='));
+  const rows = lines.filter(line => line.trim() && !line.startsWith('#'));
+  const header = rows.shift().split(',');
+
+  const districts = new Map();
+  for (const line of rows) {
+    const cells = line.split(',');
+    const row = Object.fromEntries(header.map((key, i) => [key, cells[i]]));
+    districts.set(row.district, {
+      district: row.district,
+      area: row.district.match(/^[A-Z]+/)[0],
+      lat: Number(row.lat),
+      lng: Number(row.lng),
+      localAuthority: row.local_authority,
+      nation: row.nation,
+      region: row.region,
+      centralLondon: row.central_london === '1'
+    });
+  }
+
+  return {
+    version: versionLine ? versionLine.slice('# version='.length).trim() : null,
+    districts,
+    areas: buildAreas(districts)
+  };
+}
+
+// Area record from its districts: mean centroid, and the nation and region most
+// of them share. Local authority only when every district agrees.
+function buildAreas(districts) {
+  const grouped = new Map();
+  for (const row of districts.values()) {
+    if (!grouped.has(row.area)) grouped.set(row.area, []);
+    grouped.get(row.area).push(row);
+  }
+
+  const mostCommon = (values) => {
+    const counts = new Map();
+    values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  };
+  const round3 = n => Math.round(n * 1000) / 1000;
+
+  const areas = new Map();
+  for (const [area, rows] of grouped) {
+    const authorities = new Set(rows.map(r => r.localAuthority));
+    areas.set(area, {
+      district: null,
+      area,
+      lat: round3(rows.reduce((sum, r) => sum + r.lat, 0) / rows.length),
+      lng: round3(rows.reduce((sum, r) => sum + r.lng, 0) / rows.length),
+      localAuthority: authorities.size === 1 ? rows[0].localAuthority : null,
+      nation: mostCommon(rows.map(r => r.nation)),
+      region: mostCommon(rows.map(r => r.region)),
+      centralLondon: rows.every(r => r.centralLondon)
+    });
+  }
+  return areas;
+}
+
+const dataset = loadDataset();
+console.log(`📍 Postcode dataset ${dataset.version || 'unversioned'}: ${dataset.districts.size} districts, ${dataset.areas.size} areas`);
+
+// ── Lookup ───────────────────────────────────────────────────────────────────
+
+function toResult(parsed, record, precision, source) {
+  return {
+    valid: true,
+    postcode: parsed.formatted,
+    complete: parsed.complete,
+    district: parsed.district,
+    area: parsed.area,
+    lat: record.lat,
+    lng: record.lng,
+    localAuthority: record.localAuthority,
+    nation: record.nation,
+    region: record.region,
+    centralLondon: record.centralLondon,
+    precision,
+    source,
+    datasetVersion: dataset.version
+  };
+}
+
+// Offline only. { valid: false, reason } for malformed input or an unknown area;
+// otherwise the district row, or the area record when the district is not listed.
+function lookupPostcode(input) {
+  const parsed = parsePostcode(input);
+  if (!parsed.valid) return { valid: false, reason: parsed.reason };
+
+  const district = dataset.districts.get(parsed.district);
+  if (district) return toResult(parsed, district, 'district', 'dataset');
+
+  const area = dataset.areas.get(parsed.area);
+  if (area) return toResult(parsed, area, 'area', 'dataset');
+
+  return { valid: false, reason: 'unknown_area' };
+}
+
+// Great-circle distance between two { lat, lng } points.
+function distanceKm(a, b) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+// Other listed districts whose centroid is within radiusKm of this one's,
+// nearest first: [{ district, area, distanceKm }]. Empty for unlisted districts.
+function districtsNear(district, radiusKm) {
+  const origin = dataset.districts.get(district);
+  if (!origin) return [];
+  const near = [];
+  for (const row of dataset.districts.values()) {
+    if (row.district === district) continue;
+    const d = distanceKm(origin, row);
+    if (d <= radiusKm) near.push({ district: row.district, area: row.area, distanceKm: Math.round(d * 100) / 100 });
+  }
+  return near.sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+// Google results for districts the dataset lacks, so each is geocoded once per
+// process rather than once per search. Oldest entry dropped past the limit.
+const geocodeCache = new Map();
+
+async function geocodeWithGoogle(postcode) {
+  if (geocodeCache.has(postcode)) return geocodeCache.get(postcode);
+
+  const response = await googleClient.geocode({
+    params: {
+      address: postcode + ', UK',
+      key: process.env.GOOGLE_PLACES_API_KEY,
+      region: 'uk'
+    }
+  });
+
+  const result = response.data.results.find(r =>
+    r.address_components.some(c => c.types.includes('country') && c.short_name === 'GB')
+  );
+  const location = result ? result.geometry.location : null;
+
+  geocodeCache.set(postcode, location);
+  if (geocodeCache.size > GEOCODE_CACHE_LIMIT) {
+    geocodeCache.delete(geocodeCache.keys().next().value);
+  }
+  return location;
+}
+
+// Dataset first, Google only for unlisted districts, the area centroid if
+// Google cannot help. Returns the lookupPostcode shape.
+async function resolvePostcodeLocation(input) {
+  const local = lookupPostcode(input);
+  if (!local.valid || local.precision === 'district') return local;
+
+  if (process.env.GOOGLE_PLACES_API_KEY) {
+    try {
+      const location = await geocodeWithGoogle(local.postcode);
+      if (location) {
+        console.log(`📍 Postcode district ${local.district} not in dataset, geocoded by Google`);
+        return { ...local, lat: location.lat, lng: location.lng, precision: 'postcode', source: 'google' };
+      }
+    } catch (error) {
+      console.warn('⚠️ Postcode geocoding failed, using area centroid:', error.message);
+    }
+  }
+
+  console.warn('WARN postcode resolved to area centroid only:', local.district);
+  return local;
+}
+
+module.exports = {
+  lookupPostcode,
+  resolvePostcodeLocation,
+  districtsNear,
+  distanceKm
+};
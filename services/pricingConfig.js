@@ -0,0 +1,226 @@
+// services/pricingConfig.js
+// Serves the pricing configuration in force at a given time. Published
+// PricingConfig versions are held in memory so pricing stays synchronous; they
+// are reloaded on startup, after every publish, and every REFRESH_MS so other
+// instances pick up changes without a restart.
+//
+// With nothing published (or no database) the built-in version 0 from
+// utils/pricingDefaults.js is served, so the app prices exactly as it did before.
+
+const PricingConfig = require('../models/PricingConfig');
+const defaults = require('../utils/pricingDefaults');
+
+const REFRESH_MS = 15 * 60 * 1000;
+// An effectiveFrom this close to now is taken as now, allowing for clock skew
+// and the request in flight. Anything earlier is refused.
+const EFFECTIVE_FROM_GRACE_MS = 60 * 1000;
+
+// Fields that make up a configuration. Anything else on a document is metadata.
+const CONFIG_FIELDS = [
+  'areaRegions',
+  'regionReasons',
+  'centralLondon',
+  'centralLondonAreas',
+  'centralLondonDistricts',
+  'districtMultipliers',
+  'nationDefaults',
+  'seasonalLabourFactors',
+  'outOfScopeAreas',
+  'jobTypeMap',
+  'baseRates'
+];
+
+const BUILT_IN_CONFIG = Object.freeze({
+  version:                0,
+  label:                  'Built-in defaults',
+  status:                 'published',
+  effectiveFrom:          new Date(0),
+  areaRegions:            defaults.AREA_REGIONS,
+  regionReasons:          Object.entries(defaults.REGION_REASONS).map(([m, reason]) => ({ m: Number(m), reason })),
+  centralLondon:          defaults.CENTRAL_LONDON,
+  centralLondonAreas:     defaults.CENTRAL_LONDON_AREAS,
+  centralLondonDistricts: defaults.CENTRAL_LONDON_DISTRICTS,
+  districtMultipliers:    defaults.DISTRICT_MULTIPLIERS,
+  nationDefaults:         defaults.NATION_DEFAULTS,
+  seasonalLabourFactors:  defaults.SEASONAL_LABOUR_FACTORS,
+  outOfScopeAreas:        defaults.OUT_OF_SCOPE_AREAS,
+  jobTypeMap:             defaults.JOB_TYPE_MAP,
+  baseRates:              defaults.BASE_RATES
+});
+
+class EffectiveFromInPastError extends Error {}
+
+// Published versions, newest effectiveFrom first.
+let publishedConfigs = [];
+let refreshTimer = null;
+
+async function loadPricingConfigs() {
+  try {
+    const docs = await PricingConfig.find({ status: 'published' })
+      .sort({ effectiveFrom: -1, version: -1 })
+      .lean();
+    // Versions published before a field existed (districtMultipliers, say) take
+    // the built-in value for it rather than pricing without it.
+    publishedConfigs = docs.map(doc => ({ ...pickConfigFields(BUILT_IN_CONFIG), ...doc }));
+    const active = getActivePricingConfig();
+    console.log(`💷 Pricing config v${active.version} active (${publishedConfigs.length} published)`);
+  } catch (error) {
+    console.error('Error loading pricing configs:', error.message);
+  }
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(loadPricingConfigs, REFRESH_MS);
+    refreshTimer.unref();
+  }
+  return publishedConfigs;
+}
+
+// The published config with the latest effectiveFrom <= at, or the built-in default.
+function getActivePricingConfig(at = new Date()) {
+  const time = new Date(at).getTime();
+  return publishedConfigs.find(c => new Date(c.effectiveFrom).getTime() <= time) || BUILT_IN_CONFIG;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidMultiplier(m) {
+  return typeof m === 'number' && m >= 0.5 && m <= 3;
+}
+
+// Returns a list of { field, message }. Only fields present in `fields` are checked.
+function validatePricingConfig(fields) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (fields.areaRegions !== undefined) {
+    if (!isPlainObject(fields.areaRegions)) fail('areaRegions', 'must be an object keyed by postcode area');
+    else Object.entries(fields.areaRegions).forEach(([area, r]) => {
+      if (!/^[A-Z]{1,2}$/.test(area)) fail(`areaRegions.${area}`, 'key must be a postcode area, e.g. SW');
+      if (!r || typeof r.name !== 'string' || !r.name) fail(`areaRegions.${area}.name`, 'is required');
+      if (!isValidMultiplier(r?.m)) fail(`areaRegions.${area}.m`, 'must be a number between 0.5 and 3');
+    });
+  }
+
+  if (fields.regionReasons !== undefined) {
+    if (!Array.isArray(fields.regionReasons)) fail('regionReasons', 'must be an array of { m, reason }');
+    else fields.regionReasons.forEach((r, i) => {
+      if (!isValidMultiplier(r?.m) || typeof r.reason !== 'string') fail(`regionReasons.${i}`, 'needs a numeric m and a reason string');
+    });
+  }
+
+  if (fields.centralLondon !== undefined) {
+    const cl = fields.centralLondon;
+    if (!isPlainObject(cl) || !cl.name || !isValidMultiplier(cl.m)) fail('centralLondon', 'needs a name and a multiplier m between 0.5 and 3');
+  }
+
+  if (fields.districtMultipliers !== undefined) {
+    if (!isPlainObject(fields.districtMultipliers)) fail('districtMultipliers', 'must be an object keyed by postcode district');
+    else Object.entries(fields.districtMultipliers).forEach(([district, d]) => {
+      if (!/^[A-Z]{1,2}[0-9][A-Z0-9]?$/.test(district)) fail(`districtMultipliers.${district}`, 'key must be a postcode district, e.g. TN1');
+      if (!isValidMultiplier(d?.m)) fail(`districtMultipliers.${district}.m`, 'must be a number between 0.5 and 3');
+    });
+  }
+
+  if (fields.nationDefaults !== undefined) {
+    if (!isPlainObject(fields.nationDefaults)) fail('nationDefaults', 'must be an object keyed by nation');
+    else Object.entries(fields.nationDefaults).forEach(([nation, n]) => {
+      if (!isValidMultiplier(n?.m)) fail(`nationDefaults.${nation}.m`, 'must be a number between 0.5 and 3');
+    });
+  }
+
+  if (fields.seasonalLabourFactors !== undefined) {
+    const factors = fields.seasonalLabourFactors;
+    if (!Array.isArray(factors) || factors.length !== 12 || factors.some(f => typeof f !== 'number' || f < 0.8 || f > 1.2)) {
+      fail('seasonalLabourFactors', 'must be 12 numbers between 0.8 and 1.2, January first');
+    }
+  }
+
+  ['centralLondonAreas', 'centralLondonDistricts', 'outOfScopeAreas'].forEach(field => {
+    if (fields[field] !== undefined && (!Array.isArray(fields[field]) || fields[field].some(v => typeof v !== 'string'))) {
+      fail(field, 'must be an array of strings');
+    }
+  });
+
+  if (fields.jobTypeMap !== undefined) {
+    if (!isPlainObject(fields.jobTypeMap)) fail('jobTypeMap', 'must be an object keyed by jobType');
+    else Object.entries(fields.jobTypeMap).forEach(([jobType, j]) => {
+      if (!j || typeof j.placesType !== 'string' || typeof j.keyword !== 'string') fail(`jobTypeMap.${jobType}`, 'needs placesType and keyword');
+    });
+  }
+
+  if (fields.baseRates !== undefined) {
+    if (!isPlainObject(fields.baseRates)) fail('baseRates', 'must be an object keyed by rate slug');
+    else Object.entries(fields.baseRates).forEach(([key, r]) => {
+      if (!r || typeof r.base !== 'number' || r.base <= 0) fail(`baseRates.${key}.base`, 'must be a positive number');
+      if (!['room', 'sqm', 'unit'].includes(r?.unit)) fail(`baseRates.${key}.unit`, 'must be room, sqm or unit');
+      if (r?.labourShare !== undefined && (typeof r.labourShare !== 'number' || r.labourShare < 0 || r.labourShare > 1)) {
+        fail(`baseRates.${key}.labourShare`, 'must be between 0 and 1');
+      }
+      if (r?.jobTypes !== undefined && !Array.isArray(r.jobTypes)) fail(`baseRates.${key}.jobTypes`, 'must be an array');
+    });
+  }
+
+  return errors;
+}
+
+// Picks the config fields out of a body or document.
+function pickConfigFields(source) {
+  const picked = {};
+  CONFIG_FIELDS.forEach(field => {
+    if (source[field] !== undefined) picked[field] = source[field];
+  });
+  return picked;
+}
+
+// Creates a new draft. Any config field not supplied is copied from the version
+// active now, so a draft is always a complete configuration.
+async function createConfigVersion({ label, notes, createdBy, source = 'admin', calibrationProposalVersion = null, ...fields }) {
+  const base = getActivePricingConfig();
+  const latest = await PricingConfig.findOne().sort({ version: -1 }).lean();
+
+  return PricingConfig.create({
+    version: (latest?.version || 0) + 1,
+    label: label || `Copy of v${base.version}`,
+    notes: notes || null,
+    createdBy: createdBy || null,
+    source,
+    calibrationProposalVersion,
+    ...pickConfigFields(base),
+    ...pickConfigFields(fields)
+  });
+}
+
+// Publishes a draft and reloads the in-memory set. Returns null when the version
+// does not exist or is already published. effectiveFrom may not be in the past:
+// estimates already priced record the version that was active at the time, and
+// a backdated version would make them disagree with getActivePricingConfig(at).
+async function publishConfigVersion(version, effectiveFrom) {
+  const now = new Date();
+  let from = effectiveFrom ? new Date(effectiveFrom) : now;
+  if (from.getTime() < now.getTime() - EFFECTIVE_FROM_GRACE_MS) {
+    throw new EffectiveFromInPastError('effectiveFrom cannot be in the past');
+  }
+  if (from < now) from = now;
+
+  const published = await PricingConfig.findOneAndUpdate(
+    { version, status: 'draft' },
+    { $set: { status: 'published', publishedAt: now, effectiveFrom: from } },
+    { new: true }
+  );
+  if (published) await loadPricingConfigs();
+  return published;
+}
+
+module.exports = {
+  loadPricingConfigs,
+  getActivePricingConfig,
+  validatePricingConfig,
+  pickConfigFields,
+  createConfigVersion,
+  publishConfigVersion,
+  EffectiveFromInPastError,
+  BUILT_IN_CONFIG,
+  CONFIG_FIELDS
+};
@@ -0,0 +1,178 @@
+// services/pricingEngine.js
+// Server-side estimate calculation. Mirrors the frontend's computeEstimate() so
+// there is one source of truth for pricing: /api/compute-estimate serves it
+// directly and /api/save-estimate recomputes with it to catch tampered totals.
+//
+// Base rates come from the active pricing configuration (services/pricingConfig.js,
+// seeded from regionalCostData.json `baseRates`), keyed by slug. Each entry lists
+// the estimator jobType names it prices, its unit ('room', 'sqm' or 'unit') and
+// the labour share of the total. The regional multiplier comes from
+// analyzeLocationCost() with the same configuration, so pricing and region
+// reporting can never disagree.
+//
+// Base rates are priced at the inflation index base month. The materials and
+// labour parts are each scaled by their index for the pricing date
+// (services/inflation.js), which is now unless `asOf` is given. The pricing
+// configuration is also the one in force at that date.
+
+const { analyzeLocationCost } = require('../utils/locationCost');
+const { getActivePricingConfig } = require('./pricingConfig');
+const { computeRange } = require('./estimateRange');
+const { inflationFor } = require('./inflation');
+
+const QUALITY_MULTIPLIERS = {
+  budget:   0.8,
+  standard: 1.0,
+  premium:  1.3,
+  luxury:   1.7
+};
+
+// Room and unit jobs scale with the size the user picked. Area jobs already
+// scale with areaQuantity, so size is not applied to them twice.
+const PROJECT_SIZE_MULTIPLIERS = {
+  small:         0.75,
+  medium:        1.0,
+  large:         1.35,
+  'extra-large': 1.75
+};
+
+// Same bounds the photo analysis prompt gives the model for each multiplier.
+const PHOTO_ADJUSTMENT_MIN = 0.7;
+const PHOTO_ADJUSTMENT_MAX = 1.5;
+
+const BASE_CONFIDENCE = 60;
+const MAX_CONFIDENCE  = 90;
+
+// A client total more than this far from the server total is flagged on save.
+// Rounding and a stale multiplier on the frontend stay comfortably inside it.
+const TAMPER_TOLERANCE_PCT = 15;
+
+// Finds the baseRates entry for an estimator jobType. Matches the jobTypes list
+// first, then the display name or slug, so old and new frontend labels resolve.
+function resolveBaseRate(jobType, config = getActivePricingConfig()) {
+  if (!jobType || typeof jobType !== 'string') return null;
+  for (const [key, rate] of Object.entries(config.baseRates)) {
+    if ((rate.jobTypes || []).includes(jobType) || rate.name === jobType || key === jobType) {
+      return { key, ...rate };
+    }
+  }
+  return null;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Returns { valid: false, error } or
+//         { valid: true, estimate, multipliers, rangeModel, rateKey, pricingConfigVersion, locationData, inflation }.
+// `estimate` has the same shape App.js posts to /api/save-estimate, plus low/high.
+// Pass reviewStats from getReviewVarianceStats() to include review evidence in the range.
+function computeEstimate(input = {}) {
+  const { jobType, projectSize, areaQuantity, postcode, photoAnalysis, reviewStats, asOf } = input;
+  // null from a client means "not chosen", the same as leaving it out
+  const quality = input.quality ?? 'standard';
+
+  const pricedAt = asOf ? new Date(asOf) : new Date();
+  if (isNaN(pricedAt.getTime())) return { valid: false, error: 'invalid_as_of' };
+
+  const config = getActivePricingConfig(pricedAt);
+  const rate = resolveBaseRate(jobType, config);
+  if (!rate) return { valid: false, error: 'unknown_job_type' };
+
+  if (!QUALITY_MULTIPLIERS[quality]) return { valid: false, error: 'invalid_quality' };
+  if (projectSize && !PROJECT_SIZE_MULTIPLIERS[projectSize]) return { valid: false, error: 'invalid_project_size' };
+
+  let quantity = 1;
+  if (rate.unit === 'sqm') {
+    quantity = parseFloat(areaQuantity);
+    if (isNaN(quantity) || quantity <= 0) return { valid: false, error: 'area_required' };
+  }
+
+  const sizeMultiplier = rate.unit === 'sqm' ? 1.0 : PROJECT_SIZE_MULTIPLIERS[projectSize || 'medium'];
+  const qualityMultiplier = QUALITY_MULTIPLIERS[quality];
+
+  const locationData = analyzeLocationCost([], postcode, config);
+  const locationMultiplier = locationData.costMultiplier;
+
+  const photoEnhanced = Boolean(photoAnalysis && typeof photoAnalysis.adjustment === 'number');
+  const photoMultiplier = photoEnhanced
+    ? clamp(photoAnalysis.adjustment, PHOTO_ADJUSTMENT_MIN, PHOTO_ADJUSTMENT_MAX)
+    : 1.0;
+
+  const subtotal = rate.base * quantity * sizeMultiplier * qualityMultiplier * locationMultiplier * photoMultiplier;
+  const labourShare = rate.labourShare ?? 0.5;
+  const inflation = inflationFor(pricedAt, config);
+  const labour = Math.round(subtotal * labourShare * inflation.labour);
+  const materials = Math.round(subtotal * (1 - labourShare) * inflation.materials);
+  const total = labour + materials;
+  const inflationMultiplier = Math.round((labourShare * inflation.labour + (1 - labourShare) * inflation.materials) * 1000) / 1000;
+
+  // Photos add evidence, so they lift confidence in proportion to how sure the
+  // analysis itself was. Without photos the estimate is a regional average.
+  const confidence = photoEnhanced
+    ? Math.min(MAX_CONFIDENCE, Math.round(BASE_CONFIDENCE + (photoAnalysis.confidence || 0) * 0.3))
+    : BASE_CONFIDENCE;
+
+  const range = computeRange({ total, quality, photoAnalysis, locationData, reviewStats });
+
+  return {
+    valid: true,
+    estimate: {
+      total,
+      labour,
+      materials,
+      low:  range.low,
+      high: range.high,
+      baseRate: rate.base,
+      quantity,
+      unit: rate.unit,
+      confidence,
+      photoEnhanced
+    },
+    multipliers: {
+      size:     sizeMultiplier,
+      quality:  qualityMultiplier,
+      location: locationMultiplier,
+      photo:    photoMultiplier,
+      inflation: inflationMultiplier
+    },
+    rangeModel: range.model,
+    rateKey: rate.key,
+    pricingConfigVersion: config.version,
+    locationData,
+    inflation
+  };
+}
+
+// Compares a client-supplied total against the server computation. Returns null
+// when the server cannot price the job (unknown jobType etc.) - nothing to compare.
+function checkClientTotal(clientEstimate, input) {
+  const computed = computeEstimate(input);
+  if (!computed.valid) return null;
+
+  const serverTotal = computed.estimate.total;
+  const clientTotal = Number(clientEstimate?.total) || 0;
+  const deviationPct = serverTotal > 0
+    ? Math.round(((clientTotal - serverTotal) / serverTotal) * 100 * 10) / 10
+    : null;
+
+  return {
+    serverTotal,
+    clientTotal,
+    deviationPct,
+    flagged: deviationPct === null || Math.abs(deviationPct) > TAMPER_TOLERANCE_PCT,
+    rateKey: computed.rateKey,
+    pricingConfigVersion: computed.pricingConfigVersion,
+    inflationIndexMonth: computed.inflation.indexMonth,
+    checkedAt: new Date()
+  };
+}
+
+module.exports = {
+  computeEstimate,
+  checkClientTotal,
+  resolveBaseRate,
+  QUALITY_MULTIPLIERS,
+  PROJECT_SIZE_MULTIPLIERS,
+  TAMPER_TOLERANCE_PCT
+};
@@ -0,0 +1,183 @@
+// services/projectBundle.js
+// Combined pricing for a Project: several saved Estimates done as one renovation.
+// Each line item keeps its own estimate; the bundle only takes money off labour,
+// because materials are bought per job whichever way the work is scheduled.
+//
+// Discounts, each a percentage of a line item's labour:
+//
+//   1. Shared prep. One mobilisation, one skip, one set of floor protection.
+//      Every item except the most expensive gets SHARED_PREP_PCT.
+//   2. Same trade. Items sharing a category with a larger item on the project
+//      are done by a trade already on site, so they get SAME_TRADE_PCT more.
+//   3. Sequencing. Specific pairs where one job removes work from another, e.g.
+//      a rewire before a re-skim needs no separate making good. See PAIR_RULES.
+//
+// A single item never loses more than MAX_ITEM_DISCOUNT_PCT of its labour, and the
+// whole project never more than MAX_PROJECT_DISCOUNT_PCT of its subtotal, so a
+// long list of small jobs cannot discount itself to nothing.
+
+const mongoose = require('mongoose');
+const Estimate = require('../models/Estimate');
+const Project = require('../models/Project');
+const { resolveBaseRate } = require('./pricingEngine');
+
+const BUNDLE_MODEL_VERSION = 'bundle-v1';
+
+const SHARED_PREP_PCT          = 5;
+const SAME_TRADE_PCT           = 5;
+const MAX_ITEM_DISCOUNT_PCT    = 25;
+const MAX_PROJECT_DISCOUNT_PCT = 12;
+
+const EXTENSIONS = ['single-storey-extension', 'double-storey-extension', 'kitchen-extension', 'loft-conversion', 'loft-conversion-dormer'];
+const PLASTERING = ['plastering', 'full-reskim'];
+const DECORATION = ['interior-painting', 'wallpapering'];
+
+// `with` must be on the project for `target` to get `pct` off its labour.
+const PAIR_RULES = [
+  { target: ['full-rewire'],        with: PLASTERING, pct: 15, reason: 'Cable chases made good during the re-skim' },
+  { target: ['full-rewire'],        with: EXTENSIONS, pct: 10, reason: 'First fix wiring done while walls are open' },
+  { target: ['kitchen-renovation'], with: EXTENSIONS, pct: 10, reason: 'Services run during the build, no strip-out needed' },
+  { target: ['consumer-unit'],      with: ['full-rewire', 'ev-charger'], pct: 20, reason: 'Board changed during the same electrical visit' },
+  { target: DECORATION,             with: PLASTERING, pct: 10, reason: 'New plaster needs no preparation beyond a mist coat' },
+  { target: ['radiator-installation'], with: ['boiler-replacement'], pct: 15, reason: 'System drained and refilled once' }
+];
+
+function round(n) {
+  return Math.round(n);
+}
+
+// Line item view of a saved Estimate. rateKey is what the bundle rules match on;
+// an Estimate whose jobType has no server base rate still counts towards shared prep.
+function toLineItem(estimate) {
+  const rate = resolveBaseRate(estimate.jobType);
+  const total = estimate.estimate?.total || 0;
+  const labour = estimate.estimate?.labour ?? round(total * (rate?.labourShare ?? 0.5));
+  return {
+    estimateId: estimate._id,
+    jobType:    estimate.jobType,
+    jobName:    estimate.jobName,
+    category:   estimate.category,
+    quality:    estimate.quality,
+    rateKey:    rate ? rate.key : null,
+    total,
+    low:        estimate.estimate?.low ?? total,
+    high:       estimate.estimate?.high ?? total,
+    labour,
+    materials:  estimate.estimate?.materials ?? total - labour
+  };
+}
+
+// Returns { lineItems, totals, bundle }. lineItems gain a `discount` each;
+// bundle.discounts lists every rule applied, per line item, for display.
+function computeBundle(estimates) {
+  const lineItems = estimates.map(toLineItem);
+  const keys = new Set(lineItems.map(i => i.rateKey).filter(Boolean));
+  const discounts = [];
+
+  const byValue = [...lineItems].sort((a, b) => b.total - a.total);
+  const anchor = byValue[0];
+  const largestInCategory = new Map();
+  byValue.forEach(i => {
+    if (!largestInCategory.has(i.category)) largestInCategory.set(i.category, i);
+  });
+
+  lineItems.forEach(item => {
+    const applied = [];
+    if (lineItems.length > 1 && item !== anchor) {
+      applied.push({ rule: 'shared-prep', pct: SHARED_PREP_PCT, reason: 'Shared site setup, protection and waste removal' });
+    }
+    if (largestInCategory.get(item.category) !== item) {
+      applied.push({ rule: 'same-trade', pct: SAME_TRADE_PCT, reason: `${item.category} trade already on site` });
+    }
+    PAIR_RULES.forEach(r => {
+      if (item.rateKey && r.target.includes(item.rateKey) && r.with.some(k => k !== item.rateKey && keys.has(k))) {
+        applied.push({ rule: 'sequencing', pct: r.pct, reason: r.reason });
+      }
+    });
+
+    const pct = Math.min(MAX_ITEM_DISCOUNT_PCT, applied.reduce((sum, a) => sum + a.pct, 0));
+    item.discount = round(item.labour * pct / 100);
+    applied.forEach(a => discounts.push({ estimateId: item.estimateId, jobType: item.jobType, ...a }));
+  });
+
+  const subtotal = lineItems.reduce((sum, i) => sum + i.total, 0);
+  const itemDiscounts = lineItems.reduce((sum, i) => sum + i.discount, 0);
+  const cap = round(subtotal * MAX_PROJECT_DISCOUNT_PCT / 100);
+
+  // Over the cap, scale every item's discount down proportionally.
+  if (itemDiscounts > cap && itemDiscounts > 0) {
+    lineItems.forEach(i => { i.discount = round(i.discount * cap / itemDiscounts); });
+  }
+
+  const discount = lineItems.reduce((sum, i) => sum + i.discount, 0);
+  const total = subtotal - discount;
+  const labour = lineItems.reduce((sum, i) => sum + i.labour, 0) - discount;
+  const materials = lineItems.reduce((sum, i) => sum + i.materials, 0);
+
+  // Summed ranges treat the jobs as fully correlated (the same overrun risk hits
+  // every trade on one site), which is the conservative choice. Scaled by the
+  // discount so low <= total <= high still holds.
+  const scale = subtotal > 0 ? total / subtotal : 1;
+  const low  = round(lineItems.reduce((sum, i) => sum + i.low, 0) * scale);
+  const high = round(lineItems.reduce((sum, i) => sum + i.high, 0) * scale);
+
+  return {
+    lineItems,
+    totals: { subtotal, discount, total, low, high, labour, materials },
+    bundle: {
+      version: BUNDLE_MODEL_VERSION,
+      discountPct: subtotal > 0 ? Math.round((discount / subtotal) * 1000) / 10 : 0,
+      capped: itemDiscounts > cap,
+      discounts
+    }
+  };
+}
+
+const LINE_ITEM_FIELDS = { jobType: 1, jobName: 1, category: 1, quality: 1, estimate: 1, locationHash: 1, locationData: 1, projectId: 1 };
+
+// Loads the Estimates for a project, in the order given. Returns
+// { estimates } or { error, status } for the route to send back.
+async function loadLineEstimates(estimateIds, projectId = null) {
+  const ids = [...new Set((estimateIds || []).map(String))];
+  if (ids.length !== (estimateIds || []).length) return { status: 400, error: 'Duplicate estimate IDs' };
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) return { status: 400, error: 'Invalid estimate ID' };
+
+  const found = await Estimate.find({ _id: { $in: ids } }, LINE_ITEM_FIELDS).lean();
+  if (found.length !== ids.length) return { status: 404, error: 'Estimate not found' };
+
+  const inOtherProject = found.find(e => e.projectId && String(e.projectId) !== String(projectId));
+  if (inOtherProject) {
+    return { status: 409, error: 'Estimate already belongs to another project', estimateId: inOtherProject._id };
+  }
+
+  const byId = new Map(found.map(e => [String(e._id), e]));
+  return { estimates: ids.map(id => byId.get(id)) };
+}
+
+// Re-prices a project from the current state of its Estimates. Called after a
+// line item's estimate is PATCHed so the combined total never goes stale.
+async function refreshProject(projectId) {
+  const project = await Project.findById(projectId);
+  if (!project) return null;
+
+  const ids = project.lineItems.map(i => i.estimateId);
+  const estimates = await Estimate.find({ _id: { $in: ids } }, LINE_ITEM_FIELDS).lean();
+  const byId = new Map(estimates.map(e => [String(e._id), e]));
+  const ordered = ids.map(id => byId.get(String(id))).filter(Boolean);
+  if (ordered.length < 2) return project;
+
+  const { lineItems, totals, bundle } = computeBundle(ordered);
+  project.lineItems = lineItems;
+  project.totals = totals;
+  project.bundle = bundle;
+  return project.save();
+}
+
+module.exports = {
+  computeBundle,
+  loadLineEstimates,
+  refreshProject,
+  BUNDLE_MODEL_VERSION,
+  PAIR_RULES,
+  MAX_PROJECT_DISCOUNT_PCT
+};
@@ -0,0 +1,541 @@
+// services/rankingTraining.js
+// Learns contractor ranking weights from ContractorClick events and turns them
+// into a RankingProposal for an admin to approve or reject, the way
+// services/calibration.js does for pricing.
+//
+// Method, per hand-tuned profile (utils/rankingProfiles.js):
+//   - An impression is a SearchImpression the server logged as it served a
+//     results page, with the page, the rank within it and the factor scores the
+//     contractor was ranked on. It is engaged when a call, website, map or
+//     contact_requested click carries the same searchId and placeId; the click
+//     route only keeps a searchId the server issued for that placeId.
+//     Searches ranked by the profile or by its learned replacement count.
+//   - Position bias: cards lower down a page are looked at less, whatever their
+//     quality. Each results page is a fresh list, so bias is measured on rank
+//     within the page: the propensity of each rank is its engagement rate
+//     relative to rank 1, kept non-increasing; ranks with too few impressions
+//     fall back to 1/rank. Engagements are weighted by 1 / propensity (IPW),
+//     so a call from rank 5 counts for more than one from rank 1.
+//   - These propensities still carry whatever relevance the old ranking put at
+//     the top, so they are only an estimate. The held-out comparison below, not
+//     the propensities, decides whether a proposal can be approved.
+//   - Baseline: the weights searches are served with now, as
+//     resolveRankingProfile() picks them: the approved learned profile when
+//     there is one, else the hand-tuned profile.
+//   - Weights: a logistic regression of engagement on the six factor scores,
+//     IPW-weighted. Positive coefficients are scaled to 100 points, then the
+//     baseline weights move toward them by n / (n + SHRINKAGE_K) for n
+//     training engagements, no factor by more than MAX_STEP_POINTS per proposal.
+//   - Evaluation: searches are split by a hash of searchId, HOLDOUT_SHARE held
+//     out of training. Each held-out results page is re-ranked by the proposed
+//     and by the baseline weights and scored by DCG, with each engagement's
+//     gain IPW-weighted. The proposal beats the baseline when its
+//     mean DCG is MIN_LIFT_PCT higher, with at least MIN_EVAL_PAGES held-out
+//     pages that had an engagement.
+//
+// Debiased engagement rates per contractor and per factor band are stored on
+// the proposal as evidence; they do not change ranking themselves.
+//
+// Used by both scripts/ranking-trainer.js (scheduled) and the admin routes in
+// routes/rankingRoutes.js.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ContractorClick = require('../models/ContractorClick');
+const SearchImpression = require('../models/SearchImpression');
+const RankingProposal = require('../models/RankingProposal');
+const { FACTORS } = require('../utils/rankingProfiles');
+const { getBaseProfile, servingProfile, learnedName, profileId, loadLearnedProfiles } = require('./contractorRanking');
+
+const ENGAGEMENT_ACTIONS = ['call', 'website', 'map', 'contact_requested'];
+
+const DEFAULT_WINDOW_DAYS = 90;
+const HOLDOUT_SHARE = 0.2;
+const MIN_RANK_IMPRESSIONS = 50;
+const MIN_PROPENSITY = 0.05;
+const SHRINKAGE_K = 200;
+const MAX_STEP_POINTS = 10;
+const MIN_EVAL_PAGES = 30;
+const MIN_LIFT_PCT = 2;
+const CONTRACTOR_PRIOR_IMPRESSIONS = 20;
+const MAX_CONTRACTORS = 100;
+
+const BANDS = [
+  { band: 'low',  min: 0,    max: 1 / 3 },
+  { band: 'mid',  min: 1 / 3, max: 2 / 3 },
+  { band: 'high', min: 2 / 3, max: Infinity }
+];
+
+class RankingProposalNotBetterError extends Error {
+  constructor(proposal) {
+    super(proposal.evaluation.reason || 'Proposal did not beat the served weights on held-out clicks');
+    this.name = 'RankingProposalNotBetterError';
+    this.evaluation = proposal.evaluation;
+  }
+}
+
+// The profile a proposal was evaluated against is no longer the one served, so
+// its lift is not a lift over what it would replace.
+class RankingBaselineChangedError extends Error {
+  constructor(proposal, serving) {
+    super(`Proposal was evaluated against ${proposal.baselineProfileId}, but ${serving} is served now; train a new proposal`);
+    this.name = 'RankingBaselineChangedError';
+  }
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Deterministic split, so re-running on the same window holds out the same searches.
+function isHeldOut(searchId) {
+  return crypto.createHash('sha1').update(searchId).digest()[0] / 256 < HOLDOUT_SHARE;
+}
+
+// ── Impressions ──────────────────────────────────────────────────────────────
+
+// Logs one served results page of /api/search-contractors: contractors as
+// ranked (rankContractors), page its 1-based number in the search, shownBefore
+// the contractors served on earlier pages. Never throws: a lost impression
+// costs training data, not the search.
+async function recordSearchImpressions({ searchId, page, shownBefore, contractors, jobType, postcodeDistrict }) {
+  if (mongoose.connection.readyState !== 1 || contractors.length === 0) return;
+  try {
+    await SearchImpression.insertMany(contractors.map((contractor, i) => ({
+      searchId,
+      placeId: contractor.placeId,
+      contractorName: contractor.name || null,
+      page,
+      rank: i + 1,
+      position: shownBefore + i + 1,
+      rankingProfile: contractor.rankingProfile,
+      factorScores: Object.fromEntries(FACTORS.map(factor => [factor, contractor.scoreBreakdown[factor].score])),
+      jobType: jobType || null,
+      postcodeDistrict: postcodeDistrict || null
+    })), { ordered: false });
+  } catch (error) {
+    console.error('❌ Search impression logging failed:', error.message);
+  }
+}
+
+// Whether the server served placeId in the search searchId.
+async function wasServed(searchId, placeId) {
+  if (typeof searchId !== 'string' || typeof placeId !== 'string') return false;
+  return Boolean(await SearchImpression.exists({ searchId, placeId }));
+}
+
+// ── Data ─────────────────────────────────────────────────────────────────────
+
+// Impressions of searches ranked by the profile (hand-tuned or learned) in the
+// window: [{ searchId, placeId, contractorName, page, rank, position, x: [factor scores], engaged }]
+async function fetchImpressions(baseName, start, end) {
+  const profilePattern = new RegExp(`^(${escapeRegex(baseName)}|${escapeRegex(learnedName(baseName))})@\\d+$`);
+  const shown = await SearchImpression.find({
+    timestamp: { $gte: start, $lte: end },
+    rankingProfile: profilePattern
+  })
+    .select({ searchId: 1, placeId: 1, contractorName: 1, page: 1, rank: 1, position: 1, factorScores: 1 })
+    .sort({ timestamp: 1 })
+    .lean();
+
+  // Engagements may land a little after the search that showed them
+  const engagedPairs = await ContractorClick.aggregate([
+    { $match: {
+      actionType: { $in: ENGAGEMENT_ACTIONS },
+      searchId: { $ne: null },
+      timestamp: { $gte: start, $lte: new Date(end.getTime() + 24 * 60 * 60 * 1000) }
+    } },
+    { $group: { _id: { searchId: '$searchId', placeId: '$placeId' } } }
+  ]);
+  const engaged = new Set(engagedPairs.map(p => `${p._id.searchId}|${p._id.placeId}`));
+
+  const seen = new Set();
+  const impressions = [];
+  for (const row of shown) {
+    const key = `${row.searchId}|${row.placeId}`;
+    if (seen.has(key)) continue;
+    const x = FACTORS.map(factor => row.factorScores[factor]);
+    if (x.some(v => typeof v !== 'number' || v < 0 || v > 1)) continue;
+    seen.add(key);
+    impressions.push({
+      searchId: row.searchId,
+      placeId: row.placeId,
+      contractorName: row.contractorName,
+      page: row.page,
+      rank: row.rank,
+      position: row.position,
+      x,
+      engaged: engaged.has(key)
+    });
+  }
+  return impressions;
+}
+
+// ── Position bias ────────────────────────────────────────────────────────────
+
+// Rows per in-page rank and a rank -> propensity lookup.
+function estimatePropensities(impressions) {
+  const byRank = new Map();
+  for (const imp of impressions) {
+    const row = byRank.get(imp.rank) || { rank: imp.rank, impressions: 0, engagements: 0 };
+    row.impressions++;
+    if (imp.engaged) row.engagements++;
+    byRank.set(imp.rank, row);
+  }
+
+  const rows = [...byRank.values()].sort((a, b) => a.rank - b.rank);
+  const top = byRank.get(1);
+  const topRate = top && top.impressions >= MIN_RANK_IMPRESSIONS ? top.engagements / top.impressions : 0;
+
+  let previous = 1;
+  for (const row of rows) {
+    row.rate = row.impressions > 0 ? round3(row.engagements / row.impressions) : null;
+    row.estimated = topRate > 0 && row.impressions >= MIN_RANK_IMPRESSIONS;
+    const raw = row.estimated ? (row.engagements / row.impressions) / topRate : 1 / row.rank;
+    // Never more likely to be seen than the card above it
+    const propensity = Math.max(MIN_PROPENSITY, Math.min(raw, previous, 1));
+    row.propensity = round3(propensity);
+    previous = propensity;
+  }
+
+  const lookup = rank => {
+    const row = byRank.get(rank);
+    return row ? Math.max(row.propensity, MIN_PROPENSITY) : Math.max(1 / rank, MIN_PROPENSITY);
+  };
+  return { rows, propensity: lookup };
+}
+
+function ipwGain(imp, propensity) {
+  return imp.engaged ? 1 / propensity(imp.rank) : 0;
+}
+
+// ── Engagement rates ─────────────────────────────────────────────────────────
+
+function factorEngagement(impressions, propensity) {
+  const rows = [];
+  FACTORS.forEach((factor, i) => {
+    for (const { band, min, max } of BANDS) {
+      const inBand = impressions.filter(imp => imp.x[i] >= min && imp.x[i] < max);
+      const gain = inBand.reduce((sum, imp) => sum + ipwGain(imp, propensity), 0);
+      rows.push({
+        factor,
+        band,
+        impressions: inBand.length,
+        engagements: inBand.filter(imp => imp.engaged).length,
+        debiasedRate: inBand.length > 0 ? round3(gain / inBand.length) : null
+      });
+    }
+  });
+  return rows;
+}
+
+// Most-shown contractors with their debiased rate, shrunk toward the overall rate.
+function contractorEngagement(impressions, propensity) {
+  const totalGain = impressions.reduce((sum, imp) => sum + ipwGain(imp, propensity), 0);
+  const overall = impressions.length > 0 ? totalGain / impressions.length : 0;
+
+  const byPlace = new Map();
+  for (const imp of impressions) {
+    const row = byPlace.get(imp.placeId) || { placeId: imp.placeId, contractorName: imp.contractorName, impressions: 0, engagements: 0, gain: 0 };
+    row.impressions++;
+    if (imp.engaged) row.engagements++;
+    row.gain += ipwGain(imp, propensity);
+    row.contractorName = imp.contractorName;
+    byPlace.set(imp.placeId, row);
+  }
+
+  return [...byPlace.values()]
+    .sort((a, b) => b.impressions - a.impressions)
+    .slice(0, MAX_CONTRACTORS)
+    .map(({ gain, ...row }) => {
+      const shrunk = (gain + CONTRACTOR_PRIOR_IMPRESSIONS * overall) / (row.impressions + CONTRACTOR_PRIOR_IMPRESSIONS);
+      return {
+        ...row,
+        debiasedRate: round3(gain / row.impressions),
+        shrunkRate: round3(shrunk),
+        boost: overall > 0 ? round3(shrunk / overall) : null
+      };
+    });
+}
+
+// ── Weights ──────────────────────────────────────────────────────────────────
+
+// Weighted logistic regression by gradient descent: [intercept, ...factor coefficients].
+function fitLogistic(rows, { iterations = 500, learningRate = 0.5, l2 = 0.01 } = {}) {
+  const beta = new Array(FACTORS.length + 1).fill(0);
+  const totalWeight = rows.reduce((sum, r) => sum + r.w, 0);
+  if (totalWeight === 0) return beta;
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const grad = new Array(beta.length).fill(0);
+    for (const { x, y, w } of rows) {
+      let z = beta[0];
+      for (let i = 0; i < x.length; i++) z += beta[i + 1] * x[i];
+      const error = (1 / (1 + Math.exp(-z)) - y) * w;
+      grad[0] += error;
+      for (let i = 0; i < x.length; i++) grad[i + 1] += error * x[i];
+    }
+    for (let i = 0; i < beta.length; i++) {
+      const penalty = i === 0 ? 0 : l2 * beta[i];
+      beta[i] -= learningRate * (grad[i] / totalWeight + penalty);
+    }
+  }
+  return beta;
+}
+
+// Non-negative integers summing to 100, in proportion to values (largest remainder).
+function toPoints(values) {
+  const total = values.reduce((sum, v) => sum + v, 0);
+  if (total <= 0) return null;
+  const exact = values.map(v => (v / total) * 100);
+  const points = exact.map(Math.floor);
+  let remaining = 100 - points.reduce((sum, v) => sum + v, 0);
+  exact
+    .map((v, i) => ({ i, remainder: v - Math.floor(v) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ i }) => {
+      if (remaining > 0) { points[i]++; remaining--; }
+    });
+  return points;
+}
+
+function asWeights(values) {
+  return Object.fromEntries(FACTORS.map((factor, i) => [factor, values[i]]));
+}
+
+// { coefficients, learnedWeights, weights } from training impressions.
+function learnWeights(impressions, propensity, baseWeights) {
+  const rows = impressions.map(imp => ({
+    x: imp.x,
+    y: imp.engaged ? 1 : 0,
+    w: imp.engaged ? 1 / propensity(imp.rank) : 1
+  }));
+  const beta = fitLogistic(rows);
+  const coefficients = beta.slice(1);
+  const base = FACTORS.map(factor => baseWeights[factor]);
+
+  const learned = toPoints(coefficients.map(c => Math.max(c, 0))) || base;
+  const engagements = impressions.filter(imp => imp.engaged).length;
+  // Both sum to 100, so every point between them does too. The step is cut
+  // short so no factor moves more than MAX_STEP_POINTS.
+  const largestGap = Math.max(...learned.map((l, i) => Math.abs(l - base[i])));
+  const step = Math.min(
+    engagements / (engagements + SHRINKAGE_K),
+    largestGap > 0 ? MAX_STEP_POINTS / largestGap : 0
+  );
+  const moved = base.map((b, i) => b + step * (learned[i] - b));
+
+  return {
+    coefficients: asWeights(coefficients.map(round3)),
+    learnedWeights: asWeights(learned),
+    weights: asWeights(toPoints(moved) || base)
+  };
+}
+
+// ── Evaluation ───────────────────────────────────────────────────────────────
+
+// Impressions per served results page: each page was ranked and seen as a list
+// of its own, so it is re-ranked and scored on its own.
+function groupByPage(impressions) {
+  const pages = new Map();
+  for (const imp of impressions) {
+    const key = `${imp.searchId}|${imp.page}`;
+    if (!pages.has(key)) pages.set(key, []);
+    pages.get(key).push(imp);
+  }
+  return [...pages.values()];
+}
+
+// Unnormalised: dividing by each search's ideal DCG, or dropping searches
+// without an engagement, would favour the order the clicks were logged under.
+function dcg(ordered, propensity) {
+  return ordered.reduce((sum, imp, rank) => sum + ipwGain(imp, propensity) / Math.log2(rank + 2), 0);
+}
+
+function byWeights(weights) {
+  const w = FACTORS.map(factor => weights[factor]);
+  const score = imp => imp.x.reduce((sum, v, i) => sum + v * w[i], 0);
+  // Ties keep the order the user saw
+  return (a, b) => score(b) - score(a) || a.rank - b.rank;
+}
+
+// Held-out comparison of the proposed weights with the baseline: the mean IPW
+// DCG of each ranking over every held-out results page.
+function evaluate(heldOut, propensity, weights, baseWeights) {
+  const pages = groupByPage(heldOut).filter(imps => imps.length >= 2);
+  const engagedPages = pages.filter(imps => imps.some(imp => imp.engaged)).length;
+
+  const result = {
+    holdoutShare: HOLDOUT_SHARE,
+    pages: pages.length,
+    engagedPages,
+    candidateDcg: null,
+    baselineDcg: null,
+    loggedDcg: null,
+    liftPct: null,
+    wins: 0,
+    losses: 0,
+    ties: 0,
+    beatsBaseline: false,
+    reason: null
+  };
+  if (engagedPages === 0) {
+    result.reason = 'No held-out results pages with an engagement';
+    return result;
+  }
+
+  let candidateTotal = 0;
+  let baselineTotal = 0;
+  let loggedTotal = 0;
+  for (const imps of pages) {
+    const candidate = dcg([...imps].sort(byWeights(weights)), propensity);
+    const baseline = dcg([...imps].sort(byWeights(baseWeights)), propensity);
+    candidateTotal += candidate;
+    baselineTotal += baseline;
+    loggedTotal += dcg([...imps].sort((a, b) => a.rank - b.rank), propensity);
+    if (candidate - baseline > 1e-9) result.wins++;
+    else if (baseline - candidate > 1e-9) result.losses++;
+    else result.ties++;
+  }
+
+  result.candidateDcg = round3(candidateTotal / pages.length);
+  result.baselineDcg = round3(baselineTotal / pages.length);
+  result.loggedDcg = round3(loggedTotal / pages.length);
+  result.liftPct = baselineTotal > 0 ? Math.round(((candidateTotal - baselineTotal) / baselineTotal) * 1000) / 10 : null;
+
+  if (engagedPages < MIN_EVAL_PAGES) {
+    result.reason = `Only ${engagedPages} held-out results pages with an engagement; at least ${MIN_EVAL_PAGES} needed`;
+  } else if (result.liftPct === null || result.liftPct < MIN_LIFT_PCT) {
+    result.reason = `DCG ${result.candidateDcg} vs ${result.baselineDcg} served (${result.liftPct}%): below the ${MIN_LIFT_PCT}% lift required`;
+  } else {
+    result.beatsBaseline = true;
+  }
+  return result;
+}
+
+// ── Proposals ────────────────────────────────────────────────────────────────
+
+// Trains on the window's clicks for a hand-tuned profile name, against the
+// weights served for it now, and stores a pending proposal, superseding any
+// pending one for the same profile. Returns null when there is no such profile.
+async function createRankingProposal({ profile, windowStart, windowEnd, source = 'admin' } = {}) {
+  const base = getBaseProfile(profile);
+  if (!base) return null;
+
+  const end = windowEnd ? new Date(windowEnd) : new Date();
+  const start = windowStart
+    ? new Date(windowStart)
+    : new Date(end.getTime() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  // Reloaded so the baseline is what every instance serves, not this one's last refresh
+  await loadLearnedProfiles();
+  const baseline = servingProfile(base);
+
+  const impressions = await fetchImpressions(base.name, start, end);
+  const training = impressions.filter(imp => !isHeldOut(imp.searchId));
+  const heldOut = impressions.filter(imp => isHeldOut(imp.searchId));
+
+  // Position bias is measured on every impression: it is not what is being evaluated
+  const { rows: ranks, propensity } = estimatePropensities(impressions);
+  const { coefficients, learnedWeights, weights } = learnWeights(training, propensity, baseline.weights);
+
+  const latest = await RankingProposal.findOne().sort({ version: -1 }).lean();
+  const version = (latest?.version || 0) + 1;
+
+  await RankingProposal.updateMany(
+    { baseProfile: base.name, status: 'pending' },
+    { $set: { status: 'superseded' } }
+  );
+
+  return RankingProposal.create({
+    version,
+    source,
+    baseProfile: base.name,
+    baseProfileId: profileId(base),
+    baselineProfileId: profileId(baseline),
+    windowStart: start,
+    windowEnd: end,
+    training: {
+      searches: new Set(training.map(imp => imp.searchId)).size,
+      impressions: training.length,
+      engagements: training.filter(imp => imp.engaged).length
+    },
+    ranks,
+    factorEngagement: factorEngagement(training, propensity),
+    contractors: contractorEngagement(impressions, propensity),
+    coefficients,
+    learnedWeights,
+    baseWeights: { ...baseline.weights },
+    weights,
+    evaluation: evaluate(heldOut, propensity, weights, baseline.weights)
+  });
+}
+
+// Approves a pending proposal that beat the weights served when it was
+// trained, and are still served: it becomes the served profile for its base,
+// retiring the previous approval. Returns null when the proposal does not
+// exist or is not pending.
+async function approveRankingProposal(id, { reviewedBy, reviewNote } = {}) {
+  const proposal = await RankingProposal.findById(id);
+  if (!proposal || proposal.status !== 'pending') return null;
+  if (!proposal.evaluation.beatsBaseline) throw new RankingProposalNotBetterError(proposal);
+
+  await loadLearnedProfiles();
+  const base = getBaseProfile(proposal.baseProfile);
+  const serving = base ? profileId(servingProfile(base)) : null;
+  if (serving !== proposal.baselineProfileId) throw new RankingBaselineChangedError(proposal, serving);
+
+  const now = new Date();
+  await RankingProposal.updateMany(
+    { baseProfile: proposal.baseProfile, status: 'approved' },
+    { $set: { status: 'retired', retiredAt: now } }
+  );
+
+  proposal.status = 'approved';
+  proposal.reviewedBy = reviewedBy || null;
+  proposal.reviewedAt = now;
+  proposal.reviewNote = reviewNote || null;
+  await proposal.save();
+
+  await loadLearnedProfiles();
+  return proposal;
+}
+
+async function rejectRankingProposal(id, { reviewedBy, reviewNote } = {}) {
+  return RankingProposal.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { $set: { status: 'rejected', reviewedBy: reviewedBy || null, reviewedAt: new Date(), reviewNote: reviewNote || null } },
+    { new: true }
+  );
+}
+
+// Stops serving an approved proposal; its base profile goes back to the
+// hand-tuned weights. Returns null when it is not the approved one.
+async function retireRankingProposal(id) {
+  const proposal = await RankingProposal.findOneAndUpdate(
+    { _id: id, status: 'approved' },
+    { $set: { status: 'retired', retiredAt: new Date() } },
+    { new: true }
+  );
+  if (proposal) await loadLearnedProfiles();
+  return proposal;
+}
+
+module.exports = {
+  createRankingProposal,
+  approveRankingProposal,
+  rejectRankingProposal,
+  retireRankingProposal,
+  RankingProposalNotBetterError,
+  RankingBaselineChangedError,
+  recordSearchImpressions,
+  wasServed,
+  estimatePropensities,
+  learnWeights,
+  evaluate,
+  ENGAGEMENT_ACTIONS
+};
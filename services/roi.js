@@ -0,0 +1,156 @@
+// services/roi.js
+// Renovation return on investment for the ROI tool (leads with source 'roi-tool').
+// For one property, every value-adding renovation is priced with the same engine
+// as /api/compute-estimate and set against the value it typically adds.
+//
+//   cost   = computeEstimate() at the chosen quality, medium size, TYPICAL_AREA_SQM
+//            for area-priced jobs (x TYPICAL_ROOMS for room-priced ones), with
+//            the district's regional multiplier
+//   uplift = property value x VALUE_UPLIFT[rateKey].pct, up to its cap
+//   roiPct = (uplift - cost) / cost x 100, which is what the ranking sorts by
+//
+// The property value is the one supplied, else the avgPropertyValue of the
+// district's region in regionalCostData.json, else UK_AVERAGE_PROPERTY_VALUE.
+// Every input and assumption is returned with the ranking, so any published
+// result can be reproduced exactly.
+
+const regionalData = require('../regionalCostData.json');
+const { computeEstimate } = require('./pricingEngine');
+const { analyzeLocationCost } = require('../utils/locationCost');
+
+const ROI_MODEL_VERSION = 'roi-v1';
+
+// ONS UK average house price, rounded. Used when the region has no average.
+const UK_AVERAGE_PROPERTY_VALUE = 290000;
+
+// Typical value added as a share of property value, mid-points of published
+// estate agent and lender surveys. Maintenance and repair jobs are left out:
+// they protect value rather than add it. Cosmetic and system jobs are capped in
+// pounds (`cap`): sanded floors do not add 1% to a £1.2M house.
+const VALUE_UPLIFT = {
+  'loft-conversion-dormer':  { pct: 0.20, basis: 'Adds a double bedroom and bathroom' },
+  'double-storey-extension': { pct: 0.18, basis: 'Adds a bedroom and enlarged ground floor' },
+  'loft-conversion':         { pct: 0.15, basis: 'Adds a bedroom' },
+  'kitchen-extension':       { pct: 0.12, basis: 'Open-plan kitchen diner' },
+  'single-storey-extension': { pct: 0.10, basis: 'Adds ground floor living space' },
+  'kitchen-renovation':      { pct: 0.06, basis: 'New kitchen in the existing footprint' },
+  'bathroom-renovation':     { pct: 0.04, basis: 'New bathroom in the existing footprint' },
+  'garden-landscaping':      { pct: 0.03, cap: 15000, basis: 'Kerb appeal and usable outdoor space' },
+  'boiler-replacement':      { pct: 0.02, cap: 5000,  basis: 'Removes a common survey down-valuation' },
+  'full-rewire':             { pct: 0.02, cap: 8000,  basis: 'Removes a common survey down-valuation' },
+  'interior-painting':       { pct: 0.015, cap: 5000, basis: 'Presentation for sale' },
+  'floor-sanding':           { pct: 0.01, cap: 2500,  basis: 'Presentation for sale' },
+  'full-reskim':             { pct: 0.01, cap: 4000,  basis: 'Presentation for sale' },
+  'ev-charger':              { pct: 0.005, cap: 1500, basis: 'Buyer preference, small premium' }
+};
+
+// Area assumed for jobs priced per sqm.
+const TYPICAL_AREA_SQM = {
+  'single-storey-extension': 20,
+  'double-storey-extension': 40,
+  'kitchen-extension':       20,
+  'garden-landscaping':      50,
+  'floor-sanding':           20
+};
+
+// Rooms assumed for jobs priced per room, where the uplift is for the whole house.
+const TYPICAL_ROOMS = {
+  'interior-painting': 6
+};
+
+const DEFAULT_QUALITY = 'standard';
+const DEFAULT_PROJECT_SIZE = 'medium';
+
+function parsePounds(value) {
+  const n = parseInt(String(value || '').replace(/[^0-9]/g, ''), 10);
+  return isNaN(n) ? null : n;
+}
+
+// Returns { value, basis } for the property.
+function resolvePropertyValue(propertyValue, regionSlug) {
+  if (propertyValue) return { value: Math.round(propertyValue), basis: 'provided' };
+  const region = regionalData.regions.find(r => r.slug === regionSlug);
+  const regional = region ? parsePounds(region.avgPropertyValue) : null;
+  if (regional) return { value: regional, basis: 'regional_average', region: region.name };
+  return { value: UK_AVERAGE_PROPERTY_VALUE, basis: 'uk_average' };
+}
+
+function computeRoi({ district, propertyValue, quality = DEFAULT_QUALITY }) {
+  const locationData = analyzeLocationCost([], district);
+  const property = resolvePropertyValue(propertyValue, locationData.regionSlug);
+
+  // Every renovation is priced at the same moment, so one config version and one
+  // inflation index month cover the whole ranking.
+  const pricedAt = new Date();
+  let pricingConfigVersion = null;
+  let inflation = null;
+  const ranking = Object.entries(VALUE_UPLIFT).map(([rateKey, uplift]) => {
+    const areaQuantity = TYPICAL_AREA_SQM[rateKey] || null;
+    const result = computeEstimate({
+      jobType: rateKey,
+      projectSize: DEFAULT_PROJECT_SIZE,
+      areaQuantity,
+      quality,
+      postcode: district,
+      asOf: pricedAt
+    });
+    // A renovation the active pricing config no longer prices is left out, not guessed.
+    if (!result.valid) return null;
+    pricingConfigVersion = result.pricingConfigVersion;
+    inflation = result.inflation;
+
+    const rooms = TYPICAL_ROOMS[rateKey] || 1;
+    const cost = result.estimate.total * rooms;
+    const valueUplift = Math.round(Math.min(property.value * uplift.pct, uplift.cap || Infinity));
+    return {
+      renovation: rateKey,
+      cost,
+      costLow: result.estimate.low * rooms,
+      costHigh: result.estimate.high * rooms,
+      valueUplift,
+      netGain: valueUplift - cost,
+      roiPct: Math.round(((valueUplift - cost) / cost) * 1000) / 10,
+      upliftPct: uplift.pct * 100,
+      upliftCap: uplift.cap || null,
+      basis: uplift.basis,
+      areaQuantity,
+      rooms
+    };
+  }).filter(Boolean);
+
+  ranking.sort((a, b) => b.roiPct - a.roiPct);
+  ranking.forEach((r, i) => { r.rank = i + 1; });
+
+  return {
+    district,
+    propertyValue: property.value,
+    ranking,
+    topRenovation: ranking[0] ? ranking[0].renovation : null,
+    assumptions: {
+      version: ROI_MODEL_VERSION,
+      propertyValueBasis: property.basis,
+      propertyValueRegion: property.region || null,
+      ukAveragePropertyValue: UK_AVERAGE_PROPERTY_VALUE,
+      quality,
+      projectSize: DEFAULT_PROJECT_SIZE,
+      typicalAreaSqm: TYPICAL_AREA_SQM,
+      typicalRooms: TYPICAL_ROOMS,
+      region: locationData.region,
+      regionResolved: locationData.regionResolved,
+      costMultiplier: locationData.costMultiplier,
+      pricingConfigVersion,
+      pricedAt: inflation ? inflation.asOf : pricedAt.toISOString().slice(0, 10),
+      inflationIndexMonth: inflation ? inflation.indexMonth : null,
+      inflationProvisional: inflation ? inflation.provisional : null,
+      formula: 'roiPct = (min(propertyValue x upliftPct, upliftCap) - cost) / cost x 100'
+    }
+  };
+}
+
+module.exports = {
+  computeRoi,
+  VALUE_UPLIFT,
+  TYPICAL_AREA_SQM,
+  TYPICAL_ROOMS,
+  ROI_MODEL_VERSION
+};
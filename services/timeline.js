@@ -0,0 +1,108 @@
+// services/timeline.js
+// Phased project plan for an estimate: approvals, material lead times and the
+// sequence of trades on site, in working days from the day the homeowner
+// decides to go ahead. Templates live in utils/timelineTemplates.js.
+//
+// Durations come from the bill of quantities: a phase takes its share of the
+// job's labour days divided by the crew working it. Labour days already scale
+// with size, area and quality, and are location-neutral (London day rates are
+// higher, not London jobs longer), so the plan and the price always agree.
+//
+// Scheduling is deliberately simple: phases run in order, a phase cannot start
+// before the materials it `needs` have arrived, and site work cannot start
+// before the mandatory 'before' approvals. Conditional approvals (party wall,
+// planning) are reported with a worst case rather than assumed.
+
+const { buildBillOfQuantities } = require('./billOfQuantities');
+const { resolveBaseRate } = require('./pricingEngine');
+const { TIMELINE_TEMPLATES, GENERIC_TIMELINE, QUALITY_LEAD_TIME_MULTIPLIERS } = require('../utils/timelineTemplates');
+
+const TIMELINE_VERSION = 'timeline-v1';
+const WORKING_DAYS_PER_WEEK = 5;
+
+// Slack for overruns, as a share of on-site days. More when photos showed problems.
+const BUFFER_PCT = 0.1;
+const BUFFER_PCT_WITH_ISSUES = 0.2;
+
+function roundHalf(n) {
+  return Math.round(n * 2) / 2;
+}
+
+function buildTimeline({ jobType, projectSize, quality, estimate, photoAnalysis, locationData, boq }) {
+  const bill = boq || buildBillOfQuantities({ jobType, projectSize, estimate, photoAnalysis, locationData });
+  if (!bill) return null;
+
+  const rate = resolveBaseRate(jobType);
+  const template = (rate && TIMELINE_TEMPLATES[rate.key]) || GENERIC_TIMELINE;
+  const labourDays = bill.labourDays || 1;
+
+  // Approvals. Mandatory 'before' steps run in parallel, so the longest sets the site start.
+  const compliance = template.compliance.map(c => ({
+    step: c.step,
+    stage: c.stage,
+    weeks: c.weeks,
+    conditional: !!c.conditional,
+    note: c.note || null
+  }));
+  const before = compliance.filter(c => c.stage === 'before');
+  const preConstructionWeeks = Math.max(0, ...before.filter(c => !c.conditional).map(c => c.weeks));
+  const worstCasePreConstructionWeeks = Math.max(0, ...before.map(c => c.weeks));
+  const siteStartDay = preConstructionWeeks * WORKING_DAYS_PER_WEEK;
+
+  // Everything is ordered on day 0.
+  const leadMultiplier = QUALITY_LEAD_TIME_MULTIPLIERS[quality] || 1;
+  const leadTimes = template.leadTimes.map(l => {
+    const weeks = roundHalf(l.weeks * leadMultiplier);
+    return { item: l.item, weeks, arrivalDay: weeks * WORKING_DAYS_PER_WEEK };
+  });
+  const arrivals = new Map(leadTimes.map(l => [l.item, l.arrivalDay]));
+
+  let cursor = siteStartDay;
+  const phases = template.phases.map((p, i) => {
+    const durationDays = Math.max(p.minDays || 0.5, roundHalf((labourDays * p.share) / (p.crew || 1)));
+    const materialsReady = Math.max(0, ...(p.needs || []).map(item => arrivals.get(item) || 0));
+    const startDay = Math.max(cursor, materialsReady);
+    const phase = {
+      order: i + 1,
+      name: p.name,
+      trade: p.trade,
+      crew: p.crew || 1,
+      startDay,
+      durationDays,
+      endDay: startDay + durationDays,
+      waitingForMaterialsDays: startDay - cursor,
+      needs: p.needs || []
+    };
+    cursor = phase.endDay;
+    return phase;
+  });
+
+  const onSiteDays = cursor - siteStartDay;
+  const hasIssues = (photoAnalysis?.detectedIssues || []).length > 0;
+  const bufferDays = roundHalf(onSiteDays * (hasIssues ? BUFFER_PCT_WITH_ISSUES : BUFFER_PCT));
+  const signOffWeeks = Math.max(0, ...compliance.filter(c => c.stage === 'after').map(c => c.weeks));
+  const totalWorkingDays = cursor + bufferDays;
+
+  return {
+    version: TIMELINE_VERSION,
+    rateKey: rate ? rate.key : null,
+    labourDays,
+    phases,
+    leadTimes,
+    compliance,
+    totals: {
+      preConstructionWeeks,
+      worstCasePreConstructionWeeks,
+      onSiteDays,
+      bufferDays,
+      totalWorkingDays,
+      totalWeeks: Math.ceil((totalWorkingDays / WORKING_DAYS_PER_WEEK) * 2) / 2,
+      signOffWeeks
+    }
+  };
+}
+
+module.exports = {
+  buildTimeline,
+  TIMELINE_VERSION
+};
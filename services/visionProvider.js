@@ -0,0 +1,218 @@
+// services/visionProvider.js
+// Vision-model adapters for photo analysis. Every provider takes the same input,
+// a text prompt plus the uploaded images, and returns the model's raw text reply:
+//
+//   provider.analyzeImages({ prompt, images, maxTokens })
+//     images: [{ mediaType: 'image/jpeg', base64: '...', dataUrl: 'data:image/jpeg;base64,...' }]
+//     -> { text, model, tokensUsed }
+//
+// Parsing and schema checks stay in services/photoAnalysis.js, so switching
+// provider never changes what reaches pricing.
+//
+// Configuration:
+//   VISION_PROVIDER           openai (default) | anthropic | stub
+//   VISION_MODEL              model override for the primary provider
+//   VISION_FALLBACK_PROVIDER  tried when the primary fails, e.g. anthropic
+//   VISION_FALLBACK_MODEL     model override for the fallback provider
+//
+// 'stub' never calls out. It derives a fixed reply from a hash of the images, so
+// the same photos always produce the same analysis: for tests and offline work.
+
+const crypto = require('crypto');
+const OpenAI = require('openai');
+const Anthropic = require('@anthropic-ai/sdk');
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o',
+  anthropic: 'claude-sonnet-4-6',
+  stub: 'stub-v1'
+};
+
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+
+// retryable: a second attempt might succeed (rate limit, overload, timeout).
+class VisionProviderError extends Error {
+  constructor(message, { provider, retryable = false, status = null } = {}) {
+    super(message);
+    this.provider = provider;
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+function isRetryableStatus(status) {
+  return !status || status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+function wrapError(provider, error) {
+  if (error instanceof VisionProviderError) return error;
+  const status = error.status || null;
+  return new VisionProviderError(error.message, {
+    provider,
+    status,
+    retryable: isRetryableStatus(status)
+  });
+}
+
+// ── OpenAI ──
+
+let openaiClient = null;
+
+function openaiProvider(model) {
+  return {
+    name: 'openai',
+    model,
+    async analyzeImages({ prompt, images, maxTokens }) {
+      if (!process.env.OPENAI_API_KEY) {
+        throw new VisionProviderError('OPENAI_API_KEY not set', { provider: 'openai' });
+      }
+      openaiClient = openaiClient || new OpenAI({ apiKey: process.env.OPENAI_API_KEY, timeout: REQUEST_TIMEOUT_MS, maxRetries: 0 });
+      try {
+        const completion = await openaiClient.chat.completions.create({
+          model,
+          messages: [
+            {
+              role: 'user',
+              content: [
+                { type: 'text', text: prompt },
+                ...images.map(img => ({ type: 'image_url', image_url: { url: img.dataUrl, detail: 'high' } }))
+              ]
+            }
+          ],
+          max_tokens: maxTokens,
+          temperature: 0.3
+        });
+        return {
+          text: completion.choices[0]?.message?.content?.trim() || '',
+          model: completion.model || model,
+          tokensUsed: completion.usage?.total_tokens ?? null
+        };
+      } catch (error) {
+        throw wrapError('openai', error);
+      }
+    }
+  };
+}
+
+// ── Anthropic ──
+
+let anthropicClient = null;
+
+function anthropicProvider(model) {
+  return {
+    name: 'anthropic',
+    model,
+    async analyzeImages({ prompt, images, maxTokens }) {
+      if (!process.env.ANTHROPIC_API_KEY) {
+        throw new VisionProviderError('ANTHROPIC_API_KEY not set', { provider: 'anthropic' });
+      }
+      anthropicClient = anthropicClient || new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, timeout: REQUEST_TIMEOUT_MS, maxRetries: 0 });
+      try {
+        const message = await anthropicClient.messages.create({
+          model,
+          max_tokens: maxTokens,
+          temperature: 0.3,
+          messages: [
+            {
+              role: 'user',
+              content: [
+                // Images first, then the instructions, as Anthropic recommends
+                ...images.map(img => ({ type: 'image', source: { type: 'base64', media_type: img.mediaType, data: img.base64 } })),
+                { type: 'text', text: prompt }
+              ]
+            }
+          ]
+        });
+        return {
+          text: message.content.filter(block => block.type === 'text').map(block => block.text).join('').trim(),
+          model: message.model || model,
+          tokensUsed: message.usage ? message.usage.input_tokens + message.usage.output_tokens : null
+        };
+      } catch (error) {
+        throw wrapError('anthropic', error);
+      }
+    }
+  };
+}
+
+// ── Stub ──
+
+// Spreads one byte of the image hash over [min, max].
+function fromByte(byte, min, max) {
+  return Math.round((min + (byte / 255) * (max - min)) * 100) / 100;
+}
+
+function stubProvider(model) {
+  return {
+    name: 'stub',
+    model,
+    async analyzeImages({ images }) {
+      const digests = images.map(img => crypto.createHash('sha256').update(img.base64).digest());
+      const first = digests[0] || Buffer.alloc(32);
+      const reply = {
+        images: digests.map((d, index) => ({
+          index,
+          description: `Stub analysis of photo ${index + 1}`,
+          findings: ['Surfaces visible and accessible'],
+          defects: d[0] % 3 === 0
+            ? [{ type: 'wear', severity: 'minor', location: 'skirting', description: 'Scuffed paintwork' }]
+            : [],
+          materials: ['paint'],
+          measurements: { wallAreaSqm: fromByte(d[1], 8, 20), floorAreaSqm: null, ceilingHeightM: 2.4, openings: 1 + (d[2] % 2) },
+          confidence: fromByte(d[3], 0.6, 0.9)
+        })),
+        complexity: fromByte(first[4], 0.9, 1.15),
+        condition: fromByte(first[5], 0.9, 1.15),
+        access: 1.0,
+        materialQuality: 1.0,
+        measurements: { wallAreaSqm: null, floorAreaSqm: null, ceilingHeightM: 2.4, openings: null },
+        area: {
+          floorAreaSqm: { low: fromByte(first[7], 10, 14), likely: fromByte(first[7], 12, 16), high: fromByte(first[7], 14, 18) },
+          wallAreaSqm: null,
+          referenceObjects: ['internal door'],
+          confidence: fromByte(first[8], 0.5, 0.8)
+        },
+        confidence: fromByte(first[6], 0.6, 0.9)
+      };
+      return { text: JSON.stringify(reply), model, tokensUsed: 0 };
+    }
+  };
+}
+
+const FACTORIES = {
+  openai: openaiProvider,
+  anthropic: anthropicProvider,
+  stub: stubProvider
+};
+
+function createProvider(name, model) {
+  const key = String(name || '').toLowerCase();
+  const factory = FACTORIES[key];
+  if (!factory) throw new Error(`Unknown vision provider "${name}" (expected ${Object.keys(FACTORIES).join(', ')})`);
+  return factory(model || DEFAULT_MODELS[key]);
+}
+
+// Primary provider first, then the fallback when one is configured.
+function getVisionProviders() {
+  const providers = [createProvider(process.env.VISION_PROVIDER || 'openai', process.env.VISION_MODEL)];
+  const fallback = process.env.VISION_FALLBACK_PROVIDER;
+  if (fallback && fallback.toLowerCase() !== providers[0].name) {
+    providers.push(createProvider(fallback, process.env.VISION_FALLBACK_MODEL));
+  }
+  return providers;
+}
+
+// 'data:image/jpeg;base64,...' -> { mediaType, base64, dataUrl }, or null if not a base64 image.
+function parseImageDataUrl(dataUrl) {
+  const match = /^data:(image\/[a-z0-9.+-]+);base64,(.+)$/i.exec(String(dataUrl || ''));
+  if (!match) return null;
+  return { mediaType: match[1].toLowerCase(), base64: match[2], dataUrl };
+}
+
+module.exports = {
+  createProvider,
+  getVisionProviders,
+  parseImageDataUrl,
+  VisionProviderError,
+  DEFAULT_MODELS
+};
@@ -0,0 +1,13 @@
+// utils/adminAuth.js
+// Express middleware for admin routers. Same REINDEX_SECRET check the inline
+// admin routes in server.js do, accepted as a header or ?secret= query param.
+
+function requireAdminSecret(req, res, next) {
+  const providedSecret = req.headers['x-reindex-secret'] || req.query.secret;
+  if (!providedSecret || providedSecret !== process.env.REINDEX_SECRET) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+module.exports = { requireAdminSecret };
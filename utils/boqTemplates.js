@@ -0,0 +1,311 @@
+// utils/boqTemplates.js
+// Bill of quantities templates, keyed by the baseRates slug in regionalCostData.json.
+// Used by services/billOfQuantities.js to itemise an estimate's materials and labour.
+//
+// materials: what the materials figure buys. `share` is the fraction of the
+//   materials total each line takes (a template's shares sum to 1). `qty` is the
+//   quantity per job unit (per room, per sqm, or per job); lines marked `fixed`,
+//   and 'set' lines, do not scale with project size. `keywords` match photo analysis materials.
+// labour: trades on the job and their share of the labour total. Days come from
+//   TRADE_DAY_RATES, so a job priced in London shows the same days, not more.
+// contingencyPct: recommended allowance for unknowns, on top of the estimate.
+
+// National average day rates (GBP), scaled by the estimate's location multiplier.
+const TRADE_DAY_RATES = {
+  builder:      260,
+  labourer:     160,
+  bricklayer:   260,
+  carpenter:    250,
+  plasterer:    240,
+  plumber:      300,
+  heating:      320,  // Gas Safe heating engineer
+  electrician:  300,
+  tiler:        240,
+  decorator:    220,
+  fitter:       260,  // kitchen / bathroom fitter
+  roofer:       260,
+  floorer:      230,
+  landscaper:   220,
+  cleaner:      180
+};
+
+const BOQ_TEMPLATES = {
+  'boiler-replacement': {
+    materials: [
+      { description: 'Combination boiler',                        unit: 'item', qty: 1, fixed: true, share: 0.62, keywords: ['boiler', 'combi'] },
+      { description: 'Flue kit and condensate pipework',           unit: 'set',  qty: 1, fixed: true, share: 0.10, keywords: ['flue', 'condensate'] },
+      { description: 'Magnetic system filter',                     unit: 'item', qty: 1, fixed: true, share: 0.06, keywords: ['filter'] },
+      { description: 'Smart thermostat and controls',              unit: 'item', qty: 1, fixed: true, share: 0.10, keywords: ['thermostat', 'controls'] },
+      { description: 'Copper pipe, fittings and valves',           unit: 'set',  qty: 1,              share: 0.07, keywords: ['copper', 'pipe', 'valve'] },
+      { description: 'Chemical flush, inhibitor and sundries',     unit: 'set',  qty: 1, fixed: true, share: 0.05, sundries: true }
+    ],
+    labour: [{ trade: 'heating', share: 0.85 }, { trade: 'labourer', share: 0.15 }],
+    contingencyPct: 10
+  },
+
+  'bathroom-renovation': {
+    materials: [
+      { description: 'Sanitaryware (WC, basin, bath or shower tray)', unit: 'set',  qty: 1, fixed: true, share: 0.30, keywords: ['toilet', 'wc', 'basin', 'sink', 'bath', 'shower tray', 'sanitaryware'] },
+      { description: 'Taps, shower valve and waste fittings',         unit: 'set',  qty: 1, fixed: true, share: 0.12, keywords: ['tap', 'shower', 'valve', 'mixer'] },
+      { description: 'Wall and floor tiles',                          unit: 'sqm',  qty: 18,             share: 0.20, keywords: ['tile', 'ceramic', 'porcelain'] },
+      { description: 'Tile adhesive, grout and tanking',              unit: 'sqm',  qty: 18,             share: 0.07, keywords: ['adhesive', 'grout', 'tanking', 'waterproof'] },
+      { description: 'Vanity unit and storage',                       unit: 'item', qty: 1, fixed: true, share: 0.10, keywords: ['vanity', 'cabinet', 'storage'] },
+      { description: 'Extractor fan and lighting',                    unit: 'set',  qty: 1, fixed: true, share: 0.06, keywords: ['extractor', 'fan', 'light'] },
+      { description: 'Plumbing pipework and fittings',                unit: 'set',  qty: 1,              share: 0.07, keywords: ['pipe', 'plumbing'] },
+      { description: 'Plasterboard, sealant and sundries',            unit: 'set',  qty: 1,              share: 0.08, sundries: true }
+    ],
+    labour: [{ trade: 'fitter', share: 0.35 }, { trade: 'plumber', share: 0.25 }, { trade: 'tiler', share: 0.25 }, { trade: 'electrician', share: 0.08 }, { trade: 'labourer', share: 0.07 }],
+    contingencyPct: 12
+  },
+
+  'kitchen-renovation': {
+    materials: [
+      { description: 'Kitchen units (base and wall)',          unit: 'lin m', qty: 6,             share: 0.38, keywords: ['cabinet', 'unit', 'cupboard', 'door'] },
+      { description: 'Worktops',                               unit: 'lin m', qty: 6,             share: 0.16, keywords: ['worktop', 'countertop', 'granite', 'quartz', 'laminate', 'wood'] },
+      { description: 'Appliances (oven, hob, hood)',           unit: 'set',   qty: 1, fixed: true, share: 0.18, keywords: ['oven', 'hob', 'hood', 'appliance', 'extractor'] },
+      { description: 'Sink and tap',                          unit: 'set',   qty: 1, fixed: true, share: 0.05, keywords: ['sink', 'tap'] },
+      { description: 'Splashback and wall tiles',              unit: 'sqm',   qty: 4,             share: 0.05, keywords: ['tile', 'splashback'] },
+      { description: 'Flooring',                               unit: 'sqm',   qty: 12,            share: 0.08, keywords: ['floor', 'vinyl', 'lvt', 'laminate flooring'] },
+      { description: 'Electrical accessories and lighting',    unit: 'set',   qty: 1,             share: 0.05, keywords: ['socket', 'light', 'spotlight'] },
+      { description: 'Plumbing, fixings and sundries',         unit: 'set',   qty: 1,             share: 0.05, sundries: true }
+    ],
+    labour: [{ trade: 'fitter', share: 0.50 }, { trade: 'electrician', share: 0.15 }, { trade: 'plumber', share: 0.12 }, { trade: 'plasterer', share: 0.08 }, { trade: 'tiler', share: 0.07 }, { trade: 'labourer', share: 0.08 }],
+    contingencyPct: 12
+  },
+
+  'full-rewire': {
+    materials: [
+      { description: 'Twin and earth cable',                   unit: 'm',    qty: 300,            share: 0.35, keywords: ['cable', 'wiring', 'wire'] },
+      { description: 'Consumer unit with RCBOs',               unit: 'item', qty: 1, fixed: true, share: 0.20, keywords: ['consumer unit', 'fuse box', 'fuseboard'] },
+      { description: 'Sockets, switches and back boxes',       unit: 'point', qty: 45,            share: 0.22, keywords: ['socket', 'switch'] },
+      { description: 'Light fittings and ceiling roses',       unit: 'point', qty: 15,            share: 0.10, keywords: ['light', 'lighting', 'downlight'] },
+      { description: 'Smoke and heat alarms',                  unit: 'item', qty: 4,              share: 0.05, keywords: ['smoke', 'alarm', 'detector'] },
+      { description: 'Clips, conduit, filler and sundries',    unit: 'set',  qty: 1,              share: 0.08, sundries: true }
+    ],
+    labour: [{ trade: 'electrician', share: 0.80 }, { trade: 'labourer', share: 0.10 }, { trade: 'plasterer', share: 0.10 }],
+    contingencyPct: 15
+  },
+
+  'interior-painting': {
+    materials: [
+      { description: 'Emulsion (walls and ceiling)',           unit: 'litre', qty: 10,            share: 0.55, keywords: ['paint', 'emulsion'] },
+      { description: 'Gloss or satinwood (woodwork)',          unit: 'litre', qty: 1.5,           share: 0.15, keywords: ['gloss', 'satinwood', 'eggshell'] },
+      { description: 'Filler, caulk and sandpaper',            unit: 'set',   qty: 1,             share: 0.12, keywords: ['filler', 'caulk'] },
+      { description: 'Dust sheets, tape and sundries',         unit: 'set',   qty: 1,             share: 0.18, sundries: true }
+    ],
+    labour: [{ trade: 'decorator', share: 1.0 }],
+    contingencyPct: 5
+  },
+
+  'ev-charger': {
+    materials: [
+      { description: '7kW smart charge point',                 unit: 'item', qty: 1, fixed: true, share: 0.72, keywords: ['charger', 'charge point', 'ev'] },
+      { description: 'SWA cable',                              unit: 'm',    qty: 10,             share: 0.12, keywords: ['cable', 'swa'] },
+      { description: 'RCBO, isolator and earthing',            unit: 'set',  qty: 1, fixed: true, share: 0.10, keywords: ['rcbo', 'isolator', 'earth'] },
+      { description: 'Glands, clips and sundries',             unit: 'set',  qty: 1, fixed: true, share: 0.06, sundries: true }
+    ],
+    labour: [{ trade: 'electrician', share: 1.0 }],
+    contingencyPct: 10
+  },
+
+  'radiator-installation': {
+    materials: [
+      { description: 'Radiator',                               unit: 'item', qty: 1, fixed: true, share: 0.60, keywords: ['radiator'] },
+      { description: 'Thermostatic and lockshield valves',     unit: 'set',  qty: 1, fixed: true, share: 0.20, keywords: ['valve', 'trv'] },
+      { description: 'Pipework, brackets and sundries',        unit: 'set',  qty: 1, fixed: true, share: 0.20, sundries: true }
+    ],
+    labour: [{ trade: 'plumber', share: 1.0 }],
+    contingencyPct: 10
+  },
+
+  'radiator-repair': {
+    materials: [
+      { description: 'Replacement valves and bleed parts',     unit: 'set',  qty: 1, fixed: true, share: 0.70, keywords: ['valve', 'radiator'] },
+      { description: 'Inhibitor and sundries',                 unit: 'set',  qty: 1, fixed: true, share: 0.30, sundries: true }
+    ],
+    labour: [{ trade: 'plumber', share: 1.0 }],
+    contingencyPct: 10
+  },
+
+  'tap-leak-repair': {
+    materials: [
+      { description: 'Cartridge, washers and O-rings',         unit: 'set',  qty: 1, fixed: true, share: 0.75, keywords: ['tap', 'washer', 'cartridge'] },
+      { description: 'PTFE tape and sundries',                 unit: 'set',  qty: 1, fixed: true, share: 0.25, sundries: true }
+    ],
+    labour: [{ trade: 'plumber', share: 1.0 }],
+    contingencyPct: 10
+  },
+
+  'toilet-repair': {
+    materials: [
+      { description: 'Fill valve, flush valve and seals',      unit: 'set',  qty: 1, fixed: true, share: 0.75, keywords: ['toilet', 'cistern', 'flush', 'seal'] },
+      { description: 'Sealant and sundries',                   unit: 'set',  qty: 1, fixed: true, share: 0.25, sundries: true }
+    ],
+    labour: [{ trade: 'plumber', share: 1.0 }],
+    contingencyPct: 10
+  },
+
+  'consumer-unit': {
+    materials: [
+      { description: 'Consumer unit with RCBOs and SPD',       unit: 'item', qty: 1, fixed: true, share: 0.80, keywords: ['consumer unit', 'fuse box', 'rcbo'] },
+      { description: 'Tails, earthing and sundries',           unit: 'set',  qty: 1, fixed: true, share: 0.20, sundries: true }
+    ],
+    labour: [{ trade: 'electrician', share: 1.0 }],
+    contingencyPct: 10
+  },
+
+  'wallpapering': {
+    materials: [
+      { description: 'Wallpaper',                              unit: 'roll', qty: 8,              share: 0.65, keywords: ['wallpaper', 'paper'] },
+      { description: 'Paste, lining paper and size',           unit: 'set',  qty: 1,              share: 0.20, keywords: ['paste', 'lining'] },
+      { description: 'Filler and sundries',                    unit: 'set',  qty: 1,              share: 0.15, sundries: true }
+    ],
+    labour: [{ trade: 'decorator', share: 1.0 }],
+    contingencyPct: 5
+  },
+
+  'floor-sanding': {
+    materials: [
+      { description: 'Lacquer or hardwax oil',                 unit: 'litre', qty: 0.3,           share: 0.55, keywords: ['lacquer', 'varnish', 'oil'] },
+      { description: 'Abrasives',                              unit: 'sqm',   qty: 1,             share: 0.30, keywords: ['sand', 'abrasive'] },
+      { description: 'Gap filler and sundries',                unit: 'set',   qty: 1, fixed: true, share: 0.15, sundries: true }
+    ],
+    labour: [{ trade: 'floorer', share: 1.0 }],
+    contingencyPct: 8
+  },
+
+  'plastering': {
+    materials: [
+      { description: 'Multi-finish plaster',                   unit: 'bag',  qty: 8,              share: 0.45, keywords: ['plaster', 'skim'] },
+      { description: 'Bonding coat and PVA',                   unit: 'set',  qty: 1,              share: 0.25, keywords: ['bonding', 'pva'] },
+      { description: 'Angle beads, scrim and sundries',        unit: 'set',  qty: 1,              share: 0.30, sundries: true }
+    ],
+    labour: [{ trade: 'plasterer', share: 0.85 }, { trade: 'labourer', share: 0.15 }],
+    contingencyPct: 10
+  },
+
+  'full-reskim': {
+    materials: [
+      { description: 'Multi-finish plaster',                   unit: 'bag',  qty: 60,             share: 0.50, keywords: ['plaster', 'skim'] },
+      { description: 'Bonding coat and PVA',                   unit: 'set',  qty: 1,              share: 0.20, keywords: ['bonding', 'pva'] },
+      { description: 'Angle beads, scrim and sundries',        unit: 'set',  qty: 1,              share: 0.30, sundries: true }
+    ],
+    labour: [{ trade: 'plasterer', share: 0.80 }, { trade: 'labourer', share: 0.20 }],
+    contingencyPct: 10
+  },
+
+  'single-storey-extension': {
+    materials: [
+      { description: 'Foundations and concrete slab',          unit: 'sqm',  qty: 1,              share: 0.18, keywords: ['concrete', 'foundation'] },
+      { description: 'Blockwork and facing brick',             unit: 'sqm',  qty: 1.6,            share: 0.20, keywords: ['brick', 'block', 'masonry'] },
+      { description: 'Roof structure and covering',            unit: 'sqm',  qty: 1.1,            share: 0.18, keywords: ['roof', 'tile', 'felt', 'epdm'] },
+      { description: 'Insulation',                             unit: 'sqm',  qty: 3,              share: 0.08, keywords: ['insulation'] },
+      { description: 'Windows and doors',                      unit: 'set',  qty: 1, fixed: true, share: 0.16, keywords: ['window', 'door', 'bifold', 'glazing'] },
+      { description: 'Plasterboard and finishes',              unit: 'sqm',  qty: 3,              share: 0.08, keywords: ['plasterboard', 'plaster'] },
+      { description: 'Electrics and heating first fix',        unit: 'sqm',  qty: 1,              share: 0.06, keywords: ['radiator', 'underfloor', 'cable'] },
+      { description: 'Skips, scaffold and sundries',           unit: 'set',  qty: 1,              share: 0.06, sundries: true }
+    ],
+    labour: [{ trade: 'builder', share: 0.35 }, { trade: 'bricklayer', share: 0.15 }, { trade: 'carpenter', share: 0.12 }, { trade: 'roofer', share: 0.08 }, { trade: 'plasterer', share: 0.08 }, { trade: 'electrician', share: 0.06 }, { trade: 'plumber', share: 0.04 }, { trade: 'labourer', share: 0.12 }],
+    contingencyPct: 15
+  },
+
+  'double-storey-extension': {
+    materials: [
+      { description: 'Foundations and concrete slab',          unit: 'sqm',  qty: 0.5,            share: 0.12, keywords: ['concrete', 'foundation'] },
+      { description: 'Blockwork and facing brick',             unit: 'sqm',  qty: 2.2,            share: 0.24, keywords: ['brick', 'block', 'masonry'] },
+      { description: 'Floor joists and decking',               unit: 'sqm',  qty: 0.5,            share: 0.06, keywords: ['joist', 'timber'] },
+      { description: 'Roof structure and covering',            unit: 'sqm',  qty: 0.6,            share: 0.14, keywords: ['roof', 'tile', 'slate'] },
+      { description: 'Insulation',                             unit: 'sqm',  qty: 3,              share: 0.08, keywords: ['insulation'] },
+      { description: 'Windows and doors',                      unit: 'set',  qty: 1, fixed: true, share: 0.14, keywords: ['window', 'door', 'glazing'] },
+      { description: 'Plasterboard and finishes',              unit: 'sqm',  qty: 3,              share: 0.10, keywords: ['plasterboard', 'plaster'] },
+      { description: 'Electrics and heating first fix',        unit: 'sqm',  qty: 1,              share: 0.06, keywords: ['radiator', 'cable'] },
+      { description: 'Skips, scaffold and sundries',           unit: 'set',  qty: 1,              share: 0.06, sundries: true }
+    ],
+    labour: [{ trade: 'builder', share: 0.33 }, { trade: 'bricklayer', share: 0.17 }, { trade: 'carpenter', share: 0.14 }, { trade: 'roofer', share: 0.07 }, { trade: 'plasterer', share: 0.09 }, { trade: 'electrician', share: 0.06 }, { trade: 'plumber', share: 0.04 }, { trade: 'labourer', share: 0.10 }],
+    contingencyPct: 15
+  },
+
+  'kitchen-extension': {
+    materials: [
+      { description: 'Foundations and concrete slab',          unit: 'sqm',  qty: 1,              share: 0.15, keywords: ['concrete', 'foundation'] },
+      { description: 'Blockwork and facing brick',             unit: 'sqm',  qty: 1.6,            share: 0.16, keywords: ['brick', 'block'] },
+      { description: 'Roof structure, covering and rooflights', unit: 'sqm', qty: 1.1,            share: 0.16, keywords: ['roof', 'rooflight', 'skylight'] },
+      { description: 'Insulation',                             unit: 'sqm',  qty: 3,              share: 0.06, keywords: ['insulation'] },
+      { description: 'Bifold or sliding doors',                unit: 'set',  qty: 1, fixed: true, share: 0.15, keywords: ['bifold', 'sliding', 'door', 'glazing'] },
+      { description: 'Steel beam and padstones',               unit: 'item', qty: 1, fixed: true, share: 0.08, keywords: ['steel', 'rsj', 'beam'] },
+      { description: 'Plasterboard, flooring and finishes',    unit: 'sqm',  qty: 3,              share: 0.10, keywords: ['plasterboard', 'floor', 'tile'] },
+      { description: 'Electrics, plumbing and heating first fix', unit: 'sqm', qty: 1,            share: 0.08, keywords: ['underfloor', 'radiator', 'cable', 'pipe'] },
+      { description: 'Skips, scaffold and sundries',           unit: 'set',  qty: 1,              share: 0.06, sundries: true }
+    ],
+    labour: [{ trade: 'builder', share: 0.33 }, { trade: 'bricklayer', share: 0.14 }, { trade: 'carpenter', share: 0.10 }, { trade: 'roofer', share: 0.07 }, { trade: 'plasterer', share: 0.09 }, { trade: 'electrician', share: 0.08 }, { trade: 'plumber', share: 0.07 }, { trade: 'labourer', share: 0.12 }],
+    contingencyPct: 15
+  },
+
+  'loft-conversion': {
+    materials: [
+      { description: 'Floor joists and steels',                unit: 'set',  qty: 1,              share: 0.20, keywords: ['joist', 'steel', 'beam', 'timber'] },
+      { description: 'Rooflights',                             unit: 'item', qty: 3,              share: 0.12, keywords: ['velux', 'rooflight', 'skylight', 'window'] },
+      { description: 'Insulation',                             unit: 'set',  qty: 1,              share: 0.12, keywords: ['insulation'] },
+      { description: 'Staircase',                              unit: 'item', qty: 1, fixed: true, share: 0.12, keywords: ['stair', 'staircase'] },
+      { description: 'Plasterboard and plaster',               unit: 'set',  qty: 1,              share: 0.12, keywords: ['plasterboard', 'plaster'] },
+      { description: 'Fire doors and fire protection',         unit: 'set',  qty: 1, fixed: true, share: 0.10, keywords: ['fire door', 'fire'] },
+      { description: 'Electrics, heating and finishes',        unit: 'set',  qty: 1,              share: 0.12, keywords: ['radiator', 'cable', 'light'] },
+      { description: 'Scaffold, skips and sundries',           unit: 'set',  qty: 1,              share: 0.10, sundries: true }
+    ],
+    labour: [{ trade: 'carpenter', share: 0.35 }, { trade: 'builder', share: 0.20 }, { trade: 'roofer', share: 0.10 }, { trade: 'plasterer', share: 0.10 }, { trade: 'electrician', share: 0.08 }, { trade: 'plumber', share: 0.05 }, { trade: 'labourer', share: 0.12 }],
+    contingencyPct: 15
+  },
+
+  'loft-conversion-dormer': {
+    materials: [
+      { description: 'Floor joists and steels',                unit: 'set',  qty: 1,              share: 0.18, keywords: ['joist', 'steel', 'beam', 'timber'] },
+      { description: 'Dormer structure and roof covering',     unit: 'set',  qty: 1,              share: 0.18, keywords: ['dormer', 'roof', 'tile', 'slate', 'felt'] },
+      { description: 'Windows and rooflights',                 unit: 'item', qty: 3,              share: 0.10, keywords: ['window', 'velux', 'rooflight'] },
+      { description: 'Insulation',                             unit: 'set',  qty: 1,              share: 0.10, keywords: ['insulation'] },
+      { description: 'Staircase',                              unit: 'item', qty: 1, fixed: true, share: 0.10, keywords: ['stair', 'staircase'] },
+      { description: 'Plasterboard and plaster',               unit: 'set',  qty: 1,              share: 0.10, keywords: ['plasterboard', 'plaster'] },
+      { description: 'Fire doors and fire protection',         unit: 'set',  qty: 1, fixed: true, share: 0.07, keywords: ['fire door', 'fire'] },
+      { description: 'Electrics, heating and finishes',        unit: 'set',  qty: 1,              share: 0.09, keywords: ['radiator', 'cable', 'light'] },
+      { description: 'Scaffold, skips and sundries',           unit: 'set',  qty: 1,              share: 0.08, sundries: true }
+    ],
+    labour: [{ trade: 'carpenter', share: 0.32 }, { trade: 'builder', share: 0.20 }, { trade: 'roofer', share: 0.14 }, { trade: 'plasterer', share: 0.10 }, { trade: 'electrician', share: 0.08 }, { trade: 'plumber', share: 0.05 }, { trade: 'labourer', share: 0.11 }],
+    contingencyPct: 15
+  },
+
+  'garden-landscaping': {
+    materials: [
+      { description: 'Paving and edging',                      unit: 'sqm',  qty: 0.4,            share: 0.35, keywords: ['paving', 'patio', 'slab', 'stone'] },
+      { description: 'Sub-base, sand and cement',              unit: 'tonne', qty: 0.15,          share: 0.15, keywords: ['gravel', 'sand', 'hardcore'] },
+      { description: 'Turf and topsoil',                       unit: 'sqm',  qty: 0.5,            share: 0.15, keywords: ['turf', 'lawn', 'grass', 'topsoil'] },
+      { description: 'Fencing and timber',                     unit: 'lin m', qty: 0.3,           share: 0.15, keywords: ['fence', 'fencing', 'decking', 'timber', 'sleeper'] },
+      { description: 'Plants and planting',                    unit: 'sqm',  qty: 0.1,            share: 0.10, keywords: ['plant', 'shrub', 'hedge'] },
+      { description: 'Skip hire and sundries',                 unit: 'set',  qty: 1, fixed: true, share: 0.10, sundries: true }
+    ],
+    labour: [{ trade: 'landscaper', share: 0.75 }, { trade: 'labourer', share: 0.25 }],
+    contingencyPct: 10
+  },
+
+  'window-cleaning': {
+    materials: [
+      { description: 'Cleaning solution and sundries',         unit: 'set',  qty: 1, fixed: true, share: 1.0, sundries: true }
+    ],
+    labour: [{ trade: 'cleaner', share: 1.0 }],
+    contingencyPct: 0
+  }
+};
+
+// Used when a jobType has no template of its own.
+const GENERIC_TEMPLATE = {
+  materials: [
+    { description: 'Principal materials',                      unit: 'set',  qty: 1,              share: 0.80 },
+    { description: 'Fixings, consumables and sundries',        unit: 'set',  qty: 1,              share: 0.20, sundries: true }
+  ],
+  labour: [{ trade: 'builder', share: 0.80 }, { trade: 'labourer', share: 0.20 }],
+  contingencyPct: 10
+};
+
+module.exports = {
+  BOQ_TEMPLATES,
+  GENERIC_TEMPLATE,
+  TRADE_DAY_RATES
+};
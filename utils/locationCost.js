@@ -0,0 +1,208 @@
+// utils/locationCost.js
+// Postcode parsing and postcode-to-region cost resolution. Moved out of
+// server.js so the pricing engine and the HTTP routes resolve regions through
+// the same code path. The region map itself is versioned pricing configuration
+// (services/pricingConfig.js); the built-in copy is in utils/pricingDefaults.js.
+
+const { getActivePricingConfig } = require('../services/pricingConfig');
+
+// ── Postcode parsing ─────────────────────────────────────────────────────────
+// Single source of truth for postcode handling. The previous implementation did
+// outward = postcode.replace(/\s+/g,'').slice(0, -3), which silently assumes the
+// input is a complete postcode. It is not: the frontend debounce fires on partial
+// input, so "BS1 5" resolved to area "B" (Birmingham) and "BS1" resolved to
+// nothing at all. Both saved. Never slice blindly again.
+//
+// Returns { valid: false, reason } or
+//         { valid: true, complete, area, district, districtNum, formatted }
+//
+// An outward code on its own (BS1, SW1A) fully resolves a multiplier, so it is
+// accepted as valid but incomplete. Everything else is rejected, not guessed at.
+const OUTWARD_REGEX = /^[A-Z]{1,2}[0-9][A-Z0-9]?$/;
+const INWARD_REGEX  = /^[0-9][A-Z]{2}$/;
+
+function parsePostcode(input) {
+  if (!input || typeof input !== 'string') return { valid: false, reason: 'empty' };
+
+  const raw = input.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (!raw) return { valid: false, reason: 'empty' };
+
+  let outward, inward;
+  if (raw.length >= 5) {
+    outward = raw.slice(0, -3);
+    inward  = raw.slice(-3);
+    if (!OUTWARD_REGEX.test(outward) || !INWARD_REGEX.test(inward)) {
+      return { valid: false, reason: 'malformed' };
+    }
+  } else {
+    outward = raw;
+    inward  = null;
+    if (!OUTWARD_REGEX.test(outward)) return { valid: false, reason: 'malformed' };
+  }
+
+  return {
+    valid: true,
+    complete: Boolean(inward),
+    area: outward.match(/^([A-Z]+)/)[1],       // BS, SW
+    district: outward,                          // BS1, SW1A - outward code only
+    districtNum: outward.replace(/[A-Z]$/, ''), // SW1A -> SW1, for the Central London check
+    formatted: inward ? outward + ' ' + inward : outward
+  };
+}
+
+
+// Human-readable reason for a multiplier. Calibrated multipliers (1.18, say) have
+// no exact entry, so the reason of the nearest band is used.
+function reasonForMultiplier(m, config = getActivePricingConfig()) {
+  const reasons = config.regionReasons || [];
+  if (reasons.length === 0) return 'UK average rates';
+  const nearest = reasons.reduce((best, r) => Math.abs(r.m - m) < Math.abs(best.m - m) ? r : best);
+  return nearest.reason;
+}
+
+// Current multiplier for a controlled region name, or null for names the
+// configuration does not know.
+function getRegionMultiplier(regionName, config = getActivePricingConfig()) {
+  if (config.centralLondon && regionName === config.centralLondon.name) return config.centralLondon.m;
+  const match = Object.values(config.areaRegions).find(r => r.name === regionName);
+  return match ? match.m : null;
+}
+
+// ── District-level resolution ────────────────────────────────────────────────
+// A multiplier is resolved at the most specific level the configuration has:
+//
+//   central-london    the Central London areas and districts, as before
+//   district          an explicit config.districtMultipliers entry (TN1, BR6)
+//   district-blended  no entry, so the area multiplier, blended with the
+//                     neighbouring districts (postcode dataset centroids within
+//                     BLEND_RADIUS_KM) so prices do not jump at an area boundary
+//   area              the area multiplier, where blending changes nothing or
+//                     the dataset lacks the district
+//   nation            config.nationDefaults, for an area the region map lacks
+//
+// Explicit district entries are never blended: they are what someone set.
+// Region name and slug always come from the area (or Central London), so the
+// reporting vocabulary is unchanged.
+const BLEND_RADIUS_KM = 5;
+const BLEND_SHARE = 0.25;   // at most a quarter of the price comes from neighbours
+
+const RESOLUTION_LEVELS = ['central-london', 'district', 'district-blended', 'area', 'nation'];
+
+// Required on first use: services/postcodeGeography.js parses postcodes with
+// this module, so a top-level require would be circular.
+function postcodeGeography() {
+  return require('../services/postcodeGeography');
+}
+
+function isCentralLondon(parsed, config) {
+  return config.centralLondonAreas.includes(parsed.area) || config.centralLondonDistricts.includes(parsed.districtNum);
+}
+
+// Unblended multiplier for a district: Central London, its own entry, or its
+// area. null when none applies (out of scope or unmapped).
+function ownDistrictMultiplier(parsed, config) {
+  if (config.outOfScopeAreas.includes(parsed.area)) return null;
+  if (isCentralLondon(parsed, config)) return config.centralLondon.m;
+  const entry = (config.districtMultipliers || {})[parsed.district];
+  if (entry) return entry.m;
+  return config.areaRegions[parsed.area]?.m ?? null;
+}
+
+// Area multiplier pulled towards the neighbouring districts' own multipliers,
+// each weighted by how close it is. Returns the area multiplier unchanged when
+// the district has no centroid or no neighbours in range.
+function blendedAreaMultiplier(parsed, areaM, config) {
+  const neighbours = postcodeGeography().districtsNear(parsed.district, BLEND_RADIUS_KM);
+  let weightSum = 0;
+  let weighted = 0;
+  neighbours.forEach(n => {
+    const m = ownDistrictMultiplier(parsePostcode(n.district), config);
+    if (m == null) return;
+    const w = 1 - n.distanceKm / BLEND_RADIUS_KM;
+    weightSum += w;
+    weighted += w * m;
+  });
+  if (weightSum === 0) return areaM;
+  const blended = (1 - BLEND_SHARE) * areaM + BLEND_SHARE * (weighted / weightSum);
+  return Math.round(blended * 100) / 100;
+}
+
+// Location-based cost analysis
+// Postcode is now the only input. addressComponents is retained in the
+// signature for the existing call site but is no longer read: the Google
+// postal_town fallback was the source of the third region vocabulary.
+//
+// Unresolvable input still returns a usable multiplier (the nation default
+// where the nation is known, else 1.0) so the estimate saves and volume is
+// preserved, but region is null and regionResolved is false, so the record can
+// be cleanly excluded from regional demand reporting and the cost index.
+//
+// costReason names the level the multiplier was resolved at, and
+// resolutionLevel records it (see RESOLUTION_LEVELS above).
+//
+// `config` defaults to the pricing configuration in force now.
+function analyzeLocationCost(addressComponents, rawPostcode, config = getActivePricingConfig()) {
+  const unresolved = (resolutionReason, nation = null) => {
+    const nationDefault = nation ? (config.nationDefaults || {})[nation] : null;
+    return {
+      region: null,
+      regionSlug: null,
+      costMultiplier: nationDefault ? nationDefault.m : 1.0,
+      costReason: nationDefault ? `${nation} average rates` : 'UK average rates',
+      regionResolved: false,
+      resolutionReason,
+      resolutionLevel: nationDefault ? 'nation' : null
+    };
+  };
+  const resolved = (match, m, resolutionLevel, note) => ({
+    region: match.name,
+    regionSlug: match.slug,
+    costMultiplier: m,
+    costReason: note ? `${reasonForMultiplier(m, config)} - ${note}` : reasonForMultiplier(m, config),
+    regionResolved: true,
+    resolutionReason: 'matched',
+    resolutionLevel
+  });
+
+  const parsed = parsePostcode(rawPostcode);
+  if (!parsed.valid) return unresolved('invalid_input');
+  if (config.outOfScopeAreas.includes(parsed.area)) return unresolved('out_of_scope');
+
+  // Central London is district-specific, so it is checked before the area map.
+  if (isCentralLondon(parsed, config)) {
+    return resolved(config.centralLondon, config.centralLondon.m, 'central-london', null);
+  }
+
+  const match = config.areaRegions[parsed.area];
+  if (!match) {
+    // Valid postcode, unmapped area. Royal Mail does add areas; the postcode
+    // dataset may still know the nation, which prices it at that nation's default.
+    // Logged so it surfaces rather than failing silently.
+    console.warn('WARN unmapped postcode area:', parsed.area, '| district:', parsed.district);
+    const place = postcodeGeography().lookupPostcode(parsed.formatted);
+    return unresolved('uncovered_area', place.valid ? place.nation : null);
+  }
+
+  const entry = (config.districtMultipliers || {})[parsed.district];
+  if (entry) {
+    return resolved(match, entry.m, 'district', `rate set for the ${parsed.district} district`);
+  }
+
+  const place = postcodeGeography().lookupPostcode(parsed.formatted);
+  if (place.valid && place.precision === 'district') {
+    const m = blendedAreaMultiplier(parsed, match.m, config);
+    if (m !== match.m) {
+      return resolved(match, m, 'district-blended', `${match.name} rate for the ${parsed.area} area, blended with neighbouring districts`);
+    }
+  }
+
+  return resolved(match, match.m, 'area', `${match.name} rate for the ${parsed.area} area`);
+}
+
+module.exports = {
+  parsePostcode,
+  analyzeLocationCost,
+  getRegionMultiplier,
+  reasonForMultiplier,
+  RESOLUTION_LEVELS
+};
@@ -0,0 +1,294 @@
+// utils/pricingDefaults.js
+// Built-in pricing configuration - version 0. These were literals in server.js and
+// utils/locationCost.js; pricing now reads them through services/pricingConfig.js,
+// which serves the published PricingConfig version from MongoDB and only falls
+// back to these when no version has been published (or the database is down).
+//
+// Editing this file no longer changes live pricing once a version is published.
+// Create a new version through /api/admin/pricing-config instead.
+
+const regionalData = require('../regionalCostData.json');
+
+// ── Postcode area to region map ──────────────────────────────────────────────
+// Full UK coverage. Previously 16 areas (BT CW DG FK GY HS IM IV JE KA KW KY PH
+// SY TD ZE) had no mapping at all and fell through to region 'Unknown'.
+//
+// `slug` matches regionalCostData.json where a region page exists, null where the
+// area has no dedicated page but still needs a name and a multiplier. `name` is
+// the ONLY string ever written to locationData.region. Bare postcode letters
+// ('S', 'B', 'G') and Google postal_town strings ('Whitley Bay', 'Crieff') are no
+// longer written anywhere, so the field now has one controlled vocabulary.
+const AREA_REGIONS = {
+  'E':  { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'N':  { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'NW': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'SE': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'SW': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'W':  { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'BR': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'CR': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'DA': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'EN': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'HA': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'IG': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'KT': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'RM': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'SM': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'TN': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'TW': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'UB': { name: 'Greater London', slug: 'london-greater', m: 1.35 },
+  'SL': { name: 'Slough', slug: 'slough', m: 1.25 },
+  'RG': { name: 'Reading', slug: 'reading', m: 1.25 },
+  'OX': { name: 'Oxford', slug: 'oxford', m: 1.25 },
+  'CB': { name: 'Cambridge', slug: 'cambridge', m: 1.25 },
+  'WD': { name: 'Watford', slug: 'watford', m: 1.25 },
+  'BN': { name: 'Brighton & Hove', slug: 'brighton', m: 1.25 },
+  'BA': { name: 'Bath', slug: 'bath', m: 1.25 },
+  'AL': { name: 'St Albans', slug: null, m: 1.25 },
+  'GU': { name: 'Guildford & Surrey', slug: null, m: 1.25 },
+  'HP': { name: 'Hemel Hempstead & Chilterns', slug: null, m: 1.25 },
+  'CM': { name: 'Chelmsford & Mid Essex', slug: null, m: 1.25 },
+  'RH': { name: 'Redhill & East Surrey', slug: null, m: 1.25 },
+  'SG': { name: 'Stevenage & North Hertfordshire', slug: null, m: 1.25 },
+  'AB': { name: 'Aberdeen', slug: 'aberdeen', m: 1.15 },
+  'B':  { name: 'Birmingham', slug: 'birmingham', m: 1.15 },
+  'BD': { name: 'Bradford', slug: null, m: 1.15 },
+  'BH': { name: 'Bournemouth', slug: 'bournemouth', m: 1.15 },
+  'BL': { name: 'Bolton', slug: null, m: 1.15 },
+  'BS': { name: 'Bristol', slug: 'bristol', m: 1.15 },
+  'CH': { name: 'Chester & Birkenhead', slug: 'birkenhead', m: 1.15 },
+  'CT': { name: 'Canterbury', slug: 'canterbury', m: 1.15 },
+  'EH': { name: 'Edinburgh', slug: 'edinburgh', m: 1.15 },
+  'G':  { name: 'Glasgow', slug: 'glasgow', m: 1.15 },
+  'GL': { name: 'Gloucester & Cheltenham', slug: 'gloucester', m: 1.15 },
+  'L':  { name: 'Liverpool', slug: 'liverpool', m: 1.15 },
+  'LS': { name: 'Leeds', slug: 'leeds', m: 1.15 },
+  'LU': { name: 'Luton', slug: 'luton', m: 1.15 },
+  'M':  { name: 'Manchester', slug: 'manchester', m: 1.15 },
+  'MK': { name: 'Milton Keynes', slug: 'milton-keynes', m: 1.15 },
+  'ML': { name: 'Motherwell', slug: null, m: 1.15 },
+  'OL': { name: 'Oldham', slug: null, m: 1.15 },
+  'PA': { name: 'Paisley', slug: null, m: 1.15 },
+  'PO': { name: 'Portsmouth', slug: 'portsmouth', m: 1.15 },
+  'S':  { name: 'Sheffield', slug: 'sheffield', m: 1.15 },
+  'SK': { name: 'Stockport', slug: null, m: 1.15 },
+  'SO': { name: 'Southampton', slug: 'southampton', m: 1.15 },
+  'WA': { name: 'Warrington', slug: null, m: 1.15 },
+  'WF': { name: 'Wakefield', slug: null, m: 1.15 },
+  'WN': { name: 'Wigan', slug: null, m: 1.15 },
+  'CF': { name: 'Cardiff', slug: 'cardiff', m: 1.05 },
+  'DD': { name: 'Dundee', slug: 'dundee', m: 1.05 },
+  'EX': { name: 'Exeter', slug: 'exeter', m: 1.05 },
+  'NE': { name: 'Newcastle', slug: 'newcastle', m: 1.05 },
+  'NG': { name: 'Nottingham', slug: 'nottingham', m: 1.05 },
+  'NR': { name: 'Norwich', slug: 'norwich', m: 1.05 },
+  'SN': { name: 'Swindon', slug: 'swindon', m: 1.05 },
+  'YO': { name: 'York', slug: 'york', m: 1.05 },
+  'DT': { name: 'Dorchester & Dorset', slug: null, m: 1.05 },
+  'ME': { name: 'Medway', slug: null, m: 1.05 },
+  'SP': { name: 'Salisbury', slug: null, m: 1.05 },
+  'SS': { name: 'Southend-on-Sea', slug: null, m: 1.05 },
+  'TQ': { name: 'Torquay & Torbay', slug: null, m: 1.05 },
+  'TR': { name: 'Truro & Cornwall', slug: null, m: 1.05 },
+  'WR': { name: 'Worcester', slug: null, m: 1.05 },
+  'HG': { name: 'Harrogate', slug: null, m: 1.05 },
+  'KW': { name: 'Caithness & Orkney', slug: null, m: 1.05 },
+  'HS': { name: 'Outer Hebrides', slug: null, m: 1.05 },
+  'ZE': { name: 'Shetland', slug: null, m: 1.05 },
+  'CO': { name: 'Colchester', slug: 'colchester', m: 1.0 },
+  'CV': { name: 'Coventry', slug: 'coventry', m: 1.0 },
+  'DE': { name: 'Derby', slug: 'derby', m: 1.0 },
+  'DY': { name: 'Dudley', slug: null, m: 1.0 },
+  'FY': { name: 'Blackpool', slug: 'blackpool', m: 1.0 },
+  'IP': { name: 'Ipswich', slug: 'ipswich', m: 1.0 },
+  'LE': { name: 'Leicester', slug: 'leicester', m: 1.0 },
+  'NP': { name: 'Newport', slug: 'newport', m: 1.0 },
+  'PE': { name: 'Peterborough', slug: 'peterborough', m: 1.0 },
+  'PL': { name: 'Plymouth', slug: 'plymouth', m: 1.0 },
+  'PR': { name: 'Preston', slug: 'preston', m: 1.0 },
+  'SA': { name: 'Swansea', slug: 'swansea', m: 1.0 },
+  'SR': { name: 'Sunderland', slug: 'sunderland', m: 1.0 },
+  'TF': { name: 'Telford', slug: 'telford', m: 1.0 },
+  'WV': { name: 'Wolverhampton', slug: 'wolverhampton', m: 1.0 },
+  'TA': { name: 'Taunton & Somerset', slug: null, m: 1.0 },
+  'HR': { name: 'Hereford', slug: null, m: 1.0 },
+  'NN': { name: 'Northampton', slug: null, m: 1.0 },
+  'LA': { name: 'Lancaster', slug: null, m: 1.0 },
+  'LD': { name: 'Llandrindod Wells & Powys', slug: null, m: 1.0 },
+  'LL': { name: 'North Wales', slug: null, m: 1.0 },
+  'LN': { name: 'Lincoln', slug: null, m: 1.0 },
+  'WS': { name: 'Walsall', slug: null, m: 1.0 },
+  'CA': { name: 'Carlisle & Cumbria', slug: null, m: 1.0 },
+  'HD': { name: 'Huddersfield', slug: null, m: 1.0 },
+  'BT': { name: 'Belfast & Northern Ireland', slug: 'belfast', m: 1.0 },
+  'CW': { name: 'Crewe', slug: null, m: 1.0 },
+  'SY': { name: 'Shrewsbury', slug: null, m: 1.0 },
+  'FK': { name: 'Falkirk', slug: null, m: 1.0 },
+  'KY': { name: 'Kirkcaldy & Fife', slug: null, m: 1.0 },
+  'KA': { name: 'Kilmarnock & Ayrshire', slug: null, m: 1.0 },
+  'PH': { name: 'Perth & Highland Perthshire', slug: null, m: 1.0 },
+  'IV': { name: 'Inverness & Highlands', slug: null, m: 1.0 },
+  'DL': { name: 'Darlington', slug: null, m: 0.95 },
+  'DN': { name: 'Doncaster', slug: null, m: 0.95 },
+  'HU': { name: 'Hull', slug: 'hull', m: 0.95 },
+  'ST': { name: 'Stoke-on-Trent', slug: 'stoke-on-trent', m: 0.95 },
+  'TS': { name: 'Middlesbrough', slug: 'middlesbrough', m: 0.95 },
+  'BB': { name: 'Blackburn', slug: null, m: 0.95 },
+  'DH': { name: 'Durham', slug: null, m: 0.95 },
+  'HX': { name: 'Halifax', slug: null, m: 0.95 },
+  'TD': { name: 'Galashiels & Scottish Borders', slug: null, m: 0.95 },
+  'DG': { name: 'Dumfries & Galloway', slug: null, m: 0.95 },
+};
+
+const REGION_REASONS = {
+  1.55: 'Central London rates (ULEZ, parking permits, premium labour)',
+  1.35: 'Greater London rates (materials, labour, access costs)',
+  1.25: 'London-adjacent premium city rates',
+  1.15: 'Major city rates',
+  1.05: 'Above-average regional rates',
+  1:    'Standard UK rates',
+  0.95: 'Below-average regional rates'
+};
+
+// Central London is district-specific, so it is checked before the area map.
+const CENTRAL_LONDON_AREAS     = ['EC', 'WC'];
+const CENTRAL_LONDON_DISTRICTS = ['W1', 'SW1', 'SW3', 'SW5', 'SW7', 'SW10', 'SE1', 'N1', 'NW1', 'NW8'];
+
+// Multiplier and page slug for the Central London districts above.
+const CENTRAL_LONDON = { name: 'Central London', slug: 'london-central', m: 1.55 };
+
+// ── District multipliers ─────────────────────────────────────────────────────
+// Districts priced apart from their postcode area (utils/locationCost.js). The
+// area map prices all of TN as Greater London and all of DA, KT, EN, IG and RM
+// likewise, though many of their districts are outside London; CH5-CH8 are in
+// Flintshire, not Chester. Districts not listed inherit the area multiplier,
+// blended with their neighbours.
+const DISTRICT_MULTIPLIERS = {
+  // Kent and East Sussex (TN): only TN16 (Biggin Hill, Bromley) is London
+  'TN1':  { m: 1.25 },   // Royal Tunbridge Wells
+  'TN2':  { m: 1.25 },
+  'TN3':  { m: 1.25 },
+  'TN4':  { m: 1.25 },
+  'TN5':  { m: 1.15 },   // Wadhurst
+  'TN6':  { m: 1.15 },   // Crowborough
+  'TN7':  { m: 1.15 },
+  'TN8':  { m: 1.25 },   // Edenbridge
+  'TN9':  { m: 1.2 },    // Tonbridge
+  'TN10': { m: 1.2 },
+  'TN11': { m: 1.2 },
+  'TN12': { m: 1.2 },    // Paddock Wood
+  'TN13': { m: 1.3 },    // Sevenoaks
+  'TN14': { m: 1.3 },
+  'TN15': { m: 1.25 },
+  'TN17': { m: 1.2 },    // Cranbrook
+  'TN18': { m: 1.2 },
+  'TN19': { m: 1.05 },
+  'TN20': { m: 1.15 },
+  'TN21': { m: 1.1 },    // Heathfield
+  'TN22': { m: 1.15 },   // Uckfield
+  'TN23': { m: 1.1 },    // Ashford
+  'TN24': { m: 1.1 },
+  'TN25': { m: 1.1 },
+  'TN26': { m: 1.1 },
+  'TN27': { m: 1.1 },
+  'TN28': { m: 1.0 },    // Romney Marsh
+  'TN29': { m: 1.0 },
+  'TN30': { m: 1.1 },    // Tenterden
+  'TN31': { m: 1.05 },   // Rye
+  'TN32': { m: 1.05 },
+  'TN33': { m: 1.05 },   // Battle
+  'TN34': { m: 1.0 },    // Hastings
+  'TN35': { m: 1.0 },
+  'TN36': { m: 1.05 },
+  'TN37': { m: 1.0 },
+  'TN38': { m: 1.0 },
+  'TN39': { m: 1.0 },    // Bexhill
+  'TN40': { m: 1.0 },
+  // Outside the London boundary in London-priced areas
+  'BR8':  { m: 1.25 },   // Swanley
+  'CR3':  { m: 1.3 },    // Caterham
+  'DA1':  { m: 1.2 },    // Dartford
+  'DA11': { m: 1.15 },   // Gravesend
+  'EN6':  { m: 1.3 },    // Potters Bar
+  'EN8':  { m: 1.2 },    // Cheshunt
+  'IG10': { m: 1.3 },    // Loughton
+  'KT10': { m: 1.4 },    // Esher
+  'KT12': { m: 1.3 },    // Walton-on-Thames
+  'KT13': { m: 1.4 },    // Weybridge
+  'KT17': { m: 1.3 },    // Epsom
+  'KT22': { m: 1.3 },    // Leatherhead
+  'RM17': { m: 1.1 },    // Grays
+  'TW18': { m: 1.3 },    // Staines
+  'TW20': { m: 1.3 },    // Egham
+  // Welsh districts of the Chester area
+  'CH5':  { m: 1.0 },
+  'CH7':  { m: 1.0 }
+};
+
+// Multiplier for a valid postcode whose area the region map does not cover,
+// by nation from the postcode dataset (services/postcodeGeography.js).
+const NATION_DEFAULTS = {
+  'England':          { m: 1.0 },
+  'Wales':            { m: 1.0 },
+  'Scotland':         { m: 1.0 },
+  'Northern Ireland': { m: 1.0 }
+};
+
+// Labour price by calendar month, January first (services/inflation.js). Trades
+// are booked solid from spring to early autumn and quote keener in the winter
+// lull; the factors average 1.0 over the year.
+const SEASONAL_LABOUR_FACTORS = [0.98, 0.98, 1.0, 1.01, 1.02, 1.02, 1.02, 1.0, 1.01, 1.0, 0.99, 0.97];
+
+// Outside the UK mainland trades market. Places returns nothing usable and the
+// cost model does not apply, so these are rejected rather than priced at 1.0.
+const OUT_OF_SCOPE_AREAS = ['GY', 'JE', 'IM'];
+
+// ── Job-type to Places type + keyword mapping ──
+// Maps each job name to the most specific Google Places type available
+// and a focused keyword so the search pool is relevant to the actual trade
+const JOB_TYPE_MAP = {
+  // Plumbing
+  'Full Bathroom Installation': { placesType: 'plumber',            keyword: 'bathroom plumber' },
+  'Boiler Replacement':         { placesType: 'plumber',            keyword: 'boiler installation' },
+  'Radiator Installation':      { placesType: 'plumber',            keyword: 'plumber radiator' },
+  'Tap Leaks':                  { placesType: 'plumber',            keyword: 'plumber' },
+  'Toilet Repair':              { placesType: 'plumber',            keyword: 'plumber' },
+  'Radiator Repair':            { placesType: 'plumber',            keyword: 'plumber' },
+  // Electrical
+  'Full Rewire':                { placesType: 'electrician',        keyword: 'electrician rewire' },
+  'Consumer Unit Replacement':  { placesType: 'electrician',        keyword: 'electrician' },
+  'EV Charger Installation':    { placesType: 'electrician',        keyword: 'EV charger electrician' },
+  // Decoration
+  'Paint Room':                 { placesType: 'painter',            keyword: 'painter decorator' },
+  'Wallpaper Room':             { placesType: 'painter',            keyword: 'wallpaper decorator' },
+  'Floor Sanding & Varnishing': { placesType: 'general_contractor', keyword: 'floor sanding' },
+  // Building
+  'Single-Storey Extension':    { placesType: 'general_contractor', keyword: 'building contractor extension' },
+  'Double-Storey Extension':    { placesType: 'general_contractor', keyword: 'building contractor extension' },
+  'Loft Conversion':            { placesType: 'general_contractor', keyword: 'loft conversion contractor' },
+  'Loft Conversion (Dormer)':   { placesType: 'general_contractor', keyword: 'loft conversion contractor' },
+  'Plaster / Skim Room':        { placesType: 'general_contractor', keyword: 'plasterer' },
+  'Full House Re-skim':         { placesType: 'general_contractor', keyword: 'plasterer' },
+  'Kitchen Extension':          { placesType: 'general_contractor', keyword: 'kitchen extension builder' },
+  // Outdoor
+  'Garden Landscaping':         { placesType: 'general_contractor', keyword: 'landscaper garden' },
+  'Window Cleaning':            { placesType: 'general_contractor', keyword: 'window cleaner' },
+};
+
+// Per-job base rates, unit and labour share. Still published in regionalCostData.json
+// for the frontend's regional pages, so the JSON stays the seed for version 0.
+const BASE_RATES = regionalData.baseRates;
+
+module.exports = {
+  AREA_REGIONS,
+  REGION_REASONS,
+  CENTRAL_LONDON,
+  CENTRAL_LONDON_AREAS,
+  CENTRAL_LONDON_DISTRICTS,
+  DISTRICT_MULTIPLIERS,
+  NATION_DEFAULTS,
+  SEASONAL_LABOUR_FACTORS,
+  OUT_OF_SCOPE_AREAS,
+  JOB_TYPE_MAP,
+  BASE_RATES
+};
@@ -0,0 +1,66 @@
+// utils/rankingProfiles.js
+// Weight profiles for the contractor ranker (services/contractorRanking.js).
+//
+// A profile is identified by name@version. Never edit a published profile in
+// place: add the next version, so saved estimates (contractorsShown) and click
+// logs that name a profile still describe the weights they were ranked with.
+//
+// Weights are the points each factor contributes at its best; they sum to 100.
+// largeProject replaces some of them for projects of largeProjectScale m² (or
+// weighted rooms) and up, where a longer track record matters more.
+//
+// Selection (resolveRankingProfile): a profile listing the jobType, else one
+// listing the category, else DEFAULT_PROFILE. The latest version of each name
+// is the one selected, unless an approved learned profile (RankingProposal,
+// services/rankingTraining.js) has replaced it.
+
+const DEFAULT_PROFILE = 'default';
+
+// Scoring factors, in breakdown order. Each is scored 0-1 before weighting.
+const FACTORS = ['rating', 'reviews', 'relevance', 'proximity', 'quality', 'presence'];
+
+const RANKING_PROFILES = [
+  {
+    // The weights the search shipped with
+    name: 'default',
+    version: 1,
+    description: 'Balanced: rating, proximity and review volume',
+    appliesTo: { categories: [], jobTypes: [] },
+    weights: { rating: 35, reviews: 15, relevance: 15, proximity: 20, quality: 10, presence: 5 },
+    largeProject: { rating: 30, reviews: 20 },
+    largeProjectScale: 30,
+    maxDistanceKm: 25,
+    relevanceMatchesForFull: 3
+  },
+  {
+    // Extensions and lofts: months on site, so a proven record counts for more
+    // than a short drive
+    name: 'major-works',
+    version: 1,
+    description: 'Building projects: review volume over proximity',
+    appliesTo: { categories: ['building'], jobTypes: [] },
+    weights: { rating: 30, reviews: 25, relevance: 15, proximity: 10, quality: 15, presence: 5 },
+    largeProject: { rating: 25, reviews: 30 },
+    largeProjectScale: 30,
+    maxDistanceKm: 25,
+    relevanceMatchesForFull: 3
+  },
+  {
+    // Leaks and breakdowns: whoever can get there soonest
+    name: 'call-out-repairs',
+    version: 1,
+    description: 'Small urgent repairs: proximity first',
+    appliesTo: { categories: [], jobTypes: ['Tap Leaks', 'Toilet Repair', 'Radiator Repair'] },
+    weights: { rating: 30, reviews: 10, relevance: 15, proximity: 35, quality: 5, presence: 5 },
+    largeProject: {},
+    largeProjectScale: 30,
+    maxDistanceKm: 15,
+    relevanceMatchesForFull: 3
+  }
+];
+
+module.exports = {
+  RANKING_PROFILES,
+  DEFAULT_PROFILE,
+  FACTORS
+};
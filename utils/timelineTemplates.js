@@ -0,0 +1,293 @@
+// utils/timelineTemplates.js
+// Project plan templates, keyed by the baseRates slug in regionalCostData.json.
+// Used by services/timeline.js.
+//
+// phases: on-site work in order. `share` is the phase's fraction of the job's
+//   labour days (from the bill of quantities), `crew` how many people work it at
+//   once, `minDays` a floor for tiny jobs. `needs` names lead time items that
+//   must have arrived before the phase can start.
+// leadTimes: items ordered at the start, in weeks at standard quality.
+// compliance: approvals and notifications. `stage` is 'before' (site work waits
+//   for it), 'during' (inspections while work runs) or 'after' (sign-off).
+//   `conditional` steps only apply in some cases, explained in `note`.
+
+const BUILDING_CONTROL_EXTENSION = [
+  { step: 'Planning permission or permitted development check', stage: 'before', weeks: 8, conditional: true, note: 'Many single-storey rear extensions fall under permitted development; a Lawful Development Certificate takes about 8 weeks.' },
+  { step: 'Structural engineer calculations',                   stage: 'before', weeks: 2 },
+  { step: 'Building regulations approval (full plans)',         stage: 'before', weeks: 5, note: 'Can run alongside planning.' },
+  { step: 'Party wall notice',                                  stage: 'before', weeks: 8, conditional: true, note: 'Required when building on or near a shared wall or boundary. Neighbours have 14 days to respond; a party wall award can take up to two months.' },
+  { step: 'Building control inspections (foundations, drainage, insulation)', stage: 'during', weeks: 0 },
+  { step: 'Building regulations completion certificate',         stage: 'after',  weeks: 2 }
+];
+
+const BUILDING_CONTROL_LOFT = [
+  { step: 'Planning permission or permitted development check', stage: 'before', weeks: 8, conditional: true, note: 'Most rear dormers and rooflight conversions are permitted development outside conservation areas.' },
+  { step: 'Structural engineer calculations',                   stage: 'before', weeks: 2 },
+  { step: 'Building regulations approval (full plans)',         stage: 'before', weeks: 5 },
+  { step: 'Party wall notice',                                  stage: 'before', weeks: 8, conditional: true, note: 'Required for terraced and semi-detached houses when steels bear on the party wall.' },
+  { step: 'Building control inspections (structure, fire safety, insulation)', stage: 'during', weeks: 0 },
+  { step: 'Building regulations completion certificate',         stage: 'after',  weeks: 2 }
+];
+
+const PART_P = { step: 'Part P notification by a registered electrician', stage: 'after', weeks: 1, note: 'Your electrician self-certifies and you receive a Building Regulations compliance certificate by post.' };
+const GAS_SAFE = { step: 'Gas Safe notification to Building Control', stage: 'after', weeks: 1, note: 'Your engineer registers the boiler; the certificate and manufacturer warranty follow by post.' };
+
+const TIMELINE_TEMPLATES = {
+  'boiler-replacement': {
+    phases: [
+      { name: 'Remove old boiler and flush system', trade: 'heating',  share: 0.35, crew: 2, minDays: 1, needs: ['Boiler'] },
+      { name: 'Install boiler, flue and controls',  trade: 'heating',  share: 0.5,  crew: 2, minDays: 1 },
+      { name: 'Commission and hand over',           trade: 'heating',  share: 0.15, crew: 1, minDays: 0.5 }
+    ],
+    leadTimes: [{ item: 'Boiler', weeks: 1 }],
+    compliance: [GAS_SAFE]
+  },
+
+  'bathroom-renovation': {
+    phases: [
+      { name: 'Strip out',                          trade: 'fitter',      share: 0.1,  crew: 2, minDays: 1 },
+      { name: 'First fix plumbing and electrics',   trade: 'plumber',     share: 0.2,  crew: 2, minDays: 1 },
+      { name: 'Boarding, tanking and plastering',   trade: 'fitter',      share: 0.15, crew: 1, minDays: 1 },
+      { name: 'Tiling',                             trade: 'tiler',       share: 0.25, crew: 1, minDays: 2, needs: ['Tiles'] },
+      { name: 'Second fix and sanitaryware',        trade: 'plumber',     share: 0.25, crew: 1, minDays: 1, needs: ['Sanitaryware and brassware'] },
+      { name: 'Snagging and silicone',              trade: 'fitter',      share: 0.05, crew: 1, minDays: 0.5 }
+    ],
+    leadTimes: [{ item: 'Sanitaryware and brassware', weeks: 2 }, { item: 'Tiles', weeks: 2 }],
+    compliance: [{ ...PART_P, conditional: true, note: 'Only if new circuits are added in the bathroom.' }]
+  },
+
+  'kitchen-renovation': {
+    phases: [
+      { name: 'Strip out',                          trade: 'fitter',      share: 0.08, crew: 2, minDays: 1 },
+      { name: 'First fix plumbing and electrics',   trade: 'electrician', share: 0.15, crew: 2, minDays: 1 },
+      { name: 'Plastering',                         trade: 'plasterer',   share: 0.1,  crew: 1, minDays: 1 },
+      { name: 'Fit units',                          trade: 'fitter',      share: 0.3,  crew: 2, minDays: 2, needs: ['Kitchen units'] },
+      { name: 'Template and fit worktops',          trade: 'fitter',      share: 0.1,  crew: 2, minDays: 1, needs: ['Worktops (templated after units)'] },
+      { name: 'Second fix, appliances and tiling',  trade: 'electrician', share: 0.2,  crew: 2, minDays: 1, needs: ['Appliances'] },
+      { name: 'Flooring and snagging',              trade: 'fitter',      share: 0.07, crew: 1, minDays: 1 }
+    ],
+    leadTimes: [{ item: 'Kitchen units', weeks: 6 }, { item: 'Appliances', weeks: 2 }, { item: 'Worktops (templated after units)', weeks: 8 }],
+    compliance: [PART_P]
+  },
+
+  'full-rewire': {
+    phases: [
+      { name: 'First fix: lift floors, chase walls, run cables', trade: 'electrician', share: 0.55, crew: 2, minDays: 2 },
+      { name: 'Make good plaster',                  trade: 'plasterer',   share: 0.15, crew: 1, minDays: 1 },
+      { name: 'Second fix: board, sockets, lights', trade: 'electrician', share: 0.25, crew: 2, minDays: 1, needs: ['Consumer unit'] },
+      { name: 'Test and certify',                   trade: 'electrician', share: 0.05, crew: 1, minDays: 0.5 }
+    ],
+    leadTimes: [{ item: 'Consumer unit', weeks: 1 }],
+    compliance: [PART_P, { step: 'Electrical Installation Certificate (EIC)', stage: 'after', weeks: 0 }]
+  },
+
+  'interior-painting': {
+    phases: [
+      { name: 'Preparation: fill, sand, mask',      trade: 'decorator', share: 0.35, crew: 1, minDays: 0.5 },
+      { name: 'Ceilings and walls',                 trade: 'decorator', share: 0.45, crew: 1, minDays: 0.5 },
+      { name: 'Woodwork',                           trade: 'decorator', share: 0.2,  crew: 1, minDays: 0.5 }
+    ],
+    leadTimes: [],
+    compliance: []
+  },
+
+  'ev-charger': {
+    phases: [
+      { name: 'Install charge point and cable run', trade: 'electrician', share: 0.85, crew: 1, minDays: 0.5, needs: ['Charge point'] },
+      { name: 'Test, commission and app setup',     trade: 'electrician', share: 0.15, crew: 1, minDays: 0.5 }
+    ],
+    leadTimes: [{ item: 'Charge point', weeks: 1 }],
+    compliance: [
+      { step: 'DNO notification (connect and notify)', stage: 'after', weeks: 0, note: 'Your installer notifies the network operator within 28 days.' },
+      PART_P
+    ]
+  },
+
+  'radiator-installation': {
+    phases: [
+      { name: 'Drain down, fit radiator and valves', trade: 'plumber', share: 0.8, crew: 1, minDays: 0.5, needs: ['Radiator'] },
+      { name: 'Refill, bleed and balance',           trade: 'plumber', share: 0.2, crew: 1, minDays: 0.5 }
+    ],
+    leadTimes: [{ item: 'Radiator', weeks: 1 }],
+    compliance: []
+  },
+
+  'radiator-repair': {
+    phases: [{ name: 'Repair visit', trade: 'plumber', share: 1, crew: 1, minDays: 0.5 }],
+    leadTimes: [],
+    compliance: []
+  },
+
+  'tap-leak-repair': {
+    phases: [{ name: 'Repair visit', trade: 'plumber', share: 1, crew: 1, minDays: 0.5 }],
+    leadTimes: [],
+    compliance: []
+  },
+
+  'toilet-repair': {
+    phases: [{ name: 'Repair visit', trade: 'plumber', share: 1, crew: 1, minDays: 0.5 }],
+    leadTimes: [],
+    compliance: []
+  },
+
+  'consumer-unit': {
+    phases: [
+      { name: 'Replace board',                      trade: 'electrician', share: 0.75, crew: 1, minDays: 0.5, needs: ['Consumer unit'] },
+      { name: 'Test and certify',                   trade: 'electrician', share: 0.25, crew: 1, minDays: 0.5 }
+    ],
+    leadTimes: [{ item: 'Consumer unit', weeks: 1 }],
+    compliance: [PART_P]
+  },
+
+  'wallpapering': {
+    phases: [
+      { name: 'Strip, fill and line',               trade: 'decorator', share: 0.4, crew: 1, minDays: 0.5 },
+      { name: 'Hang paper',                         trade: 'decorator', share: 0.6, crew: 1, minDays: 0.5, needs: ['Wallpaper'] }
+    ],
+    leadTimes: [{ item: 'Wallpaper', weeks: 1 }],
+    compliance: []
+  },
+
+  'floor-sanding': {
+    phases: [
+      { name: 'Repair boards and fill gaps',        trade: 'floorer', share: 0.2, crew: 1, minDays: 0.5 },
+      { name: 'Sand',                               trade: 'floorer', share: 0.5, crew: 1, minDays: 1 },
+      { name: 'Lacquer or oil coats (with drying)', trade: 'floorer', share: 0.3, crew: 1, minDays: 1 }
+    ],
+    leadTimes: [],
+    compliance: []
+  },
+
+  'plastering': {
+    phases: [
+      { name: 'Preparation and bonding',            trade: 'plasterer', share: 0.3, crew: 1, minDays: 0.5 },
+      { name: 'Skim',                               trade: 'plasterer', share: 0.7, crew: 1, minDays: 0.5 }
+    ],
+    leadTimes: [],
+    compliance: []
+  },
+
+  'full-reskim': {
+    phases: [
+      { name: 'Preparation, beads and bonding',     trade: 'plasterer', share: 0.3, crew: 2, minDays: 1 },
+      { name: 'Skim, room by room',                 trade: 'plasterer', share: 0.7, crew: 2, minDays: 2 }
+    ],
+    leadTimes: [],
+    compliance: []
+  },
+
+  'single-storey-extension': {
+    phases: [
+      { name: 'Site setup and groundworks',         trade: 'builder',     share: 0.15, crew: 3, minDays: 5 },
+      { name: 'Foundations and slab',               trade: 'builder',     share: 0.12, crew: 3, minDays: 4 },
+      { name: 'Walls to roof height',               trade: 'bricklayer',  share: 0.18, crew: 3, minDays: 5 },
+      { name: 'Roof structure and covering',        trade: 'roofer',      share: 0.12, crew: 2, minDays: 4 },
+      { name: 'Windows and doors',                  trade: 'carpenter',   share: 0.05, crew: 2, minDays: 1, needs: ['Windows and doors'] },
+      { name: 'First fix electrics and plumbing',   trade: 'electrician', share: 0.08, crew: 2, minDays: 2 },
+      { name: 'Knock through and plastering',       trade: 'plasterer',   share: 0.15, crew: 2, minDays: 4, needs: ['Steel beam'] },
+      { name: 'Second fix and finishes',            trade: 'builder',     share: 0.15, crew: 2, minDays: 3 }
+    ],
+    leadTimes: [{ item: 'Windows and doors', weeks: 6 }, { item: 'Steel beam', weeks: 2 }],
+    compliance: [...BUILDING_CONTROL_EXTENSION, PART_P]
+  },
+
+  'double-storey-extension': {
+    phases: [
+      { name: 'Site setup and groundworks',         trade: 'builder',     share: 0.12, crew: 3, minDays: 5 },
+      { name: 'Foundations and slab',               trade: 'builder',     share: 0.1,  crew: 3, minDays: 5 },
+      { name: 'Ground floor walls',                 trade: 'bricklayer',  share: 0.13, crew: 3, minDays: 5 },
+      { name: 'First floor joists and upper walls', trade: 'bricklayer',  share: 0.15, crew: 3, minDays: 6 },
+      { name: 'Roof structure and covering',        trade: 'roofer',      share: 0.1,  crew: 2, minDays: 5 },
+      { name: 'Windows and doors',                  trade: 'carpenter',   share: 0.05, crew: 2, minDays: 2, needs: ['Windows and doors'] },
+      { name: 'First fix electrics and plumbing',   trade: 'electrician', share: 0.08, crew: 2, minDays: 3 },
+      { name: 'Knock through and plastering',       trade: 'plasterer',   share: 0.14, crew: 2, minDays: 6, needs: ['Steel beams'] },
+      { name: 'Second fix and finishes',            trade: 'builder',     share: 0.13, crew: 2, minDays: 5 }
+    ],
+    leadTimes: [{ item: 'Windows and doors', weeks: 6 }, { item: 'Steel beams', weeks: 2 }],
+    compliance: [...BUILDING_CONTROL_EXTENSION, PART_P]
+  },
+
+  'kitchen-extension': {
+    phases: [
+      { name: 'Site setup and groundworks',         trade: 'builder',     share: 0.13, crew: 3, minDays: 5 },
+      { name: 'Foundations and slab',               trade: 'builder',     share: 0.1,  crew: 3, minDays: 4 },
+      { name: 'Walls to roof height',               trade: 'bricklayer',  share: 0.15, crew: 3, minDays: 5 },
+      { name: 'Roof structure, covering and rooflights', trade: 'roofer', share: 0.12, crew: 2, minDays: 4 },
+      { name: 'Bifold or sliding doors',            trade: 'carpenter',   share: 0.04, crew: 2, minDays: 1, needs: ['Bifold or sliding doors'] },
+      { name: 'First fix electrics, plumbing, underfloor heating', trade: 'electrician', share: 0.1, crew: 2, minDays: 3 },
+      { name: 'Knock through, screed and plastering', trade: 'plasterer', share: 0.16, crew: 2, minDays: 5, needs: ['Steel beam'] },
+      { name: 'Second fix and finishes',            trade: 'builder',     share: 0.2,  crew: 2, minDays: 4 }
+    ],
+    leadTimes: [{ item: 'Bifold or sliding doors', weeks: 8 }, { item: 'Steel beam', weeks: 2 }],
+    compliance: [...BUILDING_CONTROL_EXTENSION, PART_P]
+  },
+
+  'loft-conversion': {
+    phases: [
+      { name: 'Scaffold and site setup',            trade: 'builder',     share: 0.05, crew: 2, minDays: 2 },
+      { name: 'Floor joists and steels',            trade: 'carpenter',   share: 0.2,  crew: 2, minDays: 5, needs: ['Steels'] },
+      { name: 'Rooflights and roof alterations',    trade: 'roofer',      share: 0.12, crew: 2, minDays: 3, needs: ['Rooflights'] },
+      { name: 'Staircase',                          trade: 'carpenter',   share: 0.1,  crew: 2, minDays: 2, needs: ['Staircase'] },
+      { name: 'Insulation and first fix',           trade: 'carpenter',   share: 0.18, crew: 2, minDays: 4 },
+      { name: 'Plasterboard and plastering',        trade: 'plasterer',   share: 0.15, crew: 2, minDays: 4 },
+      { name: 'Second fix, fire doors and finishes', trade: 'builder',    share: 0.2,  crew: 2, minDays: 4, needs: ['Fire doors'] }
+    ],
+    leadTimes: [{ item: 'Steels', weeks: 2 }, { item: 'Rooflights', weeks: 2 }, { item: 'Staircase', weeks: 4 }, { item: 'Fire doors', weeks: 2 }],
+    compliance: [...BUILDING_CONTROL_LOFT, PART_P]
+  },
+
+  'loft-conversion-dormer': {
+    phases: [
+      { name: 'Scaffold and site setup',            trade: 'builder',     share: 0.05, crew: 2, minDays: 2 },
+      { name: 'Floor joists and steels',            trade: 'carpenter',   share: 0.16, crew: 2, minDays: 5, needs: ['Steels'] },
+      { name: 'Dormer structure and roof covering', trade: 'roofer',      share: 0.2,  crew: 3, minDays: 8, needs: ['Windows and rooflights'] },
+      { name: 'Staircase',                          trade: 'carpenter',   share: 0.08, crew: 2, minDays: 2, needs: ['Staircase'] },
+      { name: 'Insulation and first fix',           trade: 'carpenter',   share: 0.16, crew: 2, minDays: 4 },
+      { name: 'Plasterboard and plastering',        trade: 'plasterer',   share: 0.15, crew: 2, minDays: 5 },
+      { name: 'Second fix, fire doors and finishes', trade: 'builder',    share: 0.2,  crew: 2, minDays: 5, needs: ['Fire doors'] }
+    ],
+    leadTimes: [{ item: 'Steels', weeks: 2 }, { item: 'Windows and rooflights', weeks: 4 }, { item: 'Staircase', weeks: 4 }, { item: 'Fire doors', weeks: 2 }],
+    compliance: [...BUILDING_CONTROL_LOFT, PART_P]
+  },
+
+  'garden-landscaping': {
+    phases: [
+      { name: 'Clearance and levelling',            trade: 'landscaper', share: 0.25, crew: 2, minDays: 1 },
+      { name: 'Sub-base and hard landscaping',      trade: 'landscaper', share: 0.4,  crew: 2, minDays: 2, needs: ['Paving'] },
+      { name: 'Fencing, turf and planting',         trade: 'landscaper', share: 0.35, crew: 2, minDays: 1 }
+    ],
+    leadTimes: [{ item: 'Paving', weeks: 2 }],
+    compliance: []
+  },
+
+  'window-cleaning': {
+    phases: [{ name: 'Clean', trade: 'cleaner', share: 1, crew: 1, minDays: 0.5 }],
+    leadTimes: [],
+    compliance: []
+  }
+};
+
+// Used when a jobType has no template of its own.
+const GENERIC_TIMELINE = {
+  phases: [
+    { name: 'Preparation',  trade: 'builder', share: 0.2, crew: 1, minDays: 0.5 },
+    { name: 'Main works',   trade: 'builder', share: 0.7, crew: 1, minDays: 1 },
+    { name: 'Finishing and clean up', trade: 'builder', share: 0.1, crew: 1, minDays: 0.5 }
+  ],
+  leadTimes: [],
+  compliance: []
+};
+
+// Bespoke and higher-spec items take longer to arrive.
+const QUALITY_LEAD_TIME_MULTIPLIERS = {
+  budget:   0.75,
+  standard: 1.0,
+  premium:  1.25,
+  luxury:   1.5
+};
+
+module.exports = {
+  TIMELINE_TEMPLATES,
+  GENERIC_TIMELINE,
+  QUALITY_LEAD_TIME_MULTIPLIERS
+};